@@ -0,0 +1,96 @@
+import { getById } from '../models/db.js';
+import { SESSION_COOKIE, verifySession } from '../services/sessionService.js';
+import { isAllowedOrigin } from './origin.js';
+
+// Requests that only read; anything else changes state
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('=')) || null;
+      } catch {
+        // A value that isn't valid percent-encoding is treated as missing
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the session token from an `Authorization: Bearer` header or the
+ * HTTP-only session cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+export function getSessionToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim() || null;
+  }
+  return readCookie(req, SESSION_COOKIE);
+}
+
+/**
+ * Find the signed-in user for a request (also used for WebSocket upgrades,
+ * which never pass through Express middleware)
+ * @param {Object} req - Express or raw HTTP request
+ * @returns {{session: Object, user: Object}|null} Session and user, or null
+ */
+export function authenticateRequest(req) {
+  const session = verifySession(getSessionToken(req));
+  const user = session ? getById('users', session.userId) : null;
+  return user ? { session, user } : null;
+}
+
+/**
+ * Whether a request that changes state rides on the browser's session cookie
+ * from a page that isn't ours (a forged cross-site form or fetch). Bearer
+ * tokens are never sent by the browser on its own, so they are not affected.
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request must be refused
+ */
+export function isCrossSiteWrite(req) {
+  if (SAFE_METHODS.includes(req.method)) return false;
+  if ((req.headers.authorization || '').startsWith('Bearer ')) return false;
+  return !isAllowedOrigin(req.headers.origin);
+}
+
+/**
+ * Require a valid session. Sets req.user and req.session for the route.
+ * Cookie-authenticated writes must come from an allowed origin.
+ */
+export function requireAuth(req, res, next) {
+  const auth = authenticateRequest(req);
+
+  if (!auth) {
+    return res.status(401).json({
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'A valid session is required'
+      }
+    });
+  }
+
+  if (isCrossSiteWrite(req)) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN_ORIGIN',
+        message: 'This request must come from the Sauti Ledger app'
+      }
+    });
+  }
+
+  req.session = auth.session;
+  req.user = auth.user;
+  next();
+}
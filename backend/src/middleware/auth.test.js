@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../models/db.js', () => ({
+  getById: vi.fn()
+}));
+
+vi.mock('../services/sessionService.js', () => ({
+  SESSION_COOKIE: 'sauti_session',
+  verifySession: vi.fn()
+}));
+
+import { getById } from '../models/db.js';
+import { verifySession } from '../services/sessionService.js';
+import { requireAuth, getSessionToken } from './auth.js';
+
+function createResponse() {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+}
+
+describe('Auth Middleware', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should read the token from a bearer header or the session cookie', () => {
+    expect(getSessionToken({ headers: { authorization: 'Bearer abc.def' } })).toBe('abc.def');
+    expect(getSessionToken({ headers: { cookie: 'theme=dark; sauti_session=abc.def' } })).toBe('abc.def');
+    expect(getSessionToken({ headers: {} })).toBeNull();
+  });
+
+  it('should treat a malformed session cookie as missing', () => {
+    verifySession.mockReturnValue(null);
+    const res = createResponse();
+
+    expect(getSessionToken({ headers: { cookie: 'sauti_session=%E0' } })).toBeNull();
+    requireAuth({ headers: { cookie: 'sauti_session=%E0' } }, res, vi.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should attach the session and user for a valid token', () => {
+    verifySession.mockReturnValue({ id: 's1', userId: 'user-1' });
+    getById.mockReturnValue({ id: 'user-1', email: 'a@example.com' });
+    const req = { headers: { authorization: 'Bearer abc.def' } };
+    const next = vi.fn();
+
+    requireAuth(req, createResponse(), next);
+
+    expect(verifySession).toHaveBeenCalledWith('abc.def');
+    expect(req.user.id).toBe('user-1');
+    expect(req.session.id).toBe('s1');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should refuse cookie-authenticated writes from other sites', () => {
+    verifySession.mockReturnValue({ id: 's1', userId: 'user-1' });
+    getById.mockReturnValue({ id: 'user-1', email: 'a@example.com' });
+    const cookie = 'sauti_session=abc.def';
+    const attempt = (method, headers) => {
+      const res = createResponse();
+      const next = vi.fn();
+      requireAuth({ method, headers }, res, next);
+      return next.mock.calls.length > 0 ? 'allowed' : res.status.mock.calls[0][0];
+    };
+
+    expect(attempt('POST', { cookie, origin: 'https://evil.example.com' })).toBe(403);
+    expect(attempt('DELETE', { cookie })).toBe(403);
+    expect(attempt('POST', { cookie, origin: 'https://kaseddie.netlify.app.evil.com' })).toBe(403);
+    expect(attempt('POST', { cookie, origin: 'https://kaseddie.netlify.app' })).toBe('allowed');
+    expect(attempt('PATCH', { cookie, origin: 'http://localhost:5173' })).toBe('allowed');
+    expect(attempt('GET', { cookie, origin: 'https://evil.example.com' })).toBe('allowed');
+    expect(attempt('POST', { authorization: 'Bearer abc.def', origin: 'https://evil.example.com' })).toBe('allowed');
+  });
+
+  it('should respond 401 without a valid session or when the user no longer exists', () => {
+    for (const session of [null, { id: 's1', userId: 'deleted' }]) {
+      verifySession.mockReturnValue(session);
+      getById.mockReturnValue(undefined);
+      const res = createResponse();
+      const next = vi.fn();
+
+      requireAuth({ headers: {} }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('UNAUTHORIZED');
+      expect(next).not.toHaveBeenCalled();
+    }
+  });
+});
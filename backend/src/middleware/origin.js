@@ -0,0 +1,38 @@
+// ============================================================================
+// Allowed Origins
+// ============================================================================
+// Pages that may call the API with the user's cookies. Used for CORS, and to
+// refuse cookie-authenticated writes and WebSocket upgrades from any other
+// site: the session cookie is SameSite=None in production, so browsers send
+// it with cross-site requests too.
+//
+// FRONTEND_URL - Extra origin to allow (e.g. a custom domain)
+// ============================================================================
+
+const STATIC_ORIGINS = [
+  'http://localhost:5173',                  // Local Vite dev
+  'http://localhost:3000',                  // Local backend test
+  /^https:\/\/[a-z0-9-]+\.vercel\.app$/,    // All Vercel previews
+  /^https:\/\/[a-z0-9-]+\.netlify\.app$/    // Netlify previews (if used)
+];
+
+/**
+ * Origins allowed to call the API with credentials
+ * @returns {Array<string|RegExp>} Exact origins and patterns, as cors expects
+ */
+export function getAllowedOrigins() {
+  const frontend = process.env.FRONTEND_URL;
+  return frontend ? [...STATIC_ORIGINS, new URL(frontend).origin] : STATIC_ORIGINS;
+}
+
+/**
+ * Whether a request's Origin header names one of our own pages
+ * @param {string|undefined} origin - Origin header value
+ * @returns {boolean} False for a missing or unknown origin
+ */
+export function isAllowedOrigin(origin) {
+  if (typeof origin !== 'string') return false;
+  return getAllowedOrigins().some(allowed => (
+    allowed instanceof RegExp ? allowed.test(origin) : allowed === origin
+  ));
+}
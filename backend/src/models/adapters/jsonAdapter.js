@@ -0,0 +1,239 @@
+import fs from 'fs';
+
+// ============================================================================
+// JSON File Adapter
+// ============================================================================
+// All callers share one in-memory copy of the database. Every mutation is:
+//   1. appended to an append-only journal (<file>.journal) and fsynced,
+//   2. applied to the in-memory copy,
+//   3. flushed to the JSON file by a single write queue using an atomic
+//      temp-file + rename, after which the journal entries are pruned.
+// Mutations are synchronous, so they can never interleave inside this process.
+// If the process dies before step 3 the journal is replayed on next start.
+// ============================================================================
+
+/**
+ * Apply a journal entry to a database object. Replaying is idempotent, so
+ * entries already contained in the snapshot can safely be applied again.
+ *
+ * @param {Object} data - Database object to mutate
+ * @param {Object} entry - Journal entry
+ * @returns {*} Operation result
+ */
+function applyEntry(data, entry) {
+  const { op, collection, id } = entry;
+
+  switch (op) {
+    case 'add': {
+      if (!data[collection]) data[collection] = [];
+      const existing = data[collection].find(item => String(item.id) === String(entry.record.id));
+      if (existing && entry.record.id !== undefined) return existing;
+      data[collection].push(entry.record);
+      return entry.record;
+    }
+    case 'update': {
+      const index = data[collection]?.findIndex(item => String(item.id) === String(id)) ?? -1;
+      if (index === -1) return null;
+      data[collection][index] = { ...data[collection][index], ...entry.updates };
+      return data[collection][index];
+    }
+    case 'remove': {
+      const index = data[collection]?.findIndex(item => String(item.id) === String(id)) ?? -1;
+      if (index === -1) return null;
+      return data[collection].splice(index, 1)[0];
+    }
+    case 'replace': {
+      for (const key of Object.keys(data)) delete data[key];
+      Object.assign(data, structuredClone(entry.data));
+      return data;
+    }
+    default:
+      throw new Error(`Unknown journal operation: ${op}`);
+  }
+}
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+/**
+ * Create a storage adapter backed by a JSON file with a write-ahead journal
+ * @param {Object} options - Adapter options
+ * @param {string} options.path - Path to the JSON database file
+ * @returns {Object} Storage adapter
+ */
+export function createJsonAdapter({ path: dbPath }) {
+  const paths = {
+    db: dbPath,
+    temp: `${dbPath}.tmp`,
+    journal: `${dbPath}.journal`
+  };
+
+  let state = null;
+  let journalSeq = 0;
+  let writeQueue = Promise.resolve();
+  let flushScheduled = false;
+
+  // ── Journal ────────────────────────────────────────────────────────────────
+
+  // Read journal entries, skipping a torn trailing line from an interrupted append
+  function readJournal() {
+    if (!fs.existsSync(paths.journal)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(paths.journal, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.warn('[DB] Ignoring incomplete journal entry');
+      }
+    }
+    return entries;
+  }
+
+  function appendJournal(entry) {
+    const fd = fs.openSync(paths.journal, 'a');
+    try {
+      fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Drop journal entries that are already part of the on-disk snapshot
+  function pruneJournal(seq) {
+    const remaining = readJournal().filter(entry => entry.seq > seq);
+    if (remaining.length === 0) {
+      fs.rmSync(paths.journal, { force: true });
+      return;
+    }
+    const tempJournal = `${paths.journal}.tmp`;
+    fs.writeFileSync(tempJournal, remaining.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(tempJournal, paths.journal);
+  }
+
+  // ── Snapshot ───────────────────────────────────────────────────────────────
+
+  // Load the snapshot and replay any journal entries left by a crash
+  function loadState() {
+    // A leftover temp file means a snapshot write was interrupted; the
+    // previous snapshot plus the journal are still authoritative.
+    fs.rmSync(paths.temp, { force: true });
+
+    let data = {};
+    if (fs.existsSync(paths.db)) {
+      try {
+        data = JSON.parse(fs.readFileSync(paths.db, 'utf8'));
+      } catch (error) {
+        const corruptPath = `${paths.db}.corrupt-${Date.now()}`;
+        console.error(`[DB] Snapshot is unreadable, moving it to ${corruptPath}:`, error.message);
+        fs.renameSync(paths.db, corruptPath);
+      }
+    }
+
+    const entries = readJournal();
+    for (const entry of entries) {
+      applyEntry(data, entry);
+      journalSeq = Math.max(journalSeq, entry.seq || 0);
+    }
+
+    state = data;
+
+    if (entries.length > 0) {
+      console.log(`[DB] Recovered ${entries.length} journal entries`);
+      scheduleFlush();
+    }
+  }
+
+  function getState() {
+    if (!state) loadState();
+    return state;
+  }
+
+  // Write the current state atomically: temp file, fsync, rename
+  async function writeSnapshot() {
+    flushScheduled = false;
+    const seq = journalSeq;
+    const contents = JSON.stringify(state, null, 2);
+
+    const handle = await fs.promises.open(paths.temp, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(paths.temp, paths.db);
+    pruneJournal(seq);
+  }
+
+  function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    writeQueue = writeQueue
+      .then(writeSnapshot)
+      .catch(error => {
+        console.error('Error writing to database:', error);
+      });
+  }
+
+  // Journal, apply and schedule persistence of a single mutation
+  function commit(entry) {
+    const data = getState();
+    const journaled = { ...entry, seq: journalSeq + 1 };
+    appendJournal(journaled);
+    journalSeq = journaled.seq;
+    const result = applyEntry(data, journaled);
+    scheduleFlush();
+    return result;
+  }
+
+  const exists = (collection, id) => getState()[collection]?.some(item => String(item.id) === String(id));
+
+  return {
+    name: 'json',
+
+    readAll() {
+      return clone(getState());
+    },
+
+    replaceAll(data) {
+      commit({ op: 'replace', data: clone(data) });
+    },
+
+    getAll(collection) {
+      return clone(getState()[collection] || []);
+    },
+
+    getById(collection, id) {
+      return clone(getState()[collection]?.find(item => String(item.id) === String(id)));
+    },
+
+    findBy(collection, field, value) {
+      return clone((getState()[collection] || []).filter(item => String(item[field]) === String(value)));
+    },
+
+    add(collection, record) {
+      return clone(commit({ op: 'add', collection, record: clone(record) }));
+    },
+
+    update(collection, id, updates) {
+      if (!exists(collection, id)) return null;
+      return clone(commit({ op: 'update', collection, id, updates: clone(updates) }));
+    },
+
+    remove(collection, id) {
+      if (!exists(collection, id)) return null;
+      return clone(commit({ op: 'remove', collection, id }));
+    },
+
+    // Wait until every pending write has reached the JSON file
+    flush() {
+      return writeQueue;
+    },
+
+    close() {
+      return writeQueue;
+    }
+  };
+}
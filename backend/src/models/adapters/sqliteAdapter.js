@@ -0,0 +1,178 @@
+import Database from 'better-sqlite3';
+
+// ============================================================================
+// SQLite Adapter
+// ============================================================================
+// Each collection is stored in its own table as JSON documents:
+//   seq  - insertion order (getAll returns records in the order they were added)
+//   id   - record id (unique)
+//   data - the record as JSON
+// Every collection table is indexed on data.userId and on data.timestamp
+// (falling back to data.createdAt), so per-user and time-ordered queries stay
+// fast past a few thousand trades. Top-level values that are not collections
+// (e.g. a schema version) live in the `_meta` key/value table.
+// ============================================================================
+
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function assertIdentifier(name, kind) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid ${kind} name: ${name}`);
+  }
+}
+
+const TIMESTAMP_EXPR = "COALESCE(json_extract(data, '$.timestamp'), json_extract(data, '$.createdAt'))";
+
+/**
+ * Create a storage adapter backed by an embedded SQLite database
+ * @param {Object} options - Adapter options
+ * @param {string} options.path - Path to the SQLite file (':memory:' for tests)
+ * @returns {Object} Storage adapter
+ */
+export function createSqliteAdapter({ path: dbPath }) {
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.pragma('busy_timeout = 5000');
+  db.exec('CREATE TABLE IF NOT EXISTS "_meta" (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+
+  const knownTables = new Set();
+
+  function hasTable(collection) {
+    if (knownTables.has(collection)) return true;
+    const row = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(collection);
+    if (row) knownTables.add(collection);
+    return Boolean(row);
+  }
+
+  function ensureTable(collection) {
+    assertIdentifier(collection, 'collection');
+    if (hasTable(collection)) return;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS "${collection}" (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT UNIQUE,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS "idx_${collection}_userId" ON "${collection}" (json_extract(data, '$.userId'));
+      CREATE INDEX IF NOT EXISTS "idx_${collection}_timestamp" ON "${collection}" (${TIMESTAMP_EXPR});
+    `);
+    knownTables.add(collection);
+  }
+
+  function listCollections() {
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '\\_%' ESCAPE '\\'")
+      .all()
+      .map(row => row.name);
+  }
+
+  const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+  const toId = (id) => (id === undefined || id === null ? null : String(id));
+
+  function getById(collection, id) {
+    if (!IDENTIFIER.test(collection) || !hasTable(collection)) return undefined;
+    const row = db.prepare(`SELECT data FROM "${collection}" WHERE id = ?`).get(toId(id));
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  function insert(collection, record) {
+    ensureTable(collection);
+    db.prepare(`INSERT INTO "${collection}" (id, data) VALUES (?, ?)`).run(toId(record.id), JSON.stringify(record));
+    return record;
+  }
+
+  const replaceAll = db.transaction((data) => {
+    for (const collection of listCollections()) {
+      db.exec(`DROP TABLE "${collection}"`);
+      knownTables.delete(collection);
+    }
+    db.exec('DELETE FROM "_meta"');
+
+    for (const [key, value] of Object.entries(data)) {
+      if (Array.isArray(value)) {
+        ensureTable(key);
+        for (const record of value) insert(key, record);
+      } else {
+        db.prepare('INSERT INTO "_meta" (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+      }
+    }
+  });
+
+  const update = db.transaction((collection, id, updates) => {
+    const existing = getById(collection, id);
+    if (!existing) return null;
+    const updated = { ...existing, ...updates };
+    db.prepare(`UPDATE "${collection}" SET id = ?, data = ? WHERE id = ?`)
+      .run(toId(updated.id), JSON.stringify(updated), toId(id));
+    return updated;
+  });
+
+  const remove = db.transaction((collection, id) => {
+    const existing = getById(collection, id);
+    if (!existing) return null;
+    db.prepare(`DELETE FROM "${collection}" WHERE id = ?`).run(toId(id));
+    return existing;
+  });
+
+  return {
+    name: 'sqlite',
+
+    readAll() {
+      const data = {};
+      for (const row of db.prepare('SELECT key, value FROM "_meta"').all()) {
+        data[row.key] = JSON.parse(row.value);
+      }
+      for (const collection of listCollections()) {
+        data[collection] = parseRows(db.prepare(`SELECT data FROM "${collection}" ORDER BY seq`).all());
+      }
+      return data;
+    },
+
+    replaceAll(data) {
+      replaceAll(data);
+    },
+
+    getAll(collection) {
+      if (!IDENTIFIER.test(collection) || !hasTable(collection)) return [];
+      return parseRows(db.prepare(`SELECT data FROM "${collection}" ORDER BY seq`).all());
+    },
+
+    getById,
+
+    findBy(collection, field, value) {
+      if (!IDENTIFIER.test(collection) || !hasTable(collection)) return [];
+      assertIdentifier(field, 'field');
+      if (field === 'id') {
+        const record = getById(collection, value);
+        return record ? [record] : [];
+      }
+      return parseRows(
+        db.prepare(`SELECT data FROM "${collection}" WHERE json_extract(data, '$.${field}') = ? ORDER BY seq`).all(value)
+      );
+    },
+
+    add(collection, record) {
+      const existing = record.id !== undefined ? getById(collection, record.id) : undefined;
+      return existing || insert(collection, record);
+    },
+
+    update(collection, id, updates) {
+      return update(collection, id, updates);
+    },
+
+    remove(collection, id) {
+      return remove(collection, id);
+    },
+
+    // SQLite commits synchronously; nothing is ever pending
+    flush() {
+      return Promise.resolve();
+    },
+
+    close() {
+      db.close();
+      return Promise.resolve();
+    }
+  };
+}
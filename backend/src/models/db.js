@@ -1,45 +1,103 @@
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createJsonAdapter } from './adapters/jsonAdapter.js';
+import { createSqliteAdapter } from './adapters/sqliteAdapter.js';
+import { runMigrations, LATEST_SCHEMA_VERSION, SCHEMA_VERSION_KEY } from './migrations.js';
+import { assertValidRecord } from './schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// This points to backend/database.json
-const DB_PATH = path.join(__dirname, '../../database.json');
-
-// Initialize database file if it doesn't exist
-function initDB() {
-  if (!fs.existsSync(DB_PATH)) {
-    const initialData = {
-      users: [],
-      transactions: [],
-      wallets: [],
-      trades: [] // <--- ADDED THIS so trading works
-    };
-    fs.writeFileSync(DB_PATH, JSON.stringify(initialData, null, 2));
+// ============================================================================
+// Storage Configuration
+// ============================================================================
+// DATABASE_ADAPTER - 'json' (default, backend/database.json) or 'sqlite'
+//                    (backend/database.sqlite)
+// DATABASE_PATH    - Optional override for the adapter's file
+//
+// Every adapter implements the same interface: readAll, replaceAll, getAll,
+// getById, findBy, add, update, remove, flush and close.
+// Use `npm run db:migrate-storage` to move data between adapters.
+//
+// Schema migrations (migrations.js) run when the adapter is first opened, and
+// every write is checked by the record validators in schema.js.
+// ============================================================================
+
+export const DEFAULT_PATHS = {
+  json: path.join(__dirname, '../../database.json'),
+  sqlite: path.join(__dirname, '../../database.sqlite')
+};
+
+const ADAPTER_FACTORIES = {
+  json: createJsonAdapter,
+  sqlite: createSqliteAdapter
+};
+
+let adapter = null;
+
+/**
+ * Create a storage adapter by name
+ * @param {string} name - 'json' or 'sqlite'
+ * @param {string} filePath - Optional file path (defaults per adapter)
+ * @returns {Object} Storage adapter
+ */
+export function createAdapter(name, filePath) {
+  const factory = ADAPTER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown database adapter: ${name}`);
+  }
+  return factory({ path: filePath || DEFAULT_PATHS[name] });
+}
+
+function getAdapter() {
+  if (!adapter) {
+    const name = (process.env.DATABASE_ADAPTER || 'json').toLowerCase();
+    adapter = createAdapter(name, process.env.DATABASE_PATH);
+
+    console.log(`[DB] Using ${adapter.name} storage adapter`);
+    migrate(adapter);
+  }
+  return adapter;
+}
+
+// Run pending schema migrations (this also creates the file on first run)
+function migrate(storage) {
+  const data = storage.readAll();
+  const applied = runMigrations(data);
+  if (applied.length === 0) return;
+
+  storage.replaceAll(data);
+  for (const migration of applied) {
+    console.log(`[DB] Applied migration ${migration.version}: ${migration.description}`);
+  }
+}
+
+// Validate every record in a whole-database object
+function assertValidDatabase(data) {
+  for (const [collection, records] of Object.entries(data)) {
+    if (!Array.isArray(records)) continue;
+    for (const record of records) assertValidRecord(collection, record);
   }
 }
 
+/**
+ * Wait until every pending write has been persisted
+ * @returns {Promise<void>}
+ */
+export function flushDB() {
+  return adapter ? adapter.flush() : Promise.resolve();
+}
+
 // Read data from database
 export function readDB() {
-  try {
-    initDB();
-    const data = fs.readFileSync(DB_PATH, 'utf8');
-    const json = JSON.parse(data);
-    // Ensure trades array exists even if file was created earlier
-    if (!json.trades) json.trades = []; 
-    return json;
-  } catch (error) {
-    console.error('Error reading database:', error);
-    return { users: [], transactions: [], wallets: [], trades: [] };
-  }
+  return getAdapter().readAll();
 }
 
-// Write data to database
+// Replace the whole database (records are validated first)
 export function writeDB(data) {
   try {
-    fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
+    assertValidDatabase(data);
+    getAdapter().replaceAll({ ...data, [SCHEMA_VERSION_KEY]: LATEST_SCHEMA_VERSION });
     return true;
   } catch (error) {
     console.error('Error writing to database:', error);
@@ -49,56 +107,43 @@ export function writeDB(data) {
 
 // Get all records from a collection
 export function getAll(collection) {
-  const db = readDB();
-  return db[collection] || [];
+  return getAdapter().getAll(collection);
 }
 
 // Get a single record by ID
 export function getById(collection, id) {
-  const db = readDB();
-  // Convert both to strings to ensure match
-  return db[collection]?.find(item => String(item.id) === String(id));
+  return getAdapter().getById(collection, id);
 }
 
-// Add a new record to a collection
+// Get all records in a collection whose field matches a value (indexed for userId)
+export function findBy(collection, field, value) {
+  return getAdapter().findBy(collection, field, value);
+}
+
+// Add a new record to a collection (throws INVALID_RECORD for malformed records)
 export function add(collection, record) {
-  const db = readDB();
-  if (!db[collection]) {
-    db[collection] = [];
-  }
-  db[collection].push(record);
-  writeDB(db);
-  return record;
+  const storage = getAdapter();
+  assertValidRecord(collection, record);
+  return storage.add(collection, record);
 }
 
-// Update a record in a collection
+// Update a record in a collection (the merged record must still be valid)
 export function update(collection, id, updates) {
-  const db = readDB();
-  const index = db[collection]?.findIndex(item => String(item.id) === String(id));
-  if (index !== -1) {
-    db[collection][index] = { ...db[collection][index], ...updates };
-    writeDB(db);
-    return db[collection][index];
-  }
-  return null;
+  const storage = getAdapter();
+  const existing = storage.getById(collection, id);
+  if (!existing) return null;
+  assertValidRecord(collection, { ...existing, ...updates });
+  return storage.update(collection, id, updates);
 }
 
 // Delete a record from a collection
 export function remove(collection, id) {
-  const db = readDB();
-  const index = db[collection]?.findIndex(item => String(item.id) === String(id));
-  if (index !== -1) {
-    const deleted = db[collection].splice(index, 1)[0];
-    writeDB(db);
-    return deleted;
-  }
-  return null;
+  return getAdapter().remove(collection, id);
 }
 
 // User-specific helper methods
 export function findUserByEmail(email) {
-  const db = readDB();
-  return db.users?.find(user => user.email === email);
+  return findBy('users', 'email', email)[0];
 }
 
 export function createUser(userData) {
@@ -107,4 +152,4 @@ export function createUser(userData) {
 
 export function updateUserWallet(userId, newBalance) {
   return update('users', userId, { walletBalance: newBalance, updatedAt: new Date().toISOString() });
-}
\ No newline at end of file
+}
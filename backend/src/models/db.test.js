@@ -0,0 +1,329 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LATEST_SCHEMA_VERSION } from './migrations.js';
+
+let tempDir;
+let dbPath;
+
+/**
+ * Import a fresh copy of db.js pointed at the temp database
+ */
+async function loadDB() {
+  vi.resetModules();
+  return import('./db.js');
+}
+
+function makeUser(id, overrides = {}) {
+  return {
+    id,
+    email: `${id}@example.com`,
+    kycStatus: 'pending',
+    walletBalance: 0,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+function makeTrade(id, userId) {
+  return {
+    id,
+    userId,
+    symbol: 'BTC',
+    action: 'BUY',
+    price: 50000,
+    amount: 0.002,
+    usdValue: 100,
+    fee: 0.1,
+    status: 'completed',
+    timestamp: '2025-01-01T00:00:00.000Z'
+  };
+}
+
+function readSnapshot() {
+  return JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+}
+
+describe('Storage Layer', () => {
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sauti-db-'));
+    dbPath = path.join(tempDir, 'database.json');
+    process.env.DATABASE_PATH = dbPath;
+  });
+
+  afterEach(() => {
+    delete process.env.DATABASE_PATH;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Basic operations', () => {
+    it('should create the database with default collections at the latest schema version', async () => {
+      const db = await loadDB();
+      const expected = { users: [], transactions: [], wallets: [], trades: [], sessions: [], scheduledTransfers: [], schemaVersion: LATEST_SCHEMA_VERSION };
+      expect(db.readDB()).toEqual(expected);
+
+      await db.flushDB();
+      expect(readSnapshot()).toEqual(expected);
+    });
+
+    it('should add, update and remove records and persist them atomically', async () => {
+      const db = await loadDB();
+      db.add('users', makeUser('u1'));
+      db.updateUserWallet('u1', 250);
+      db.add('trades', makeTrade('t1', 'u1'));
+      db.remove('trades', 't1');
+      await db.flushDB();
+
+      const snapshot = readSnapshot();
+      expect(snapshot.users[0]).toMatchObject({ id: 'u1', walletBalance: 250 });
+      expect(snapshot.trades).toEqual([]);
+      expect(fs.existsSync(`${dbPath}.journal`)).toBe(false);
+      expect(fs.existsSync(`${dbPath}.tmp`)).toBe(false);
+    });
+
+    it('should return copies so callers cannot bypass the journal', async () => {
+      const db = await loadDB();
+      db.add('users', makeUser('u1'));
+
+      const user = db.getById('users', 'u1');
+      user.kycStatus = 'verified';
+
+      expect(db.getById('users', 'u1').kycStatus).toBe('pending');
+      await db.flushDB();
+    });
+
+    it('should return null when updating or removing a missing record', async () => {
+      const db = await loadDB();
+      expect(db.update('users', 'missing', { a: 1 })).toBeNull();
+      expect(db.remove('users', 'missing')).toBeNull();
+      await db.flushDB();
+    });
+  });
+
+  describe.each(['json', 'sqlite'])('%s adapter', (name) => {
+    let adapter;
+
+    beforeEach(async () => {
+      const { createAdapter } = await loadDB();
+      adapter = createAdapter(name, path.join(tempDir, `store.${name}`));
+    });
+
+    afterEach(async () => {
+      await adapter.close();
+    });
+
+    it('should implement the shared storage interface', () => {
+      adapter.add('trades', { id: 't1', userId: 'u1', timestamp: '2025-01-01T00:00:00.000Z' });
+      adapter.add('trades', { id: 't2', userId: 'u2', timestamp: '2025-01-02T00:00:00.000Z' });
+      adapter.add('trades', { id: 't3', userId: 'u1', timestamp: '2025-01-03T00:00:00.000Z' });
+
+      expect(adapter.getAll('trades').map(t => t.id)).toEqual(['t1', 't2', 't3']);
+      expect(adapter.findBy('trades', 'userId', 'u1').map(t => t.id)).toEqual(['t1', 't3']);
+      expect(adapter.update('trades', 't2', { status: 'completed' })).toMatchObject({ id: 't2', status: 'completed' });
+      expect(adapter.remove('trades', 't1')).toMatchObject({ id: 't1' });
+      expect(adapter.getById('trades', 't1')).toBeUndefined();
+      expect(adapter.getAll('missing')).toEqual([]);
+    });
+
+    it('should round-trip a whole database through replaceAll and readAll', () => {
+      const data = {
+        users: [{ id: 'u1', email: 'a@example.com', walletBalance: 10000 }],
+        trades: [{ id: 't1', userId: 'u1' }],
+        wallets: []
+      };
+      adapter.add('transactions', { id: 'old' });
+      adapter.replaceAll(data);
+
+      expect(adapter.readAll()).toEqual(data);
+    });
+
+    it('should ignore a duplicate add of an existing id', () => {
+      adapter.add('users', { id: 'u1', walletBalance: 10 });
+      adapter.add('users', { id: 'u1', walletBalance: 20 });
+
+      expect(adapter.getAll('users')).toEqual([{ id: 'u1', walletBalance: 10 }]);
+    });
+  });
+
+  describe('Schema migrations', () => {
+    it('should upgrade an unversioned database and record the new version', async () => {
+      fs.writeFileSync(dbPath, JSON.stringify({
+        users: [{ id: 'u1', email: 'a@example.com', walletBalance: 10, createdAt: '2025-01-01T00:00:00.000Z' }]
+      }));
+
+      const db = await loadDB();
+      expect(db.getById('users', 'u1')).toMatchObject({
+        kycStatus: 'pending',
+        kycVerifiedAt: null,
+        kycDocuments: null,
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      });
+
+      await db.flushDB();
+      const snapshot = readSnapshot();
+      expect(snapshot.schemaVersion).toBe(LATEST_SCHEMA_VERSION);
+      expect(snapshot.trades).toEqual([]);
+    });
+
+    it('should move a user\'s wallet address into the wallets collection', async () => {
+      const walletAddress = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+      fs.writeFileSync(dbPath, JSON.stringify({
+        users: [makeUser('u1', { email: null, walletAddress })],
+        transactions: [],
+        wallets: [],
+        trades: [],
+        sessions: [],
+        schemaVersion: 3
+      }));
+
+      const db = await loadDB();
+      expect(db.getAll('wallets')).toEqual([
+        expect.objectContaining({ userId: 'u1', address: walletAddress, isPrimary: true })
+      ]);
+      await db.flushDB();
+    });
+
+    it('should leave an up-to-date database untouched', async () => {
+      const data = { users: [makeUser('u1')], transactions: [], wallets: [], trades: [], sessions: [], scheduledTransfers: [], schemaVersion: LATEST_SCHEMA_VERSION };
+      fs.writeFileSync(dbPath, JSON.stringify(data));
+      const before = fs.statSync(dbPath).mtimeMs;
+
+      const db = await loadDB();
+      db.getAll('users');
+      await db.flushDB();
+
+      expect(fs.statSync(dbPath).mtimeMs).toBe(before);
+      expect(fs.existsSync(`${dbPath}.journal`)).toBe(false);
+    });
+
+    it('should refuse to open a database from a newer server', async () => {
+      fs.writeFileSync(dbPath, JSON.stringify({ users: [], schemaVersion: 99 }));
+
+      const db = await loadDB();
+      expect(() => db.getAll('users')).toThrow(/newer than this server supports/);
+    });
+  });
+
+  describe('Record validation', () => {
+    it('should reject malformed users and trades with INVALID_RECORD', async () => {
+      const db = await loadDB();
+
+      expect(() => db.add('users', { id: 'u1', email: 'not-an-email' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_RECORD' })
+      );
+      expect(() => db.add('trades', { ...makeTrade('t1', 'u1'), action: 'HOLD' })).toThrow(/action must be one of BUY, SELL/);
+      expect(db.getAll('users')).toEqual([]);
+      expect(db.getAll('trades')).toEqual([]);
+      await db.flushDB();
+    });
+
+    it('should validate the merged record on update', async () => {
+      const db = await loadDB();
+      db.add('users', makeUser('u1', { walletBalance: 50 }));
+
+      expect(() => db.updateUserWallet('u1', -10)).toThrow(/walletBalance must be a non-negative number/);
+      expect(db.getById('users', 'u1').walletBalance).toBe(50);
+      await db.flushDB();
+    });
+
+    it('should refuse to replace the database with invalid records', async () => {
+      const db = await loadDB();
+
+      expect(db.writeDB({ users: [{ id: 'u1' }], trades: [] })).toBe(false);
+      expect(db.writeDB({ users: [makeUser('u1')], trades: [] })).toBe(true);
+      expect(db.readDB().schemaVersion).toBe(LATEST_SCHEMA_VERSION);
+      await db.flushDB();
+    });
+  });
+
+  describe('Concurrency', () => {
+    it('should not lose writes from interleaved async callers', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 0, max: 5 }), { minLength: 1, maxLength: 30 }),
+          async (delays) => {
+            fs.rmSync(dbPath, { force: true });
+            const db = await loadDB();
+            db.add('users', makeUser('u1'));
+
+            // Each caller reads, yields, then writes its own field
+            await Promise.all(delays.map(async (delay, i) => {
+              db.getById('users', 'u1');
+              await new Promise(resolve => setTimeout(resolve, delay));
+              db.update('users', 'u1', { [`field${i}`]: i });
+            }));
+            await db.flushDB();
+
+            const user = readSnapshot().users[0];
+            delays.forEach((_, i) => expect(user[`field${i}`]).toBe(i));
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+
+  describe('Crash recovery', () => {
+    it('should replay journal entries that never reached the snapshot', async () => {
+      fs.writeFileSync(dbPath, JSON.stringify({ users: [{ id: 'u1', walletBalance: 10 }], trades: [] }));
+      fs.writeFileSync(`${dbPath}.journal`, [
+        JSON.stringify({ seq: 1, op: 'update', collection: 'users', id: 'u1', updates: { walletBalance: 20 } }),
+        JSON.stringify({ seq: 2, op: 'add', collection: 'trades', record: { id: 't1', userId: 'u1' } }),
+        '{"seq":3,"op":"add","collec' // torn write from a crash mid-append
+      ].join('\n'));
+      fs.writeFileSync(`${dbPath}.tmp`, '{"half written');
+
+      const db = await loadDB();
+      expect(db.getById('users', 'u1').walletBalance).toBe(20);
+      expect(db.getAll('trades')).toHaveLength(1);
+
+      await db.flushDB();
+      expect(readSnapshot().trades).toEqual([{ id: 't1', userId: 'u1' }]);
+      expect(fs.existsSync(`${dbPath}.journal`)).toBe(false);
+      expect(fs.existsSync(`${dbPath}.tmp`)).toBe(false);
+    });
+
+    it('should be idempotent when the snapshot already contains journaled entries', async () => {
+      fs.writeFileSync(dbPath, JSON.stringify({ users: [{ id: 'u1', walletBalance: 20 }], trades: [{ id: 't1' }] }));
+      fs.writeFileSync(`${dbPath}.journal`, [
+        JSON.stringify({ seq: 1, op: 'add', collection: 'trades', record: { id: 't1' } }),
+        JSON.stringify({ seq: 2, op: 'update', collection: 'users', id: 'u1', updates: { walletBalance: 20 } })
+      ].join('\n'));
+
+      const db = await loadDB();
+      expect(db.getAll('trades')).toHaveLength(1);
+      expect(db.getById('users', 'u1').walletBalance).toBe(20);
+      await db.flushDB();
+    });
+
+    it('should keep journaling after a restart', async () => {
+      let db = await loadDB();
+      db.add('users', makeUser('u1'));
+      await db.flushDB();
+
+      // Simulate a crash right after a journal append
+      fs.writeFileSync(`${dbPath}.journal`, `${JSON.stringify({ seq: 7, op: 'add', collection: 'users', record: { id: 'u2' } })}\n`);
+
+      db = await loadDB();
+      db.add('users', makeUser('u3'));
+      await db.flushDB();
+
+      expect(readSnapshot().users.map(u => u.id)).toEqual(['u1', 'u2', 'u3']);
+      expect(fs.existsSync(`${dbPath}.journal`)).toBe(false);
+    });
+
+    it('should set aside an unreadable snapshot instead of overwriting it', async () => {
+      fs.writeFileSync(dbPath, '{ not json');
+
+      const db = await loadDB();
+      expect(db.getAll('users')).toEqual([]);
+      await db.flushDB();
+
+      const corrupt = fs.readdirSync(tempDir).filter(name => name.startsWith('database.json.corrupt-'));
+      expect(corrupt).toHaveLength(1);
+    });
+  });
+});
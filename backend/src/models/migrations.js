@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+// The database stores its schema version in the top-level `schemaVersion`
+// key. At startup db.js runs every migration newer than that version, in
+// order, and saves the result together with the new version.
+//
+// To change the shape of stored records, append a migration here. Never edit
+// or reorder a migration that has already shipped.
+// ============================================================================
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the default collections',
+    up(data) {
+      for (const name of ['users', 'transactions', 'wallets', 'trades']) {
+        if (!Array.isArray(data[name])) data[name] = [];
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Backfill optional user profile and KYC fields',
+    up(data) {
+      for (const user of data.users) {
+        user.kycStatus ??= 'pending';
+        user.walletBalance ??= 0;
+        user.activeStrategy ??= null;
+        user.stripeCustomerId ??= null;
+        user.kycVerifiedAt ??= null;
+        user.kycDocuments ??= null;
+        user.createdAt ??= new Date().toISOString();
+        user.updatedAt ??= user.createdAt;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Create the sessions collection',
+    up(data) {
+      if (!Array.isArray(data.sessions)) data.sessions = [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Move user wallet addresses into the wallets collection',
+    up(data) {
+      for (const user of data.users) {
+        if (!user.walletAddress || data.wallets.some(wallet => wallet.address === user.walletAddress)) continue;
+        const linkedAt = user.updatedAt || new Date().toISOString();
+        data.wallets.push({
+          id: crypto.randomUUID(),
+          userId: user.id,
+          address: user.walletAddress,
+          label: null,
+          isPrimary: true,
+          verifiedAt: linkedAt,
+          createdAt: linkedAt
+        });
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Create the scheduledTransfers collection',
+    up(data) {
+      if (!Array.isArray(data.scheduledTransfers)) data.scheduledTransfers = [];
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a database object up to the latest schema version
+ * @param {Object} data - Database object (mutated in place)
+ * @returns {Object[]} Migrations that were applied
+ */
+export function runMigrations(data) {
+  const current = data[SCHEMA_VERSION_KEY] || 0;
+  if (current > LATEST_SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${LATEST_SCHEMA_VERSION})`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > current);
+  for (const migration of pending) {
+    migration.up(data);
+    data[SCHEMA_VERSION_KEY] = migration.version;
+  }
+  return pending;
+}
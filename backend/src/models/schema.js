@@ -0,0 +1,137 @@
+// ============================================================================
+// Record Validators
+// ============================================================================
+// Every write through db.js is checked against the validator for its
+// collection, so a malformed user or trade is rejected when it is written
+// instead of surfacing later in the UI. Collections without a validator only
+// need to be plain objects with an id.
+// ============================================================================
+
+export const KYC_STATUSES = ['pending', 'verified', 'rejected'];
+export const TRADE_ACTIONS = ['BUY', 'SELL'];
+export const SCHEDULE_STATUSES = ['active', 'due', 'paused', 'completed', 'cancelled'];
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isTimestamp = (value) => isString(value) && !Number.isNaN(Date.parse(value));
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isAddress = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+const isLeg = (value) => isPlainObject(value) && isAddress(value.recipient) && isNumber(value.amount) && value.amount > 0;
+
+// Field rules: [field, predicate, description, optional?]
+// Optional fields may be missing or null.
+const VALIDATORS = {
+  users: [
+    ['id', isString, 'a non-empty string'],
+    ['email', (v) => isString(v) && v.includes('@'), 'an email address', true],
+    ['walletAddress', isAddress, 'an Ethereum address', true],
+    ['kycStatus', (v) => KYC_STATUSES.includes(v), `one of ${KYC_STATUSES.join(', ')}`],
+    ['walletBalance', (v) => isNumber(v) && v >= 0, 'a non-negative number'],
+    ['activeStrategy', isString, 'a strategy name', true],
+    ['kycVerifiedAt', isTimestamp, 'an ISO timestamp', true],
+    ['kycDocuments', isPlainObject, 'an object', true],
+    ['createdAt', isTimestamp, 'an ISO timestamp'],
+    ['updatedAt', isTimestamp, 'an ISO timestamp']
+  ],
+  trades: [
+    ['id', isString, 'a non-empty string'],
+    ['userId', isString, 'a non-empty string'],
+    ['symbol', isString, 'a non-empty string'],
+    ['action', (v) => TRADE_ACTIONS.includes(v), `one of ${TRADE_ACTIONS.join(', ')}`],
+    ['price', (v) => isNumber(v) && v > 0, 'a positive number'],
+    ['amount', (v) => isNumber(v) && v > 0, 'a positive number'],
+    ['usdValue', (v) => isNumber(v) && v > 0, 'a positive number'],
+    ['fee', (v) => isNumber(v) && v >= 0, 'a non-negative number'],
+    ['stopLoss', isNumber, 'a number', true],
+    ['takeProfit', isNumber, 'a number', true],
+    ['status', isString, 'a non-empty string'],
+    ['timestamp', isTimestamp, 'an ISO timestamp']
+  ],
+  wallets: [
+    ['id', isString, 'a non-empty string'],
+    ['userId', isString, 'a non-empty string'],
+    ['address', isAddress, 'an Ethereum address'],
+    ['label', isString, 'a non-empty string', true],
+    ['isPrimary', (v) => typeof v === 'boolean', 'a boolean'],
+    ['verifiedAt', isTimestamp, 'an ISO timestamp'],
+    ['createdAt', isTimestamp, 'an ISO timestamp']
+  ],
+  sessions: [
+    ['id', isString, 'a non-empty string'],
+    ['userId', isString, 'a non-empty string'],
+    ['createdAt', isTimestamp, 'an ISO timestamp'],
+    ['expiresAt', isTimestamp, 'an ISO timestamp'],
+    ['revokedAt', isTimestamp, 'an ISO timestamp', true]
+  ],
+  scheduledTransfers: [
+    ['id', isString, 'a non-empty string'],
+    ['userId', isString, 'a non-empty string'],
+    ['legs', (v) => Array.isArray(v) && v.length > 0 && v.every(isLeg), 'a non-empty list of { amount, recipient }'],
+    ['total', (v) => isNumber(v) && v > 0, 'a positive number'],
+    ['split', isString, 'a non-empty string', true],
+    ['timeZone', isString, 'a non-empty string'],
+    ['recurrence', (v) => isPlainObject(v) && SCHEDULE_FREQUENCIES.includes(v.frequency), 'a recurrence', true],
+    ['nextRunAt', isTimestamp, 'an ISO timestamp'],
+    ['status', (v) => SCHEDULE_STATUSES.includes(v), `one of ${SCHEDULE_STATUSES.join(', ')}`],
+    ['command', isString, 'a non-empty string', true],
+    ['language', isString, 'a non-empty string', true],
+    ['runs', (v) => Number.isInteger(v) && v >= 0, 'a non-negative integer'],
+    ['dueAt', isTimestamp, 'an ISO timestamp', true],
+    ['lastRunAt', isTimestamp, 'an ISO timestamp', true],
+    ['lastTransactionHashes', (v) => Array.isArray(v) && v.every(isString), 'a list of transaction hashes', true],
+    ['sentHashes', (v) => Array.isArray(v) && v.every(h => h === null || isString(h)), 'a list of transaction hashes or nulls', true],
+    ['createdAt', isTimestamp, 'an ISO timestamp'],
+    ['updatedAt', isTimestamp, 'an ISO timestamp']
+  ]
+};
+
+// Whole-record rules: [predicate, problem]
+const RECORD_RULES = {
+  users: [
+    [(user) => user.email || user.walletAddress, 'email or walletAddress is required']
+  ]
+};
+
+/**
+ * Check a record against its collection's validator
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record to validate
+ * @returns {string[]} Validation problems (empty when the record is valid)
+ */
+export function validateRecord(collection, record) {
+  if (!isPlainObject(record)) {
+    return ['record must be an object'];
+  }
+  if (record.id === undefined || record.id === null || record.id === '') {
+    return ['id is required'];
+  }
+
+  const problems = [];
+  for (const [field, predicate, description, optional] of VALIDATORS[collection] || []) {
+    const value = record[field];
+    if (optional && (value === undefined || value === null)) continue;
+    if (!predicate(value)) {
+      problems.push(`${field} must be ${description}`);
+    }
+  }
+  for (const [predicate, problem] of RECORD_RULES[collection] || []) {
+    if (!predicate(record)) problems.push(problem);
+  }
+  return problems;
+}
+
+/**
+ * Throw an INVALID_RECORD error if a record does not pass validation
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record to validate
+ */
+export function assertValidRecord(collection, record) {
+  const problems = validateRecord(collection, record);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid ${collection} record: ${problems.join('; ')}`);
+    error.code = 'INVALID_RECORD';
+    error.details = { collection, id: record?.id, problems };
+    throw error;
+  }
+}
@@ -0,0 +1,228 @@
+import express from 'express';
+
+// ============================================================================
+// Feature Module Registry
+// ============================================================================
+// Every router is declared here with its mount path, the modules it depends
+// on and the environment variables it cannot work without.
+//
+// ENABLED_MODULES - Comma-separated module names to mount. Defaults to every
+//                   module marked enabledByDefault (all but `ai`).
+//
+// A module that is enabled but cannot start (missing env vars, a dependency
+// that is not mounted, or a router that throws while loading) is reported as
+// unavailable and answers 503 instead of taking the whole process down.
+//
+// A router module may also export `upgrades`, a map of endpoint -> WebSocket
+// upgrade handler. They are served on the HTTP server passed to mountModules.
+// It may export `start`, called once before the router is mounted to begin
+// background work (the schedules module's scheduler); if it throws, the
+// module is unavailable.
+// ============================================================================
+
+export const MODULES = [
+  {
+    name: 'voice',
+    path: '/api/voice',
+    description: 'Voice transcription (batch and streaming) and command parsing',
+    enabledByDefault: true,
+    dependsOn: [],
+    requiredEnv: [],
+    endpoints: ['/transcribe', '/parse', '/command', '/stream'],
+    load: () => import('./routes/voice.js')
+  },
+  {
+    name: 'auth',
+    path: '/api/auth',
+    description: 'WorkOS and Sign-In with Ethereum login, sessions',
+    enabledByDefault: true,
+    dependsOn: [],
+    requiredEnv: [],
+    endpoints: ['/login', '/exchange', '/siwe/nonce', '/siwe/verify', '/profile', '/logout'],
+    load: () => import('./routes/auth.js')
+  },
+  {
+    name: 'wallet',
+    path: '/api/wallet',
+    description: 'Deposits, withdrawals and linked wallet addresses',
+    enabledByDefault: true,
+    dependsOn: ['auth'],
+    requiredEnv: [],
+    endpoints: ['/deposit', '/withdraw', '/balance', '/transactions', '/addresses'],
+    load: () => import('./routes/wallet.js')
+  },
+  {
+    name: 'kyc',
+    path: '/api/kyc',
+    description: 'KYC verification',
+    enabledByDefault: true,
+    dependsOn: ['auth'],
+    requiredEnv: [],
+    endpoints: ['/submit', '/status'],
+    load: () => import('./routes/kyc.js')
+  },
+  {
+    name: 'trading',
+    path: '/api/trading',
+    description: 'Trading engine (strategies, manual orders, history)',
+    enabledByDefault: true,
+    dependsOn: ['auth'],
+    requiredEnv: [],
+    endpoints: ['/execute', '/manual', '/history'],
+    load: () => import('./routes/trading.js')
+  },
+  {
+    name: 'market',
+    path: '/api/market',
+    description: 'Market data (prices for CryptoPulse)',
+    enabledByDefault: true,
+    dependsOn: [],
+    requiredEnv: [],
+    endpoints: ['/prices'],
+    load: () => import('./routes/market.js')
+  },
+  {
+    name: 'schedules',
+    path: '/api/schedules',
+    description: 'Scheduled and recurring voice transfers, signed by the user when due',
+    enabledByDefault: true,
+    dependsOn: ['auth'],
+    requiredEnv: [],
+    endpoints: ['/', '/:id/pause', '/:id/resume', '/:id/complete', '/:id/legs/:index', '/:id'],
+    load: () => import('./routes/schedules.js')
+  },
+  {
+    name: 'ai',
+    path: '/api/ai',
+    description: 'AI knowledge terminal, trade analysis and text-to-speech',
+    enabledByDefault: false,
+    dependsOn: [],
+    // The model comes from LLM_PROVIDER, which needs no settings to start
+    requiredEnv: [],
+    endpoints: ['/ask', '/analyze', '/strategy', '/speak', '/alert', '/voices', '/voice-info'],
+    load: () => import('./routes/ai.js')
+  }
+];
+
+/**
+ * Names of the modules enabled by configuration
+ * @param {Object} env - Environment variables
+ * @param {Object[]} modules - Module declarations
+ * @returns {Set<string>}
+ */
+export function getEnabledModuleNames(env = process.env, modules = MODULES) {
+  if (env.ENABLED_MODULES === undefined) {
+    return new Set(modules.filter(module => module.enabledByDefault).map(module => module.name));
+  }
+  return new Set(env.ENABLED_MODULES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean));
+}
+
+// Order modules so that every dependency comes before its dependents
+function sortByDependencies(modules) {
+  const byName = new Map(modules.map(module => [module.name, module]));
+  const sorted = [];
+  const visited = new Set();
+
+  const visit = (module, chain = []) => {
+    if (visited.has(module.name)) return;
+    if (chain.includes(module.name)) {
+      throw new Error(`Module dependency cycle: ${[...chain, module.name].join(' -> ')}`);
+    }
+    for (const dependency of module.dependsOn) {
+      if (byName.has(dependency)) visit(byName.get(dependency), [...chain, module.name]);
+    }
+    visited.add(module.name);
+    sorted.push(module);
+  };
+
+  modules.forEach(module => visit(module));
+  return sorted;
+}
+
+// Answer every request to an unavailable module with its status
+function unavailableRouter(status) {
+  const router = express.Router();
+  router.use((req, res) => {
+    res.status(503).json({
+      error: {
+        code: 'MODULE_UNAVAILABLE',
+        message: `The ${status.name} module is unavailable: ${status.reason}`
+      }
+    });
+  });
+  return router;
+}
+
+// Route WebSocket upgrades to the handler registered for the exact path
+function dispatchUpgrades(server, handlers) {
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = handlers.get(pathname);
+    if (!handler) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    handler(req, socket, head);
+  });
+}
+
+/**
+ * Load and mount every enabled module, in dependency order
+ * @param {Object} app - Express app
+ * @param {Object} options - { env, modules, server } where server is the
+ *                           HTTP server that receives WebSocket upgrades
+ * @returns {Promise<Object[]>} Status of each module, in declaration order
+ */
+export async function mountModules(app, { env = process.env, modules = MODULES, server } = {}) {
+  const enabled = getEnabledModuleNames(env, modules);
+  const statuses = new Map();
+  const upgradeHandlers = new Map();
+
+  for (const name of enabled) {
+    if (!modules.some(module => module.name === name)) {
+      console.warn(`[Modules] Ignoring unknown module in ENABLED_MODULES: ${name}`);
+    }
+  }
+
+  for (const module of sortByDependencies(modules)) {
+    const status = { name: module.name, path: module.path, description: module.description };
+    statuses.set(module.name, status);
+
+    if (!enabled.has(module.name)) {
+      Object.assign(status, { status: 'disabled', reason: 'Not listed in ENABLED_MODULES' });
+      continue;
+    }
+
+    const missingEnv = module.requiredEnv.filter(name => !env[name]);
+    const missingDependencies = module.dependsOn.filter(name => statuses.get(name)?.status !== 'mounted');
+
+    if (missingEnv.length > 0) {
+      Object.assign(status, { status: 'unavailable', reason: `Missing environment variables: ${missingEnv.join(', ')}` });
+    } else if (missingDependencies.length > 0) {
+      Object.assign(status, { status: 'unavailable', reason: `Requires modules: ${missingDependencies.join(', ')}` });
+    } else {
+      try {
+        const { default: router, upgrades = {}, start } = await module.load();
+        start?.();
+        app.use(module.path, router);
+        for (const [endpoint, handler] of Object.entries(upgrades)) {
+          upgradeHandlers.set(`${module.path}${endpoint}`, handler);
+        }
+        Object.assign(status, { status: 'mounted', endpoints: module.endpoints.map(endpoint => `${module.path}${endpoint}`) });
+        console.log(`[Modules] Mounted ${module.name} at ${module.path}`);
+        continue;
+      } catch (error) {
+        Object.assign(status, { status: 'unavailable', reason: `Failed to load: ${error.message}` });
+      }
+    }
+
+    console.warn(`[Modules] ${module.name} is unavailable: ${status.reason}`);
+    app.use(module.path, unavailableRouter(status));
+  }
+
+  if (server) {
+    dispatchUpgrades(server, upgradeHandlers);
+  }
+
+  return modules.map(module => statuses.get(module.name));
+}
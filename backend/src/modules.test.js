@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import express from 'express';
+import { mountModules, getEnabledModuleNames, MODULES } from './modules.js';
+
+function declareModule(name, overrides = {}) {
+  return {
+    name,
+    path: `/api/${name}`,
+    description: name,
+    enabledByDefault: true,
+    dependsOn: [],
+    requiredEnv: [],
+    endpoints: ['/ping'],
+    load: vi.fn(async () => ({ default: express.Router() })),
+    ...overrides
+  };
+}
+
+function createApp() {
+  return { use: vi.fn() };
+}
+
+describe('Module Registry', () => {
+  it('should enable every default module except ai when ENABLED_MODULES is unset', () => {
+    expect([...getEnabledModuleNames({})]).toEqual(['voice', 'auth', 'wallet', 'kyc', 'trading', 'market', 'schedules']);
+    expect([...getEnabledModuleNames({ ENABLED_MODULES: ' AI, market ,' })]).toEqual(['ai', 'market']);
+  });
+
+  it('should let the ai module start with any LLM provider', () => {
+    expect(MODULES.find(module => module.name === 'ai').requiredEnv).toEqual([]);
+  });
+
+  it('should only declare dependencies on registered modules', () => {
+    const names = MODULES.map(module => module.name);
+    for (const module of MODULES) {
+      module.dependsOn.forEach(dependency => expect(names).toContain(dependency));
+    }
+  });
+
+  it('should mount enabled modules after their dependencies', async () => {
+    const app = createApp();
+    const modules = [declareModule('wallet', { dependsOn: ['auth'] }), declareModule('auth')];
+
+    const statuses = await mountModules(app, { env: {}, modules });
+
+    expect(app.use.mock.calls.map(([path]) => path)).toEqual(['/api/auth', '/api/wallet']);
+    expect(statuses.map(s => [s.name, s.status])).toEqual([['wallet', 'mounted'], ['auth', 'mounted']]);
+    expect(statuses[0].endpoints).toEqual(['/api/wallet/ping']);
+  });
+
+  it('should leave disabled modules unloaded', async () => {
+    const ai = declareModule('ai', { enabledByDefault: false });
+
+    const [status] = await mountModules(createApp(), { env: {}, modules: [ai] });
+
+    expect(status.status).toBe('disabled');
+    expect(ai.load).not.toHaveBeenCalled();
+  });
+
+  it('should mark a module unavailable instead of crashing on missing env, dependencies or load errors', async () => {
+    const app = createApp();
+    const modules = [
+      declareModule('ai', { requiredEnv: ['GOOGLE_PROJECT_ID'] }),
+      declareModule('auth', { load: vi.fn(async () => { throw new Error('WorkOS exploded'); }) }),
+      declareModule('kyc', { dependsOn: ['auth'] }),
+      declareModule('market')
+    ];
+
+    const statuses = await mountModules(app, { env: {}, modules });
+
+    expect(statuses.map(s => [s.name, s.status, s.reason])).toEqual([
+      ['ai', 'unavailable', 'Missing environment variables: GOOGLE_PROJECT_ID'],
+      ['auth', 'unavailable', 'Failed to load: WorkOS exploded'],
+      ['kyc', 'unavailable', 'Requires modules: auth'],
+      ['market', 'mounted', undefined]
+    ]);
+    expect(modules[0].load).not.toHaveBeenCalled();
+    expect(modules[2].load).not.toHaveBeenCalled();
+    // Unavailable modules still get a handler that answers 503
+    expect(app.use).toHaveBeenCalledTimes(4);
+  });
+
+  it('should start a module\'s background work when it is mounted', async () => {
+    const start = vi.fn();
+    const modules = [
+      declareModule('schedules', { load: vi.fn(async () => ({ default: express.Router(), start })) }),
+      declareModule('broken', { load: vi.fn(async () => ({ default: express.Router(), start: () => { throw new Error('No notifier'); } })) })
+    ];
+
+    const statuses = await mountModules(createApp(), { env: {}, modules });
+
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(statuses.map(s => [s.name, s.status, s.reason])).toEqual([
+      ['schedules', 'mounted', undefined],
+      ['broken', 'unavailable', 'Failed to load: No notifier']
+    ]);
+  });
+});
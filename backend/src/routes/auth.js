@@ -1,29 +1,65 @@
 import express from 'express';
-import { getAuthorizationUrl, authenticateWithCode } from '../services/authService.js';
+import {
+  startLogin,
+  authenticateWithCode,
+  createSiweNonce,
+  authenticateWithSiwe,
+  createLoginCode,
+  redeemLoginCode,
+  getUserProfile,
+  getClientUrl,
+  getSiweDomain,
+  getSiweNonceTtlMs,
+  SIWE_NONCE_COOKIE
+} from '../services/authService.js';
+import { createSession, revokeSession, verifySession, getSessionTtlMs, SESSION_COOKIE } from '../services/sessionService.js';
+import { requireAuth, getSessionToken, readCookie } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// ============================================================================
-// Environment-Aware Client URL Configuration
-// ============================================================================
-// Determines the correct frontend URL based on environment
-// - Production: Netlify deployment
-// - Development: Local Vite server
-// - Override: Custom FRONTEND_URL env variable
-// ============================================================================
+const OAUTH_STATE_COOKIE = 'sauti_oauth_state';
 
-const CLIENT_URL = process.env.FRONTEND_URL || 
-  (process.env.NODE_ENV === 'production' 
-    ? 'https://kaseddie-ai-1.netlify.app' 
-    : 'http://localhost:5173');
+const CLIENT_URL = getClientUrl();
 
 console.log(`[Auth] Environment: ${process.env.NODE_ENV || 'development'}`);
 console.log(`[Auth] Client URL: ${CLIENT_URL}`);
 
+// Map sign-in error codes to HTTP status codes
+const ERROR_STATUS = {
+  INVALID_SIWE_MESSAGE: 400,
+  INVALID_NONCE: 401,
+  INVALID_SIGNATURE: 401,
+  WALLET_IN_USE: 409,
+  USER_NOT_FOUND: 404
+};
+
+// The frontend and backend live on different sites in production, so the
+// session and OAuth state cookies must be SameSite=None (which requires Secure).
+// Browsers then send them with forged cross-site requests too: requireAuth
+// refuses writes from origins outside middleware/origin.js.
+function sessionCookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/'
+  };
+}
+
+// Start a session and hand it to the browser as an HTTP-only cookie
+function startSession(res, userId) {
+  const { token } = createSession(userId);
+  res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions(), maxAge: getSessionTtlMs() });
+}
+
 // GET /api/auth/login - Generate WorkOS authorization URL
 router.get('/login', (req, res) => {
   try {
-    const authUrl = getAuthorizationUrl();
+    const { authUrl, state } = startLogin();
+
+    // Bind the OAuth state to this browser so a forged callback is rejected
+    res.cookie(OAUTH_STATE_COOKIE, state, { ...sessionCookieOptions(), maxAge: 10 * 60 * 1000 });
     res.json({ authUrl });
   } catch (error) {
     console.error('Error generating auth URL:', error);
@@ -39,28 +75,48 @@ router.get('/login', (req, res) => {
 
 // GET /api/auth/callback - Handle WorkOS callback
 router.get('/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
 
-  if (!code) {
+  if (!code || !state) {
     return res.status(400).json({
       error: {
         code: 'INVALID_REQUEST',
-        message: 'Authorization code is required'
+        message: 'Authorization code and state are required'
+      }
+    });
+  }
+
+  const expectedState = readCookie(req, OAUTH_STATE_COOKIE);
+  res.clearCookie(OAUTH_STATE_COOKIE, sessionCookieOptions());
+
+  if (state !== expectedState) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_STATE',
+        message: 'Login request does not match this browser'
       }
     });
   }
 
   try {
-    // Authenticate user with code
-    const userData = await authenticateWithCode(code);
-    
-    // Redirect to frontend with user data (environment-aware)
-    const userParam = encodeURIComponent(JSON.stringify(userData));
-    const redirectUrl = `${CLIENT_URL}?user=${userParam}`;
-    
-    console.log(`[Auth] Redirecting to: ${redirectUrl}`);
-    res.redirect(redirectUrl);
+    // Authenticate user with code (verifies the state and PKCE verifier)
+    const userData = await authenticateWithCode(code, state);
+
+    // Redirect with a single-use login code only; the frontend exchanges it
+    // for a session and fetches the profile itself
+    const loginCode = createLoginCode(userData.id);
+    console.log(`[Auth] Login succeeded, redirecting to ${CLIENT_URL}`);
+    res.redirect(`${CLIENT_URL}?login_code=${encodeURIComponent(loginCode)}`);
   } catch (error) {
+    if (error.code === 'INVALID_STATE') {
+      return res.status(400).json({
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     console.error('Error in auth callback:', error);
     res.status(500).json({
       error: {
@@ -72,17 +128,79 @@ router.get('/callback', async (req, res) => {
   }
 });
 
+// POST /api/auth/exchange - Trade a login code for a session
+router.post('/exchange', (req, res) => {
+  const userId = redeemLoginCode(req.body?.code);
+
+  if (!userId) {
+    return res.status(401).json({
+      error: {
+        code: 'INVALID_LOGIN_CODE',
+        message: 'Login code is invalid, expired or already used'
+      }
+    });
+  }
+
+  startSession(res, userId);
+  res.json({ user: getUserProfile(userId) });
+});
+
+// GET /api/auth/siwe/nonce - Issue a nonce for a Sign-In with Ethereum message
+// The nonce is also set as a cookie, so only this browser can use it
+router.get('/siwe/nonce', (req, res) => {
+  const nonce = createSiweNonce();
+  res.cookie(SIWE_NONCE_COOKIE, nonce, { ...sessionCookieOptions(), maxAge: getSiweNonceTtlMs() });
+  res.json({ nonce, domain: getSiweDomain() });
+});
+
+// POST /api/auth/siwe/verify - Sign in with a signed SIWE message. This never
+// links the wallet to a signed-in account; see POST /api/wallet/addresses.
+router.post('/siwe/verify', async (req, res) => {
+  const { message, signature } = req.body;
+
+  if (!message || !signature) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_REQUEST',
+        message: 'message and signature are required'
+      }
+    });
+  }
+
+  const expectedNonce = readCookie(req, SIWE_NONCE_COOKIE);
+  res.clearCookie(SIWE_NONCE_COOKIE, sessionCookieOptions());
+
+  try {
+    const user = await authenticateWithSiwe({ message, signature, domain: getSiweDomain(), expectedNonce });
+    startSession(res, user.id);
+    res.json({ user });
+  } catch (error) {
+    const status = ERROR_STATUS[error.code] || 500;
+    if (status === 500) {
+      console.error('Error in SIWE verification:', error);
+    }
+    res.status(status).json({
+      error: {
+        code: error.code || 'SIWE_ERROR',
+        message: error.message
+      }
+    });
+  }
+});
+
 // GET /api/auth/profile - Get current user profile
-router.get('/profile', (req, res) => {
-  // This would normally validate a session token
-  // For now, return a mock response
-  res.json({
-    message: 'Profile endpoint - implement session validation'
-  });
+router.get('/profile', requireAuth, (req, res) => {
+  res.json({ user: getUserProfile(req.user.id) });
 });
 
-// POST /api/auth/logout - Logout user
+// POST /api/auth/logout - Revoke the current session
 router.post('/logout', (req, res) => {
+  const session = verifySession(getSessionToken(req));
+  if (session) {
+    revokeSession(session.id);
+  }
+
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
   res.json({
     message: 'Logged out successfully'
   });
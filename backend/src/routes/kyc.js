@@ -1,18 +1,18 @@
 import express from 'express';
 import kycService from '../services/kycService.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// KYC is always submitted and checked for the signed-in user
+router.use(requireAuth);
+
 // Submit KYC verification
 router.post('/submit', async (req, res) => {
   try {
-    const { userId, idDocument, selfie } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const { idDocument, selfie } = req.body;
 
-    const result = await kycService.submitKYC(userId, {
+    const result = await kycService.submitKYC(req.user.id, {
       idDocument,
       selfie
     });
@@ -25,11 +25,9 @@ router.post('/submit', async (req, res) => {
 });
 
 // Get KYC status
-router.get('/status/:userId', async (req, res) => {
+router.get('/status', async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    const status = await kycService.getKYCStatus(userId);
+    const status = await kycService.getKYCStatus(req.user.id);
     res.json(status);
   } catch (err) {
     console.error('KYC status error:', err);
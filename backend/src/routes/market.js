@@ -0,0 +1,44 @@
+import express from 'express';
+import { getPrices, getConfiguredSymbols } from '../services/marketDataService.js';
+
+const router = express.Router();
+
+// Map market data error codes to HTTP status codes
+const ERROR_STATUS = {
+  INVALID_SYMBOL: 400,
+  MARKET_DATA_UNAVAILABLE: 503
+};
+
+// GET /api/market/prices - Last price, 24h change and volume
+// Optional ?symbols=BTC,ETH picks from the configured symbol list
+router.get('/prices', async (req, res) => {
+  const configured = getConfiguredSymbols();
+  const symbols = req.query.symbols
+    ? [...new Set(String(req.query.symbols).split(',').map(s => s.trim().toUpperCase()).filter(Boolean))]
+    : configured;
+
+  const unknown = symbols.find(symbol => !configured.includes(symbol));
+  if (unknown) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_SYMBOL',
+        message: `Unknown symbol: ${unknown}. Choose from ${configured.join(', ')}`
+      }
+    });
+  }
+
+  try {
+    const prices = await getPrices(symbols);
+    res.json(prices);
+  } catch (error) {
+    console.error('Market prices error:', error.message);
+    res.status(ERROR_STATUS[error.code] || 503).json({
+      error: {
+        code: error.code || 'MARKET_DATA_UNAVAILABLE',
+        message: error.message
+      }
+    });
+  }
+});
+
+export default router;
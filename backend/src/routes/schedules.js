@@ -0,0 +1,112 @@
+import express from 'express';
+import {
+  createScheduledTransfer,
+  listScheduledTransfers,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+  completeScheduledRun,
+  recordScheduledLeg,
+  startScheduler
+} from '../services/scheduledTransferService.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every schedule route acts on the signed-in user's transfers
+router.use(requireAuth);
+
+// Map scheduled transfer error codes to HTTP status codes
+const ERROR_STATUS = {
+  INVALID_TRANSFER: 400,
+  INVALID_SCHEDULE: 400,
+  UNSUPPORTED_TIME_ZONE: 400,
+  SCHEDULE_NOT_FOUND: 404,
+  INVALID_SCHEDULE_STATE: 409
+};
+
+function sendScheduleError(res, error) {
+  const status = ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    console.error('Scheduled transfer error:', error);
+  }
+  res.status(status).json({
+    error: {
+      code: status === 500 ? 'SCHEDULE_ERROR' : error.code,
+      message: error.message
+    }
+  });
+}
+
+// GET /api/schedules - List the user's scheduled transfers (?status=due)
+router.get('/', (req, res) => {
+  try {
+    res.json({ scheduledTransfers: listScheduledTransfers(req.user.id, { status: req.query.status }) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// POST /api/schedules - Schedule a confirmed transfer
+// Body: { legs: [{ amount, recipient }], split, schedule, command, language }
+router.post('/', (req, res) => {
+  try {
+    const scheduledTransfer = createScheduledTransfer(req.user.id, req.body);
+    res.status(201).json({ scheduledTransfer });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// POST /api/schedules/:id/pause - Stop a transfer falling due until resumed
+router.post('/:id/pause', (req, res) => {
+  try {
+    res.json({ scheduledTransfer: pauseScheduledTransfer(req.user.id, req.params.id) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// POST /api/schedules/:id/resume - Resume a paused transfer
+router.post('/:id/resume', (req, res) => {
+  try {
+    res.json({ scheduledTransfer: resumeScheduledTransfer(req.user.id, req.params.id) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// POST /api/schedules/:id/complete - Report the hashes of a due transfer the user signed
+// Body: { hashes: ['0x...'] }, one per recipient
+router.post('/:id/complete', (req, res) => {
+  try {
+    res.json({ scheduledTransfer: completeScheduledRun(req.user.id, req.params.id, req.body) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// POST /api/schedules/:id/legs/:index - Record one sent leg of a due transfer
+// Body: { hash: '0x...' }. The run completes with the last leg.
+router.post('/:id/legs/:index', (req, res) => {
+  try {
+    const index = /^\d+$/.test(req.params.index) ? Number(req.params.index) : NaN;
+    res.json({ scheduledTransfer: recordScheduledLeg(req.user.id, req.params.id, index, req.body) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// DELETE /api/schedules/:id - Cancel a scheduled transfer
+router.delete('/:id', (req, res) => {
+  try {
+    res.json({ scheduledTransfer: cancelScheduledTransfer(req.user.id, req.params.id) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// Called by the module registry when the router is mounted
+export const start = () => startScheduler();
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import {
+  executeStrategy,
+  executeManualTrade,
+  getTradeHistory
+} from '../services/tradingService.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Trades are always placed and listed for the signed-in user
+router.use(requireAuth);
+
+// Map trading engine error codes to HTTP status codes
+const ERROR_STATUS = {
+  INVALID_STRATEGY: 400,
+  INVALID_ACTION: 400,
+  INVALID_AMOUNT: 400,
+  INVALID_SYMBOL: 400,
+  INSUFFICIENT_FUNDS: 400,
+  KYC_REQUIRED: 403,
+  USER_NOT_FOUND: 404,
+  MARKET_DATA_UNAVAILABLE: 503
+};
+
+function sendTradingError(res, error) {
+  const status = ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    console.error('Trading engine error:', error);
+  }
+  res.status(status).json({
+    error: {
+      code: error.code || 'TRADING_ERROR',
+      message: error.message
+    }
+  });
+}
+
+// POST /api/trading/execute - Run a strategy and trade on its signal
+router.post('/execute', async (req, res) => {
+  const { symbol = 'BTC', strategyName } = req.body;
+  const userId = req.user.id;
+
+  if (!strategyName) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_REQUEST',
+        message: 'strategyName is required'
+      }
+    });
+  }
+
+  try {
+    const result = await executeStrategy(userId, symbol, strategyName);
+    res.json(result);
+  } catch (error) {
+    sendTradingError(res, error);
+  }
+});
+
+// POST /api/trading/manual - Place a manual BUY/SELL order
+router.post('/manual', async (req, res) => {
+  const { symbol, action, amount, stopLoss, takeProfit } = req.body;
+  const userId = req.user.id;
+
+  if (!symbol || !action || !amount) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_REQUEST',
+        message: 'symbol, action and amount are required'
+      }
+    });
+  }
+
+  try {
+    const result = await executeManualTrade(userId, { symbol, action, amount, stopLoss, takeProfit });
+    res.json(result);
+  } catch (error) {
+    sendTradingError(res, error);
+  }
+});
+
+// GET /api/trading/history - Get the signed-in user's trade history
+router.get('/history', (req, res) => {
+  try {
+    const trades = getTradeHistory(req.user.id);
+    res.json({ trades });
+  } catch (error) {
+    sendTradingError(res, error);
+  }
+});
+
+export default router;
@@ -1,17 +1,216 @@
 import express from 'express';
-import { transcribeAudioWithRetry } from '../services/speechService.js';
-import { parseVoiceCommand } from '../services/commandParserService.js';
+import multer from 'multer';
+import { transcribeAudioWithRetry, createStreamingRecognizer } from '../services/speechService.js';
+import { prepareAudio } from '../services/audioFormatService.js';
+import { requireLanguage } from '../services/languageService.js';
+import { parseVoiceCommand, validateAndResolveRecipient } from '../services/commandParserService.js';
+import { requireTimeZone } from '../services/commandScheduleService.js';
+import { createVoiceStreamHandler } from './voiceStream.js';
+import { authenticateRequest } from '../middleware/auth.js';
 
 const router = express.Router();
 
+/**
+ * WS /api/voice/stream - Stream audio chunks, receive partial and final
+ * transcripts while the user is speaking (protocol in voiceStream.js).
+ * Only signed-in users may stream; others upload the clip to /transcribe.
+ */
+export const upgrades = {
+  '/stream': createVoiceStreamHandler({
+    createRecognizer: createStreamingRecognizer,
+    authenticate: authenticateRequest
+  })
+};
+
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+// Uploads are sniffed from their bytes, so generic and video/* types are accepted too
+const AUDIO_UPLOAD_TYPES = ['audio/*', 'video/webm', 'video/ogg', 'application/octet-stream'];
+
+const rawAudio = express.raw({ type: AUDIO_UPLOAD_TYPES, limit: MAX_AUDIO_BYTES });
+const multipartAudio = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_BYTES, files: 1 }
+}).single('audio');
+
+/**
+ * Read the upload from either a raw audio body or a multipart form with an
+ * `audio` file field. Sets req.audio = { buffer, filename, mimeType, source }.
+ */
+function readAudioUpload(req, res, next) {
+  const multipart = req.is('multipart/form-data');
+  const parse = multipart ? multipartAudio : rawAudio;
+
+  parse(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: {
+          code: tooLarge ? 'AUDIO_TOO_LARGE' : 'INVALID_REQUEST',
+          message: tooLarge
+            ? 'Audio must be 10MB or smaller'
+            : error.code === 'LIMIT_UNEXPECTED_FILE'
+              ? 'Upload the audio file in a form field named "audio"'
+              : 'Could not read the uploaded audio'
+        }
+      });
+    }
+
+    if (multipart && req.file) {
+      req.audio = {
+        buffer: req.file.buffer,
+        filename: req.file.originalname || null,
+        mimeType: req.file.mimetype || null,
+        source: 'multipart'
+      };
+    } else if (!multipart && Buffer.isBuffer(req.body)) {
+      req.audio = {
+        buffer: req.body,
+        filename: null,
+        mimeType: req.headers['content-type'] || null,
+        source: 'raw'
+      };
+    }
+    next();
+  });
+}
+
+/**
+ * Read one value from a form field, query parameter or header. A repeated
+ * field or parameter arrives as an array (or an object for `name[key]=`),
+ * which is refused rather than guessed at.
+ * @param {Object} req - Request with req.audio set by readAudioUpload
+ * @param {string} name - Form field and query parameter name
+ * @param {string} header - Header name
+ * @returns {string|undefined} Value, if one was sent
+ * @throws {Error} INVALID_REQUEST for a value that isn't a single string
+ */
+function readSingleValue(req, name, header) {
+  const fields = req.audio.source === 'multipart' ? req.body : {};
+  const value = fields[name] || req.query[name] || req.headers[header];
+  if (value !== undefined && typeof value !== 'string') {
+    const error = new Error(`Send ${name} only once`);
+    error.code = 'INVALID_REQUEST';
+    throw error;
+  }
+  return value;
+}
+
+/**
+ * Read the client's format hints from form fields, query parameters or headers
+ * @param {Object} req - Request with req.audio set by readAudioUpload
+ * @returns {Object} Declared { encoding, sampleRateHertz, languageCode }
+ * @throws {Error} UNSUPPORTED_LANGUAGE for a language we can't parse, or
+ *   INVALID_REQUEST for a repeated hint
+ */
+function declaredOptions(req) {
+  const hint = (name, header) => readSingleValue(req, name, header);
+  const sampleRate = hint('sampleRate', 'x-sample-rate');
+  return {
+    encoding: hint('encoding', 'x-audio-encoding')?.toUpperCase(),
+    sampleRateHertz: sampleRate ? parseInt(sampleRate) : undefined,
+    languageCode: requireLanguage(hint('language', 'x-language-code'))
+  };
+}
+
+/**
+ * Read extra phrase hints (contact nicknames and other words the recognizer
+ * should favour) from a `hints` form field, query parameter or X-Phrase-Hints
+ * header. Values are comma-separated; form fields may also repeat.
+ * @param {Object} req - Request with req.audio set by readAudioUpload
+ * @returns {string[]} Phrases
+ */
+function readPhraseHints(req) {
+  const fields = req.audio.source === 'multipart' ? req.body : {};
+  const raw = fields.hints || req.query.hints || req.headers['x-phrase-hints'];
+  return [raw].flat().filter(Boolean).flatMap(value => String(value).split(','));
+}
+
+/**
+ * Read the speaker's time zone, for commands that say when to send ("tomorrow
+ * at 9"), from a `timeZone` form field, query parameter or X-Time-Zone header
+ * @param {Object} req - Request with req.audio set by readAudioUpload
+ * @returns {string} IANA time zone (DEFAULT_TIME_ZONE if none was sent)
+ * @throws {Error} UNSUPPORTED_TIME_ZONE for a zone we don't know, or
+ *   INVALID_REQUEST for a repeated one
+ */
+function readTimeZone(req) {
+  return requireTimeZone(readSingleValue(req, 'timeZone', 'x-time-zone'));
+}
+
+/**
+ * Map an audio preparation or transcription failure to a status and error body
+ * @param {Error} error - Error from prepareAudio or transcribeAudioWithRetry
+ * @returns {Object} { status, error: { code, message, [reason] } }
+ */
+function describeTranscriptionError(error) {
+  if (error.code === 'UNSUPPORTED_LANGUAGE' || error.code === 'INVALID_REQUEST') {
+    return {
+      status: 400,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    };
+  }
+
+  if (error.code === 'INVALID_AUDIO') {
+    return {
+      status: 400,
+      error: {
+        code: error.code,
+        reason: error.reason,
+        message: error.message,
+        ...(error.quality && { quality: error.quality })
+      }
+    };
+  }
+
+  if (error.message.includes('quality') || error.message.includes('empty')) {
+    return {
+      status: 400,
+      error: {
+        code: 'INVALID_AUDIO',
+        message: error.message
+      }
+    };
+  }
+
+  if (error.message.includes('No speech detected')) {
+    return {
+      status: 400,
+      error: {
+        code: 'NO_SPEECH_DETECTED',
+        message: 'No speech was detected in the audio. Please try again.'
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    error: {
+      code: 'TRANSCRIPTION_FAILED',
+      message: 'Failed to transcribe audio. Please try again.'
+    }
+  };
+}
+
+// Status for a parse result error (shared by /parse and /command)
+function parseErrorStatus(code) {
+  return code === 'AMBIGUOUS_COMMAND' || code === 'MISSING_PARAMETERS' ? 400 : 500;
+}
+
 /**
  * POST /api/voice/transcribe - Transcribe audio to text
- * Accepts audio file uploads and returns transcribed text
+ * Accepts a raw audio body or a multipart form (`audio` file plus optional
+ * `language`, `encoding`, `sampleRate` and `hints` fields) and returns the
+ * same response for both. The format is detected from the audio itself;
+ * encoding/sampleRate hints are only needed for headerless PCM.
  */
-router.post('/transcribe', express.raw({ type: 'audio/*', limit: '10mb' }), async (req, res) => {
+router.post('/transcribe', readAudioUpload, async (req, res) => {
   try {
     // Check if audio data is present
-    if (!req.body || req.body.length === 0) {
+    if (!req.audio || req.audio.buffer.length === 0) {
       return res.status(400).json({
         error: {
           code: 'INVALID_REQUEST',
@@ -21,60 +220,51 @@ router.post('/transcribe', express.raw({ type: 'audio/*', limit: '10mb' }), asyn
     }
 
     // Get audio buffer from request
-    const audioBuffer = Buffer.from(req.body);
+    const audioBuffer = Buffer.from(req.audio.buffer);
 
-    // Extract audio options from query parameters or headers
-    const options = {
-      encoding: req.query.encoding || req.headers['x-audio-encoding'] || 'WEBM_OPUS',
-      sampleRateHertz: parseInt(req.query.sampleRate || req.headers['x-sample-rate'] || '48000'),
-      languageCode: req.query.language || req.headers['x-language-code'] || 'en-US'
-    };
+    // Detect the real format and convert it if the recognizer can't take it
+    const { audio, options, format, transcoded } = await prepareAudio(audioBuffer, declaredOptions(req));
 
-    // Transcribe audio with retry logic
-    const transcription = await transcribeAudioWithRetry(audioBuffer, options);
+    // Transcribe audio with retry logic (provider chosen by STT_PROVIDER)
+    const result = await transcribeAudioWithRetry(audio, { ...options, phraseHints: readPhraseHints(req) });
 
-    // Return transcribed text
+    // Return transcribed text, with the provider's confidence, alternatives,
+    // per-word confidence (low-confidence words are flagged), whether the
+    // transcript cache answered, and the audio quality metrics (null for
+    // compressed formats)
     res.json({
-      transcription,
+      transcription: result.transcript,
+      confidence: result.confidence,
+      alternatives: result.alternatives,
+      words: result.words,
+      provider: result.provider,
+      cached: result.cached,
+      quality: result.quality,
       timestamp: new Date().toISOString(),
       audioSize: audioBuffer.length,
+      file: {
+        name: req.audio.filename,
+        mimeType: req.audio.mimeType,
+        source: req.audio.source
+      },
+      format,
+      transcoded,
       options
     });
   } catch (error) {
     console.error('Transcription endpoint error:', error.message);
 
-    // Handle specific error types
-    if (error.message.includes('quality') || error.message.includes('empty')) {
-      return res.status(400).json({
-        error: {
-          code: 'INVALID_AUDIO',
-          message: error.message
-        }
-      });
-    }
-
-    if (error.message.includes('No speech detected')) {
-      return res.status(400).json({
-        error: {
-          code: 'NO_SPEECH_DETECTED',
-          message: 'No speech was detected in the audio. Please try again.'
-        }
-      });
-    }
-
-    // Generic error response
-    res.status(500).json({
-      error: {
-        code: 'TRANSCRIPTION_FAILED',
-        message: 'Failed to transcribe audio. Please try again.'
-      }
-    });
+    const { status, error: body } = describeTranscriptionError(error);
+    res.status(status).json({ error: body });
   }
 });
 
 /**
  * POST /api/voice/parse - Parse voice command text
- * Accepts transcribed text and returns structured ParsedCommand object
+ * Accepts transcribed text (plus an optional `language`, e.g. sw-KE,
+ * `alternatives`, the recognizer's other readings, and `timeZone`, the
+ * speaker's IANA zone for scheduled transfers) and returns a structured
+ * ParsedCommand object with the detected language
  */
 router.post('/parse', express.json(), async (req, res) => {
   try {
@@ -88,7 +278,7 @@ router.post('/parse', express.json(), async (req, res) => {
       });
     }
 
-    const { text } = req.body;
+    const { text, language, alternatives, timeZone } = req.body;
 
     // Validate text is a non-empty string
     if (typeof text !== 'string' || text.trim().length === 0) {
@@ -100,18 +290,33 @@ router.post('/parse', express.json(), async (req, res) => {
       });
     }
 
-    console.log(`[Parse Endpoint] Parsing command: "${text}"`);
+    let languageCode;
+    let zone;
+    try {
+      languageCode = requireLanguage(language);
+      zone = requireTimeZone(timeZone);
+    } catch (error) {
+      return res.status(400).json({
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    console.log(`[Parse Endpoint] Parsing command: "${text}" (${languageCode})`);
 
     // Parse the voice command
-    const result = await parseVoiceCommand(text);
+    const result = await parseVoiceCommand(text, {
+      languageCode,
+      alternatives: Array.isArray(alternatives) ? alternatives : [],
+      timeZone: zone
+    });
 
     // Check if parsing returned an error
     if (result.error) {
       // Return appropriate status code based on error type
-      const statusCode = result.error.code === 'AMBIGUOUS_COMMAND' ? 400 : 
-                         result.error.code === 'MISSING_PARAMETERS' ? 400 : 500;
-      
-      return res.status(statusCode).json(result);
+      return res.status(parseErrorStatus(result.error.code)).json(result);
     }
 
     // Return successfully parsed command
@@ -131,4 +336,145 @@ router.post('/parse', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/voice/command - Audio in, validated intent out
+ * Runs transcription, command parsing and, for transfers, validation of
+ * every leg's recipient in one request (`recipient` for one leg,
+ * `recipients` for several). Other intents (balance, history, price, help,
+ * cancel) are answered by the client and come back after parsing.
+ * Accepts the same uploads as /transcribe, plus the speaker's `timeZone`.
+ * Every response carries per-stage timings in ms; a failure names the stage
+ * it happened in ('transcribe', 'parse' or 'resolve', with the `leg` for a
+ * batch) along with whatever the earlier stages produced.
+ */
+router.post('/command', readAudioUpload, async (req, res) => {
+  const startedAt = Date.now();
+  const timings = {};
+  const response = {};
+
+  // Run one stage and record how long it took
+  const timed = async (stage, work) => {
+    const stageStart = Date.now();
+    try {
+      return await work();
+    } finally {
+      timings[stage] = Date.now() - stageStart;
+    }
+  };
+
+  const fail = (status, stage, error) => {
+    timings.total = Date.now() - startedAt;
+    console.log(`[Command Endpoint] Failed at ${stage}: ${error.code} (${timings.total}ms)`);
+    res.status(status).json({ ...response, error: { ...error, stage }, timings });
+  };
+
+  if (!req.audio || req.audio.buffer.length === 0) {
+    return fail(400, 'transcribe', {
+      code: 'INVALID_REQUEST',
+      message: 'Audio data is required'
+    });
+  }
+
+  // An unknown time zone would only fail once the command is parsed
+  let timeZone;
+  try {
+    timeZone = readTimeZone(req);
+  } catch (error) {
+    return fail(400, 'parse', { code: error.code, message: error.message });
+  }
+
+  // Stage 1: audio -> text
+  let result;
+  let options;
+  try {
+    result = await timed('transcribe', async () => {
+      const prepared = await prepareAudio(Buffer.from(req.audio.buffer), declaredOptions(req));
+      options = prepared.options;
+      return transcribeAudioWithRetry(prepared.audio, { ...options, phraseHints: readPhraseHints(req) });
+    });
+  } catch (error) {
+    console.error('[Command Endpoint] Transcription error:', error.message);
+    const { status, error: body } = describeTranscriptionError(error);
+    return fail(status, 'transcribe', body);
+  }
+
+  response.transcription = result.transcript;
+  response.confidence = result.confidence;
+  response.words = result.words;
+  response.provider = result.provider;
+  response.cached = result.cached;
+  response.quality = result.quality;
+  response.languageCode = options.languageCode;
+
+  // Stage 2: text -> command
+  let command;
+  try {
+    command = await timed('parse', () => parseVoiceCommand(result.transcript, {
+      languageCode: options.languageCode,
+      alternatives: result.alternatives,
+      timeZone
+    }));
+  } catch (error) {
+    console.error('[Command Endpoint] Parsing error:', error.message);
+    return fail(500, 'parse', {
+      code: 'PARSING_FAILED',
+      message: 'Failed to parse voice command. Please try again.',
+      details: error.message
+    });
+  }
+
+  if (command.error) {
+    return fail(parseErrorStatus(command.error.code), 'parse', command.error);
+  }
+  response.command = command;
+
+  if (command.action !== 'transfer') {
+    timings.total = Date.now() - startedAt;
+    console.log(`[Command Endpoint] ${command.action} (${timings.total}ms)`);
+    return res.json({
+      ...response,
+      timestamp: new Date().toISOString(),
+      timings
+    });
+  }
+
+  // Stage 3: recipients -> checked addresses, one per leg
+  let recipients;
+  try {
+    recipients = await timed('resolve', () => Promise.all(
+      command.legs.map(leg => validateAndResolveRecipient(leg.recipient))
+    ));
+  } catch (error) {
+    console.error('[Command Endpoint] Recipient validation error:', error.message);
+    return fail(500, 'resolve', {
+      code: 'VALIDATION_FAILED',
+      message: 'Failed to validate recipient address',
+      details: error.message
+    });
+  }
+  if (command.legs.length === 1) {
+    response.recipient = recipients[0];
+  } else {
+    response.recipients = recipients;
+  }
+
+  const invalid = recipients.findIndex(recipient => !recipient.valid);
+  if (invalid !== -1) {
+    const { error } = recipients[invalid];
+    return fail(error.code === 'VALIDATION_FAILED' ? 500 : 400, 'resolve', {
+      ...error,
+      ...(command.legs.length > 1 && { leg: invalid })
+    });
+  }
+
+  timings.total = Date.now() - startedAt;
+  console.log(`[Command Endpoint] ${command.action} ${command.total} to ${recipients.map(recipient => recipient.address).join(', ')} (${timings.total}ms)`);
+
+  res.json({
+    ...response,
+    timestamp: new Date().toISOString(),
+    timings
+  });
+});
+
 export default router;
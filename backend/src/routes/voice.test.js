@@ -0,0 +1,454 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import express from 'express';
+import { setSpeechProvider, setTranscriptCache } from '../services/speechService.js';
+import { createMemoryCache } from '../services/speech/transcriptCache.js';
+import { parseVoiceCommand, validateAndResolveRecipient } from '../services/commandParserService.js';
+import router from './voice.js';
+
+vi.mock('../services/commandParserService.js', () => ({
+  parseVoiceCommand: vi.fn(),
+  validateAndResolveRecipient: vi.fn()
+}));
+
+const ADDRESS = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb';
+
+// 16 kHz mono 16-bit WAV: 0.5s of a 220 Hz tone between 0.3s of silence
+function wavClip(amplitude = 0.3) {
+  const data = Buffer.alloc(35200);
+  for (let i = 4800; i < 12800; i++) {
+    data.writeInt16LE(Math.round(amplitude * 32767 * Math.sin(2 * Math.PI * 220 * i / 16000)), i * 2);
+  }
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('POST /api/voice/transcribe', () => {
+  let server;
+  let baseUrl;
+  let provider;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/voice', router);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/voice`;
+  });
+
+  afterAll(async () => {
+    setSpeechProvider(null);
+    setTranscriptCache(null);
+    delete process.env.STT_CACHE;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    provider = {
+      name: 'mock',
+      transcribe: vi.fn(async () => ({ transcript: 'send 5 MNEE to bob', confidence: 0.87, alternatives: [] }))
+    };
+    setSpeechProvider(provider);
+    process.env.STT_CACHE = 'off';
+    setTranscriptCache(null);
+  });
+
+  it('should give the same response for raw and multipart uploads of the same clip', async () => {
+    const clip = wavClip();
+
+    const rawRes = await fetch(`${baseUrl}/transcribe?language=sw-KE`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: clip
+    });
+
+    const form = new FormData();
+    form.append('audio', new Blob([clip], { type: 'audio/wav' }), 'voice.wav');
+    form.append('language', 'sw-KE');
+    const multipartRes = await fetch(`${baseUrl}/transcribe`, { method: 'POST', body: form });
+
+    expect(rawRes.status).toBe(200);
+    expect(multipartRes.status).toBe(200);
+    const raw = await rawRes.json();
+    const multipart = await multipartRes.json();
+
+    expect(Object.keys(multipart).sort()).toEqual(Object.keys(raw).sort());
+    for (const body of [raw, multipart]) {
+      expect(body).toMatchObject({
+        transcription: 'send 5 MNEE to bob',
+        confidence: 0.87,
+        audioSize: clip.length,
+        format: { container: 'wav', sampleRateHertz: 16000 },
+        options: { encoding: 'LINEAR16', sampleRateHertz: 16000, languageCode: 'sw-KE' }
+      });
+    }
+    expect(raw.file).toEqual({ name: null, mimeType: 'audio/wav', source: 'raw' });
+    expect(multipart.file).toEqual({ name: 'voice.wav', mimeType: 'audio/wav', source: 'multipart' });
+    // The provider received the identical audio both times
+    expect(provider.transcribe.mock.calls[0][0]).toEqual(provider.transcribe.mock.calls[1][0]);
+  });
+
+  it('should let multipart fields override query hints', async () => {
+    const form = new FormData();
+    form.append('audio', new Blob([wavClip()]), 'clip.bin');
+    form.append('language', 'fr-FR');
+
+    const res = await fetch(`${baseUrl}/transcribe?language=en-US`, { method: 'POST', body: form });
+
+    expect((await res.json()).options.languageCode).toBe('fr-FR');
+  });
+
+  it('should refuse a format hint sent more than once', async () => {
+    const form = new FormData();
+    form.append('audio', new Blob([wavClip()]), 'voice.wav');
+    form.append('language', 'en-US');
+    form.append('language', 'sw-KE');
+
+    const queryRes = await fetch(`${baseUrl}/transcribe?encoding=LINEAR16&encoding=MULAW`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+    const formRes = await fetch(`${baseUrl}/transcribe`, { method: 'POST', body: form });
+
+    for (const res of [queryRes, formRes]) {
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toMatchObject({ code: 'INVALID_REQUEST', message: expect.stringMatching(/only once/) });
+    }
+    expect(provider.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('should reject a multipart upload without an audio file', async () => {
+    const missing = new FormData();
+    missing.append('language', 'en-US');
+    const wrongField = new FormData();
+    wrongField.append('recording', new Blob([wavClip()]), 'voice.wav');
+
+    const missingRes = await fetch(`${baseUrl}/transcribe`, { method: 'POST', body: missing });
+    const wrongFieldRes = await fetch(`${baseUrl}/transcribe`, { method: 'POST', body: wrongField });
+
+    expect(missingRes.status).toBe(400);
+    expect((await missingRes.json()).error.message).toBe('Audio data is required');
+    expect(wrongFieldRes.status).toBe(400);
+    expect((await wrongFieldRes.json()).error.message).toMatch(/field named "audio"/);
+    expect(provider.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('should pass phrase hints to the recognizer and return flagged words', async () => {
+    provider.transcribe.mockResolvedValueOnce({
+      transcript: 'tuma hamsini kwa Wanjiku',
+      confidence: 0.8,
+      alternatives: [],
+      words: [
+        { word: 'tuma', confidence: 0.9 },
+        { word: 'hamsini', confidence: 0.4 },
+        { word: 'kwa', confidence: 0.9 },
+        { word: 'Wanjiku', confidence: 0.7 }
+      ]
+    });
+    const form = new FormData();
+    form.append('audio', new Blob([wavClip()]), 'voice.wav');
+    form.append('hints', 'Wanjiku,Baba Otieno');
+    form.append('hints', 'Mama Mboga');
+
+    const res = await fetch(`${baseUrl}/transcribe`, { method: 'POST', body: form });
+
+    const body = await res.json();
+    expect(provider.transcribe.mock.calls[0][1].phraseHints).toEqual(
+      expect.arrayContaining(['MNEE', 'Wanjiku', 'Baba Otieno', 'Mama Mboga'])
+    );
+    expect(body.words.filter(word => word.lowConfidence).map(word => word.word)).toEqual(['hamsini']);
+  });
+
+  it('should resolve language aliases and refuse unsupported languages', async () => {
+    const alias = await fetch(`${baseUrl}/transcribe?language=sw`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+    const unsupported = await fetch(`${baseUrl}/transcribe?language=de-DE`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+
+    expect((await alias.json()).options.languageCode).toBe('sw-KE');
+    expect(unsupported.status).toBe(400);
+    expect((await unsupported.json()).error.code).toBe('UNSUPPORTED_LANGUAGE');
+    expect(provider.transcribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject poor audio with its quality metrics before transcribing', async () => {
+    const res = await fetch(`${baseUrl}/transcribe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip(0.002)
+    });
+
+    expect(res.status).toBe(400);
+    const { error } = await res.json();
+    expect(error).toMatchObject({ code: 'INVALID_AUDIO', reason: 'TOO_QUIET', message: expect.stringMatching(/too quiet/) });
+    expect(error.quality.durationSeconds).toBe(1.1);
+    expect(provider.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('should transcribe the clip without its surrounding silence', async () => {
+    const res = await fetch(`${baseUrl}/transcribe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+
+    const body = await res.json();
+    expect(body.quality).toMatchObject({ durationSeconds: 1.1, trimmedSeconds: 0.2 });
+    expect(provider.transcribe.mock.calls[0][0].length).toBe(wavClip().length - 6400);
+  });
+
+  it('should report when the transcript came from the cache', async () => {
+    setTranscriptCache(createMemoryCache({ ttlMs: 60000, maxEntries: 10 }));
+    const post = () => fetch(`${baseUrl}/transcribe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    }).then(res => res.json());
+
+    const first = await post();
+    const second = await post();
+
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({ cached: true, transcription: first.transcription, confidence: first.confidence });
+    expect(provider.transcribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject an empty raw body', async () => {
+    const res = await fetch(`${baseUrl}/transcribe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/webm' },
+      body: Buffer.alloc(0)
+    });
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).error.code).toBe('INVALID_REQUEST');
+  });
+});
+
+describe('POST /api/voice/command', () => {
+  let server;
+  let baseUrl;
+  let provider;
+
+  const postClip = () => fetch(`${baseUrl}/command`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'audio/wav' },
+    body: wavClip()
+  });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/voice', router);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/voice`;
+  });
+
+  afterAll(async () => {
+    setSpeechProvider(null);
+    setTranscriptCache(null);
+    delete process.env.STT_CACHE;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    provider = {
+      name: 'mock',
+      transcribe: vi.fn(async () => ({ transcript: `send 5 MNEE to ${ADDRESS}`, confidence: 0.9, alternatives: [] }))
+    };
+    setSpeechProvider(provider);
+    process.env.STT_CACHE = 'off';
+    setTranscriptCache(null);
+    parseVoiceCommand.mockReset().mockResolvedValue({
+      action: 'transfer',
+      amount: 5,
+      recipient: ADDRESS,
+      legs: [{ amount: 5, recipient: ADDRESS }],
+      total: 5,
+      confidence: 95,
+      rawText: `send 5 MNEE to ${ADDRESS}`
+    });
+    validateAndResolveRecipient.mockReset().mockResolvedValue({ valid: true, address: ADDRESS, type: 'address' });
+  });
+
+  it('should return the transcript, command, recipient and stage timings', async () => {
+    const res = await postClip();
+
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({
+      transcription: `send 5 MNEE to ${ADDRESS}`,
+      confidence: 0.9,
+      provider: 'mock',
+      languageCode: 'en-US',
+      command: { action: 'transfer', amount: 5, recipient: ADDRESS },
+      recipient: { valid: true, address: ADDRESS }
+    });
+    expect(Object.keys(body.timings).sort()).toEqual(['parse', 'resolve', 'total', 'transcribe']);
+    expect(parseVoiceCommand).toHaveBeenCalledWith(`send 5 MNEE to ${ADDRESS}`, {
+      languageCode: 'en-US',
+      alternatives: [{ transcript: `send 5 MNEE to ${ADDRESS}`, confidence: 0.9 }],
+      timeZone: 'UTC'
+    });
+    expect(validateAndResolveRecipient).toHaveBeenCalledWith(ADDRESS);
+  });
+
+  it('should parse in the time zone the client sent', async () => {
+    const res = await fetch(`${baseUrl}/command`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav', 'X-Time-Zone': 'Africa/Nairobi' },
+      body: wavClip()
+    });
+
+    expect(res.status).toBe(200);
+    expect(parseVoiceCommand.mock.calls[0][1].timeZone).toBe('Africa/Nairobi');
+  });
+
+  it('should refuse an unknown time zone before transcribing', async () => {
+    const res = await fetch(`${baseUrl}/command?timeZone=Mars/Olympus`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+
+    expect(res.status).toBe(400);
+    const body = await res.json();
+    expect(body.error).toMatchObject({ code: 'UNSUPPORTED_TIME_ZONE', stage: 'parse' });
+    expect(provider.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a repeated hint at the stage that reads it', async () => {
+    const encodingRes = await fetch(`${baseUrl}/command?encoding=LINEAR16&encoding=MULAW`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+    const timeZoneRes = await fetch(`${baseUrl}/command?timeZone=UTC&timeZone=Africa/Nairobi`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/wav' },
+      body: wavClip()
+    });
+
+    expect(encodingRes.status).toBe(400);
+    expect((await encodingRes.json()).error).toMatchObject({ code: 'INVALID_REQUEST', stage: 'transcribe' });
+    expect(timeZoneRes.status).toBe(400);
+    expect((await timeZoneRes.json()).error).toMatchObject({ code: 'INVALID_REQUEST', stage: 'parse' });
+    expect(provider.transcribe).not.toHaveBeenCalled();
+  });
+
+  it('should report unreadable audio at the transcribe stage', async () => {
+    const res = await fetch(`${baseUrl}/command`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: Buffer.from('definitely not audio')
+    });
+
+    expect(res.status).toBe(400);
+    const body = await res.json();
+    expect(body.error).toMatchObject({ code: 'INVALID_AUDIO', stage: 'transcribe' });
+    expect(body.timings).toHaveProperty('total');
+    expect(body.command).toBeUndefined();
+    expect(provider.transcribe).not.toHaveBeenCalled();
+    expect(parseVoiceCommand).not.toHaveBeenCalled();
+  });
+
+  it('should report a parse failure with the transcript it parsed', async () => {
+    parseVoiceCommand.mockResolvedValue({
+      error: { code: 'MISSING_PARAMETERS', message: 'Missing or invalid: amount' },
+      rawText: 'send money'
+    });
+
+    const res = await postClip();
+
+    expect(res.status).toBe(400);
+    const body = await res.json();
+    expect(body.error).toMatchObject({ code: 'MISSING_PARAMETERS', stage: 'parse' });
+    expect(body.transcription).toBe(`send 5 MNEE to ${ADDRESS}`);
+    expect(body.timings).toHaveProperty('parse');
+    expect(validateAndResolveRecipient).not.toHaveBeenCalled();
+  });
+
+  it('should report an unusable recipient at the resolve stage', async () => {
+    validateAndResolveRecipient.mockResolvedValue({
+      valid: false,
+      error: { code: 'ENS_NOT_SUPPORTED', message: 'ENS name resolution is not yet supported.' },
+      ensName: 'bob.eth'
+    });
+
+    const res = await postClip();
+
+    expect(res.status).toBe(400);
+    const body = await res.json();
+    expect(body.error).toMatchObject({ code: 'ENS_NOT_SUPPORTED', stage: 'resolve' });
+    expect(body.command.action).toBe('transfer');
+    expect(body.recipient.valid).toBe(false);
+  });
+
+  it('should answer a recipient check that throws at the resolve stage', async () => {
+    validateAndResolveRecipient.mockRejectedValue(new Error('RPC unreachable'));
+
+    const res = await postClip();
+
+    expect(res.status).toBe(500);
+    const body = await res.json();
+    expect(body.error).toMatchObject({ code: 'VALIDATION_FAILED', stage: 'resolve', details: 'RPC unreachable' });
+    expect(body.command.action).toBe('transfer');
+    expect(body.timings).toHaveProperty('resolve');
+  });
+
+  it('should resolve every leg of a batch and name the leg that fails', async () => {
+    const OTHER = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+    parseVoiceCommand.mockResolvedValue({
+      action: 'transfer',
+      split: 'each',
+      legs: [{ amount: 5, recipient: ADDRESS }, { amount: 5, recipient: 'bob.eth' }, { amount: 5, recipient: OTHER }],
+      total: 15,
+      confidence: 95
+    });
+    validateAndResolveRecipient.mockImplementation(async (recipient) => (recipient.endsWith('.eth')
+      ? { valid: false, error: { code: 'ENS_NOT_SUPPORTED', message: 'ENS name resolution is not yet supported.' } }
+      : { valid: true, address: recipient, type: 'address' }));
+
+    const res = await postClip();
+
+    expect(res.status).toBe(400);
+    const body = await res.json();
+    expect(body.error).toMatchObject({ code: 'ENS_NOT_SUPPORTED', stage: 'resolve', leg: 1 });
+    expect(body.recipients.map(recipient => recipient.valid)).toEqual([true, false, true]);
+    expect(body.recipient).toBeUndefined();
+    expect(validateAndResolveRecipient).toHaveBeenCalledTimes(3);
+  });
+
+  it('should return other intents without resolving a recipient', async () => {
+    parseVoiceCommand.mockResolvedValue({ action: 'check_balance', token: 'MNEE', confidence: 95, rawText: 'what is my balance' });
+
+    const res = await postClip();
+
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body.command).toMatchObject({ action: 'check_balance', token: 'MNEE' });
+    expect(body.recipient).toBeUndefined();
+    expect(Object.keys(body.timings).sort()).toEqual(['parse', 'total', 'transcribe']);
+    expect(validateAndResolveRecipient).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+import { WebSocketServer } from 'ws';
+import { requireLanguage } from '../services/languageService.js';
+import { isAllowedOrigin } from '../middleware/origin.js';
+
+// ============================================================================
+// Streaming Voice Transcription (WebSocket)
+// ============================================================================
+// ws(s)://<host>/api/voice/stream?encoding=WEBM_OPUS&sampleRate=48000&language=en-US
+//   (optional &hints=Wanjiku,Baba+Otieno favours extra phrases such as contact names)
+//
+// The upgrade must come from an allowed origin (403 otherwise: browsers send
+// cookies with cross-site WebSocket handshakes and CORS does not apply) and
+// carry a valid session (401 otherwise), before any audio reaches the recognizer.
+//
+// Client -> server:
+//   binary frames          Audio chunks straight from MediaRecorder
+//   {"type":"stop"}        No more audio; flush and send the final result.
+//                          Audio and further stops after it are ignored.
+//
+// Server -> client (JSON text frames):
+//   {"type":"ready", options}                      Recognizer is listening
+//   {"type":"partial", transcript, stability}      Interim result, may change
+//   {"type":"final", transcript}                   Settled segment
+//   {"type":"done", transcription}                 All final segments joined
+//   {"type":"error", error: {code, message}}       Stream failed (or unsupported language)
+//
+// The socket is closed by the server after "done" or "error".
+// ============================================================================
+
+// Same limit as POST /transcribe
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+// Give up on streams that never finish (Google caps streams at ~5 minutes)
+const MAX_STREAM_MS = 2 * 60 * 1000;
+
+// Read audio options from the query string, like POST /transcribe.
+// Throws UNSUPPORTED_LANGUAGE for a language we can't parse.
+function readOptions(url) {
+  const params = new URL(url, 'http://localhost').searchParams;
+  return {
+    encoding: params.get('encoding') || 'WEBM_OPUS',
+    sampleRateHertz: parseInt(params.get('sampleRate') || '48000'),
+    languageCode: requireLanguage(params.get('language')),
+    ...(params.get('hints') && { phraseHints: params.get('hints').split(',') })
+  };
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Relay one client socket to a streaming recognizer
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} options - Audio options
+ * @param {Function} createRecognizer - Recognizer factory
+ */
+function relayStream(socket, options, createRecognizer) {
+  const finals = [];
+  let receivedBytes = 0;
+  let finished = false;
+  let ended = false;
+  let recognizer;
+
+  const finish = (message, closeCode) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    send(socket, message);
+    socket.close(closeCode);
+  };
+
+  const fail = (code, message) => {
+    recognizer?.destroy();
+    finish({ type: 'error', error: { code, message } }, 1011);
+  };
+
+  const timer = setTimeout(() => {
+    fail('STREAM_TIMEOUT', 'Stream exceeded the maximum recording length');
+  }, MAX_STREAM_MS);
+
+  try {
+    recognizer = createRecognizer(options);
+  } catch (error) {
+    console.error('[Voice Stream] Failed to start recognizer:', error.message);
+    return fail('TRANSCRIPTION_FAILED', 'Failed to start speech recognition. Please try again.');
+  }
+
+  recognizer.on('result', ({ transcript, isFinal, stability }) => {
+    if (isFinal) {
+      finals.push(transcript);
+      send(socket, { type: 'final', transcript });
+    } else {
+      send(socket, { type: 'partial', transcript, stability });
+    }
+  });
+
+  recognizer.on('error', (error) => {
+    console.error('[Voice Stream] Recognizer error:', error.message);
+    fail('TRANSCRIPTION_FAILED', 'Failed to transcribe audio. Please try again.');
+  });
+
+  recognizer.on('end', () => {
+    const transcription = finals.join(' ').trim();
+    if (!transcription) {
+      return fail('NO_SPEECH_DETECTED', 'No speech was detected in the audio. Please try again.');
+    }
+    finish({ type: 'done', transcription }, 1000);
+  });
+
+  socket.on('message', (data, isBinary) => {
+    if (finished) return;
+
+    if (!isBinary) {
+      let control;
+      try {
+        control = JSON.parse(data.toString());
+      } catch {
+        return fail('INVALID_REQUEST', 'Control messages must be JSON');
+      }
+      if (!control || typeof control !== 'object') {
+        return fail('INVALID_REQUEST', 'Control messages must be JSON objects');
+      }
+      if (control.type === 'stop' && !ended) {
+        ended = true;
+        recognizer.end();
+      }
+      return;
+    }
+
+    // The recognizer is flushing; late audio is dropped
+    if (ended) return;
+
+    receivedBytes += data.length;
+    if (receivedBytes > MAX_AUDIO_BYTES) {
+      return fail('INVALID_AUDIO', 'Audio stream exceeds the 10MB limit');
+    }
+    recognizer.write(data);
+  });
+
+  // The client went away before the result was ready
+  socket.on('close', () => {
+    if (!finished) {
+      finished = true;
+      clearTimeout(timer);
+      recognizer.destroy();
+    }
+  });
+
+  send(socket, { type: 'ready', options });
+}
+
+/**
+ * Create the upgrade handler for the voice stream endpoint
+ * @param {Object} deps - { createRecognizer, authenticate }
+ *   createRecognizer: factory returning a streaming recognizer
+ *                     (see speechService.createStreamingRecognizer)
+ *   authenticate: (req) => signed-in user or null (see middleware/auth.js)
+ * @returns {Function} (req, socket, head) upgrade handler
+ */
+export function createVoiceStreamHandler({ createRecognizer, authenticate }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_AUDIO_BYTES });
+
+  wss.on('connection', (socket, req) => {
+    let options;
+    try {
+      options = readOptions(req.url);
+    } catch (error) {
+      send(socket, { type: 'error', error: { code: error.code, message: error.message } });
+      return socket.close(1008);
+    }
+    console.log(`[Voice Stream] Client connected (${options.languageCode}, ${options.encoding})`);
+    relayStream(socket, options, createRecognizer);
+  });
+
+  return (req, socket, head) => {
+    if (!isAllowedOrigin(req.headers.origin)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    if (!authenticate(req)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (client) => wss.emit('connection', client, req));
+  };
+}
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { EventEmitter } from 'events';
+import express from 'express';
+import WebSocket from 'ws';
+import { mountModules } from '../modules.js';
+import { createVoiceStreamHandler } from './voiceStream.js';
+
+// Fake recognizer that replays a script: one interim result per audio chunk,
+// then the final segments once the audio ends
+function createScriptedRecognizer({ partials = [], finals = [], failAfterChunks } = {}) {
+  const received = [];
+  const factory = (options) => {
+    const recognizer = new EventEmitter();
+    factory.options = options;
+    recognizer.write = (chunk) => {
+      received.push(Buffer.from(chunk));
+      if (received.length === failAfterChunks) {
+        setImmediate(() => recognizer.emit('error', new Error('Recognizer crashed')));
+        return;
+      }
+      const transcript = partials[received.length - 1];
+      if (transcript) {
+        setImmediate(() => recognizer.emit('result', { transcript, isFinal: false, stability: 0.5 }));
+      }
+    };
+    recognizer.end = () => {
+      factory.ends = (factory.ends || 0) + 1;
+      setImmediate(() => {
+        finals.forEach(transcript => recognizer.emit('result', { transcript, isFinal: true, stability: null }));
+        recognizer.emit('end');
+      });
+    };
+    recognizer.destroy = () => { factory.destroyed = true; };
+    return recognizer;
+  };
+  factory.received = received;
+  return factory;
+}
+
+// Serve a voice module with the given recognizer through the module registry.
+// Every upgrade is signed in unless `authenticate` says otherwise.
+async function startServer(createRecognizer, authenticate = () => ({ user: { id: 'user-1' } })) {
+  const app = express();
+  const server = http.createServer(app);
+  const voice = {
+    name: 'voice',
+    path: '/api/voice',
+    description: 'voice',
+    enabledByDefault: true,
+    dependsOn: [],
+    requiredEnv: [],
+    endpoints: ['/stream'],
+    load: async () => ({
+      default: express.Router(),
+      upgrades: { '/stream': createVoiceStreamHandler({ createRecognizer, authenticate }) }
+    })
+  };
+  await mountModules(app, { env: {}, modules: [voice], server });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+// The frontend's origin in development
+const APP_ORIGIN = 'http://localhost:5173';
+
+// Stream the chunks, then collect every server message until the socket closes.
+// `after` frames are sent once the stop message has gone.
+function streamAudio(server, path, chunks, { stop = true, after = [], origin = APP_ORIGIN } = {}) {
+  const { port } = server.address();
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`, { origin });
+  const messages = [];
+
+  return new Promise((resolve, reject) => {
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      messages.push(message);
+      if (message.type === 'ready') {
+        chunks.forEach(chunk => socket.send(chunk));
+        if (stop) socket.send(JSON.stringify({ type: 'stop' }));
+        after.forEach(frame => socket.send(frame));
+      }
+    });
+    socket.on('close', (code) => resolve({ messages, code }));
+    socket.on('error', reject);
+  });
+}
+
+describe('Voice Stream WebSocket', () => {
+  let server;
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('with a scripted recognizer', () => {
+    let recognizer;
+
+    beforeEach(async () => {
+      recognizer = createScriptedRecognizer({
+        partials: ['send', 'send fifty', 'send fifty MNEE to'],
+        finals: ['Send 50 MNEE to 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb']
+      });
+      server = await startServer(recognizer);
+    });
+
+    it('should relay audio chunks and push partial, final and done messages in order', async () => {
+      const chunks = [Buffer.from([1, 2, 3]), Buffer.from([4, 5]), Buffer.from([6])];
+
+      const { messages, code } = await streamAudio(server, '/api/voice/stream?language=en-KE&sampleRate=16000', chunks);
+
+      expect(code).toBe(1000);
+      expect(messages.map(message => message.type)).toEqual(['ready', 'partial', 'partial', 'partial', 'final', 'done']);
+      expect(messages[0].options).toEqual({ encoding: 'WEBM_OPUS', sampleRateHertz: 16000, languageCode: 'en-KE' });
+      expect(messages.slice(1, 4).map(message => message.transcript)).toEqual(['send', 'send fifty', 'send fifty MNEE to']);
+      expect(messages.at(-1).transcription).toBe('Send 50 MNEE to 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb');
+      expect(Buffer.concat(recognizer.received)).toEqual(Buffer.from([1, 2, 3, 4, 5, 6]));
+    });
+
+    it('should end the recognizer once and drop audio sent after stop', async () => {
+      const stop = JSON.stringify({ type: 'stop' });
+
+      const { messages, code } = await streamAudio(server, '/api/voice/stream', [Buffer.from([1])], {
+        after: [stop, Buffer.from([2, 3])]
+      });
+
+      expect(code).toBe(1000);
+      expect(messages.at(-1).type).toBe('done');
+      expect(recognizer.ends).toBe(1);
+      expect(Buffer.concat(recognizer.received)).toEqual(Buffer.from([1]));
+    });
+
+    it.each(['null', '42', '"stop"'])('should refuse a control message that is not an object: %s', async (frame) => {
+      const { messages, code } = await streamAudio(server, '/api/voice/stream', [frame], { stop: false });
+
+      expect(code).toBe(1011);
+      expect(messages.at(-1)).toEqual({ type: 'error', error: { code: 'INVALID_REQUEST', message: expect.any(String) } });
+      expect(recognizer.destroyed).toBe(true);
+    });
+
+    it('should reject upgrades to paths without a stream handler', async () => {
+      await expect(streamAudio(server, '/api/voice/nope', [])).rejects.toThrow(/404/);
+    });
+
+    it('should stop the recognizer when the client disconnects early', async () => {
+      const { port } = server.address();
+      const socket = new WebSocket(`ws://127.0.0.1:${port}/api/voice/stream`, { origin: APP_ORIGIN });
+      await new Promise(resolve => socket.once('message', resolve));
+
+      socket.close();
+      await new Promise(resolve => socket.once('close', resolve));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(recognizer.destroyed).toBe(true);
+    });
+  });
+
+  it('should report NO_SPEECH_DETECTED when the recognizer produces no final result', async () => {
+    server = await startServer(createScriptedRecognizer({ partials: ['uh'] }));
+
+    const { messages, code } = await streamAudio(server, '/api/voice/stream', [Buffer.from([1])]);
+
+    expect(code).toBe(1011);
+    expect(messages.at(-1)).toEqual({
+      type: 'error',
+      error: { code: 'NO_SPEECH_DETECTED', message: expect.any(String) }
+    });
+  });
+
+  it('should refuse a language the parser does not understand', async () => {
+    const recognizer = createScriptedRecognizer();
+    server = await startServer(recognizer);
+
+    const { messages, code } = await streamAudio(server, '/api/voice/stream?language=de-DE', []);
+
+    expect(code).toBe(1008);
+    expect(messages).toEqual([{ type: 'error', error: { code: 'UNSUPPORTED_LANGUAGE', message: expect.stringMatching(/sw-KE/) } }]);
+    expect(recognizer.options).toBeUndefined();
+  });
+
+  it('should refuse an upgrade without a valid session', async () => {
+    const recognizer = createScriptedRecognizer();
+    server = await startServer(recognizer, () => null);
+
+    await expect(streamAudio(server, '/api/voice/stream', [Buffer.from([1])])).rejects.toThrow(/401/);
+    expect(recognizer.options).toBeUndefined();
+  });
+
+  it('should refuse an upgrade from another site, even with a valid session', async () => {
+    const recognizer = createScriptedRecognizer();
+    const authenticate = vi.fn(() => ({ user: { id: 'user-1' } }));
+    server = await startServer(recognizer, authenticate);
+
+    await expect(streamAudio(server, '/api/voice/stream', [Buffer.from([1])], { origin: 'https://evil.example.com' }))
+      .rejects.toThrow(/403/);
+    await expect(streamAudio(server, '/api/voice/stream', [Buffer.from([1])], { origin: null }))
+      .rejects.toThrow(/403/);
+    expect(authenticate).not.toHaveBeenCalled();
+    expect(recognizer.options).toBeUndefined();
+  });
+
+  it('should report TRANSCRIPTION_FAILED when the recognizer errors mid-stream', async () => {
+    const recognizer = createScriptedRecognizer({ partials: ['send'], failAfterChunks: 2 });
+    server = await startServer(recognizer);
+
+    const { messages } = await streamAudio(server, '/api/voice/stream', [Buffer.from([1]), Buffer.from([2])], { stop: false });
+
+    expect(messages.map(message => message.type)).toEqual(['ready', 'partial', 'error']);
+    expect(messages.at(-1).error.code).toBe('TRANSCRIPTION_FAILED');
+    expect(recognizer.destroyed).toBe(true);
+  });
+});
@@ -5,18 +5,57 @@ import {
   getBalance, 
   getTransactionHistory 
 } from '../services/walletService.js';
+import {
+  getLinkedWallets,
+  linkWallet,
+  labelWallet,
+  setPrimaryWallet,
+  unlinkWallet
+} from '../services/linkedWalletService.js';
+import { verifySiweProof, getSiweDomain, SIWE_NONCE_COOKIE } from '../services/authService.js';
+import { requireAuth, readCookie } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Every wallet route acts on the signed-in user
+router.use(requireAuth);
+
+// Map linked-wallet error codes to HTTP status codes
+const ERROR_STATUS = {
+  INVALID_ADDRESS: 400,
+  INVALID_LABEL: 400,
+  INVALID_SIWE_MESSAGE: 400,
+  INVALID_NONCE: 401,
+  INVALID_SIGNATURE: 401,
+  WALLET_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  WALLET_IN_USE: 409,
+  LAST_SIGN_IN_METHOD: 409
+};
+
+function sendWalletError(res, error) {
+  const status = ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    console.error('Linked wallet error:', error);
+  }
+  res.status(status).json({
+    error: {
+      code: error.code || 'WALLET_ERROR',
+      message: error.message
+    }
+  });
+}
+
 // POST /api/wallet/deposit - Create Stripe payment intent
 router.post('/deposit', async (req, res) => {
-  const { userId, amount } = req.body;
+  const { amount } = req.body;
+  const userId = req.user.id;
 
-  if (!userId || !amount) {
+  if (!amount) {
     return res.status(400).json({
       error: {
         code: 'INVALID_REQUEST',
-        message: 'userId and amount are required'
+        message: 'amount is required'
       }
     });
   }
@@ -47,13 +86,14 @@ router.post('/deposit', async (req, res) => {
 
 // POST /api/wallet/withdraw - Initiate withdrawal
 router.post('/withdraw', async (req, res) => {
-  const { userId, amount } = req.body;
+  const { amount } = req.body;
+  const userId = req.user.id;
 
-  if (!userId || !amount) {
+  if (!amount) {
     return res.status(400).json({
       error: {
         code: 'INVALID_REQUEST',
-        message: 'userId and amount are required'
+        message: 'amount is required'
       }
     });
   }
@@ -74,8 +114,8 @@ router.post('/withdraw', async (req, res) => {
 });
 
 // GET /api/wallet/balance - Get current balance
-router.get('/balance/:userId', (req, res) => {
-  const { userId } = req.params;
+router.get('/balance', (req, res) => {
+  const userId = req.user.id;
 
   try {
     const balance = getBalance(userId);
@@ -91,8 +131,8 @@ router.get('/balance/:userId', (req, res) => {
 });
 
 // GET /api/wallet/transactions - Get transaction history
-router.get('/transactions/:userId', (req, res) => {
-  const { userId } = req.params;
+router.get('/transactions', (req, res) => {
+  const userId = req.user.id;
 
   try {
     const transactions = getTransactionHistory(userId);
@@ -107,4 +147,67 @@ router.get('/transactions/:userId', (req, res) => {
   }
 });
 
+// GET /api/wallet/addresses - List linked wallet addresses
+router.get('/addresses', (req, res) => {
+  res.json({ addresses: getLinkedWallets(req.user.id) });
+});
+
+// POST /api/wallet/addresses - Link an address, proven by a signed SIWE message
+// (get the nonce from /api/auth/siwe/nonce in the same browser)
+router.post('/addresses', async (req, res) => {
+  const { message, signature, label } = req.body;
+
+  if (!message || !signature) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_REQUEST',
+        message: 'message and signature are required'
+      }
+    });
+  }
+
+  try {
+    const address = await verifySiweProof({
+      message,
+      signature,
+      domain: getSiweDomain(),
+      expectedNonce: readCookie(req, SIWE_NONCE_COOKIE)
+    });
+    const wallet = linkWallet(req.user.id, address, { label });
+    res.json({ wallet, addresses: getLinkedWallets(req.user.id) });
+  } catch (error) {
+    sendWalletError(res, error);
+  }
+});
+
+// PATCH /api/wallet/addresses/:address - Set or clear a label
+router.patch('/addresses/:address', (req, res) => {
+  try {
+    const wallet = labelWallet(req.user.id, req.params.address, req.body.label);
+    res.json({ wallet });
+  } catch (error) {
+    sendWalletError(res, error);
+  }
+});
+
+// POST /api/wallet/addresses/:address/primary - Make an address the primary one
+router.post('/addresses/:address/primary', (req, res) => {
+  try {
+    setPrimaryWallet(req.user.id, req.params.address);
+    res.json({ addresses: getLinkedWallets(req.user.id) });
+  } catch (error) {
+    sendWalletError(res, error);
+  }
+});
+
+// DELETE /api/wallet/addresses/:address - Unlink an address
+router.delete('/addresses/:address', (req, res) => {
+  try {
+    unlinkWallet(req.user.id, req.params.address);
+    res.json({ addresses: getLinkedWallets(req.user.id) });
+  } catch (error) {
+    sendWalletError(res, error);
+  }
+});
+
 export default router;
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import express from 'express';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createSiweMessage } from 'viem/siwe';
+
+vi.mock('../models/db.js', () => ({
+  getById: vi.fn((collection, id) => (id === 'user-1' ? { id: 'user-1', email: 'a@example.com' } : undefined))
+}));
+
+vi.mock('../services/sessionService.js', () => ({
+  SESSION_COOKIE: 'sauti_session',
+  verifySession: vi.fn((token) => (token === 'victim-session' ? { id: 's1', userId: 'user-1' } : null))
+}));
+
+vi.mock('../services/linkedWalletService.js', () => ({
+  getLinkedWallets: vi.fn(() => []),
+  linkWallet: vi.fn((userId, address) => ({ address })),
+  labelWallet: vi.fn(),
+  setPrimaryWallet: vi.fn(),
+  unlinkWallet: vi.fn(),
+  findUserIdByWallet: vi.fn(() => null)
+}));
+
+import { linkWallet, unlinkWallet } from '../services/linkedWalletService.js';
+import { createSiweNonce } from '../services/authService.js';
+import router from './wallet.js';
+
+const attacker = privateKeyToAccount(`0x${'22'.repeat(32)}`);
+const APP_ORIGIN = 'http://localhost:5173';
+
+// A SIWE proof signed by the attacker's own key, for a nonce the attacker fetched
+async function attackerProof() {
+  const message = createSiweMessage({
+    address: attacker.address,
+    chainId: 11155111,
+    domain: 'localhost:5173',
+    nonce: createSiweNonce(),
+    uri: APP_ORIGIN,
+    version: '1',
+    statement: 'Link this wallet to my Sauti Ledger account'
+  });
+  return { message, signature: await attacker.signMessage({ message }) };
+}
+
+describe('Wallet routes from another site', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/wallet', router);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/wallet`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should refuse a forged form post that links the attacker\'s wallet to the victim', async () => {
+    const res = await fetch(`${baseUrl}/addresses`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Cookie: 'sauti_session=victim-session',
+        Origin: 'https://evil.example.com'
+      },
+      body: new URLSearchParams(await attackerProof())
+    });
+
+    expect(res.status).toBe(403);
+    expect((await res.json()).error.code).toBe('FORBIDDEN_ORIGIN');
+    expect(linkWallet).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a proof signed for a nonce issued to another browser', async () => {
+    const res = await fetch(`${baseUrl}/addresses`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Cookie: `sauti_session=victim-session; sauti_siwe_nonce=${createSiweNonce()}`,
+        Origin: APP_ORIGIN
+      },
+      body: JSON.stringify(await attackerProof())
+    });
+
+    expect(res.status).toBe(401);
+    expect((await res.json()).error.code).toBe('INVALID_NONCE');
+    expect(linkWallet).not.toHaveBeenCalled();
+  });
+
+  it('should refuse other cookie-authenticated writes from another site', async () => {
+    const res = await fetch(`${baseUrl}/addresses/${attacker.address}`, {
+      method: 'DELETE',
+      headers: { Cookie: 'sauti_session=victim-session', Origin: 'https://evil.example.com' }
+    });
+
+    expect(res.status).toBe(403);
+    expect(unlinkWallet).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+import { fileURLToPath } from 'url';
+import { createAdapter, DEFAULT_PATHS } from '../models/db.js';
+
+// ============================================================================
+// Storage Migration CLI
+// ============================================================================
+// Copies every collection from one storage adapter to another.
+//
+//   npm run db:migrate-storage -- json-to-sqlite
+//   npm run db:migrate-storage -- sqlite-to-json --from ./old.sqlite --to ./database.json
+//
+// The target is replaced entirely, so stop the server before migrating.
+// ============================================================================
+
+const DIRECTIONS = {
+  'json-to-sqlite': ['json', 'sqlite'],
+  'sqlite-to-json': ['sqlite', 'json']
+};
+
+/**
+ * Copy all data from one adapter to another
+ * @param {Object} options - Migration options
+ * @param {string} options.from - Source adapter name ('json' or 'sqlite')
+ * @param {string} options.to - Target adapter name ('json' or 'sqlite')
+ * @param {string} options.fromPath - Optional source file path
+ * @param {string} options.toPath - Optional target file path
+ * @returns {Promise<Object>} Number of records copied per collection
+ */
+export async function migrateStorage({ from, to, fromPath, toPath }) {
+  const source = createAdapter(from, fromPath);
+  const target = createAdapter(to, toPath);
+
+  try {
+    const data = source.readAll();
+    target.replaceAll(data);
+    await target.flush();
+
+    const counts = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (Array.isArray(value)) counts[key] = value.length;
+    }
+    return counts;
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+function parseArgs(argv) {
+  const [direction, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    if (rest[i] === '--from') options.fromPath = rest[i + 1];
+    else if (rest[i] === '--to') options.toPath = rest[i + 1];
+    else throw new Error(`Unknown option: ${rest[i]}`);
+  }
+  return { direction, ...options };
+}
+
+async function main() {
+  const { direction, fromPath, toPath } = parseArgs(process.argv.slice(2));
+  const adapters = DIRECTIONS[direction];
+  if (!adapters) {
+    console.error(`Usage: npm run db:migrate-storage -- <${Object.keys(DIRECTIONS).join('|')}> [--from <path>] [--to <path>]`);
+    process.exit(1);
+  }
+
+  const [from, to] = adapters;
+  const source = fromPath || DEFAULT_PATHS[from];
+  const target = toPath || DEFAULT_PATHS[to];
+  console.log(`[DB] Migrating ${source} -> ${target}`);
+
+  const counts = await migrateStorage({ from, to, fromPath: source, toPath: target });
+  for (const [collection, count] of Object.entries(counts)) {
+    console.log(`[DB]   ${collection}: ${count} records`);
+  }
+  console.log('[DB] Migration complete');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('[DB] Migration failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { migrateStorage } from './migrateStorage.js';
+import { createAdapter } from '../models/db.js';
+
+describe('Storage Migration', () => {
+  let tempDir;
+  let jsonPath;
+  let sqlitePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sauti-migrate-'));
+    jsonPath = path.join(tempDir, 'database.json');
+    sqlitePath = path.join(tempDir, 'database.sqlite');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should copy every collection from JSON to SQLite and back unchanged', async () => {
+    const data = {
+      users: [{ id: 'u1', email: 'a@example.com', kycStatus: 'verified', walletBalance: 9999.8 }],
+      transactions: [],
+      wallets: [],
+      trades: [
+        { id: 't1', userId: 'u1', symbol: 'BTC', action: 'BUY', timestamp: '2025-01-01T00:00:00.000Z' },
+        { id: 't2', userId: 'u1', symbol: 'ETH', action: 'SELL', timestamp: '2025-01-02T00:00:00.000Z' }
+      ]
+    };
+    fs.writeFileSync(jsonPath, JSON.stringify(data));
+
+    const counts = await migrateStorage({ from: 'json', to: 'sqlite', fromPath: jsonPath, toPath: sqlitePath });
+    expect(counts).toEqual({ users: 1, transactions: 0, wallets: 0, trades: 2 });
+
+    const roundTripPath = path.join(tempDir, 'roundtrip.json');
+    await migrateStorage({ from: 'sqlite', to: 'json', fromPath: sqlitePath, toPath: roundTripPath });
+    expect(JSON.parse(fs.readFileSync(roundTripPath, 'utf8'))).toEqual(data);
+
+    const sqlite = createAdapter('sqlite', sqlitePath);
+    expect(sqlite.findBy('trades', 'userId', 'u1')).toHaveLength(2);
+    await sqlite.close();
+  });
+});
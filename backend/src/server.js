@@ -1,23 +1,23 @@
 import 'dotenv/config'; // Must be at the very top
+import http from 'http';
 import express from 'express';
 import cors from 'cors';
 
-// Import only the voice router (for /transcribe and /parse)
-import voiceRouter from './routes/voice.js';
+// Routers are declared and mounted by the module registry (see modules.js)
+import { mountModules } from './modules.js';
+import { getAllowedOrigins } from './middleware/origin.js';
+import { flushDB } from './models/db.js';
+import { getLlmUsage } from './services/llmService.js';
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
 // Configure CORS - allow frontend origins only (secure)
 const corsOptions = {
-  origin: [
-    'http://localhost:5173',           // Local Vite dev
-    'http://localhost:3000',           // Local backend test
-    /https:\/\/.*\.vercel\.app/,       // All Vercel previews
-    /https:\/\/.*\.netlify\.app/       // Netlify previews (if used)
-  ],
+  origin: getAllowedOrigins(),
   credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   maxAge: 86400
 };
@@ -36,34 +36,41 @@ app.use((req, res, next) => {
   next();
 });
 
+// Mount the enabled feature modules (and their WebSocket endpoints) before
+// the status and 404 handlers
+const modules = await mountModules(app, { server });
+const mountedModules = modules.filter(module => module.status === 'mounted');
+const unavailableModules = modules.filter(module => module.status === 'unavailable');
+
 // Root route - simple status
 app.get('/', (req, res) => {
   res.json({ 
     status: 'Sauti Ledger Backend Online',
     feature: 'Voice-Powered MNEE Transfers',
     version: '1.0.0',
+    modules: modules.map(({ name, path, status }) => ({ name, path, status })),
     timestamp: new Date().toISOString()
   });
 });
 
-// Health check
+// Health check (degraded when an enabled module could not start), with LLM
+// token usage since start-up
 app.get('/health', (req, res) => {
   res.json({ 
-    status: 'healthy',
+    status: unavailableModules.length > 0 ? 'degraded' : 'healthy',
     uptime: process.uptime(),
+    modules,
+    llm: getLlmUsage(),
     timestamp: new Date().toISOString()
   });
 });
 
-// Only voice route (transcribe + parse)
-app.use('/api/voice', voiceRouter);
-
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ 
     error: 'Not Found',
     message: `Cannot ${req.method} ${req.path}`,
-    availableEndpoints: ['/api/voice/transcribe', '/api/voice/parse']
+    availableEndpoints: mountedModules.flatMap(module => module.endpoints)
   });
 });
 
@@ -77,19 +84,21 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🎤 Sauti Ledger Backend running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Allowed origins: localhost, vercel.app previews`);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
+// Graceful shutdown (flush pending database writes first)
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received: closing server');
+  await flushDB();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received: closing server');
+  await flushDB();
   process.exit(0);
 });
\ No newline at end of file
@@ -1,5 +1,6 @@
 import axios from 'axios';
-import { VertexAI } from '@google-cloud/vertexai';
+import { getTicker } from './marketDataService.js';
+import { generateText, parseJsonText } from './llmService.js';
 
 // ============================================================================
 // SYSTEM CONTEXT - Self-Awareness Configuration
@@ -30,19 +31,6 @@ Instructions:
 - When asked about markets, incorporate provided news context and technical analysis
 - Maintain a balance between professionalism and the spooky Halloween theme`;
 
-// ============================================================================
-// Vertex AI Configuration
-// ============================================================================
-
-const vertexAI = new VertexAI({
-  project: process.env.GOOGLE_PROJECT_ID || 'kaseddie-ai',
-  location: 'us-central1'
-});
-
-const model = vertexAI.preview.getGenerativeModel({
-  model: 'gemini-1.5-flash-001'
-});
-
 // ============================================================================
 // News API Configuration
 // ============================================================================
@@ -50,61 +38,6 @@ const model = vertexAI.preview.getGenerativeModel({
 const NEWS_API_KEY = process.env.NEWS_API_KEY;
 const NEWS_API_URL = 'https://newsdata.io/api/1/news';
 
-// ============================================================================
-// Helper Functions
-// ============================================================================
-
-/**
- * Retry AI generation with exponential backoff strategy
- * Implements resilient error handling for API rate limits and transient failures
- * 
- * @param {string} prompt - The prompt to send to the AI model
- * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
- * @returns {Promise<Object>} AI response object
- * @throws {Error} If all retry attempts fail
- */
-async function generateWithRetry(prompt, maxRetries = 3) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`[AI Service] Generation attempt ${attempt}/${maxRetries}`);
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response;
-    } catch (error) {
-      lastError = error;
-      console.error(`[AI Service] Attempt ${attempt} failed:`, error.message);
-      
-      if (attempt < maxRetries) {
-        const waitTime = 1000 * attempt; // Exponential backoff: 1s, 2s, 3s
-        console.log(`[AI Service] Retrying in ${waitTime}ms...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
-    }
-  }
-  
-  throw new Error(`AI generation failed after ${maxRetries} attempts: ${lastError.message}`);
-}
-
-/**
- * Safely extract text from Vertex AI response object
- * Handles various response formats and provides fallback messaging
- * 
- * @param {Object} response - Vertex AI response object
- * @returns {string} Extracted text or fallback message
- */
-function extractText(response) {
-  try {
-    if (response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      return response.candidates[0].content.parts[0].text;
-    }
-  } catch (error) {
-    console.error('[AI Service] Response parsing error:', error);
-  }
-  return 'Unable to generate response. Please try again.';
-}
-
 // ============================================================================
 // News Data Service
 // ============================================================================
@@ -194,10 +127,16 @@ export async function getTradeAnalysis(symbol) {
   try {
     console.log(`[Trade Analysis] Starting analysis for ${symbol}`);
     
-    // Step 1: Fetch real-time news data
+    // Step 1: Fetch real-time news data and the current price from the shared market data service
     const newsArticles = await fetchRealTimeNews(symbol);
+    let marketData = null;
+    try {
+      marketData = await getTicker(symbol);
+    } catch (marketError) {
+      console.warn(`[Trade Analysis] Market data unavailable for ${symbol}:`, marketError.message);
+    }
     
-    // Step 2: Format news context for AI prompt
+    // Step 2: Format news and market context for AI prompt
     let newsContext = '';
     if (newsArticles.length > 0) {
       newsContext = '\n\nLatest News Headlines:\n';
@@ -213,13 +152,18 @@ export async function getTradeAnalysis(symbol) {
       console.log(`[Trade Analysis] No news data available, using technical analysis only`);
     }
 
+    let marketContext = '';
+    if (marketData) {
+      marketContext = `\n\nCurrent Market Data:\n- Price: $${marketData.price}\n- 24h Change: ${marketData.change}%\n- 24h Volume: ${marketData.volume}\n- 24h Range: $${marketData.low} - $${marketData.high}\n`;
+    }
+
     // Step 3: Construct AI analysis prompt
     const prompt = `${SYSTEM_CONTEXT}
 
 Task: Analyze ${symbol} cryptocurrency for trading opportunities.
 
-Analyze ${symbol} cryptocurrency for trading based on the following real-time news:
-${newsContext}
+Analyze ${symbol} cryptocurrency for trading based on the following real-time news and market data:
+${newsContext}${marketContext}
 
 Provide a comprehensive trading analysis in the following JSON format:
 {
@@ -242,26 +186,12 @@ Consider:
 
 Respond ONLY with valid JSON, no additional text.`;
 
-    // Step 4: Generate AI analysis with retry logic
-    const response = await generateWithRetry(prompt);
-    const text = extractText(response);
+    // Step 4: Generate AI analysis (JSON mode, with retries and a timeout)
+    const { text } = await generateText(prompt, { task: 'trade-analysis', json: true });
     
     // Step 5: Parse and validate AI response
     try {
-      // Clean markdown formatting from response
-      let jsonText = text.trim();
-      const jsonMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/) || jsonText.match(/```\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[1];
-      }
-      
-      // Extract JSON object from text
-      const jsonObjectMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        jsonText = jsonObjectMatch[0];
-      }
-      
-      const analysis = JSON.parse(jsonText);
+      const analysis = parseJsonText(text);
       
       console.log(`[Trade Analysis] Successfully parsed analysis for ${symbol}: ${analysis.decision}`);
       
@@ -276,7 +206,8 @@ Respond ONLY with valid JSON, no additional text.`;
         newsImpact: analysis.newsImpact || 'Limited news data available',
         timeframe: analysis.timeframe || 'Short-term (1-7 days)',
         timestamp: new Date().toISOString(),
-        newsCount: newsArticles.length
+        newsCount: newsArticles.length,
+        marketData
       };
       
     } catch (parseError) {
@@ -296,6 +227,7 @@ Respond ONLY with valid JSON, no additional text.`;
         timeframe: 'Short-term (1-7 days)',
         timestamp: new Date().toISOString(),
         newsCount: newsArticles.length,
+        marketData,
         rawResponse: text
       };
     }
@@ -500,8 +432,7 @@ Answer the question clearly and professionally.
 - Be concise but informative.`;
     
     // Step 4: Generate AI response
-    const response = await generateWithRetry(prompt);
-    const text = extractText(response);
+    const { text } = await generateText(prompt, { task: 'knowledge' });
     
     console.log(`[Knowledge Service] Response generated successfully`);
     return text;
@@ -546,8 +477,7 @@ Provide recommendations for:
 
 Format your response in clear sections with actionable advice.`;
     
-    const response = await generateWithRetry(prompt);
-    const text = extractText(response);
+    const { text } = await generateText(prompt, { task: 'strategy' });
     
     return {
       strategy: text,
@@ -0,0 +1,401 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runCommand } from './speech/commands.js';
+
+// ============================================================================
+// Audio Format Detection
+// ============================================================================
+// Uploads are identified by their magic bytes, not by what the client claims.
+// Sample rate and channel count come from the container headers:
+//   WAV  - the `fmt ` chunk
+//   FLAC - the STREAMINFO block
+//   Ogg  - the first packet (OpusHead / Vorbis identification header)
+//   WebM - the EBML Tracks element (CodecID, SamplingFrequency, Channels)
+// Audio the recognizer cannot take as-is is converted with ffmpeg
+// (FFMPEG_BIN) to the canonical format: 16 kHz mono 16-bit PCM WAV.
+//
+// Failures throw code INVALID_AUDIO with a `reason`:
+//   EMPTY, MALFORMED_HEADER, NO_AUDIO_TRACK, UNSUPPORTED_FORMAT, UNDECODABLE
+// ============================================================================
+
+export const CANONICAL_FORMAT = {
+  encoding: 'LINEAR16',
+  sampleRateHertz: 16000,
+  audioChannelCount: 1
+};
+
+// Headerless encodings a client may declare explicitly (x-audio-encoding)
+const RAW_ENCODINGS = new Set(['LINEAR16', 'MULAW']);
+
+// Sample rates Google accepts for Opus; Opus always decodes at 48 kHz
+const OPUS_SAMPLE_RATES = new Set([8000, 12000, 16000, 24000, 48000]);
+
+function audioError(reason, message) {
+  const error = new Error(message);
+  error.code = 'INVALID_AUDIO';
+  error.reason = reason;
+  return error;
+}
+
+function opusFormat(container, sampleRateHertz, channels) {
+  return {
+    container,
+    codec: 'opus',
+    sampleRateHertz: OPUS_SAMPLE_RATES.has(sampleRateHertz) ? sampleRateHertz : 48000,
+    channels,
+    encoding: container === 'ogg' ? 'OGG_OPUS' : 'WEBM_OPUS'
+  };
+}
+
+// ============================================================================
+// WAV (RIFF)
+// ============================================================================
+
+const WAVE_FORMATS = {
+  0x0001: 'pcm',
+  0x0003: 'float',
+  0x0006: 'alaw',
+  0x0007: 'mulaw'
+};
+
+function parseWav(buffer) {
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ') {
+      if (chunkSize < 16 || offset + 24 > buffer.length) {
+        throw audioError('MALFORMED_HEADER', 'WAV fmt chunk is truncated');
+      }
+      let formatTag = buffer.readUInt16LE(offset + 8);
+      const channels = buffer.readUInt16LE(offset + 10);
+      const sampleRateHertz = buffer.readUInt32LE(offset + 12);
+      const bitsPerSample = buffer.readUInt16LE(offset + 22);
+
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (formatTag === 0xFFFE && chunkSize >= 40 && offset + 34 <= buffer.length) {
+        formatTag = buffer.readUInt16LE(offset + 32);
+      }
+
+      const kind = WAVE_FORMATS[formatTag] || `format-${formatTag}`;
+      const codec = kind === 'pcm' ? `pcm_s${bitsPerSample}le` : kind;
+      const encoding = codec === 'pcm_s16le' ? 'LINEAR16' : codec === 'mulaw' ? 'MULAW' : null;
+      return { container: 'wav', codec, sampleRateHertz, channels, bitsPerSample, encoding };
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  throw audioError('MALFORMED_HEADER', 'WAV file has no fmt chunk');
+}
+
+/**
+ * Locate the sample data of a WAV file
+ * @param {Buffer} buffer - RIFF/WAVE file
+ * @returns {Buffer|null} The `data` chunk (clamped to the buffer), or null if there is none
+ */
+export function findWavData(buffer) {
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkId === 'data') {
+      return buffer.subarray(offset + 8, Math.min(offset + 8 + chunkSize, buffer.length));
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+// ============================================================================
+// FLAC
+// ============================================================================
+
+// STREAMINFO packs rate (20 bits), channels - 1 (3 bits), bits - 1 (5 bits)
+function parseStreamInfo(buffer, offset) {
+  if (offset + 14 > buffer.length) {
+    throw audioError('MALFORMED_HEADER', 'FLAC STREAMINFO block is truncated');
+  }
+  const sampleRateHertz = (buffer[offset + 10] << 12) | (buffer[offset + 11] << 4) | (buffer[offset + 12] >> 4);
+  const channels = ((buffer[offset + 12] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((buffer[offset + 12] & 0x01) << 4) | (buffer[offset + 13] >> 4)) + 1;
+  return { sampleRateHertz, channels, bitsPerSample };
+}
+
+function parseFlac(buffer) {
+  // "fLaC", then the first metadata block header (type 0 is STREAMINFO)
+  if (buffer.length < 8 || (buffer[4] & 0x7F) !== 0) {
+    throw audioError('MALFORMED_HEADER', 'FLAC file does not start with STREAMINFO');
+  }
+  return { container: 'flac', codec: 'flac', ...parseStreamInfo(buffer, 8), encoding: 'FLAC' };
+}
+
+// ============================================================================
+// Ogg
+// ============================================================================
+
+function parseOgg(buffer) {
+  if (buffer.length < 27) {
+    throw audioError('MALFORMED_HEADER', 'Ogg page header is truncated');
+  }
+  // The first packet starts after the 27-byte page header and the segment table
+  const packet = buffer.subarray(27 + buffer[26]);
+
+  if (packet.toString('ascii', 0, 8) === 'OpusHead' && packet.length >= 16) {
+    return opusFormat('ogg', packet.readUInt32LE(12), packet[9]);
+  }
+  if (packet[0] === 0x01 && packet.toString('ascii', 1, 7) === 'vorbis' && packet.length >= 16) {
+    return { container: 'ogg', codec: 'vorbis', sampleRateHertz: packet.readUInt32LE(12), channels: packet[11], encoding: null };
+  }
+  if (packet[0] === 0x7F && packet.toString('ascii', 1, 5) === 'FLAC') {
+    // Ogg FLAC mapping header (9 bytes), then "fLaC" and the STREAMINFO block
+    return { container: 'ogg', codec: 'flac', ...parseStreamInfo(packet, 17), encoding: null };
+  }
+  return { container: 'ogg', codec: 'unknown', sampleRateHertz: null, channels: null, encoding: null };
+}
+
+// ============================================================================
+// WebM / Matroska (EBML)
+// ============================================================================
+
+const EBML_IDS = {
+  EBML: 0x1A45DFA3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Cluster: 0x1F43B675,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Audio: 0xE1,
+  SamplingFrequency: 0xB5,
+  Channels: 0x9F
+};
+
+// Elements whose children are read; everything else is skipped
+const EBML_MASTERS = new Set([EBML_IDS.EBML, EBML_IDS.Segment, EBML_IDS.Tracks, EBML_IDS.TrackEntry, EBML_IDS.Audio]);
+
+const AUDIO_TRACK = 2;
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Position of the first byte
+ * @param {boolean} keepMarker - True for element IDs, which keep the length marker
+ * @returns {Object|null} { value, length, unknown } or null if truncated/invalid
+ */
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  const mask = 0xFF >> length;
+  let value = keepMarker ? first : first & mask;
+  let allOnes = (first & mask) === mask;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xFF;
+  }
+  // A size with every value bit set means "unknown" (live MediaRecorder streams)
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readUnsigned(buffer, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + buffer[i];
+  return value;
+}
+
+/**
+ * Walk EBML elements until the first Cluster, collecting the document type
+ * and the first audio track
+ */
+function walkEbml(buffer, start, end, state, track = null) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) return false;
+
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+
+    if (id.value === EBML_IDS.Cluster) return false;
+
+    if (EBML_MASTERS.has(id.value)) {
+      const entry = id.value === EBML_IDS.TrackEntry ? {} : track;
+      if (walkEbml(buffer, dataStart, dataEnd, state, entry) === false) return false;
+      if (id.value === EBML_IDS.TrackEntry && !state.track && (entry.type === AUDIO_TRACK || entry.codecId?.startsWith('A_'))) {
+        state.track = entry;
+      }
+    } else if (size.unknown) {
+      return false;
+    } else if (id.value === EBML_IDS.DocType) {
+      state.docType = buffer.toString('ascii', dataStart, dataEnd);
+    } else if (track && id.value === EBML_IDS.CodecID) {
+      track.codecId = buffer.toString('ascii', dataStart, dataEnd).replace(/\0+$/, '');
+    } else if (track && id.value === EBML_IDS.TrackType) {
+      track.type = readUnsigned(buffer, dataStart, dataEnd);
+    } else if (track && id.value === EBML_IDS.Channels) {
+      track.channels = readUnsigned(buffer, dataStart, dataEnd);
+    } else if (track && id.value === EBML_IDS.SamplingFrequency) {
+      const length = dataEnd - dataStart;
+      track.sampleRateHertz = Math.round(length === 4 ? buffer.readFloatBE(dataStart) : length === 8 ? buffer.readDoubleBE(dataStart) : 0) || null;
+    }
+
+    offset = dataEnd;
+  }
+  return true;
+}
+
+function parseWebm(buffer) {
+  const state = { docType: null, track: null };
+  walkEbml(buffer, 0, buffer.length, state);
+
+  const container = state.docType === 'matroska' ? 'matroska' : 'webm';
+  if (!state.track?.codecId) {
+    throw audioError('NO_AUDIO_TRACK', `${container === 'webm' ? 'WebM' : 'Matroska'} file has no audio track`);
+  }
+
+  const { codecId, sampleRateHertz = null, channels = 1 } = state.track;
+  if (codecId === 'A_OPUS') {
+    return opusFormat(container, sampleRateHertz, channels);
+  }
+  return {
+    container,
+    codec: codecId.replace(/^A_/, '').toLowerCase(),
+    sampleRateHertz,
+    channels,
+    encoding: null
+  };
+}
+
+// ============================================================================
+// Detection and Conversion
+// ============================================================================
+
+/**
+ * Identify an audio file from its magic bytes and read its stream parameters
+ * @param {Buffer} buffer - Audio data
+ * @returns {Object|null} { container, codec, sampleRateHertz, channels, encoding }
+ *   where encoding is the recognizer encoding, or null when the audio has to
+ *   be converted first. Null when the format is not recognised.
+ */
+export function detectAudioFormat(buffer) {
+  const magic = (start, end) => buffer.toString('ascii', start, end);
+
+  if (buffer.length >= 12 && magic(0, 4) === 'RIFF' && magic(8, 12) === 'WAVE') {
+    return parseWav(buffer);
+  }
+  if (magic(0, 4) === 'fLaC') {
+    return parseFlac(buffer);
+  }
+  if (magic(0, 4) === 'OggS') {
+    return parseOgg(buffer);
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === EBML_IDS.EBML) {
+    return parseWebm(buffer);
+  }
+  if (magic(0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) {
+    return { container: 'mp3', codec: 'mp3', sampleRateHertz: null, channels: null, encoding: null };
+  }
+  if (magic(4, 8) === 'ftyp') {
+    return { container: 'mp4', codec: 'unknown', sampleRateHertz: null, channels: null, encoding: null };
+  }
+  return null;
+}
+
+/**
+ * Convert any audio ffmpeg can decode to the canonical WAV format
+ * @param {Buffer} buffer - Audio data
+ * @param {Object} options - { ffmpegBinary, run, timeout }
+ * @returns {Promise<Buffer>} 16 kHz mono 16-bit PCM WAV
+ */
+export async function transcodeToCanonical(buffer, {
+  ffmpegBinary = process.env.FFMPEG_BIN || 'ffmpeg',
+  run = runCommand,
+  timeout = 30000
+} = {}) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sauti-audio-'));
+  const inputPath = path.join(workDir, 'input');
+  const outputPath = path.join(workDir, 'audio.wav');
+
+  try {
+    await fs.writeFile(inputPath, buffer);
+    await run(ffmpegBinary, [
+      '-y', '-loglevel', 'error',
+      '-i', inputPath,
+      '-ar', String(CANONICAL_FORMAT.sampleRateHertz),
+      '-ac', String(CANONICAL_FORMAT.audioChannelCount),
+      '-c:a', 'pcm_s16le',
+      '-f', 'wav', outputPath
+    ], { timeout });
+    return await fs.readFile(outputPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' && error.path !== outputPath) {
+      console.error(`[Audio] ${ffmpegBinary} is not installed; cannot convert audio`);
+      throw audioError('UNSUPPORTED_FORMAT', 'This audio format cannot be converted on this server. Send WAV, FLAC, Ogg Opus or WebM Opus audio.');
+    }
+    console.error('[Audio] Conversion failed:', error.message);
+    throw audioError('UNDECODABLE', 'Audio could not be decoded. The file may be corrupt or in an unsupported format.');
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Work out how to send an upload to the recognizer. The detected format wins
+ * over what the client declared; the declared encoding is only used for
+ * headerless PCM. Anything the recognizer cannot take as-is is converted.
+ *
+ * @param {Buffer} buffer - Uploaded audio
+ * @param {Object} declared - Client-declared { encoding, sampleRateHertz, languageCode }
+ * @param {Object} deps - { transcode } converter (defaults to ffmpeg)
+ * @returns {Promise<Object>} { audio, options, format, transcoded }
+ */
+export async function prepareAudio(buffer, declared = {}, { transcode = transcodeToCanonical } = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw audioError('EMPTY', 'Audio data is empty');
+  }
+
+  const languageCode = declared.languageCode || 'en-US';
+  const format = detectAudioFormat(buffer);
+
+  if (!format && RAW_ENCODINGS.has(declared.encoding)) {
+    return {
+      audio: buffer,
+      options: { encoding: declared.encoding, sampleRateHertz: declared.sampleRateHertz || 16000, languageCode },
+      format: { container: 'raw', codec: declared.encoding.toLowerCase(), sampleRateHertz: declared.sampleRateHertz || 16000, channels: 1, encoding: declared.encoding },
+      transcoded: false
+    };
+  }
+
+  if (format?.encoding) {
+    if (declared.encoding && declared.encoding !== format.encoding) {
+      console.warn(`[Audio] Client declared ${declared.encoding} but sent ${format.container}/${format.codec}; using the detected format`);
+    }
+    return {
+      audio: buffer,
+      options: {
+        encoding: format.encoding,
+        sampleRateHertz: format.sampleRateHertz,
+        languageCode,
+        ...(format.channels > 1 && { audioChannelCount: format.channels })
+      },
+      format,
+      transcoded: false
+    };
+  }
+
+  const detected = format || { container: 'unknown', codec: 'unknown', sampleRateHertz: null, channels: null, encoding: null };
+  console.log(`[Audio] Converting ${detected.container}/${detected.codec} to 16 kHz mono WAV`);
+  return {
+    audio: await transcode(buffer),
+    options: { ...CANONICAL_FORMAT, languageCode },
+    format: detected,
+    transcoded: true
+  };
+}
@@ -0,0 +1,232 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import fs from 'fs';
+import { detectAudioFormat, prepareAudio, transcodeToCanonical, CANONICAL_FORMAT } from './audioFormatService.js';
+
+// ============================================================================
+// Header builders
+// ============================================================================
+
+function wavHeader({ formatTag = 1, channels = 1, sampleRate = 16000, bitsPerSample = 16, dataBytes = 64 } = {}) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(formatTag, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bitsPerSample / 8, 28);
+  header.writeUInt16LE(channels * bitsPerSample / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return Buffer.concat([header, Buffer.alloc(dataBytes)]);
+}
+
+function streamInfo({ sampleRate, channels, bitsPerSample }) {
+  const info = Buffer.alloc(34);
+  info[10] = (sampleRate >> 12) & 0xFF;
+  info[11] = (sampleRate >> 4) & 0xFF;
+  info[12] = ((sampleRate & 0x0F) << 4) | ((channels - 1) << 1) | ((bitsPerSample - 1) >> 4);
+  info[13] = ((bitsPerSample - 1) & 0x0F) << 4;
+  return info;
+}
+
+function flacFile(params) {
+  return Buffer.concat([Buffer.from('fLaC'), Buffer.from([0x80, 0, 0, 34]), streamInfo(params)]);
+}
+
+function oggPage(packet) {
+  const header = Buffer.alloc(28);
+  header.write('OggS', 0, 'ascii');
+  header[26] = 1;
+  header[27] = packet.length;
+  return Buffer.concat([header, packet]);
+}
+
+function opusHead({ channels = 1, inputSampleRate = 48000 } = {}) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1;
+  head[9] = channels;
+  head.writeUInt32LE(inputSampleRate, 12);
+  return head;
+}
+
+function vorbisHead({ channels = 2, sampleRate = 44100 } = {}) {
+  const head = Buffer.alloc(30);
+  head[0] = 0x01;
+  head.write('vorbis', 1, 'ascii');
+  head[11] = channels;
+  head.writeUInt32LE(sampleRate, 12);
+  return head;
+}
+
+// EBML element with a 1-byte size (or the 8-byte "unknown size" marker)
+function ebml(id, data, { unknownSize = false } = {}) {
+  const hex = id.toString(16);
+  const idBytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const size = unknownSize ? Buffer.from('01ffffffffffffff', 'hex') : Buffer.from([0x80 | data.length]);
+  return Buffer.concat([idBytes, size, data]);
+}
+
+function webmFile({ codecId = 'A_OPUS', sampleRate = 48000, channels = 1, docType = 'webm', withAudio = true } = {}) {
+  const frequency = Buffer.alloc(8);
+  frequency.writeDoubleBE(sampleRate);
+  const audio = ebml(0xE1, Buffer.concat([ebml(0xB5, frequency), ebml(0x9F, Buffer.from([channels]))]));
+  const trackEntry = withAudio
+    ? ebml(0xAE, Buffer.concat([ebml(0x83, Buffer.from([2])), ebml(0x86, Buffer.from(codecId)), audio]))
+    : ebml(0xAE, Buffer.concat([ebml(0x83, Buffer.from([1])), ebml(0x86, Buffer.from('V_VP8'))]));
+  const header = ebml(0x1A45DFA3, ebml(0x4282, Buffer.from(docType)));
+  const segment = ebml(0x18538067, Buffer.concat([
+    ebml(0x1654AE6B, trackEntry),
+    ebml(0x1F43B675, Buffer.from([0xE7, 0x81, 0x00]), { unknownSize: true })
+  ]), { unknownSize: true });
+  return Buffer.concat([header, segment]);
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+
+describe('Audio Format Service', () => {
+  describe('detectAudioFormat', () => {
+    it('should read sample rate, channels and bit depth from the WAV fmt chunk', () => {
+      expect(detectAudioFormat(wavHeader({ sampleRate: 44100, channels: 2 }))).toEqual({
+        container: 'wav', codec: 'pcm_s16le', sampleRateHertz: 44100, channels: 2, bitsPerSample: 16, encoding: 'LINEAR16'
+      });
+      expect(detectAudioFormat(wavHeader({ formatTag: 7, bitsPerSample: 8, sampleRate: 8000 }))).toMatchObject({ codec: 'mulaw', encoding: 'MULAW' });
+      expect(detectAudioFormat(wavHeader({ formatTag: 3, bitsPerSample: 32 }))).toMatchObject({ codec: 'float', encoding: null });
+    });
+
+    it('should round-trip any FLAC STREAMINFO parameters', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 655350 }),
+          fc.integer({ min: 1, max: 8 }),
+          fc.integer({ min: 4, max: 32 }),
+          (sampleRate, channels, bitsPerSample) => {
+            expect(detectAudioFormat(flacFile({ sampleRate, channels, bitsPerSample }))).toEqual({
+              container: 'flac', codec: 'flac', sampleRateHertz: sampleRate, channels, bitsPerSample, encoding: 'FLAC'
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should identify Opus and Vorbis in Ogg from the first packet', () => {
+      expect(detectAudioFormat(oggPage(opusHead({ channels: 2, inputSampleRate: 16000 })))).toEqual({
+        container: 'ogg', codec: 'opus', sampleRateHertz: 16000, channels: 2, encoding: 'OGG_OPUS'
+      });
+      // Opus decodes at 48 kHz when the original rate is not one Google accepts
+      expect(detectAudioFormat(oggPage(opusHead({ inputSampleRate: 44100 })))).toMatchObject({ sampleRateHertz: 48000 });
+      expect(detectAudioFormat(oggPage(vorbisHead()))).toEqual({
+        container: 'ogg', codec: 'vorbis', sampleRateHertz: 44100, channels: 2, encoding: null
+      });
+    });
+
+    it('should read the audio track of a MediaRecorder-style WebM stream', () => {
+      expect(detectAudioFormat(webmFile({ sampleRate: 48000, channels: 1 }))).toEqual({
+        container: 'webm', codec: 'opus', sampleRateHertz: 48000, channels: 1, encoding: 'WEBM_OPUS'
+      });
+      expect(detectAudioFormat(webmFile({ codecId: 'A_VORBIS', docType: 'matroska', sampleRate: 22050 }))).toEqual({
+        container: 'matroska', codec: 'vorbis', sampleRateHertz: 22050, channels: 1, encoding: null
+      });
+    });
+
+    it('should recognise MP3 and MP4 as needing conversion, and return null for unknown data', () => {
+      expect(detectAudioFormat(Buffer.from('ID3\x04\x00rest', 'binary'))).toMatchObject({ container: 'mp3', encoding: null });
+      expect(detectAudioFormat(Buffer.from('\x00\x00\x00\x18ftypM4A ', 'binary'))).toMatchObject({ container: 'mp4', encoding: null });
+      expect(detectAudioFormat(Buffer.from('just some bytes'))).toBeNull();
+    });
+
+    it('should reject malformed headers with a specific reason', () => {
+      const noFmt = Buffer.concat([Buffer.from('RIFF\x04\x00\x00\x00WAVE', 'binary'), Buffer.from('data\x00\x00\x00\x00', 'binary')]);
+
+      expect(() => detectAudioFormat(noFmt)).toThrow(expect.objectContaining({ code: 'INVALID_AUDIO', reason: 'MALFORMED_HEADER' }));
+      expect(() => detectAudioFormat(Buffer.from('fLaC'))).toThrow(expect.objectContaining({ reason: 'MALFORMED_HEADER' }));
+      expect(() => detectAudioFormat(webmFile({ withAudio: false }))).toThrow(expect.objectContaining({ reason: 'NO_AUDIO_TRACK' }));
+    });
+
+    it('should never throw anything but INVALID_AUDIO on arbitrary bytes after a known magic', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('RIFF\x00\x00\x00\x00WAVE', 'fLaC', 'OggS', '\x1a\x45\xdf\xa3'),
+          fc.uint8Array({ maxLength: 200 }),
+          (magic, rest) => {
+            try {
+              detectAudioFormat(Buffer.concat([Buffer.from(magic, 'binary'), Buffer.from(rest)]));
+            } catch (error) {
+              expect(error.code).toBe('INVALID_AUDIO');
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+
+  describe('prepareAudio', () => {
+    it('should trust the detected format over a wrong client hint', async () => {
+      const transcode = vi.fn();
+      const wav = wavHeader({ sampleRate: 8000, channels: 2 });
+
+      const prepared = await prepareAudio(wav, { encoding: 'WEBM_OPUS', sampleRateHertz: 48000, languageCode: 'sw-KE' }, { transcode });
+
+      expect(prepared.audio).toBe(wav);
+      expect(prepared.transcoded).toBe(false);
+      expect(prepared.options).toEqual({ encoding: 'LINEAR16', sampleRateHertz: 8000, languageCode: 'sw-KE', audioChannelCount: 2 });
+      expect(transcode).not.toHaveBeenCalled();
+    });
+
+    it('should convert formats the recognizer cannot take to canonical WAV', async () => {
+      const converted = wavHeader();
+      const transcode = vi.fn(async () => converted);
+
+      const prepared = await prepareAudio(oggPage(vorbisHead()), {}, { transcode });
+
+      expect(prepared).toMatchObject({ audio: converted, transcoded: true, format: { codec: 'vorbis' } });
+      expect(prepared.options).toEqual({ ...CANONICAL_FORMAT, languageCode: 'en-US' });
+    });
+
+    it('should pass declared headerless PCM through and convert other unknown data', async () => {
+      const transcode = vi.fn(async () => wavHeader());
+      const pcm = Buffer.alloc(3200);
+
+      const raw = await prepareAudio(pcm, { encoding: 'LINEAR16', sampleRateHertz: 8000 }, { transcode });
+      expect(raw.options).toMatchObject({ encoding: 'LINEAR16', sampleRateHertz: 8000 });
+      expect(transcode).not.toHaveBeenCalled();
+
+      const unknown = await prepareAudio(pcm, { encoding: 'WEBM_OPUS' }, { transcode });
+      expect(unknown).toMatchObject({ transcoded: true, format: { container: 'unknown' } });
+    });
+
+    it('should reject empty uploads', async () => {
+      await expect(prepareAudio(Buffer.alloc(0))).rejects.toMatchObject({ code: 'INVALID_AUDIO', reason: 'EMPTY' });
+    });
+  });
+
+  describe('transcodeToCanonical', () => {
+    it('should run ffmpeg and return the converted file', async () => {
+      const run = vi.fn(async (file, args) => fs.writeFileSync(args.at(-1), 'converted'));
+
+      const output = await transcodeToCanonical(Buffer.from('mp3 data'), { run, ffmpegBinary: 'ffmpeg' });
+
+      expect(output.toString()).toBe('converted');
+      expect(run.mock.calls[0][1]).toEqual(expect.arrayContaining(['-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le']));
+    });
+
+    it('should explain whether conversion is unavailable or the audio is undecodable', async () => {
+      const missing = Object.assign(new Error('spawn ffmpeg ENOENT'), { code: 'ENOENT', path: 'ffmpeg' });
+      const corrupt = Object.assign(new Error('Invalid data found when processing input'), { code: 1 });
+
+      await expect(transcodeToCanonical(Buffer.from('x'), { run: vi.fn(async () => { throw missing; }) }))
+        .rejects.toMatchObject({ code: 'INVALID_AUDIO', reason: 'UNSUPPORTED_FORMAT' });
+      await expect(transcodeToCanonical(Buffer.from('x'), { run: vi.fn(async () => { throw corrupt; }) }))
+        .rejects.toMatchObject({ code: 'INVALID_AUDIO', reason: 'UNDECODABLE' });
+    });
+  });
+});
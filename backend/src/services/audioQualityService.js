@@ -0,0 +1,291 @@
+import { detectAudioFormat, findWavData } from './audioFormatService.js';
+
+// ============================================================================
+// Audio Quality Analysis
+// ============================================================================
+// PCM audio (WAV, or headerless LINEAR16/MULAW) is decoded, mixed to mono and
+// measured in 20 ms frames before it is sent to a recognizer:
+//   durationSeconds, rmsDbfs, peakDbfs  - length and loudness
+//   silenceRatio                        - share of frames below SILENCE_DBFS
+//   clippingRatio                       - share of samples at full scale
+//   snrDb                               - loudest vs quietest 10% of frames
+// Leading and trailing silence is trimmed (keeping TRIM_PADDING_SECONDS).
+// Compressed audio (FLAC, Opus) is not analysed and passes through as-is.
+//
+// Rejections carry a `reason`:
+//   TOO_SHORT, TOO_QUIET, MOSTLY_SILENCE, CLIPPED, NOISY
+// ============================================================================
+
+const FRAME_SECONDS = 0.02;
+const TRIM_PADDING_SECONDS = 0.2;
+
+// Frames quieter than this count as silence
+const SILENCE_DBFS = -45;
+
+// Decibel floor for digital silence, so metrics stay finite
+const MIN_DBFS = -100;
+
+// Samples this close to full scale count as clipped
+const CLIP_LEVEL = 0.99;
+
+export const QUALITY_THRESHOLDS = {
+  minDurationSeconds: 0.3,
+  minSpeechSeconds: 0.25,
+  maxSilenceRatio: 0.9,
+  minLevelDbfs: -40,
+  maxClippingRatio: 0.02,
+  minSnrDb: 10
+};
+
+// ============================================================================
+// PCM Decoding
+// ============================================================================
+
+function decodeMulaw(byte) {
+  const value = ~byte & 0xFF;
+  const magnitude = ((((value & 0x0F) << 3) + 0x84) << ((value & 0x70) >> 4)) - 0x84;
+  return (value & 0x80 ? -magnitude : magnitude) / 32768;
+}
+
+function decodeAlaw(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value & 0x70) >> 4;
+  let magnitude = (value & 0x0F) << 4;
+  magnitude = exponent === 0 ? magnitude + 8 : (magnitude + 0x108) << (exponent - 1);
+  return (value & 0x80 ? magnitude : -magnitude) / 32768;
+}
+
+// Sample readers by codec, each returning a value in [-1, 1]
+function sampleReader(codec, bitsPerSample) {
+  if (codec === 'mulaw') return { bytes: 1, read: (data, offset) => decodeMulaw(data[offset]) };
+  if (codec === 'alaw') return { bytes: 1, read: (data, offset) => decodeAlaw(data[offset]) };
+  if (codec === 'float' && bitsPerSample === 32) return { bytes: 4, read: (data, offset) => data.readFloatLE(offset) };
+  if (codec === 'float' && bitsPerSample === 64) return { bytes: 8, read: (data, offset) => data.readDoubleLE(offset) };
+  switch (codec.startsWith('pcm_') ? bitsPerSample : null) {
+    // 8-bit WAV is unsigned
+    case 8: return { bytes: 1, read: (data, offset) => (data[offset] - 128) / 128 };
+    case 16: return { bytes: 2, read: (data, offset) => data.readInt16LE(offset) / 32768 };
+    case 24: return { bytes: 3, read: (data, offset) => data.readIntLE(offset, 3) / 8388608 };
+    case 32: return { bytes: 4, read: (data, offset) => data.readInt32LE(offset) / 2147483648 };
+    default: return null;
+  }
+}
+
+/**
+ * Decode PCM audio to mono samples
+ * @param {Buffer} buffer - WAV file, or headerless audio described by options
+ * @param {Object} options - { encoding, sampleRateHertz } for headerless audio
+ * @returns {Object|null} { samples, sampleRateHertz, frameBytes, data, header }
+ *   or null if the audio is not PCM this module can read
+ */
+function decodePcm(buffer, options = {}) {
+  let format;
+  try {
+    format = detectAudioFormat(buffer);
+  } catch {
+    return null;
+  }
+
+  let data;
+  let header = null;
+  let reader;
+  let channels = 1;
+  let sampleRateHertz;
+
+  if (format?.container === 'wav') {
+    data = findWavData(buffer);
+    reader = sampleReader(format.codec, format.bitsPerSample);
+    channels = format.channels || 1;
+    sampleRateHertz = format.sampleRateHertz;
+    header = data && buffer.subarray(0, data.byteOffset - buffer.byteOffset);
+  } else if (!format && (options.encoding === 'LINEAR16' || options.encoding === 'MULAW')) {
+    data = buffer;
+    reader = sampleReader(options.encoding === 'MULAW' ? 'mulaw' : 'pcm_s16le', 16);
+    sampleRateHertz = options.sampleRateHertz || 16000;
+  }
+
+  if (!data || !reader || !sampleRateHertz) {
+    return null;
+  }
+
+  const frameBytes = reader.bytes * channels;
+  const samples = new Float32Array(Math.floor(data.length / frameBytes));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += reader.read(data, i * frameBytes + channel * reader.bytes);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { samples, sampleRateHertz, frameBytes, data, header };
+}
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+function toDbfs(power) {
+  return Math.max(MIN_DBFS, 10 * Math.log10(power));
+}
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+function meanPower(powers) {
+  return powers.reduce((sum, power) => sum + power, 0) / powers.length;
+}
+
+/**
+ * Measure decoded audio in fixed-size frames
+ * @returns {Object} { metrics, firstVoiced, lastVoiced, frameSamples }
+ */
+function measure(samples, sampleRateHertz) {
+  const frameSamples = Math.max(1, Math.round(sampleRateHertz * FRAME_SECONDS));
+  const powers = [];
+  let total = 0;
+  let peak = 0;
+  let clipped = 0;
+
+  for (let start = 0; start < samples.length; start += frameSamples) {
+    const end = Math.min(start + frameSamples, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      const sample = samples[i];
+      const magnitude = Math.abs(sample);
+      sum += sample * sample;
+      if (magnitude > peak) peak = magnitude;
+      if (magnitude >= CLIP_LEVEL) clipped++;
+    }
+    total += sum;
+    powers.push(sum / (end - start));
+  }
+
+  const voiced = powers.map(power => toDbfs(power) >= SILENCE_DBFS);
+  const firstVoiced = voiced.indexOf(true);
+  const lastVoiced = voiced.lastIndexOf(true);
+  const voicedFrames = voiced.filter(Boolean).length;
+
+  // Basic SNR: the loudest tenth of the frames against the quietest tenth
+  const sorted = [...powers].sort((a, b) => a - b);
+  const tenth = Math.max(1, Math.floor(sorted.length / 10));
+  const noise = sorted.length ? toDbfs(meanPower(sorted.slice(0, tenth))) : MIN_DBFS;
+  const speech = sorted.length ? toDbfs(meanPower(sorted.slice(-tenth))) : MIN_DBFS;
+
+  const frameCount = powers.length || 1;
+  const durationSeconds = samples.length / sampleRateHertz;
+  return {
+    frameSamples,
+    firstVoiced,
+    lastVoiced,
+    metrics: {
+      durationSeconds: round(durationSeconds, 2),
+      speechSeconds: round(voicedFrames * frameSamples / sampleRateHertz, 2),
+      rmsDbfs: round(toDbfs(samples.length ? total / samples.length : 0)),
+      peakDbfs: round(toDbfs(peak * peak)),
+      speechDbfs: round(speech),
+      silenceRatio: round(1 - voicedFrames / frameCount, 3),
+      clippingRatio: round(samples.length ? clipped / samples.length : 0, 4),
+      snrDb: round(speech - noise),
+      leadingSilenceSeconds: round((firstVoiced === -1 ? samples.length : firstVoiced * frameSamples) / sampleRateHertz, 2),
+      trailingSilenceSeconds: round(
+        (lastVoiced === -1 ? 0 : Math.max(0, samples.length - (lastVoiced + 1) * frameSamples)) / sampleRateHertz, 2
+      )
+    }
+  };
+}
+
+// The same audio without leading and trailing silence, in the same format
+function trimSilence(decoded, buffer, { firstVoiced, lastVoiced, frameSamples }) {
+  const { samples, sampleRateHertz, frameBytes, data, header } = decoded;
+  if (firstVoiced === -1) {
+    return { audio: buffer, trimmedSeconds: 0 };
+  }
+
+  const padding = Math.round(TRIM_PADDING_SECONDS * sampleRateHertz);
+  const start = Math.max(0, firstVoiced * frameSamples - padding);
+  const end = Math.min(samples.length, (lastVoiced + 1) * frameSamples + padding);
+  if (start === 0 && end === samples.length) {
+    return { audio: buffer, trimmedSeconds: 0 };
+  }
+
+  const trimmed = data.subarray(start * frameBytes, end * frameBytes);
+  const trimmedSeconds = round((samples.length - (end - start)) / sampleRateHertz, 2);
+  if (!header) {
+    return { audio: trimmed, trimmedSeconds };
+  }
+
+  // Keep the original header chunks, with the RIFF and data sizes updated
+  const wavHeader = Buffer.from(header);
+  wavHeader.writeUInt32LE(wavHeader.length - 8 + trimmed.length, 4);
+  wavHeader.writeUInt32LE(trimmed.length, wavHeader.length - 4);
+  return { audio: Buffer.concat([wavHeader, trimmed]), trimmedSeconds };
+}
+
+// First threshold the metrics fail, with advice the user can act on
+function findProblem(metrics, thresholds) {
+  if (metrics.durationSeconds < thresholds.minDurationSeconds) {
+    return {
+      reason: 'TOO_SHORT',
+      message: `Recording is too short (${metrics.durationSeconds}s). Hold the record button while you speak the whole command.`
+    };
+  }
+  if (metrics.speechDbfs < thresholds.minLevelDbfs) {
+    return {
+      reason: 'TOO_QUIET',
+      message: `Recording is too quiet (${metrics.speechDbfs} dBFS). Speak closer to the microphone or raise its input volume.`
+    };
+  }
+  // Too little speech at all, or a long clip that is nearly all silence
+  if (metrics.speechSeconds < thresholds.minSpeechSeconds || metrics.silenceRatio > thresholds.maxSilenceRatio) {
+    return {
+      reason: 'MOSTLY_SILENCE',
+      message: `Recording is mostly silence (${Math.round(metrics.silenceRatio * 100)}% silent). Start speaking once recording has started.`
+    };
+  }
+  if (metrics.clippingRatio > thresholds.maxClippingRatio) {
+    return {
+      reason: 'CLIPPED',
+      message: `Recording is distorted (${round(metrics.clippingRatio * 100)}% of samples clipped). Move the microphone further away or lower its input volume.`
+    };
+  }
+  if (metrics.snrDb < thresholds.minSnrDb) {
+    return {
+      reason: 'NOISY',
+      message: `Too much background noise (signal-to-noise ${metrics.snrDb} dB). Move somewhere quieter or hold the microphone closer.`
+    };
+  }
+  return null;
+}
+
+/**
+ * Measure audio before it is sent to a recognizer, and trim the silence
+ * around the speech.
+ *
+ * @param {Buffer} buffer - Audio to check (as prepared by prepareAudio)
+ * @param {Object} options - Transcription options ({ encoding, sampleRateHertz } for headerless PCM)
+ * @param {Object} thresholds - Limits to check against (default QUALITY_THRESHOLDS)
+ * @returns {Object} { ok, reason, message, metrics, audio } where `audio` is
+ *   the trimmed clip to transcribe and `metrics` is null when the format
+ *   could not be analysed (such audio is passed through unchanged)
+ */
+export function assessAudioQuality(buffer, options = {}, thresholds = QUALITY_THRESHOLDS) {
+  const decoded = buffer?.length ? decodePcm(buffer, options) : null;
+  if (!decoded) {
+    return { ok: true, reason: null, message: null, metrics: null, audio: buffer };
+  }
+
+  const measured = measure(decoded.samples, decoded.sampleRateHertz);
+  const problem = findProblem(measured.metrics, thresholds);
+  if (problem) {
+    return { ok: false, ...problem, metrics: measured.metrics, audio: buffer };
+  }
+
+  const { audio, trimmedSeconds } = trimSilence(decoded, buffer, measured);
+  return {
+    ok: true,
+    reason: null,
+    message: null,
+    metrics: { ...measured.metrics, trimmedSeconds },
+    audio
+  };
+}
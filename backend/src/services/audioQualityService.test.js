@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { assessAudioQuality } from './audioQualityService.js';
+import { detectAudioFormat, findWavData } from './audioFormatService.js';
+
+// ============================================================================
+// Signal builders
+// ============================================================================
+
+const RATE = 16000;
+
+const silence = (seconds) => new Float32Array(Math.round(seconds * RATE));
+
+function tone(seconds, amplitude = 0.3, frequency = 220) {
+  return Float32Array.from({ length: Math.round(seconds * RATE) }, (_, i) =>
+    amplitude * Math.sin(2 * Math.PI * frequency * i / RATE)
+  );
+}
+
+// Deterministic white noise
+function noise(seconds, amplitude, seed = 1) {
+  let state = seed;
+  return Float32Array.from({ length: Math.round(seconds * RATE) }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return amplitude * (state / 1073741824 - 1);
+  });
+}
+
+const concat = (...parts) => Float32Array.from(parts.flatMap(part => [...part]));
+const mix = (a, b) => a.map((sample, i) => sample + (b[i] || 0));
+
+function encode(samples, { bitsPerSample = 16, channels = 1, float = false } = {}) {
+  const bytes = bitsPerSample / 8;
+  const data = Buffer.alloc(samples.length * bytes * channels);
+  samples.forEach((sample, i) => {
+    for (let channel = 0; channel < channels; channel++) {
+      const offset = (i * channels + channel) * bytes;
+      if (float) {
+        data.writeFloatLE(sample, offset);
+      } else {
+        const max = 2 ** (bitsPerSample - 1);
+        data.writeIntLE(Math.max(-max, Math.min(max - 1, Math.round(sample * max))), offset, bytes);
+      }
+    }
+  });
+  return data;
+}
+
+function wav(samples, format = {}) {
+  const { bitsPerSample = 16, channels = 1, float = false } = format;
+  const data = encode(samples, format);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(float ? 3 : 1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(RATE, 24);
+  header.writeUInt32LE(RATE * channels * bitsPerSample / 8, 28);
+  header.writeUInt16LE(channels * bitsPerSample / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('Audio Quality Service', () => {
+  describe('metrics and trimming', () => {
+    it('should measure a spoken clip and trim the silence around it', () => {
+      const clip = wav(concat(silence(1), tone(0.6), silence(0.8)));
+
+      const result = assessAudioQuality(clip);
+
+      expect(result.ok).toBe(true);
+      expect(result.metrics).toMatchObject({
+        durationSeconds: 2.4,
+        speechSeconds: 0.6,
+        leadingSilenceSeconds: 1,
+        trailingSilenceSeconds: 0.8,
+        clippingRatio: 0,
+        trimmedSeconds: 1.4
+      });
+      expect(result.metrics.speechDbfs).toBeCloseTo(-13.5, 0);
+      expect(result.metrics.silenceRatio).toBeCloseTo(0.75, 2);
+      expect(result.metrics.snrDb).toBeGreaterThan(60);
+
+      // Still a WAV in the same format, 0.2s of padding either side of the speech
+      expect(detectAudioFormat(result.audio)).toEqual(detectAudioFormat(clip));
+      expect(findWavData(result.audio).length).toBe(Math.round(1.0 * RATE) * 2);
+      expect(result.audio.readUInt32LE(4)).toBe(result.audio.length - 8);
+    });
+
+    it('should leave audio without surrounding silence untouched', () => {
+      const clip = wav(concat(tone(0.5), silence(0.1), tone(0.5)));
+
+      const result = assessAudioQuality(clip);
+
+      expect(result.ok).toBe(true);
+      expect(result.audio).toBe(clip);
+      expect(result.metrics.trimmedSeconds).toBe(0);
+    });
+
+    it('should give the same levels for any PCM layout of the same signal', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(
+            { bitsPerSample: 16, channels: 1 },
+            { bitsPerSample: 24, channels: 2 },
+            { bitsPerSample: 32, channels: 1 },
+            { bitsPerSample: 32, channels: 2, float: true }
+          ),
+          fc.double({ min: 0.05, max: 0.9, noNaN: true }),
+          (format, amplitude) => {
+            const signal = concat(silence(0.3), tone(0.5, amplitude));
+            const reference = assessAudioQuality(wav(signal)).metrics;
+
+            const { metrics } = assessAudioQuality(wav(signal, format));
+
+            expect(metrics.speechDbfs).toBeCloseTo(reference.speechDbfs, 0);
+            expect(metrics.durationSeconds).toBe(reference.durationSeconds);
+            expect(metrics.speechSeconds).toBe(reference.speechSeconds);
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    it('should read headerless LINEAR16 described by the options', () => {
+      const raw = encode(concat(silence(0.5), tone(0.5)));
+
+      const result = assessAudioQuality(raw, { encoding: 'LINEAR16', sampleRateHertz: RATE });
+
+      expect(result.metrics.durationSeconds).toBe(1);
+      expect(result.audio.length).toBe(Math.round(0.7 * RATE) * 2);
+    });
+
+    it('should pass compressed and unknown audio through without analysis', () => {
+      const flacLike = Buffer.concat([Buffer.from('fLaC'), Buffer.alloc(64)]);
+      const unknown = Buffer.alloc(2048);
+
+      for (const audio of [flacLike, unknown]) {
+        expect(assessAudioQuality(audio, { encoding: 'FLAC' })).toEqual({
+          ok: true, reason: null, message: null, metrics: null, audio
+        });
+      }
+    });
+  });
+
+  describe('rejections', () => {
+    it.each([
+      ['TOO_SHORT', () => tone(0.2), /too short/],
+      ['TOO_QUIET', () => concat(silence(0.5), tone(1, 0.003)), /too quiet/],
+      ['TOO_QUIET', () => silence(2), /too quiet/],
+      ['MOSTLY_SILENCE', () => concat(silence(2), tone(0.1), silence(1)), /mostly silence/],
+      ['MOSTLY_SILENCE', () => concat(silence(5), tone(0.3), silence(4.7)), /97% silent/],
+      ['CLIPPED', () => concat(silence(0.3), tone(1, 1.5)), /clipped/],
+      ['NOISY', () => mix(tone(1.5, 0.2), noise(1.5, 0.3)), /background noise/]
+    ])('should reject %s audio with advice', (reason, signal, message) => {
+      const clip = wav(signal());
+
+      const result = assessAudioQuality(clip);
+
+      expect(result).toMatchObject({ ok: false, reason, message: expect.stringMatching(message) });
+      expect(result.metrics).not.toBeNull();
+      expect(result.audio).toBe(clip);
+    });
+  });
+});
@@ -1,7 +1,94 @@
+import crypto from 'crypto';
 import { WorkOS } from '@workos-inc/node';
+import { getAddress, verifyMessage } from 'viem';
+import { generateSiweNonce, parseSiweMessage, validateSiweMessage } from 'viem/siwe';
 import { findUserByEmail, createUser, getById } from '../models/db.js';
+import { linkWallet, findUserIdByWallet } from './linkedWalletService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// ============================================================================
+// Login Flow
+// ============================================================================
+// 1. /login creates an OAuth `state` and a PKCE verifier. The verifier stays
+//    on the server; WorkOS only sees its S256 challenge.
+// 2. /callback checks the state, redeems the WorkOS code with the verifier
+//    and issues a short-lived, single-use login code.
+// 3. The frontend exchanges that login code for a session. No user data ever
+//    travels in a URL.
+// Sign-In with Ethereum (EIP-4361) is the wallet alternative: /siwe/nonce
+// issues a nonce (also set as a cookie, so it only works from the browser
+// that asked for it), the wallet signs a SIWE message containing it and
+// /siwe/verify checks the message and signature before starting a session.
+// Signing in never links a wallet to another account; that is only done by
+// the signed-in POST /api/wallet/addresses.
+//
+// Pending logins, login codes and SIWE nonces are short-lived, so they are
+// kept in memory.
+// ============================================================================
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+const SIWE_NONCE_TTL_MS = 10 * 60 * 1000;
+
+const pendingLogins = new Map();
+const loginCodes = new Map();
+const siweNonces = new Map();
+
+// Cookie holding the SIWE nonce issued to this browser
+export const SIWE_NONCE_COOKIE = 'sauti_siwe_nonce';
+
+/**
+ * How long a SIWE nonce (and its cookie) stays valid
+ * @returns {number} Lifetime in ms
+ */
+export const getSiweNonceTtlMs = () => SIWE_NONCE_TTL_MS;
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Remove a single-use entry and return it if it has not expired
+function takeEntry(store, key) {
+  const entry = key ? store.get(key) : undefined;
+  store.delete(key);
+  for (const [otherKey, other] of store) {
+    if (other.expiresAt <= Date.now()) store.delete(otherKey);
+  }
+  return entry && entry.expiresAt > Date.now() ? entry : null;
+}
+
+// ============================================================================
+// Environment-Aware Client URL Configuration
+// ============================================================================
+// Determines the correct frontend URL based on environment
+// - Production: Netlify deployment
+// - Development: Local Vite server
+// - Override: Custom FRONTEND_URL env variable
+// ============================================================================
+
+/**
+ * Frontend URL the OAuth callback redirects to
+ * @returns {string}
+ */
+export function getClientUrl() {
+  return process.env.FRONTEND_URL || 
+    (process.env.NODE_ENV === 'production' 
+      ? 'https://kaseddie-ai-1.netlify.app' 
+      : 'http://localhost:5173');
+}
+
+/**
+ * Domain that Sign-In with Ethereum messages must be bound to
+ * @returns {string}
+ */
+export function getSiweDomain() {
+  return process.env.SIWE_DOMAIN || new URL(getClientUrl()).host;
+}
+
 // Lazy-load WorkOS client to ensure .env is loaded first
 let workos = null;
 
@@ -16,29 +103,48 @@ function getWorkOSClient() {
 }
 
 /**
- * Generate WorkOS authorization URL
- * @returns {string} Authorization URL
+ * Start a login: generate the WorkOS authorization URL with OAuth state and
+ * a PKCE challenge
+ * @returns {Object} { authUrl, state }
  */
-export function getAuthorizationUrl() {
+export function startLogin() {
   const client = getWorkOSClient();
-  return client.userManagement.getAuthorizationUrl({
+  const state = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  pendingLogins.set(state, { codeVerifier, expiresAt: Date.now() + LOGIN_STATE_TTL_MS });
+
+  const authUrl = client.userManagement.getAuthorizationUrl({
     clientId: process.env.WORKOS_CLIENT_ID,
     redirectUri: process.env.WORKOS_REDIRECT_URI,
-    provider: 'authkit'
+    provider: 'authkit',
+    state,
+    codeChallenge,
+    codeChallengeMethod: 'S256'
   });
+
+  return { authUrl, state };
 }
 
 /**
  * Authenticate user with authorization code
  * @param {string} code - Authorization code from WorkOS
+ * @param {string} state - OAuth state returned by WorkOS (single use)
  * @returns {Promise<Object>} User data
  */
-export async function authenticateWithCode(code) {
+export async function authenticateWithCode(code, state) {
+  const pending = takeEntry(pendingLogins, state);
+  if (!pending) {
+    throw authError('INVALID_STATE', 'Login request is unknown or has expired');
+  }
+
   // Real WorkOS authentication
   const client = getWorkOSClient();
   const { user } = await client.userManagement.authenticateWithCode({
     clientId: process.env.WORKOS_CLIENT_ID,
-    code
+    code,
+    codeVerifier: pending.codeVerifier
   });
 
   // Check if user exists in database
@@ -46,26 +152,95 @@ export async function authenticateWithCode(code) {
 
   // Create new user if doesn't exist
   if (!dbUser) {
-    dbUser = createUser({
-      id: uuidv4(),
-      email: user.email,
-      workosUserId: user.id,
-      kycStatus: 'pending',
-      walletBalance: 0,
-      activeStrategy: null,
-      stripeCustomerId: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    });
+    dbUser = createNewUser({ email: user.email, workosUserId: user.id });
   }
 
-  return {
-    id: dbUser.id,
-    email: dbUser.email,
-    kycStatus: dbUser.kycStatus,
-    walletBalance: dbUser.walletBalance,
-    activeStrategy: dbUser.activeStrategy
-  };
+  return toProfile(dbUser);
+}
+
+/**
+ * Issue a nonce for a Sign-In with Ethereum message
+ * @returns {string} Single-use nonce
+ */
+export function createSiweNonce() {
+  const nonce = generateSiweNonce();
+  siweNonces.set(nonce, { expiresAt: Date.now() + SIWE_NONCE_TTL_MS });
+  return nonce;
+}
+
+/**
+ * Verify a signed SIWE (EIP-4361) message. The nonce is consumed even if
+ * verification fails, so a message can never be replayed.
+ * @param {Object} options - Verification options
+ * @param {string} options.message - SIWE message text that was signed
+ * @param {string} options.signature - Wallet signature (0x-prefixed hex)
+ * @param {string} options.domain - Domain the message must be bound to
+ * @param {string} options.expectedNonce - Nonce issued to this browser (from
+ *   its SIWE_NONCE_COOKIE); a message signed for another browser's nonce is refused
+ * @returns {Promise<string>} Checksummed address that signed the message
+ */
+export async function verifySiweProof({ message, signature, domain, expectedNonce }) {
+  const fields = parseSiweMessage(message || '');
+  if (!fields.address || !fields.nonce) {
+    throw authError('INVALID_SIWE_MESSAGE', 'Message is not a valid Sign-In with Ethereum message');
+  }
+
+  if (!takeEntry(siweNonces, fields.nonce)) {
+    throw authError('INVALID_NONCE', 'Sign-in nonce is unknown, expired or already used');
+  }
+
+  if (!expectedNonce || fields.nonce !== expectedNonce) {
+    throw authError('INVALID_NONCE', 'Sign-in nonce was not issued to this browser');
+  }
+
+  if (!validateSiweMessage({ message: fields, domain, nonce: fields.nonce })) {
+    throw authError('INVALID_SIWE_MESSAGE', 'Sign-in message is expired or was issued for another site');
+  }
+
+  const valid = await verifyMessage({ address: fields.address, message, signature }).catch(() => false);
+  if (!valid) {
+    throw authError('INVALID_SIGNATURE', 'Signature does not match the wallet address');
+  }
+
+  return getAddress(fields.address);
+}
+
+/**
+ * Verify a signed SIWE (EIP-4361) message and find or create the wallet's user
+ * @param {Object} options - Verification options (see verifySiweProof)
+ * @returns {Promise<Object>} User data
+ */
+export async function authenticateWithSiwe(options) {
+  const walletAddress = await verifySiweProof(options);
+
+  const ownerId = findUserIdByWallet(walletAddress);
+  if (ownerId) {
+    return getUserProfile(ownerId);
+  }
+
+  const user = createNewUser({ walletAddress });
+  linkWallet(user.id, walletAddress);
+  return getUserProfile(user.id);
+}
+
+/**
+ * Issue a single-use login code for the frontend to exchange for a session
+ * @param {string} userId - Authenticated user ID
+ * @returns {string} Login code
+ */
+export function createLoginCode(userId) {
+  const code = randomToken();
+  loginCodes.set(code, { userId, expiresAt: Date.now() + LOGIN_CODE_TTL_MS });
+  return code;
+}
+
+/**
+ * Redeem a login code. Each code works once and only for a minute.
+ * @param {string} code - Login code from the callback redirect
+ * @returns {string|null} User ID, or null if the code is invalid
+ */
+export function redeemLoginCode(code) {
+  return takeEntry(loginCodes, code)?.userId || null;
 }
 
 /**
@@ -80,9 +255,31 @@ export function getUserProfile(userId) {
     return null;
   }
 
+  return toProfile(user);
+}
+
+// Create a user record for a first-time WorkOS or wallet sign-in
+function createNewUser(identity) {
+  return createUser({
+    id: uuidv4(),
+    email: null,
+    walletAddress: null,
+    ...identity,
+    kycStatus: 'pending',
+    walletBalance: 0,
+    activeStrategy: null,
+    stripeCustomerId: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Fields that are safe to return to the frontend
+function toProfile(user) {
   return {
     id: user.id,
     email: user.email,
+    walletAddress: user.walletAddress || null,
     kycStatus: user.kycStatus,
     walletBalance: user.walletBalance,
     activeStrategy: user.activeStrategy
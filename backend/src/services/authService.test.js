@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createSiweMessage } from 'viem/siwe';
+
+const { getAuthorizationUrl, authenticateWithCode: workosAuthenticate } = vi.hoisted(() => ({
+  getAuthorizationUrl: vi.fn(() => 'https://auth.example.com/authorize'),
+  authenticateWithCode: vi.fn()
+}));
+
+vi.mock('@workos-inc/node', () => ({
+  WorkOS: vi.fn(function WorkOS() {
+    this.userManagement = { getAuthorizationUrl, authenticateWithCode: workosAuthenticate };
+  })
+}));
+
+const users = new Map();
+
+vi.mock('../models/db.js', () => ({
+  findUserByEmail: vi.fn(() => ({ id: 'user-1', email: 'a@example.com', kycStatus: 'verified', walletBalance: 10 })),
+  createUser: vi.fn(record => {
+    users.set(record.id, record);
+    return record;
+  }),
+  getById: vi.fn((collection, id) => users.get(id))
+}));
+
+vi.mock('./linkedWalletService.js', () => ({
+  linkWallet: vi.fn(),
+  findUserIdByWallet: vi.fn(() => null)
+}));
+
+import { createUser } from '../models/db.js';
+import { linkWallet, findUserIdByWallet } from './linkedWalletService.js';
+import {
+  startLogin,
+  authenticateWithCode,
+  createLoginCode,
+  redeemLoginCode,
+  createSiweNonce,
+  authenticateWithSiwe
+} from './authService.js';
+
+const account = privateKeyToAccount('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+async function signIn({ domain = 'localhost:5173', nonce = createSiweNonce(), ...rest } = {}) {
+  const message = createSiweMessage({
+    address: account.address,
+    chainId: 11155111,
+    domain,
+    nonce,
+    uri: `http://${domain}`,
+    version: '1',
+    statement: 'Sign in to Sauti Ledger'
+  });
+  const signature = await account.signMessage({ message });
+  return { message, signature, domain: 'localhost:5173', expectedNonce: nonce, ...rest };
+}
+
+describe('Auth Service', () => {
+  beforeEach(() => {
+    process.env.WORKOS_API_KEY = 'sk_test';
+    process.env.WORKOS_CLIENT_ID = 'client_test';
+    vi.clearAllMocks();
+    users.clear();
+    users.set('user-1', { id: 'user-1', email: 'a@example.com', kycStatus: 'verified', walletBalance: 10 });
+    workosAuthenticate.mockResolvedValue({ user: { id: 'workos-1', email: 'a@example.com' } });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('OAuth state and PKCE', () => {
+    it('should request an S256 challenge and redeem the code with the matching verifier', async () => {
+      const { state } = startLogin();
+      const { codeChallenge, codeChallengeMethod } = getAuthorizationUrl.mock.calls[0][0];
+
+      expect(getAuthorizationUrl.mock.calls[0][0].state).toBe(state);
+      expect(codeChallengeMethod).toBe('S256');
+
+      const user = await authenticateWithCode('wos-code', state);
+      const { codeVerifier } = workosAuthenticate.mock.calls[0][0];
+
+      expect(crypto.createHash('sha256').update(codeVerifier).digest('base64url')).toBe(codeChallenge);
+      expect(user.id).toBe('user-1');
+    });
+
+    it('should reject unknown, reused and expired states', async () => {
+      await expect(authenticateWithCode('wos-code', 'forged')).rejects.toMatchObject({ code: 'INVALID_STATE' });
+
+      const { state } = startLogin();
+      await authenticateWithCode('wos-code', state);
+      await expect(authenticateWithCode('wos-code', state)).rejects.toMatchObject({ code: 'INVALID_STATE' });
+
+      vi.useFakeTimers();
+      const { state: stale } = startLogin();
+      vi.advanceTimersByTime(10 * 60 * 1000);
+      await expect(authenticateWithCode('wos-code', stale)).rejects.toMatchObject({ code: 'INVALID_STATE' });
+      expect(workosAuthenticate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Login codes', () => {
+    it('should redeem a login code exactly once', () => {
+      const code = createLoginCode('user-1');
+
+      expect(redeemLoginCode(code)).toBe('user-1');
+      expect(redeemLoginCode(code)).toBeNull();
+      expect(redeemLoginCode(undefined)).toBeNull();
+    });
+
+    it('should expire login codes after a minute', () => {
+      vi.useFakeTimers();
+      const code = createLoginCode('user-1');
+      vi.advanceTimersByTime(60 * 1000);
+
+      expect(redeemLoginCode(code)).toBeNull();
+    });
+  });
+
+  describe('Sign-In with Ethereum', () => {
+    it('should create a wallet-only user and link the signing address', async () => {
+      const user = await authenticateWithSiwe(await signIn());
+
+      expect(user).toMatchObject({ email: null, walletAddress: account.address, kycStatus: 'pending' });
+      expect(createUser).toHaveBeenCalledWith(expect.objectContaining({ walletAddress: account.address }));
+      expect(linkWallet).toHaveBeenCalledWith(user.id, account.address);
+    });
+
+    it('should sign in the user who owns a linked wallet', async () => {
+      findUserIdByWallet.mockReturnValueOnce('user-1');
+
+      const user = await authenticateWithSiwe(await signIn());
+
+      expect(user.id).toBe('user-1');
+      expect(createUser).not.toHaveBeenCalled();
+    });
+
+    it('should only accept the nonce issued to this browser', async () => {
+      const attackerNonce = createSiweNonce();
+
+      await expect(authenticateWithSiwe(await signIn({ nonce: attackerNonce, expectedNonce: createSiweNonce() })))
+        .rejects.toMatchObject({ code: 'INVALID_NONCE' });
+      await expect(authenticateWithSiwe(await signIn({ expectedNonce: null })))
+        .rejects.toMatchObject({ code: 'INVALID_NONCE' });
+      expect(linkWallet).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown or reused nonces', async () => {
+      await expect(authenticateWithSiwe(await signIn({ nonce: 'abcdefgh12345678' })))
+        .rejects.toMatchObject({ code: 'INVALID_NONCE' });
+
+      const attempt = await signIn();
+      await authenticateWithSiwe(attempt);
+      await expect(authenticateWithSiwe(attempt)).rejects.toMatchObject({ code: 'INVALID_NONCE' });
+    });
+
+    it('should reject messages for another domain or with a forged signature', async () => {
+      await expect(authenticateWithSiwe(await signIn({ domain: 'evil.example.com' })))
+        .rejects.toMatchObject({ code: 'INVALID_SIWE_MESSAGE' });
+
+      const attempt = await signIn();
+      const forged = await privateKeyToAccount(`0x${'11'.repeat(32)}`).signMessage({ message: attempt.message });
+      await expect(authenticateWithSiwe({ ...attempt, signature: forged }))
+        .rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { BATCH_VOCABULARY, COMMAND_VOCABULARY } from './languageService.js';
+
+// ============================================================================
+// Transfer Command Grammar
+// ============================================================================
+// Deterministic parser for the common shapes of a transfer command, run on
+// normalized text (spoken numbers and addresses already turned into digits):
+//
+//   [courtesy] VERB { AMOUNT | TOKEN | PREPOSITION | ADDRESS | courtesy }
+//
+// in any order after the verb, e.g.
+//   "send 50 MNEE to 0x…", "pay 0x… 2.5", "tuma MNEE 500 kwa 0x…",
+//   "I want to transfer 1,000 tokens to 0x…", "envoie 12,5 MNEE à 0x…"
+//
+// Exactly one amount and one address make a plain transfer. Several
+// addresses make a batch: one amount sent to "each" of them or "split
+// evenly" between them ("split 30 MNEE between 0x… and 0x…"), or one amount
+// per address in the order spoken ("send 10 to 0x… and 20 to 0x…").
+// Any word the grammar does not know makes it give up, so the caller can
+// fall back to the LLM.
+// ============================================================================
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Words that name the token being sent
+const TOKEN_WORDS = new Set(['mnee', 'token', 'tokens']);
+
+// Said before the verb ("please send", "naomba utume", "je veux envoyer")
+const LEADING_WORDS = new Set([
+  'please', 'i', 'want', 'to', 'would', 'like', "i'd", 'can', 'could', 'you', 'now',
+  'tafadhali', 'naomba', 'nataka', 'ningependa',
+  'je', 'veux', 'voudrais', 'veuillez', "s'il", 'te', 'vous', 'plaît', 'plait'
+]);
+
+// Said after the verb without changing the command
+const TRAILING_WORDS = new Set([
+  'please', 'now', 'tafadhali', 'sasa', "s'il", 'te', 'vous', 'plaît', 'plait'
+]);
+
+// Spoken decimal separators: "2 point 5", "2 nukta 5", "2 virgule 5"
+const DECIMAL_WORDS = new Set(['point', 'nukta', 'virgule']);
+
+const VERBS = new Map(Object.entries(COMMAND_VOCABULARY)
+  .flatMap(([language, { verbs }]) => verbs.map(verb => [verb, language])));
+
+const PREPOSITIONS = new Set(Object.values(COMMAND_VOCABULARY).flatMap(({ recipient }) => recipient));
+
+// Verbs that share one amount out ("split", "gawanya", "partage")
+const SPLIT_VERBS = new Map(Object.entries(BATCH_VOCABULARY)
+  .flatMap(([language, { splitVerbs }]) => splitVerbs.map(verb => [verb, language])));
+
+const EVENLY_WORDS = new Set(Object.values(BATCH_VOCABULARY).flatMap(({ splitVerbs, evenly }) => [...splitVerbs, ...evenly]));
+const EACH_WORDS = new Set(Object.values(BATCH_VOCABULARY).flatMap(({ each }) => each));
+const AND_WORDS = new Set(['&', ...Object.values(BATCH_VOCABULARY).flatMap(({ and }) => and)]);
+
+function clean(token) {
+  return token.replace(/^[("']+|[.,!?;:)"']+$/g, '');
+}
+
+/**
+ * Read a written amount: "50", "2.5", "1,000" and, in French, "12,5"
+ * @returns {number|null} Amount, or null if the token is not one
+ */
+function readAmount(token, language) {
+  if (/^\d+(\.\d+)?$/.test(token)) {
+    return Number(token);
+  }
+  if (language === 'fr' && /^\d+,\d+$/.test(token)) {
+    return Number(token.replace(',', '.'));
+  }
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(token)) {
+    return Number(token.replace(/,/g, ''));
+  }
+  return null;
+}
+
+/**
+ * Parse a normalized transfer command with the grammar above
+ * @param {string} text - Command with numbers and addresses as digits
+ * @returns {Object|null} { action, amount, recipient, language } for one
+ *   recipient; { action, amounts, recipients, split, language } for several,
+ *   where split is 'each', 'evenly', 'per_recipient' or null if the command
+ *   doesn't say; null if the text is not a command the grammar understands
+ */
+export function parseTransferGrammar(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const tokens = text.trim().split(/\s+/).map(clean).filter(Boolean);
+  const isVerb = (token) => VERBS.has(token.toLowerCase()) || SPLIT_VERBS.has(token.toLowerCase());
+  const verbIndex = tokens.findIndex(isVerb);
+  if (verbIndex === -1 || !tokens.slice(0, verbIndex).every(token => LEADING_WORDS.has(token.toLowerCase()))) {
+    return null;
+  }
+
+  const verb = tokens[verbIndex].toLowerCase();
+  const language = VERBS.get(verb) || SPLIT_VERBS.get(verb);
+  const amounts = [];
+  const addresses = [];
+  let evenly = SPLIT_VERBS.has(verb);
+  let each = false;
+
+  for (let i = verbIndex + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    const word = token.toLowerCase();
+
+    if (ADDRESS_PATTERN.test(token)) {
+      addresses.push(token);
+      continue;
+    }
+
+    const amount = readAmount(token, language);
+    if (amount !== null) {
+      // "2 point 5" -> 2.5
+      const fraction = DECIMAL_WORDS.has(tokens[i + 1]?.toLowerCase()) && /^\d+$/.test(token) && /^\d+$/.test(tokens[i + 2] || '');
+      amounts.push(fraction ? Number(`${token}.${tokens[i + 2]}`) : amount);
+      if (fraction) i += 2;
+      continue;
+    }
+
+    if (EVENLY_WORDS.has(word)) {
+      evenly = true;
+      continue;
+    }
+    if (EACH_WORDS.has(word)) {
+      each = true;
+      continue;
+    }
+    if (TOKEN_WORDS.has(word) || PREPOSITIONS.has(word) || TRAILING_WORDS.has(word) || AND_WORDS.has(word)) {
+      continue;
+    }
+    return null;
+  }
+
+  if (amounts.length === 0 || !amounts.every(amount => amount > 0 && Number.isFinite(amount))) {
+    return null;
+  }
+  if (addresses.length === 1) {
+    return amounts.length === 1
+      ? { action: 'transfer', amount: amounts[0], recipient: addresses[0], language }
+      : null;
+  }
+
+  // A repeated address is more likely misheard than meant
+  const distinct = new Set(addresses.map(address => address.toLowerCase()));
+  if (addresses.length === 0 || distinct.size !== addresses.length || (each && evenly)) {
+    return null;
+  }
+  if (amounts.length === addresses.length && !each && !evenly) {
+    return { action: 'transfer', amounts, recipients: addresses, split: 'per_recipient', language };
+  }
+  if (amounts.length !== 1) {
+    return null;
+  }
+  const split = each ? 'each' : evenly ? 'evenly' : null;
+  return { action: 'transfer', amounts, recipients: addresses, split, language };
+}
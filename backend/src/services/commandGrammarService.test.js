@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { parseTransferGrammar } from './commandGrammarService.js';
+
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const CAROL = '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB';
+
+describe('Command Grammar Service', () => {
+  it.each([
+    [`send 50 MNEE to ${ADDRESS}`, 50, 'en'],
+    [`Pay ${ADDRESS} 12`, 12, 'en'],
+    [`please transfer 2.5 tokens to ${ADDRESS} now`, 2.5, 'en'],
+    [`I want to transfer 1,000 MNEE to ${ADDRESS}.`, 1000, 'en'],
+    [`send 2 point 75 MNEE to ${ADDRESS}`, 2.75, 'en'],
+    [`tuma MNEE 5.5 kwa ${ADDRESS} tafadhali`, 5.5, 'sw'],
+    [`Naomba tuma 500 kwa ${ADDRESS}`, 500, 'sw'],
+    [`envoie 12,5 MNEE à ${ADDRESS}`, 12.5, 'fr'],
+    [`Je veux envoyer 3 virgule 5 MNEE à ${ADDRESS} s'il vous plaît`, 3.5, 'fr']
+  ])('should parse "%s"', (text, amount, language) => {
+    expect(parseTransferGrammar(text)).toEqual({ action: 'transfer', amount, recipient: ADDRESS, language });
+  });
+
+  it('should parse any whole or decimal amount', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 10000000 }),
+        fc.integer({ min: 0, max: 99 }),
+        fc.constantFrom('send', 'transfer', 'pay', 'tuma', 'lipa', 'envoie'),
+        (whole, cents, verb) => {
+          const amount = cents ? `${whole}.${String(cents).padStart(2, '0')}` : String(whole);
+
+          const result = parseTransferGrammar(`${verb} ${amount} MNEE to ${ADDRESS}`);
+
+          expect(result.amount).toBe(Number(amount));
+          expect(result.recipient).toBe(ADDRESS);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it.each([
+    ['no verb', `50 MNEE to ${ADDRESS}`],
+    ['no amount', `send MNEE to ${ADDRESS}`],
+    ['zero amount', `send 0 MNEE to ${ADDRESS}`],
+    ['two amounts', `send 5 MNEE and 6 MNEE to ${ADDRESS}`],
+    ['no address', 'send 50 MNEE to bob'],
+    ['partial address', 'send 50 MNEE to 0x5aAeb6'],
+    ['the same address twice', `send 50 MNEE to ${ADDRESS} ${ADDRESS}`],
+    ['both each and evenly', `send 10 MNEE each to ${ADDRESS} and ${BOB} split evenly`],
+    ['fewer amounts than recipients', `send 10 and 20 MNEE to ${ADDRESS}, ${BOB} and ${CAROL}`],
+    ['another token', `send 50 ETH to ${ADDRESS}`],
+    ['words before the verb', `maybe send 50 MNEE to ${ADDRESS}`],
+    ['unknown words', `send 50 MNEE to ${ADDRESS} tomorrow`]
+  ])('should give up on %s', (_, text) => {
+    expect(parseTransferGrammar(text)).toBeNull();
+  });
+});
+
+describe('Command Grammar Service batches', () => {
+  it.each([
+    [`send 10 MNEE each to ${ADDRESS}, ${BOB} and ${CAROL}`, [10], [ADDRESS, BOB, CAROL], 'each', 'en'],
+    [`split 30 MNEE evenly between ${ADDRESS} and ${BOB}`, [30], [ADDRESS, BOB], 'evenly', 'en'],
+    [`send 30 MNEE to ${ADDRESS} and ${BOB}, split equally`, [30], [ADDRESS, BOB], 'evenly', 'en'],
+    [`send 10 to ${ADDRESS} and 20 to ${BOB}`, [10, 20], [ADDRESS, BOB], 'per_recipient', 'en'],
+    [`pay ${ADDRESS} 5 & ${BOB} 7.5`, [5, 7.5], [ADDRESS, BOB], 'per_recipient', 'en'],
+    [`tuma MNEE 20 kila mmoja kwa ${ADDRESS} na ${BOB}`, [20], [ADDRESS, BOB], 'each', 'sw'],
+    [`gawanya MNEE 30 sawa kati ya ${ADDRESS} na ${BOB}`, [30], [ADDRESS, BOB], 'evenly', 'sw'],
+    [`envoie 5 MNEE à ${ADDRESS} et ${BOB} chacun`, [5], [ADDRESS, BOB], 'each', 'fr'],
+    [`partage 9 MNEE entre ${ADDRESS} et ${BOB}`, [9], [ADDRESS, BOB], 'evenly', 'fr']
+  ])('should parse "%s"', (text, amounts, recipients, split, language) => {
+    expect(parseTransferGrammar(text)).toEqual({ action: 'transfer', amounts, recipients, split, language });
+  });
+
+  it('should leave the split open when the command does not say', () => {
+    expect(parseTransferGrammar(`send 10 MNEE to ${ADDRESS} and ${BOB}`)).toMatchObject({ amounts: [10], split: null });
+  });
+});
@@ -0,0 +1,158 @@
+import { COMMAND_VOCABULARY, INTENT_VOCABULARY } from './languageService.js';
+
+// ============================================================================
+// Voice Command Intents
+// ============================================================================
+// A parsed command's `action` names its intent, and the intent's slots sit
+// next to it:
+//
+//   transfer             amount, recipient; legs, total (and split for
+//                        several recipients, see toTransferLegs)
+//   check_balance        token ('MNEE')
+//   transaction_history  limit (how many transfers, default 5)
+//   price_query          symbol ('MNEE' unless another asset is named)
+//   help, cancel         (none)
+//
+// Transfers are read by commandGrammarService; the rest are recognized here
+// from the phrases in INTENT_VOCABULARY, on normalized text.
+// ============================================================================
+
+export const INTENTS = ['transfer', 'check_balance', 'transaction_history', 'price_query', 'help', 'cancel'];
+
+// How one or more amounts are shared between several recipients
+export const TRANSFER_SPLITS = ['each', 'evenly', 'per_recipient'];
+
+// Amounts are split in millionths of a token, so the legs add up exactly
+const SPLIT_UNITS = 1e6;
+
+export const DEFAULT_HISTORY_LIMIT = 5;
+const MAX_HISTORY_LIMIT = 20;
+
+// Assets a price question may name, spoken or as a ticker
+const ASSET_NAMES = {
+  mnee: 'MNEE',
+  bitcoin: 'BTC', btc: 'BTC',
+  ethereum: 'ETH', ether: 'ETH', eth: 'ETH',
+  solana: 'SOL', sol: 'SOL',
+  cardano: 'ADA', ada: 'ADA',
+  dogecoin: 'DOGE', doge: 'DOGE',
+  ripple: 'XRP', xrp: 'XRP'
+};
+
+// Checked in this order, so "stop, what's my balance" cancels
+const INTENT_ORDER = ['cancel', 'help', 'check_balance', 'transaction_history', 'price_query'];
+
+const TRANSFER_VERBS = new Set(Object.values(COMMAND_VOCABULARY).flatMap(({ verbs }) => verbs));
+
+const ADDRESS_PATTERN = /^0x[a-f0-9]{40}$/;
+
+function toWords(text) {
+  return text.toLowerCase().split(/\s+/)
+    .map(token => token.replace(/^[("'¿]+|[.!?;:,)"']+$/g, ''))
+    .filter(Boolean);
+}
+
+function readSymbol(symbol) {
+  const name = String(symbol || '').trim().toLowerCase();
+  if (ASSET_NAMES[name]) {
+    return ASSET_NAMES[name];
+  }
+  return /^[a-z0-9]{2,10}$/.test(name) ? name.toUpperCase() : 'MNEE';
+}
+
+const toUnits = (amount) => Math.round(amount * SPLIT_UNITS);
+
+/**
+ * Work out who gets what in a transfer to several recipients
+ * @param {Object} transfer
+ * @param {Array<string>} transfer.recipients - Addresses, in the order spoken
+ * @param {Array<number>} transfer.amounts - One amount, or one per recipient
+ * @param {string} transfer.split - 'each': every recipient gets the amount;
+ *   'evenly': the amount is shared out, any remainder going to the first
+ *   recipients; 'per_recipient': amounts[i] goes to recipients[i]
+ * @returns {Object} { legs: [{ amount, recipient }], total }
+ */
+export function toTransferLegs({ recipients, amounts, split }) {
+  let units;
+  if (split === 'per_recipient') {
+    units = amounts.map(toUnits);
+  } else if (split === 'each') {
+    units = recipients.map(() => toUnits(amounts[0]));
+  } else {
+    const total = toUnits(amounts[0]);
+    const share = Math.floor(total / recipients.length);
+    units = recipients.map((_, i) => share + (i < total - share * recipients.length ? 1 : 0));
+  }
+
+  return {
+    legs: recipients.map((recipient, i) => ({ amount: units[i] / SPLIT_UNITS, recipient })),
+    total: units.reduce((sum, value) => sum + value, 0) / SPLIT_UNITS
+  };
+}
+
+/**
+ * Fill in an intent's slots from the fields read out of a command, with defaults
+ * @param {string} action - Intent name (see INTENTS)
+ * @param {Object} fields - Fields from the grammar or the model ({ limit, symbol })
+ * @returns {Object} The intent's slots (empty for help and cancel)
+ */
+export function normalizeIntentSlots(action, fields = {}) {
+  if (action === 'check_balance') {
+    return { token: 'MNEE' };
+  }
+  if (action === 'transaction_history') {
+    const limit = Math.floor(Number(fields.limit));
+    return { limit: limit > 0 ? Math.min(limit, MAX_HISTORY_LIMIT) : DEFAULT_HISTORY_LIMIT };
+  }
+  if (action === 'price_query') {
+    return { symbol: readSymbol(fields.symbol) };
+  }
+  return {};
+}
+
+/**
+ * Recognize a non-transfer command ("what's my balance", "bei ya bitcoin",
+ * "historique") from its intent phrases
+ * @param {string} text - Command with numbers already written as digits
+ * @param {string} preferredLanguage - Language to report when languages tie
+ *   ("transactions" is English and French)
+ * @returns {Object|null} { action, ...slots, language }, or null if no intent
+ *   phrase matched or the text reads like a transfer
+ */
+export function parseIntentGrammar(text, preferredLanguage) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const words = toWords(text);
+  // An address means a transfer, which is not ours to read
+  if (words.some(word => ADDRESS_PATTERN.test(word))) {
+    return null;
+  }
+  const phrase = ` ${words.join(' ')} `;
+  const numbers = words.filter(word => /^\d+$/.test(word)).map(Number);
+  const transferLike = numbers.length > 0 && words.some(word => TRANSFER_VERBS.has(word));
+
+  for (const action of INTENT_ORDER) {
+    const matches = Object.entries(INTENT_VOCABULARY[action])
+      .map(([language, phrases]) => [language, phrases.filter(intentPhrase => phrase.includes(` ${intentPhrase} `)).length]);
+    const best = Math.max(...matches.map(([, count]) => count));
+    if (best === 0) {
+      continue;
+    }
+    // "send 5 MNEE, what's the price" is a transfer the grammar couldn't read
+    if (transferLike && action !== 'cancel') {
+      return null;
+    }
+
+    const slots = normalizeIntentSlots(action, {
+      limit: numbers[0],
+      symbol: words.find(word => ASSET_NAMES[word])
+    });
+    // The language with the most phrases, or the spoken one on a tie
+    const languages = matches.filter(([, count]) => count === best).map(([language]) => language);
+    const language = languages.includes(preferredLanguage) ? preferredLanguage : languages[0];
+    return { action, ...slots, language };
+  }
+  return null;
+}
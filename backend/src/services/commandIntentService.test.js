@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { parseIntentGrammar, normalizeIntentSlots, toTransferLegs, DEFAULT_HISTORY_LIMIT } from './commandIntentService.js';
+
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+
+describe('Command Intent Service', () => {
+  it.each([
+    ["What's my balance?", { action: 'check_balance', token: 'MNEE', language: 'en' }],
+    ['How much MNEE do I have', { action: 'check_balance', token: 'MNEE', language: 'en' }],
+    ['Salio langu ni ngapi?', { action: 'check_balance', token: 'MNEE', language: 'sw' }],
+    ['Quel est mon solde', { action: 'check_balance', token: 'MNEE', language: 'fr' }],
+    ['show my transaction history', { action: 'transaction_history', limit: DEFAULT_HISTORY_LIMIT, language: 'en' }],
+    ['read my last 3 transactions', { action: 'transaction_history', limit: 3, language: 'en' }],
+    ['nionyeshe miamala 10 ya mwisho', { action: 'transaction_history', limit: 10, language: 'sw' }],
+    ['historique des transactions', { action: 'transaction_history', limit: DEFAULT_HISTORY_LIMIT, language: 'fr' }],
+    ["what's the price of MNEE", { action: 'price_query', symbol: 'MNEE', language: 'en' }],
+    ['how much is bitcoin worth', { action: 'price_query', symbol: 'BTC', language: 'en' }],
+    ['bei ya ethereum', { action: 'price_query', symbol: 'ETH', language: 'sw' }],
+    ['quel est le prix du solana', { action: 'price_query', symbol: 'SOL', language: 'fr' }],
+    ['help', { action: 'help', language: 'en' }],
+    ['What can I say?', { action: 'help', language: 'en' }],
+    ['naomba msaada', { action: 'help', language: 'sw' }],
+    ['cancel', { action: 'cancel', language: 'en' }],
+    ['never mind', { action: 'cancel', language: 'en' }],
+    ['ghairi', { action: 'cancel', language: 'sw' }],
+    ['annuler le transfert', { action: 'cancel', language: 'fr' }],
+    ['cancel the transfer of 50 MNEE', { action: 'cancel', language: 'en' }]
+  ])('should read "%s"', (text, expected) => {
+    expect(parseIntentGrammar(text)).toEqual(expected);
+  });
+
+  it('should report the spoken language for phrases languages share', () => {
+    expect(parseIntentGrammar('transactions', 'fr').language).toBe('fr');
+    expect(parseIntentGrammar('transactions', 'en').language).toBe('en');
+    expect(parseIntentGrammar('transactions', 'sw').language).toBe('en');
+  });
+
+  it.each([
+    ['a transfer', `send 50 MNEE to ${ADDRESS}`],
+    ['a transfer with an intent word', `send 50 MNEE to ${ADDRESS} and check my balance`],
+    ['a transfer without an address', 'pay 5 MNEE at the best price'],
+    ['no intent phrase', 'good morning'],
+    ['a phrase inside another word', 'rebalance the portfolio'],
+    ['empty text', '']
+  ])('should not read %s', (_, text) => {
+    expect(parseIntentGrammar(text)).toBeNull();
+  });
+
+  it('should keep history limits between 1 and 20', () => {
+    fc.assert(
+      fc.property(fc.oneof(fc.integer(), fc.double(), fc.constant(undefined), fc.string()), (limit) => {
+        const slots = normalizeIntentSlots('transaction_history', { limit });
+
+        expect(Number.isInteger(slots.limit)).toBe(true);
+        expect(slots.limit).toBeGreaterThanOrEqual(1);
+        expect(slots.limit).toBeLessThanOrEqual(20);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should read price symbols by name or ticker', () => {
+    expect(normalizeIntentSlots('price_query', { symbol: 'Dogecoin' })).toEqual({ symbol: 'DOGE' });
+    expect(normalizeIntentSlots('price_query', { symbol: 'avax' })).toEqual({ symbol: 'AVAX' });
+    expect(normalizeIntentSlots('price_query', { symbol: 'the token' })).toEqual({ symbol: 'MNEE' });
+    expect(normalizeIntentSlots('help', { symbol: 'BTC' })).toEqual({});
+  });
+});
+
+describe('Transfer legs', () => {
+  it('should send the amount to each recipient', () => {
+    expect(toTransferLegs({ recipients: [ADDRESS, BOB], amounts: [2.5], split: 'each' })).toEqual({
+      legs: [{ amount: 2.5, recipient: ADDRESS }, { amount: 2.5, recipient: BOB }],
+      total: 5
+    });
+  });
+
+  it('should pair amounts with recipients in order', () => {
+    expect(toTransferLegs({ recipients: [ADDRESS, BOB], amounts: [0.1, 0.2], split: 'per_recipient' })).toEqual({
+      legs: [{ amount: 0.1, recipient: ADDRESS }, { amount: 0.2, recipient: BOB }],
+      total: 0.3
+    });
+  });
+
+  it('should split evenly with the remainder on the first legs', () => {
+    const { legs, total } = toTransferLegs({ recipients: [ADDRESS, BOB, ADDRESS], amounts: [10], split: 'evenly' });
+
+    expect(legs.map(leg => leg.amount)).toEqual([3.333334, 3.333333, 3.333333]);
+    expect(total).toBe(10);
+  });
+
+  it('should split any amount so the legs add up to it', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 10 ** 12 }),
+        fc.integer({ min: 2, max: 10 }),
+        (units, count) => {
+          const amount = units / 1e6;
+
+          const { legs, total } = toTransferLegs({ recipients: Array(count).fill(ADDRESS), amounts: [amount], split: 'evenly' });
+
+          expect(total).toBe(amount);
+          const shares = legs.map(leg => Math.round(leg.amount * 1e6));
+          expect(shares.reduce((sum, share) => sum + share, 0)).toBe(units);
+          expect(Math.max(...shares) - Math.min(...shares)).toBeLessThanOrEqual(1);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
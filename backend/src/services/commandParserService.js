@@ -1,68 +1,24 @@
-import { VertexAI } from '@google-cloud/vertexai';
+import { COMMAND_VOCABULARY, INTENT_VOCABULARY, detectCommandLanguage, getLanguage, normalizeCommandText } from './languageService.js';
+import { normalizeSpokenAddress } from './spokenAddressService.js';
+import { parseTransferGrammar } from './commandGrammarService.js';
+import { INTENTS, TRANSFER_SPLITS, normalizeIntentSlots, parseIntentGrammar, toTransferLegs } from './commandIntentService.js';
+import { extractSchedule } from './commandScheduleService.js';
+import { generateJson } from './llmService.js';
 
 // ============================================================================
-// Vertex AI Configuration
+// Parser Configuration
+// ============================================================================
+// COMMAND_PARSER - 'auto' (default): the rule-based grammar first, the LLM
+//                  only for commands it can't read; 'llm': always the LLM;
+//                  'grammar': never call the LLM
+// Parsed commands record the path that produced them in `parser`.
+// The model comes from llmService (LLM_MODEL_COMMAND_PARSER or LLM_MODEL).
 // ============================================================================
-
-const vertexAI = new VertexAI({
-  project: process.env.GOOGLE_PROJECT_ID || 'kaseddie-ai',
-  location: 'us-central1'
-});
-
-const model = vertexAI.preview.getGenerativeModel({
-  model: 'gemini-1.5-flash-001'
-});
 
 // ============================================================================
 // Helper Functions
 // ============================================================================
 
-/**
- * Retry AI generation with exponential backoff strategy
- * @param {string} prompt - The prompt to send to the AI model
- * @param {number} maxRetries - Maximum number of retry attempts
- * @returns {Promise<Object>} AI response object
- */
-async function generateWithRetry(prompt, maxRetries = 3) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`[Command Parser] Generation attempt ${attempt}/${maxRetries}`);
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response;
-    } catch (error) {
-      lastError = error;
-      console.error(`[Command Parser] Attempt ${attempt} failed:`, error.message);
-      
-      if (attempt < maxRetries) {
-        const waitTime = 1000 * attempt;
-        console.log(`[Command Parser] Retrying in ${waitTime}ms...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
-    }
-  }
-  
-  throw new Error(`AI generation failed after ${maxRetries} attempts: ${lastError.message}`);
-}
-
-/**
- * Extract text from Vertex AI response
- * @param {Object} response - Vertex AI response object
- * @returns {string} Extracted text
- */
-function extractText(response) {
-  try {
-    if (response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      return response.candidates[0].content.parts[0].text;
-    }
-  } catch (error) {
-    console.error('[Command Parser] Response parsing error:', error);
-  }
-  return '';
-}
-
 /**
  * Validate Ethereum address format
  * @param {string} address - Address to validate
@@ -152,15 +108,166 @@ export async function validateAndResolveRecipient(recipient) {
 // Command Parser Service
 // ============================================================================
 
+// Transfer verbs per language, for the prompt ("tuma", "envoyer", ...)
+const VERB_HINTS = Object.entries(COMMAND_VOCABULARY)
+  .map(([language, { verbs }]) => `${language}: ${verbs.join(', ')}`)
+  .join('; ');
+
+// Phrases for the other intents, for the prompt ("salio", "historique", ...)
+const INTENT_HINTS = Object.entries(INTENT_VOCABULARY)
+  .map(([intent, phrases]) => `${intent}: ${Object.values(phrases).flat().map(phrase => `"${phrase}"`).join(', ')}`)
+  .join('\n');
+
+// Recognizer alternatives offered to the model besides the top transcript
+const MAX_ALTERNATIVES = 4;
+
+// Structured output the model is asked for
+const COMMAND_SCHEMA = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: INTENTS },
+    amount: { type: 'number' },
+    recipient: { type: 'string' },
+    recipients: { type: 'array', items: { type: 'string' } },
+    amounts: { type: 'array', items: { type: 'number' } },
+    split: { type: 'string' },
+    when: { type: 'string' },
+    limit: { type: 'integer' },
+    symbol: { type: 'string' },
+    language: { type: 'string', enum: ['sw', 'en', 'fr'] },
+    alternative: { type: 'integer' },
+    confidence: { type: 'number' },
+    reasoning: { type: 'string' }
+  },
+  required: ['action', 'confidence']
+};
+
+// Grammar matches are exact, but the transcript itself may still be wrong
+const GRAMMAR_CONFIDENCE = 95;
+
+const PARSER_MODES = new Set(['auto', 'llm', 'grammar']);
+
+function getParserMode() {
+  const mode = (process.env.COMMAND_PARSER || 'auto').toLowerCase();
+  return PARSER_MODES.has(mode) ? mode : 'auto';
+}
+
+// Asked when a transfer is for later but the model's `when` can't be read
+const WHEN_QUESTION = 'When should it be sent? Say for example "tomorrow at 9" or "every Friday".';
+
+// A transfer for later whose time can't be used (passed, or said twice)
+function toScheduleError(details) {
+  return {
+    code: 'AMBIGUOUS_COMMAND',
+    message: 'Command is unclear. Please provide more specific details.',
+    details,
+    clarificationNeeded: true
+  };
+}
+
 /**
- * Parse voice command using Vertex AI
- * Extracts action, amount, and recipient from natural language text
+ * Work out when a transfer should be sent: from the time words read out of
+ * the command, or else from the words the model says are the time
+ * @param {Object} timing - extractSchedule result for the parsed reading
+ * @param {string} when - The model's `when`, if any
+ * @param {Object} options - { language, timeZone }
+ * @returns {Object} { schedule } (null to send now), or { error }
+ */
+function resolveTiming(timing, when, { language, timeZone }) {
+  if (timing.error) {
+    return { error: toScheduleError(timing.error.message) };
+  }
+  if (timing.schedule || !when?.trim()) {
+    return { schedule: timing.schedule };
+  }
+
+  const spoken = extractSchedule(normalizeCommandText(when, language), { language, timeZone });
+  if (spoken.error || !spoken.schedule) {
+    return { error: toScheduleError(spoken.error?.message || WHEN_QUESTION) };
+  }
+  return { schedule: spoken.schedule };
+}
+
+// Asked when several recipients were named with one amount and no "each"
+const SPLIT_QUESTION = 'Should each recipient get that amount, or should it be split between them? ' +
+  'Say "each" or "split evenly".';
+
+/**
+ * Give a transfer its legs (one { amount, recipient } per recipient) and total
+ * @param {Object} transfer - { amount, recipient }, or { amounts, recipients, split }
+ *   for several recipients
+ * @returns {Object} Transfer fields, or { error } if who gets what is unclear
+ */
+function toTransfer({ amount, recipient, amounts, recipients, split }) {
+  if (!recipients) {
+    return { amount, recipient, legs: [{ amount, recipient }], total: amount };
+  }
+
+  if (!TRANSFER_SPLITS.includes(split)) {
+    return {
+      error: {
+        code: 'AMBIGUOUS_COMMAND',
+        message: 'Command is unclear. Please provide more specific details.',
+        details: SPLIT_QUESTION,
+        clarificationNeeded: true
+      }
+    };
+  }
+
+  const { legs, total } = toTransferLegs({ amounts, recipients, split });
+  if (legs.some(leg => !(leg.amount > 0))) {
+    return {
+      error: {
+        code: 'MISSING_PARAMETERS',
+        message: `Unable to parse command. Missing or invalid: amount (too small to split between ${recipients.length} recipients)`,
+        details: `${amounts[0]} split ${recipients.length} ways`
+      }
+    };
+  }
+  return { split, legs, total };
+}
+
+// The part of a spoken address result the confirmation UI needs
+function toAddressReport(heardAddress) {
+  if (!heardAddress) return null;
+  const { heard, address, complete, lowConfidence } = heardAddress;
+  return { heard, address, complete, lowConfidence };
+}
+
+/**
+ * Parse voice command, with the rule-based grammar first and the LLM for
+ * anything it can't read (see COMMAND_PARSER)
+ * Extracts the intent (`action`) and its slots from natural language text in
+ * English, Swahili or French (or a mix of them): amount and recipient for a
+ * transfer, and the slots listed in commandIntentService for the others.
+ * Every transfer also carries `legs` ({ amount, recipient } per recipient)
+ * and their `total`; a transfer to several recipients has no single amount
+ * or recipient, but says how it was `split`. A transfer for later also
+ * carries its `schedule` ({ runAt, recurrence, timeZone, heard }, see
+ * commandScheduleService)
  * 
  * @param {string} text - Transcribed voice command text
- * @returns {Promise<ParsedCommand>} Structured command data
+ * @param {Object} options - Parse options
+ * @param {string} options.languageCode - Language the command was spoken in (e.g. sw-KE)
+ * @param {Array<string|Object>} options.alternatives - The recognizer's N-best list
+ *   (strings or { transcript }); the model may parse one of these instead if
+ *   the top transcript does not form a valid command
+ * @param {string} options.timeZone - IANA time zone the speaker is in, for
+ *   times such as "tomorrow at 9" (default: DEFAULT_TIME_ZONE)
+ * @returns {Promise<ParsedCommand>} Structured command data, including the detected
+ *   language, the transcript that was parsed and, when the address was spelled
+ *   out, a spokenAddress report ({ heard, address, complete, lowConfidence })
+ *   for the confirmation UI. `parser` is 'grammar' or 'llm'
  * @throws {Error} If parsing fails or command is invalid
  */
-export async function parseVoiceCommand(text) {
+export async function parseVoiceCommand(text, { languageCode, alternatives = [], timeZone } = {}) {
+  const spoken = getLanguage(languageCode);
+  // Best guess until the model answers; also used if it doesn't say
+  let language = detectCommandLanguage(text) || spoken?.language || 'en';
+  let spokenAddress = null;
+  let transcript = text;
+  let parser = null;
+
   try {
     console.log(`[Command Parser] Parsing command: "${text}"`);
     
@@ -169,69 +276,181 @@ export async function parseVoiceCommand(text) {
       throw new Error('Command text is required');
     }
 
+    // The top transcript first, then the recognizer's other readings
+    const candidates = [...new Set([text, ...alternatives.map(alt => (typeof alt === 'string' ? alt : alt?.transcript))]
+      .filter(candidate => typeof candidate === 'string' && candidate.trim())
+      .map(candidate => candidate.trim()))]
+      .slice(0, MAX_ALTERNATIVES + 1);
+
+    // Spoken address and numbers as digits, so the model doesn't have to
+    // spell hex or do arithmetic. The address goes first: its digits are
+    // read one by one, not summed ("seven four" is 74, not 11). Words saying
+    // when to send are read last and taken out of the command.
+    const readings = candidates.map(candidate => {
+      const heardAddress = normalizeSpokenAddress(candidate);
+      const timing = extractSchedule(
+        normalizeCommandText(heardAddress ? heardAddress.text : candidate, language),
+        { language, timeZone }
+      );
+      return {
+        transcript: candidate,
+        heardAddress,
+        timing,
+        normalized: timing.text
+      };
+    });
+    spokenAddress = toAddressReport(readings[0].heardAddress);
+
+    // The grammar reads most commands exactly, without a model call
+    const mode = getParserMode();
+    if (mode !== 'llm') {
+      parser = 'grammar';
+      const matched = readings
+        .map(reading => ({
+          reading,
+          command: parseTransferGrammar(reading.normalized) || parseIntentGrammar(reading.normalized, spoken?.language || language)
+        }))
+        .find(({ command }) => command);
+
+      if (matched) {
+        const { reading, command } = matched;
+        transcript = reading.transcript;
+        spokenAddress = toAddressReport(reading.heardAddress) || spokenAddress;
+
+        let fields = command;
+        if (command.action === 'transfer') {
+          const { schedule, error } = resolveTiming(reading.timing, null, { language: command.language, timeZone });
+          fields = error
+            ? { error, language: command.language }
+            : { action: command.action, ...toTransfer(command), ...(schedule && { schedule }), language: command.language };
+        }
+        if (fields.error) {
+          return {
+            error: fields.error,
+            rawText: text,
+            transcript,
+            language: fields.language,
+            parser,
+            timestamp: new Date().toISOString()
+          };
+        }
+
+        const parsedCommand = {
+          ...fields,
+          confidence: GRAMMAR_CONFIDENCE,
+          rawText: text,
+          transcript,
+          parser,
+          ...(spokenAddress && { spokenAddress }),
+          timestamp: new Date().toISOString()
+        };
+        console.log(`[Command Parser] Parsed by grammar:`, parsedCommand);
+        return parsedCommand;
+      }
+
+      if (mode === 'grammar') {
+        return {
+          error: {
+            code: 'AMBIGUOUS_COMMAND',
+            message: 'Command is unclear. Please provide more specific details.',
+            details: 'The command did not match a supported phrasing, e.g. "send 50 MNEE to 0x..." or "what is my balance"',
+            clarificationNeeded: true
+          },
+          rawText: text,
+          transcript,
+          language,
+          parser,
+          ...(spokenAddress && { spokenAddress }),
+          timestamp: new Date().toISOString()
+        };
+      }
+    }
+    parser = 'llm';
+
+    const normalizedText = readings[0].normalized;
+    const otherReadings = readings.slice(1)
+      .map((reading, i) => `${i + 1}. "${reading.normalized}"`)
+      .join('\n');
+
     // Construct AI prompt for command parsing
     const prompt = `You are a voice command parser for a cryptocurrency transfer system.
+Commands may be spoken in English, Swahili or French, or a mix of them.
 
 Parse the following voice command and extract:
-1. Action: Should be "transfer" for sending tokens
-2. Amount: The numeric amount to transfer (extract from words or digits)
-3. Recipient: The Ethereum wallet address (0x followed by 40 hex characters)
-
-Voice Command: "${text}"
+1. Action: What the speaker wants, one of
+   - "transfer": send tokens to someone
+   - "check_balance": hear their MNEE balance
+   - "transaction_history": hear their recent transfers
+   - "price_query": hear the price of MNEE or another asset
+   - "help": hear what they can say
+   - "cancel": stop or cancel the current command
+2. Amount: For a transfer, the numeric amount (extract from words or digits)
+3. Recipient: For a transfer, the Ethereum wallet address (0x followed by 40 hex characters)
+4. Language: The language the command is spoken in ("sw", "en" or "fr")
+5. Limit: For transaction_history, how many transfers were asked for, if said
+6. Symbol: For price_query, the ticker of the asset named (e.g. "BTC"), if any
+7. Recipients: For a transfer to several recipients, every address in the order spoken
+   (leave recipient empty)
+8. Split: With several recipients, "each" if every recipient gets the amount, "evenly"
+   if the amount is shared between them, "per_recipient" if each has their own amount
+   (listed in amounts, in the same order), or "" if the command doesn't say
+9. When: For a transfer to be sent later, the words saying when, if they are still in
+   the normalized command (times already read have been taken out of it)
+
+Voice Command: "${text}"${normalizedText !== text.trim() ? `
+Normalized (address and numbers as digits): "${normalizedText}"` : ''}${spoken ? `
+The speaker selected: ${spoken.name} (${spoken.code})` : ''}${otherReadings ? `
+
+The speech recognizer also heard (most likely first). If the voice command is
+incomplete or invalid but one of these forms a valid command, parse that one:
+${otherReadings}` : ''}
 
 Respond ONLY with valid JSON in this exact format:
 {
-  "action": "transfer",
-  "amount": <number>,
-  "recipient": "<ethereum_address>",
+  "action": "<transfer|check_balance|transaction_history|price_query|help|cancel>",
+  "amount": <number, 0 if not a transfer>,
+  "recipient": "<ethereum_address, empty if not a transfer>",
+  "language": "<sw|en|fr>",
+  "limit": <number of transactions asked for, or 0>,
+  "symbol": "<ticker for a price_query, or empty>",
+  "recipients": [<addresses, only for several recipients>],
+  "split": "<each|evenly|per_recipient, only for several recipients>",
+  "amounts": [<one amount per recipient, only for per_recipient>],
+  "when": "<words saying when to send, only if still in the normalized command>",
+  "alternative": <0 for the voice command, or the number of the alternative you parsed>,
   "confidence": <number 0-100>,
   "reasoning": "<brief explanation of what was extracted>"
 }
 
 Rules:
 - If the command is about sending/transferring tokens, action should be "transfer"
-- Extract numeric amounts from words (e.g., "fifty" -> 50, "one hundred" -> 100)
+- Transfer verbs include ${VERB_HINTS}
+- Questions about the balance, past transactions or prices, requests for help and cancellations are not transfers; phrases for them include:
+${INTENT_HINTS}
+- The recipient follows "to", "kwa" (Swahili) or "à" (French)
+- Extract numeric amounts from words (e.g., "fifty" -> 50, "one hundred" -> 100, "hamsini" -> 50, "mia tano" -> 500, "elfu mbili" -> 2000, "cinquante" -> 50)
 - Only extract recipient if it's a valid Ethereum address starting with 0x
+- Never divide or multiply amounts for several recipients: give the amount as spoken and the split
 - Confidence should be 0-100 based on how clear the command is
-- If any required field (action, amount, or recipient) is missing or unclear, set confidence to 0 and explain in reasoning
+- If the action is unclear, or a transfer's amount or recipient is missing or unclear, set confidence to 0 and explain in reasoning
 - If the command is ambiguous, set confidence below 50 and explain what needs clarification
 
 Examples:
-"Send 50 MNEE to 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb" -> {"action":"transfer","amount":50,"recipient":"0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb","confidence":95,"reasoning":"Clear transfer command with amount and valid address"}
-"Transfer one hundred tokens to 0xABC..." -> {"action":"transfer","amount":100,"recipient":"0xABC...","confidence":90,"reasoning":"Clear amount, partial address needs completion"}
-"Send money to John" -> {"action":"transfer","amount":0,"recipient":"","confidence":0,"reasoning":"Missing amount and recipient address"}
+"Send 50 MNEE to 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb" -> {"action":"transfer","amount":50,"recipient":"0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb","language":"en","confidence":95,"reasoning":"Clear transfer command with amount and valid address"}
+"Transfer one hundred tokens to 0xABC..." -> {"action":"transfer","amount":100,"recipient":"0xABC...","language":"en","confidence":90,"reasoning":"Clear amount, partial address needs completion"}
+"Tuma hamsini MNEE kwa 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb" -> {"action":"transfer","amount":50,"recipient":"0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb","language":"sw","confidence":95,"reasoning":"Swahili: tuma = send, hamsini = 50, kwa = to"}
+"Envoie cinquante MNEE à 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb" -> {"action":"transfer","amount":50,"recipient":"0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb","language":"fr","confidence":95,"reasoning":"French: envoie = send, cinquante = 50"}
+"Send money to John" -> {"action":"transfer","amount":0,"recipient":"","language":"en","confidence":0,"reasoning":"Missing amount and recipient address"}
+"Send 10 MNEE each to 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed and 0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359" -> {"action":"transfer","amount":10,"recipient":"","recipients":["0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed","0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359"],"split":"each","language":"en","confidence":95,"reasoning":"10 MNEE to each of two addresses"}
+"Gawanya MNEE 30 sawa kati ya 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed na 0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359" -> {"action":"transfer","amount":30,"recipient":"","recipients":["0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed","0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359"],"split":"evenly","language":"sw","confidence":95,"reasoning":"Swahili: gawanya sawa = split evenly"}
+"How much MNEE is left in my wallet?" -> {"action":"check_balance","amount":0,"recipient":"","language":"en","confidence":90,"reasoning":"Asks for the balance"}
+"Bei ya bitcoin ni ngapi leo?" -> {"action":"price_query","amount":0,"recipient":"","language":"sw","symbol":"BTC","confidence":90,"reasoning":"Swahili: bei = price"}
+"Montre-moi mes 3 derniers paiements" -> {"action":"transaction_history","amount":0,"recipient":"","language":"fr","limit":3,"confidence":90,"reasoning":"French: last 3 payments"}
 
 Respond ONLY with JSON, no additional text.`;
 
-    // Generate AI response
-    const response = await generateWithRetry(prompt);
-    const text_response = extractText(response);
-    
-    if (!text_response) {
-      throw new Error('Failed to get response from AI');
-    }
-
-    // Parse JSON response
-    let parsedData;
-    try {
-      // Clean markdown formatting if present
-      let jsonText = text_response.trim();
-      const jsonMatch = jsonText.match(/```json\s*([\s\S]*?)\s*```/) || jsonText.match(/```\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonText = jsonMatch[1];
-      }
-      
-      // Extract JSON object
-      const jsonObjectMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        jsonText = jsonObjectMatch[0];
-      }
-      
-      parsedData = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('[Command Parser] JSON parsing failed:', parseError.message);
-      throw new Error('Failed to parse AI response as JSON');
-    }
+    // Generate AI response (JSON mode, shaped by COMMAND_SCHEMA)
+    const { data: parsedData } = await generateJson(prompt, { task: 'command-parser', schema: COMMAND_SCHEMA });
 
     // Validate parsed data structure
     if (!parsedData || typeof parsedData !== 'object') {
@@ -241,20 +460,78 @@ Respond ONLY with JSON, no additional text.`;
     // Extract fields with defaults
     const action = parsedData.action || '';
     const amount = typeof parsedData.amount === 'number' ? parsedData.amount : 0;
-    const recipient = parsedData.recipient || '';
+    // Which reading the model parsed
+    const chosen = readings[parsedData.alternative] || readings[0];
+    transcript = chosen.transcript;
+    spokenAddress = toAddressReport(
+      chosen.heardAddress?.complete ? chosen.heardAddress : readings.find(reading => reading.heardAddress?.complete)?.heardAddress || chosen.heardAddress
+    );
+
+    let recipient = parsedData.recipient || '';
+    // The spelled-out address is exact where the model may drop or reorder hex
+    if (spokenAddress?.complete &&
+        (!isValidEthereumAddress(recipient) || recipient.toLowerCase() === spokenAddress.address.toLowerCase())) {
+      recipient = spokenAddress.address;
+    }
     const confidence = typeof parsedData.confidence === 'number' ? parsedData.confidence : 0;
     const reasoning = parsedData.reasoning || 'No reasoning provided';
+    if (['sw', 'en', 'fr'].includes(parsedData.language)) {
+      language = parsedData.language;
+    }
+
+    // Intents other than transfer only need a clear action
+    if (INTENTS.includes(action) && action !== 'transfer') {
+      if (confidence < 50) {
+        return {
+          error: {
+            code: 'AMBIGUOUS_COMMAND',
+            message: 'Command is unclear. Please provide more specific details.',
+            details: reasoning,
+            clarificationNeeded: true
+          },
+          rawText: text,
+          transcript,
+          language,
+          parser,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const parsedCommand = {
+        action,
+        ...normalizeIntentSlots(action, parsedData),
+        confidence,
+        rawText: text,
+        transcript,
+        language,
+        parser,
+        timestamp: new Date().toISOString()
+      };
+      console.log(`[Command Parser] Successfully parsed ${action} command:`, parsedCommand);
+      return parsedCommand;
+    }
+
+    // Several recipients: the amounts as spoken, shared out by toTransfer
+    const recipients = Array.isArray(parsedData.recipients)
+      ? [...new Set(parsedData.recipients.filter(Boolean))]
+      : [];
+    const batch = recipients.length > 1;
+    const amounts = batch && parsedData.split === 'per_recipient' && Array.isArray(parsedData.amounts)
+      ? parsedData.amounts
+      : [amount];
 
     // Check for missing required fields
     const missingFields = [];
     if (!action || action !== 'transfer') {
-      missingFields.push('action (must be "transfer")');
+      missingFields.push(`action (must be one of: ${INTENTS.join(', ')})`);
     }
-    if (amount <= 0) {
+    if (!amounts.every(value => typeof value === 'number' && value > 0)) {
       missingFields.push('amount (must be positive number)');
+    } else if (batch && parsedData.split === 'per_recipient' && amounts.length !== recipients.length) {
+      missingFields.push('amounts (one per recipient)');
     }
-    if (!recipient || !isValidEthereumAddress(recipient)) {
-      missingFields.push('recipient (must be valid Ethereum address)');
+    if (batch ? !recipients.every(isValidEthereumAddress) : !recipient || !isValidEthereumAddress(recipient)) {
+      missingFields.push(batch ? 'recipients (must be valid Ethereum addresses)' : 'recipient (must be valid Ethereum address)');
     }
 
     // If any required fields are missing, return error
@@ -266,6 +543,10 @@ Respond ONLY with JSON, no additional text.`;
           details: reasoning
         },
         rawText: text,
+        transcript,
+        language,
+        parser,
+        ...(spokenAddress && { spokenAddress }),
         timestamp: new Date().toISOString()
       };
     }
@@ -280,6 +561,27 @@ Respond ONLY with JSON, no additional text.`;
           clarificationNeeded: true
         },
         rawText: text,
+        transcript,
+        language,
+        parser,
+        ...(spokenAddress && { spokenAddress }),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const timing = resolveTiming(chosen.timing, parsedData.when, { language, timeZone });
+    const transfer = timing.error
+      ? timing
+      : toTransfer(batch
+        ? { amounts, recipients, split: parsedData.split }
+        : { amount, recipient });
+    if (transfer.error) {
+      return {
+        error: transfer.error,
+        rawText: text,
+        transcript,
+        language,
+        parser,
         timestamp: new Date().toISOString()
       };
     }
@@ -287,10 +589,14 @@ Respond ONLY with JSON, no additional text.`;
     // Return successfully parsed command
     const parsedCommand = {
       action,
-      amount,
-      recipient,
+      ...transfer,
+      ...(timing.schedule && { schedule: timing.schedule }),
       confidence,
       rawText: text,
+      transcript,
+      language,
+      parser,
+      ...(spokenAddress && { spokenAddress }),
       timestamp: new Date().toISOString()
     };
 
@@ -308,6 +614,10 @@ Respond ONLY with JSON, no additional text.`;
         details: error.message
       },
       rawText: text,
+      transcript,
+      language,
+      parser,
+      ...(spokenAddress && { spokenAddress }),
       timestamp: new Date().toISOString()
     };
   }
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import * as fc from 'fast-check';
 
 // Mock the Vertex AI client before importing the service
@@ -26,14 +26,24 @@ vi.mock('@google-cloud/vertexai', () => {
 // Import after mocking
 import { parseVoiceCommand, validateAndResolveRecipient } from './commandParserService.js';
 import { VertexAI } from '@google-cloud/vertexai';
+import swahiliCorpus from './fixtures/swahiliCommands.json';
 
 // Get the mock function
 const vertexInstance = new VertexAI();
 const mockGenerateContent = vertexInstance._mockGenerateContent;
 
-describe('Command Parser Service Property-Based Tests', () => {
+// The behaviour tests hold whether or not the grammar answers first
+const PARSER_MODES = ['auto', 'llm'];
+
+describe.each(PARSER_MODES)('Command Parser Service Property-Based Tests (COMMAND_PARSER=%s)', (mode) => {
   beforeEach(() => {
     vi.clearAllMocks();
+    mockGenerateContent.mockReset();
+    process.env.COMMAND_PARSER = mode;
+  });
+
+  afterEach(() => {
+    delete process.env.COMMAND_PARSER;
   });
 
   describe('Property 8: Action extraction from commands', () => {
@@ -633,4 +643,488 @@ describe('Command Parser Service Property-Based Tests', () => {
       );
     });
   });
+  describe('Multilingual commands', () => {
+    // The model's answer for a corpus entry, without a language field
+    const modelReply = ({ action, amount, recipient }) => ({
+      response: {
+        candidates: [{
+          content: { parts: [{ text: JSON.stringify({ action, amount, recipient, confidence: 92, reasoning: 'ok' }) }] }
+        }]
+      }
+    });
+
+    it.each(swahiliCorpus.commands)('should parse "$text"', async ({ text, normalized, expected }) => {
+      mockGenerateContent.mockResolvedValueOnce(modelReply(expected));
+
+      const result = await parseVoiceCommand(text, { languageCode: 'sw-KE' });
+
+      expect(result).toMatchObject(expected);
+      if (mode === 'auto') {
+        // Every corpus phrasing is covered by the grammar
+        expect(result.parser).toBe('grammar');
+        expect(mockGenerateContent).not.toHaveBeenCalled();
+        return;
+      }
+      expect(result.parser).toBe('llm');
+      const prompt = mockGenerateContent.mock.calls[0][0];
+      expect(prompt).toContain('Kiswahili (sw-KE)');
+      if (normalized !== text) {
+        expect(prompt).toContain(`Normalized (address and numbers as digits): "${normalized}"`);
+      }
+    });
+
+    it('should prefer the language reported by the model', async () => {
+      const recipient = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+      mockGenerateContent.mockResolvedValueOnce({
+        response: {
+          candidates: [{
+            content: { parts: [{ text: JSON.stringify({ action: 'transfer', amount: 50, recipient, language: 'fr', confidence: 90 }) }] }
+          }]
+        }
+      });
+
+      const result = await parseVoiceCommand(`Envoie cinquante MNEE à ${recipient}`, { languageCode: 'en-US' });
+
+      expect(result.language).toBe('fr');
+      expect(result.amount).toBe(50);
+    });
+
+    it('should report the detected language on parse errors', async () => {
+      mockGenerateContent.mockResolvedValueOnce(modelReply({ action: 'transfer', amount: 0, recipient: '' }));
+
+      const result = await parseVoiceCommand('tuma pesa', { languageCode: 'sw-KE' });
+
+      expect(result.error.code).toBe('MISSING_PARAMETERS');
+      expect(result.language).toBe('sw');
+    });
+  });
+});
+
+// What the model is shown, so these always take the LLM path
+describe('Command Parser Service prompts', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGenerateContent.mockReset();
+    process.env.COMMAND_PARSER = 'llm';
+  });
+
+  afterEach(() => {
+    delete process.env.COMMAND_PARSER;
+  });
+
+  describe('Spoken addresses', () => {
+    it('should hand the model a spelled-out address as hex and keep the exact address', async () => {
+      const text = 'send fifty MNEE to zero x five double a e b six zero five three f three e nine four c nine b nine a ' +
+        'zero nine f double three double six nine four three five e seven e f one b e a e d';
+      // The model drops a character from the long address
+      mockGenerateContent.mockResolvedValueOnce({
+        response: {
+          candidates: [{
+            content: { parts: [{ text: JSON.stringify({ action: 'transfer', amount: 50, recipient: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe', confidence: 90 }) }] }
+          }]
+        }
+      });
+
+      const result = await parseVoiceCommand(text);
+
+      expect(result.recipient).toBe('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+      expect(result.spokenAddress).toMatchObject({ address: result.recipient, complete: true, lowConfidence: [] });
+      expect(mockGenerateContent.mock.calls[0][0]).toContain('"send 50 MNEE to 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed"');
+    });
+
+    it('should return the partial address and doubtful characters when the address is incomplete', async () => {
+      mockGenerateContent.mockResolvedValueOnce({
+        response: {
+          candidates: [{
+            content: { parts: [{ text: JSON.stringify({ action: 'transfer', amount: 5, recipient: '0xc4', confidence: 80 }) }] }
+          }]
+        }
+      });
+
+      const result = await parseVoiceCommand('send five MNEE to oh x see four');
+
+      expect(result.error.code).toBe('MISSING_PARAMETERS');
+      expect(result.spokenAddress).toMatchObject({ address: '0xc4', complete: false });
+      expect(result.spokenAddress.lowConfidence[0]).toMatchObject({ index: 0, character: 'c', heard: 'see' });
+    });
+  });
+  describe('N-best alternatives', () => {
+    const recipient = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+    const reply = (fields) => ({
+      response: {
+        candidates: [{ content: { parts: [{ text: JSON.stringify({ action: 'transfer', confidence: 90, ...fields }) }] } }]
+      }
+    });
+
+    it('should offer the alternatives to the model and report the one it parsed', async () => {
+      mockGenerateContent.mockResolvedValueOnce(reply({ amount: 50, recipient, alternative: 1 }));
+
+      const result = await parseVoiceCommand(`send fifty money to ${recipient}`, {
+        alternatives: [
+          { transcript: `send fifty money to ${recipient}`, confidence: 0.7 },
+          { transcript: `send fifty MNEE to ${recipient}`, confidence: 0.6 },
+          'send fifteen MNEE'
+        ]
+      });
+
+      const prompt = mockGenerateContent.mock.calls[0][0];
+      expect(prompt).toContain(`1. "send 50 MNEE to ${recipient}"`);
+      expect(prompt).toContain('2. "send 15 MNEE"');
+      // The top transcript is not repeated as an alternative
+      expect(prompt).not.toContain('3. "');
+      expect(result.transcript).toBe(`send fifty MNEE to ${recipient}`);
+      expect(result.rawText).toBe(`send fifty money to ${recipient}`);
+    });
+
+    it('should take the spelled-out address from whichever alternative heard all of it', async () => {
+      const spelled = 'zero x five double a e b six zero five three f three e nine four c nine b nine a ' +
+        'zero nine f double three double six nine four three five e seven e f one b e a e d';
+      mockGenerateContent.mockResolvedValueOnce(reply({ amount: 5, recipient: '' }));
+
+      const result = await parseVoiceCommand(`send five MNEE to ${spelled.replace('double a', 'ate')}`, {
+        alternatives: [`send five MNEE to ${spelled}`]
+      });
+
+      expect(result.recipient).toBe(recipient);
+      expect(result.spokenAddress.complete).toBe(true);
+    });
+  });
+});
+
+describe('Grammar-first parsing', () => {
+  const recipient = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+  const reply = (fields) => ({
+    response: {
+      candidates: [{ content: { parts: [{ text: JSON.stringify({ action: 'transfer', confidence: 90, ...fields }) }] } }]
+    }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGenerateContent.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.COMMAND_PARSER;
+  });
+
+  it('should parse a plain command without calling the model', async () => {
+    const result = await parseVoiceCommand(`send fifty MNEE to ${recipient}`);
+
+    expect(result).toMatchObject({ action: 'transfer', amount: 50, recipient, language: 'en', parser: 'grammar', confidence: 95 });
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should still parse when the model is unavailable', async () => {
+    mockGenerateContent.mockRejectedValue(new Error('Vertex AI unavailable'));
+
+    const result = await parseVoiceCommand(`tuma mia tano kwa ${recipient}`, { languageCode: 'sw-KE' });
+
+    expect(result).toMatchObject({ amount: 500, recipient, language: 'sw', parser: 'grammar' });
+  });
+
+  it('should fall back to the model for phrasings the grammar does not know', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ amount: 20, recipient }));
+
+    const result = await parseVoiceCommand(`could you move twenty MNEE over to ${recipient}`);
+
+    expect(result).toMatchObject({ amount: 20, recipient, parser: 'llm' });
+    expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record the model path on model errors', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ amount: 0, recipient: '', confidence: 0 }));
+
+    const result = await parseVoiceCommand('send some money to my brother');
+
+    expect(result.error.code).toBe('MISSING_PARAMETERS');
+    expect(result.parser).toBe('llm');
+  });
+
+  it('should parse the first recognizer reading the grammar understands', async () => {
+    const result = await parseVoiceCommand(`send fifty money to ${recipient}`, {
+      alternatives: [`send fifty money to ${recipient}`, `send fifty MNEE to ${recipient}`]
+    });
+
+    expect(result).toMatchObject({ amount: 50, parser: 'grammar', transcript: `send fifty MNEE to ${recipient}` });
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should keep the spoken address report on grammar results', async () => {
+    const spelled = 'zero x five double a e b six zero five three f three e nine four c nine b nine a ' +
+      'zero nine f double three double six nine four three five e seven e f one b e a e d';
+
+    const result = await parseVoiceCommand(`pay ${spelled} ten`);
+
+    expect(result).toMatchObject({ amount: 10, recipient, parser: 'grammar' });
+    expect(result.spokenAddress).toMatchObject({ address: recipient, complete: true });
+  });
+
+  it('should never call the model with COMMAND_PARSER=grammar', async () => {
+    process.env.COMMAND_PARSER = 'grammar';
+
+    const result = await parseVoiceCommand(`could you move twenty MNEE over to ${recipient}`);
+
+    expect(result.error.code).toBe('AMBIGUOUS_COMMAND');
+    expect(result.parser).toBe('grammar');
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+});
+
+describe('Other intents', () => {
+  const reply = (fields) => ({
+    response: {
+      candidates: [{ content: { parts: [{ text: JSON.stringify({ amount: 0, recipient: '', confidence: 90, ...fields }) }] } }]
+    }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGenerateContent.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.COMMAND_PARSER;
+  });
+
+  it.each([
+    ['what is my balance', {}, { action: 'check_balance', token: 'MNEE', language: 'en' }],
+    ['nionyeshe miamala kumi ya mwisho', { languageCode: 'sw-KE' }, { action: 'transaction_history', limit: 10, language: 'sw' }],
+    ['quel est le prix du bitcoin', { languageCode: 'fr-FR' }, { action: 'price_query', symbol: 'BTC', language: 'fr' }],
+    ['help', {}, { action: 'help', language: 'en' }],
+    ['never mind', {}, { action: 'cancel', language: 'en' }]
+  ])('should read "%s" with the grammar', async (text, options, expected) => {
+    const result = await parseVoiceCommand(text, options);
+
+    expect(result).toMatchObject({ ...expected, parser: 'grammar', confidence: 95 });
+    expect(result.amount).toBeUndefined();
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should take the intent and its slots from the model', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ action: 'price_query', symbol: 'ethereum', language: 'sw' }));
+
+    const result = await parseVoiceCommand('ethereum inauzwa shilingi ngapi', { languageCode: 'sw-KE' });
+
+    expect(result).toMatchObject({ action: 'price_query', symbol: 'ETH', language: 'sw', parser: 'llm', confidence: 90 });
+    expect(result.error).toBeUndefined();
+    expect(result.recipient).toBeUndefined();
+  });
+
+  it('should default missing slots from the model', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ action: 'transaction_history' }));
+
+    const result = await parseVoiceCommand('what did I send lately');
+
+    expect(result).toMatchObject({ action: 'transaction_history', limit: 5, parser: 'llm' });
+  });
+
+  it('should ask again when the model is unsure of the intent', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ action: 'check_balance', confidence: 30 }));
+
+    const result = await parseVoiceCommand('umm the thing with the money');
+
+    expect(result.error).toMatchObject({ code: 'AMBIGUOUS_COMMAND', clarificationNeeded: true });
+  });
+
+  it('should reject an action that is not an intent', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ action: 'stake' }));
+
+    const result = await parseVoiceCommand('stake my tokens');
+
+    expect(result.error.code).toBe('MISSING_PARAMETERS');
+    expect(result.error.message).toContain('must be one of: transfer, check_balance');
+  });
+
+  it('should describe every intent to the model', async () => {
+    process.env.COMMAND_PARSER = 'llm';
+    mockGenerateContent.mockResolvedValueOnce(reply({ action: 'check_balance' }));
+
+    await parseVoiceCommand('what is my balance');
+
+    const prompt = mockGenerateContent.mock.calls[0][0];
+    for (const intent of ['check_balance', 'transaction_history', 'price_query', 'help', 'cancel']) {
+      expect(prompt).toContain(`"${intent}"`);
+    }
+    expect(prompt).toContain('"salio"');
+  });
+});
+
+describe('Batch transfers', () => {
+  const alice = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+  const bob = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+  const reply = (fields) => ({
+    response: {
+      candidates: [{ content: { parts: [{ text: JSON.stringify({ action: 'transfer', amount: 0, recipient: '', confidence: 90, ...fields }) }] } }]
+    }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGenerateContent.mockReset();
+  });
+
+  it('should give a single transfer one leg', async () => {
+    const result = await parseVoiceCommand(`send 5 MNEE to ${alice}`);
+
+    expect(result).toMatchObject({ amount: 5, recipient: alice, legs: [{ amount: 5, recipient: alice }], total: 5 });
+    expect(result.split).toBeUndefined();
+  });
+
+  it('should send the amount to each recipient', async () => {
+    const result = await parseVoiceCommand(`send 10 MNEE each to ${alice} and ${bob}`);
+
+    expect(result).toMatchObject({
+      action: 'transfer',
+      split: 'each',
+      legs: [{ amount: 10, recipient: alice }, { amount: 10, recipient: bob }],
+      total: 20,
+      parser: 'grammar'
+    });
+    expect(result.amount).toBeUndefined();
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should split the amount evenly', async () => {
+    const result = await parseVoiceCommand(`gawanya MNEE mia moja sawa kati ya ${alice} na ${bob}`, { languageCode: 'sw-KE' });
+
+    expect(result).toMatchObject({
+      split: 'evenly',
+      legs: [{ amount: 50, recipient: alice }, { amount: 50, recipient: bob }],
+      total: 100,
+      language: 'sw'
+    });
+  });
+
+  it('should ask whether to send each or split when the command does not say', async () => {
+    const result = await parseVoiceCommand(`send 10 MNEE to ${alice} and ${bob}`);
+
+    expect(result.error).toMatchObject({ code: 'AMBIGUOUS_COMMAND', clarificationNeeded: true });
+    expect(result.error.details).toContain('"each" or "split evenly"');
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a split too small to give everyone something', async () => {
+    const result = await parseVoiceCommand(`split 0.000001 MNEE evenly between ${alice} and ${bob}`);
+
+    expect(result.error.code).toBe('MISSING_PARAMETERS');
+    expect(result.error.message).toContain('too small to split between 2 recipients');
+  });
+
+  it('should take the legs from the model', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ recipients: [alice, bob], amounts: [3, 4], split: 'per_recipient' }));
+
+    const result = await parseVoiceCommand(`give ${alice} three and ${bob} four MNEE please`);
+
+    expect(result).toMatchObject({
+      split: 'per_recipient',
+      legs: [{ amount: 3, recipient: alice }, { amount: 4, recipient: bob }],
+      total: 7,
+      parser: 'llm'
+    });
+  });
+
+  it('should ignore a recipient the model lists twice', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ amount: 5, recipient: alice, recipients: [alice, alice] }));
+
+    const result = await parseVoiceCommand(`could you move 5 MNEE to ${alice}`);
+
+    expect(result).toMatchObject({ amount: 5, recipient: alice, total: 5 });
+    expect(result.legs).toHaveLength(1);
+  });
+
+  it('should reject model legs that do not line up', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ recipients: [alice, bob], amounts: [3], split: 'per_recipient' }));
+
+    const result = await parseVoiceCommand(`give ${alice} three and ${bob} the rest`);
+
+    expect(result.error.code).toBe('MISSING_PARAMETERS');
+    expect(result.error.message).toContain('amounts (one per recipient)');
+  });
+
+  it('should reject a batch with an invalid recipient from the model', async () => {
+    mockGenerateContent.mockResolvedValueOnce(reply({ amount: 2, recipients: [alice, '0x1234'], split: 'each' }));
+
+    const result = await parseVoiceCommand(`give 2 MNEE to ${alice} and my cousin`);
+
+    expect(result.error.code).toBe('MISSING_PARAMETERS');
+    expect(result.error.message).toContain('recipients (must be valid Ethereum addresses)');
+  });
+});
+
+describe('Scheduled transfers', () => {
+  const alice = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+  const nairobi = { timeZone: 'Africa/Nairobi' };
+  const reply = (fields) => ({
+    response: {
+      candidates: [{ content: { parts: [{ text: JSON.stringify({ action: 'transfer', amount: 5, recipient: alice, confidence: 90, ...fields }) }] } }]
+    }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGenerateContent.mockReset();
+    // Monday 2026-03-02, 10:00 in Nairobi
+    vi.useFakeTimers({ now: new Date('2026-03-02T07:00:00Z'), toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.COMMAND_PARSER;
+  });
+
+  it('should read the time and parse the rest with the grammar', async () => {
+    const result = await parseVoiceCommand(`send 50 MNEE to ${alice} tomorrow at 9`, nairobi);
+
+    expect(result).toMatchObject({
+      action: 'transfer',
+      amount: 50,
+      recipient: alice,
+      parser: 'grammar',
+      schedule: { runAt: '2026-03-03T06:00:00.000Z', recurrence: null, timeZone: 'Africa/Nairobi', heard: 'tomorrow at 9' }
+    });
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should read recurring Swahili transfers', async () => {
+    const result = await parseVoiceCommand(`tuma MNEE hamsini kwa ${alice} kila Ijumaa saa tatu na nusu`, { ...nairobi, languageCode: 'sw-KE' });
+
+    expect(result).toMatchObject({
+      amount: 50,
+      language: 'sw',
+      schedule: { runAt: '2026-03-06T06:30:00.000Z', recurrence: { frequency: 'weekly', hour: 9, minute: 30, weekday: 5 } }
+    });
+  });
+
+  it('should send at once when no time is said', async () => {
+    const result = await parseVoiceCommand(`send 5 MNEE to ${alice}`, nairobi);
+
+    expect(result.schedule).toBeUndefined();
+  });
+
+  it('should ask again for a time that has passed', async () => {
+    const result = await parseVoiceCommand(`send 5 MNEE to ${alice} today at 8`, nairobi);
+
+    expect(result.error).toMatchObject({ code: 'AMBIGUOUS_COMMAND', clarificationNeeded: true });
+    expect(result.error.details).toContain('already passed');
+    expect(mockGenerateContent).not.toHaveBeenCalled();
+  });
+
+  it('should read the time the model points out', async () => {
+    process.env.COMMAND_PARSER = 'llm';
+    mockGenerateContent.mockResolvedValueOnce(reply({ when: 'every day at 18:30' }));
+
+    const result = await parseVoiceCommand(`send 5 MNEE to ${alice} evry dai hafpast sixish`, nairobi);
+
+    expect(result.schedule).toMatchObject({ runAt: '2026-03-02T15:30:00.000Z', recurrence: { frequency: 'daily', hour: 18, minute: 30 } });
+  });
+
+  it('should ask when a transfer is for later but the model\'s time can\'t be read', async () => {
+    process.env.COMMAND_PARSER = 'llm';
+    mockGenerateContent.mockResolvedValueOnce(reply({ when: 'once payday comes' }));
+
+    const result = await parseVoiceCommand(`send 5 MNEE to ${alice} once payday comes`, nairobi);
+
+    expect(result.error).toMatchObject({ code: 'AMBIGUOUS_COMMAND', details: expect.stringContaining('When should it be sent?') });
+  });
 });
@@ -0,0 +1,454 @@
+import { TIME_VOCABULARY } from './languageService.js';
+
+// ============================================================================
+// Scheduled Transfers: When
+// ============================================================================
+// DEFAULT_TIME_ZONE - IANA time zone for commands whose client did not send
+//                     one (default UTC)
+//
+// extractSchedule reads the words saying when a transfer should be sent
+// ("tomorrow at 9", "kila Ijumaa", "le 1er de chaque mois") out of a command
+// with numbers already written as digits, and returns the rest of the command
+// for the transfer parsers. The time is resolved in the speaker's time zone:
+//
+//   runAt        First time the transfer is due (ISO, UTC)
+//   recurrence   null for a one-off, or { frequency: daily|weekly|monthly,
+//                hour, minute, weekday (0 = Sunday), dayOfMonth }
+//   timeZone     IANA zone the times were spoken in
+//   heard        The words that were read as the time
+// ============================================================================
+
+// When a day is named without a time ("tomorrow"), send in the morning
+const DEFAULT_HOUR = 9;
+
+// A monthly run is never more than this many days after the previous one
+const MAX_DAYS_AHEAD = 62;
+
+const LANGUAGES = Object.keys(TIME_VOCABULARY);
+
+function scheduleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ============================================================================
+// Time Zones
+// ============================================================================
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Resolve a client-supplied time zone, falling back to DEFAULT_TIME_ZONE
+ * @param {string} timeZone - IANA time zone (e.g. Africa/Nairobi), or empty
+ * @returns {string} Supported time zone
+ * @throws {Error} UNSUPPORTED_TIME_ZONE if the zone is unknown
+ */
+export function requireTimeZone(timeZone) {
+  const zone = timeZone || process.env.DEFAULT_TIME_ZONE || 'UTC';
+  try {
+    getFormatter(zone);
+    return zone;
+  } catch {
+    throw scheduleError('UNSUPPORTED_TIME_ZONE', `Time zone "${zone}" is not supported. Use an IANA name such as Africa/Nairobi`);
+  }
+}
+
+// Wall-clock date and time of an instant in a time zone
+function zonedParts(date, timeZone) {
+  return Object.fromEntries(getFormatter(timeZone).formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+}
+
+// The instant a wall-clock time happens in a time zone. The zone's offset is
+// read at the guess and corrected once more for days that change offset.
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wall;
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(new Date(instant), timeZone);
+    instant += wall - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  }
+  return new Date(instant);
+}
+
+// Local calendar days are carried as UTC dates
+const calendarDay = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+function calendarDayOf(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return calendarDay(year, month, day);
+}
+
+/**
+ * First local day, from today, that matches and whose time is after `after`
+ * @returns {Date|null} Due instant, or null within MAX_DAYS_AHEAD
+ */
+function findRun(matches, { hour, minute }, timeZone, after) {
+  const today = zonedParts(after, timeZone);
+  for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset++) {
+    const day = calendarDay(today.year, today.month, today.day + offset);
+    if (!matches(day, offset)) continue;
+    const runAt = zonedTimeToDate({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour,
+      minute
+    }, timeZone);
+    if (runAt > after) return runAt;
+  }
+  return null;
+}
+
+// Does a local day fall on a recurring transfer's schedule?
+const RECURRENCE_DAYS = {
+  daily: () => true,
+  weekly: (recurrence, day) => day.getUTCDay() === recurrence.weekday,
+  // The 31st of a 30-day month is sent on the 30th
+  monthly: (recurrence, day) => day.getUTCDate() ===
+    Math.min(recurrence.dayOfMonth, daysInMonth(day.getUTCFullYear(), day.getUTCMonth() + 1))
+};
+
+/**
+ * When a recurring transfer is next due
+ * @param {Object} recurrence - { frequency, hour, minute, weekday, dayOfMonth }
+ * @param {string} timeZone - IANA time zone the recurrence is kept in
+ * @param {Date} after - Find the first run strictly after this instant
+ * @returns {Date} Next run
+ */
+export function nextRunAt(recurrence, timeZone, after = new Date()) {
+  return findRun(day => RECURRENCE_DAYS[recurrence.frequency](recurrence, day), recurrence, timeZone, after);
+}
+
+// ============================================================================
+// Reading Times
+// ============================================================================
+
+function toWords(tokens) {
+  return tokens.map(token => token.toLowerCase().replace(/^[("'¿]+|[.!?;,)"']+$/g, ''));
+}
+
+// Length of the longest phrase that starts at words[i] (0 if none)
+function phraseAt(words, i, phrases) {
+  let longest = 0;
+  for (const phrase of phrases) {
+    const parts = phrase.split(' ');
+    if (parts.length > longest && parts.every((part, k) => words[i + k] === part)) {
+      longest = parts.length;
+    }
+  }
+  return longest;
+}
+
+// The value of the longest matching key of a phrase map: [length, value]
+function lookupAt(words, i, map) {
+  const length = phraseAt(words, i, Object.keys(map));
+  return length ? [length, map[words.slice(i, i + length).join(' ')]] : [0, undefined];
+}
+
+function readOrdinal(word, vocabulary) {
+  if (word in vocabulary.ordinals) return vocabulary.ordinals[word];
+  const suffix = vocabulary.ordinalSuffixes.find(ending => new RegExp(`^\\d{1,2}${ending}$`).test(word));
+  return suffix ? Number(word.slice(0, -suffix.length)) : null;
+}
+
+const readDay = (word) => (/^\d{1,2}$/.test(word) ? Number(word) : null);
+
+// "9", "9:30", "9.5" (Swahili "saa tatu na nusu"), "9am", "9h30"
+function readClock(word) {
+  const match = word.match(/^(\d{1,2})(?:[:h](\d{2})?|\.(5))?(am|pm)?$/);
+  if (!match) return null;
+  const [, hour, minute, half, suffix] = match;
+  return {
+    hour: Number(hour),
+    minute: half ? 30 : Number(minute || 0),
+    ...(suffix && { meridiem: suffix }),
+    marked: Boolean(suffix || minute || word.includes('h'))
+  };
+}
+
+// Each matcher reads one part of a time at words[i]: { length, fields } or null
+const MATCHERS = [
+  // "every Friday", "kila mwezi", "tous les vendredis"
+  function every(words, i, vocabulary) {
+    const lead = phraseAt(words, i, vocabulary.every);
+    if (!lead) return null;
+    const word = words[i + lead];
+    if (word in vocabulary.units) {
+      return { length: lead + 1, fields: { frequency: vocabulary.units[word] } };
+    }
+    const weekday = vocabulary.weekdays[word] ?? vocabulary.weekdays[word?.replace(/s$/, '')];
+    return weekday === undefined ? null : { length: lead + 1, fields: { frequency: 'weekly', weekday } };
+  },
+
+  function frequency(words, i, vocabulary) {
+    const word = words[i];
+    return word in vocabulary.frequencies ? { length: 1, fields: { frequency: vocabulary.frequencies[word] } } : null;
+  },
+
+  function relativeDay(words, i, vocabulary) {
+    const [length, days] = lookupAt(words, i, vocabulary.relativeDays);
+    return length ? { length, fields: { days } } : null;
+  },
+
+  // "on Friday", "Ijumaa ijayo", "vendredi prochain"
+  function weekday(words, i, vocabulary) {
+    const lead = phraseAt(words, i, vocabulary.beforeWeekday);
+    const day = vocabulary.weekdays[words[i + lead]];
+    if (day === undefined) return null;
+    const trail = phraseAt(words, i + lead + 1, vocabulary.afterWeekday);
+    return { length: lead + 1 + trail, fields: { weekday: day } };
+  },
+
+  // "on the 1st", "15 March", "March 15th", "tarehe 5", "le 1er mars"
+  function date(words, i, vocabulary) {
+    const lead = phraseAt(words, i, vocabulary.beforeDate);
+    let at = i + lead;
+    let month = vocabulary.months[words[at]];
+    if (month !== undefined) at++;
+
+    const ordinal = readOrdinal(words[at] || '', vocabulary);
+    const day = ordinal ?? readDay(words[at] || '');
+    if (day === null) return null;
+    at++;
+
+    if (month === undefined) {
+      const of = phraseAt(words, at, vocabulary.connectors);
+      month = vocabulary.months[words[at + of]];
+      if (month !== undefined) at += of + 1;
+    }
+    // A bare number is an amount unless something marks it as a date
+    if (ordinal === null && !lead && month === undefined) return null;
+    if (day < 1 || day > 31) return null;
+    return { length: at - i, fields: { dayOfMonth: day, ...(month !== undefined && { month }) } };
+  },
+
+  // "at 9", "at 9:30 pm", "saa 3 asubuhi", "à 21h", "à 9 heures du soir", "9pm", "noon"
+  function time(words, i, vocabulary) {
+    const lead = phraseAt(words, i, vocabulary.at);
+    let at = i + lead;
+    let clock;
+    if (words[at] in vocabulary.namedTimes) {
+      clock = { hour: vocabulary.namedTimes[words[at]], minute: 0, marked: true, named: true };
+    } else {
+      clock = readClock(words[at] || '');
+    }
+    if (!clock) return null;
+    at++;
+
+    const afterHour = phraseAt(words, at, vocabulary.afterHour);
+    if (afterHour) {
+      at += afterHour;
+      clock.marked = true;
+      if (/^\d{2}$/.test(words[at] || '')) clock.minute = Number(words[at++]);
+    }
+    const [partLength, part] = lookupAt(words, at, vocabulary.dayParts);
+    at += partLength;
+    // A bare number needs "at", an hour word or am/pm to be a time
+    if (!lead && !clock.marked && !part) return null;
+
+    return {
+      length: at - i,
+      fields: {
+        hour: clock.hour,
+        minute: clock.minute,
+        clock: clock.named ? 'twentyFour' : vocabulary.clock,
+        ...((clock.meridiem || part) && { meridiem: clock.meridiem || part.meridiem })
+      }
+    };
+  },
+
+  // "tomorrow morning", "kesho jioni"
+  function dayPart(words, i, vocabulary) {
+    const [length, part] = lookupAt(words, i, vocabulary.dayParts);
+    return length && part.hour !== undefined ? { length, fields: { dayPart: part } } : null;
+  }
+];
+
+// The 24-hour hour of a spoken time
+function toHour({ hour, meridiem, clock }) {
+  if (clock === 'swahili') {
+    // Swahili hours count from 6: saa moja is 7, saa sita is 12
+    const base = (hour + 6) % 12;
+    if (hour > 12) return hour;
+    if (meridiem === 'am') return base;
+    if (meridiem === 'night') return base >= 6 ? base + 12 : base;
+    if (meridiem === 'pm') return base === 0 ? 12 : base + 12;
+    return base < 7 ? base + 12 : base;
+  }
+  if (meridiem === 'pm' && hour < 12) return hour + 12;
+  if (meridiem === 'am' && hour === 12) return 0;
+  // "at 5" is more likely five in the afternoon than in the morning
+  if (!meridiem && clock === 'twelve' && hour >= 1 && hour <= 6) return hour + 12;
+  return hour;
+}
+
+// Find every time phrase in the command; a field may only be said once
+function readTimeParts(words, language) {
+  const vocabularies = [language, ...LANGUAGES.filter(code => code !== language)]
+    .filter(code => TIME_VOCABULARY[code])
+    .map(code => TIME_VOCABULARY[code]);
+  const spans = [];
+  const fields = {};
+
+  for (let i = 0; i < words.length;) {
+    let match = null;
+    for (const vocabulary of vocabularies) {
+      match = MATCHERS.map(matcher => matcher(words, i, vocabulary)).find(Boolean);
+      if (match) break;
+    }
+    if (!match) {
+      i++;
+      continue;
+    }
+    for (const [field, value] of Object.entries(match.fields)) {
+      if (field in fields && fields[field] !== value) {
+        throw scheduleError('CONFLICTING_TIMES', 'The command names more than one time. When should it be sent?');
+      }
+      fields[field] = value;
+    }
+    spans.push([i, i + match.length]);
+    i += match.length;
+  }
+
+  // "on the 1st of each month": drop connectors between two time phrases
+  const connectors = vocabularies.flatMap(vocabulary => vocabulary.connectors);
+  for (let k = 1; k < spans.length; k++) {
+    const [, end] = spans[k - 1];
+    if (spans[k][0] === end + 1 && connectors.includes(words[end])) {
+      spans[k - 1][1] = end + 1;
+    }
+  }
+  return { spans, fields };
+}
+
+// Fields that cannot be said together with each frequency
+const FREQUENCY_CONFLICTS = {
+  daily: ['days', 'weekday', 'dayOfMonth', 'month'],
+  weekly: ['days', 'dayOfMonth', 'month'],
+  monthly: ['days', 'weekday', 'month']
+};
+
+// Turn the fields read from a command into its first run and recurrence
+function resolveSchedule(fields, timeZone, now) {
+  const time = fields.hour !== undefined
+    ? { hour: toHour({ ...fields, meridiem: fields.meridiem || fields.dayPart?.meridiem }), minute: fields.minute }
+    : { hour: fields.dayPart?.hour ?? DEFAULT_HOUR, minute: 0 };
+  if (time.hour > 23 || time.minute > 59) {
+    throw scheduleError('INVALID_TIME', 'That is not a time of day. When should it be sent?');
+  }
+
+  if (fields.frequency) {
+    if (FREQUENCY_CONFLICTS[fields.frequency].some(field => field in fields)) {
+      throw scheduleError('CONFLICTING_TIMES', 'The command names more than one time. When should it be sent?');
+    }
+    const recurrence = { frequency: fields.frequency, ...time };
+    // "every week" and "every month" repeat from the first run
+    const first = calendarDayOf(findRun(() => true, time, timeZone, now), timeZone);
+    if (fields.frequency === 'weekly') {
+      recurrence.weekday = fields.weekday ?? first.getUTCDay();
+    }
+    if (fields.frequency === 'monthly') {
+      recurrence.dayOfMonth = fields.dayOfMonth ?? first.getUTCDate();
+    }
+    return { runAt: nextRunAt(recurrence, timeZone, now), recurrence };
+  }
+
+  if (['days', 'weekday', 'dayOfMonth'].filter(field => field in fields).length > 1) {
+    throw scheduleError('CONFLICTING_TIMES', 'The command names more than one time. When should it be sent?');
+  }
+
+  let runAt;
+  if ('month' in fields) {
+    // Leap days come round within 8 years
+    const { year } = zonedParts(now, timeZone);
+    const years = Array.from({ length: 9 }, (_, k) => year + k)
+      .filter(candidate => fields.dayOfMonth <= daysInMonth(candidate, fields.month));
+    if (years.length === 0) {
+      throw scheduleError('INVALID_DATE', 'That date does not exist. When should it be sent?');
+    }
+    runAt = years
+      .map(candidate => zonedTimeToDate({ year: candidate, month: fields.month, day: fields.dayOfMonth, ...time }, timeZone))
+      .find(candidate => candidate > now);
+  } else if ('days' in fields) {
+    runAt = findRun((day, offset) => offset === fields.days, time, timeZone, now);
+  } else if ('weekday' in fields) {
+    runAt = findRun(day => day.getUTCDay() === fields.weekday, time, timeZone, now);
+  } else if ('dayOfMonth' in fields) {
+    runAt = findRun(day => day.getUTCDate() === fields.dayOfMonth, time, timeZone, now);
+  } else {
+    runAt = findRun(() => true, time, timeZone, now);
+  }
+
+  if (!runAt) {
+    throw scheduleError('TIME_PASSED', 'That time has already passed. When should it be sent?');
+  }
+  return { runAt, recurrence: null };
+}
+
+/**
+ * Read when a transfer should be sent out of a command
+ * @param {string} text - Command with numbers already written as digits
+ * @param {Object} options
+ * @param {string} options.language - Language of the command ('sw', 'en', 'fr');
+ *   its words are tried first, then the others for code-switched commands
+ * @param {string} options.timeZone - IANA time zone the speaker is in
+ * @param {Date} options.now - Current time (for tests)
+ * @returns {Object} { text, schedule }: the command without its time words,
+ *   and { runAt, recurrence, timeZone, heard } or null if no time was said.
+ *   A time that can't be used (already passed, two different days) comes
+ *   back as { text, schedule: null, error: { code, message } }, with the time
+ *   words taken out when they could be told apart
+ */
+export function extractSchedule(text, { language = 'en', timeZone, now = new Date() } = {}) {
+  if (!text || typeof text !== 'string') {
+    return { text, schedule: null };
+  }
+
+  const tokens = text.trim().split(/\s+/);
+  const words = toWords(tokens);
+  let rest = text;
+  try {
+    const { spans, fields } = readTimeParts(words, language);
+    if (spans.length === 0) {
+      return { text, schedule: null };
+    }
+
+    const removed = new Set(spans.flatMap(([start, end]) => Array.from({ length: end - start }, (_, k) => start + k)));
+    rest = tokens.filter((_, i) => !removed.has(i)).join(' ');
+    const zone = requireTimeZone(timeZone);
+    const { runAt, recurrence } = resolveSchedule(fields, zone, now);
+    return {
+      text: rest,
+      schedule: {
+        runAt: runAt.toISOString(),
+        recurrence,
+        timeZone: zone,
+        heard: spans.map(([start, end]) => tokens.slice(start, end).join(' ')).join(' ')
+      }
+    };
+  } catch (error) {
+    if (!error.code) throw error;
+    return { text: rest, schedule: null, error: { code: error.code, message: error.message } };
+  }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { extractSchedule, nextRunAt, requireTimeZone } from './commandScheduleService.js';
+
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+// Monday 2026-03-02, 10:00 in Nairobi
+const NOW = new Date('2026-03-02T07:00:00Z');
+const NAIROBI = { timeZone: 'Africa/Nairobi', now: NOW };
+
+describe('Command Schedule Service', () => {
+  it.each([
+    ['en', `send 50 MNEE to ${ADDRESS} tomorrow at 9`, 'tomorrow at 9', '2026-03-03T06:00:00.000Z', null],
+    ['en', `send 5 MNEE to ${ADDRESS} tomorrow`, 'tomorrow', '2026-03-03T06:00:00.000Z', null],
+    ['en', `send 5 MNEE to ${ADDRESS} on March 10 in the evening`, 'on March 10 in the evening', '2026-03-10T15:00:00.000Z', null],
+    ['en', `send 5 MNEE to ${ADDRESS} every day at 18:30`, 'every day at 18:30', '2026-03-02T15:30:00.000Z',
+      { frequency: 'daily', hour: 18, minute: 30 }],
+    ['sw', `tuma MNEE 50 kwa ${ADDRESS} kila Ijumaa saa 3.5`, 'kila Ijumaa saa 3.5', '2026-03-06T06:30:00.000Z',
+      { frequency: 'weekly', hour: 9, minute: 30, weekday: 5 }],
+    ['sw', `tuma MNEE 5 kwa ${ADDRESS} kesho asubuhi`, 'kesho asubuhi', '2026-03-03T06:00:00.000Z', null],
+    ['sw', `tuma MNEE 5 kwa ${ADDRESS} kesho saa 2 usiku`, 'kesho saa 2 usiku', '2026-03-03T17:00:00.000Z', null],
+    ['fr', `envoie 20 MNEE à ${ADDRESS} le 1er de chaque mois`, 'le 1er de chaque mois', '2026-04-01T06:00:00.000Z',
+      { frequency: 'monthly', hour: 9, minute: 0, dayOfMonth: 1 }],
+    ['fr', `envoie 5 MNEE à ${ADDRESS} demain à 14h`, 'demain à 14h', '2026-03-03T11:00:00.000Z', null]
+  ])('should read the time out of a %s command: "%s"', (language, text, heard, runAt, recurrence) => {
+    const { text: rest, schedule } = extractSchedule(text, { ...NAIROBI, language });
+
+    expect(rest).toBe(text.slice(0, text.indexOf(ADDRESS) + ADDRESS.length));
+    expect(schedule).toEqual({ runAt, recurrence, timeZone: 'Africa/Nairobi', heard });
+  });
+
+  it('should leave a command without a time alone', () => {
+    const text = `send 5 MNEE to ${ADDRESS}`;
+
+    expect(extractSchedule(text, NAIROBI)).toEqual({ text, schedule: null });
+  });
+
+  it.each([
+    ['a time that has passed', 'today at 8', 'TIME_PASSED'],
+    ['two different days', 'tomorrow on Friday', 'CONFLICTING_TIMES'],
+    ['an hour past midnight', 'at 25:00', 'INVALID_TIME'],
+    ['a day the month does not have', 'on February 30', 'INVALID_DATE']
+  ])('should ask again for %s', (_, when, code) => {
+    const text = `send 5 MNEE to ${ADDRESS} ${when}`;
+
+    const result = extractSchedule(text, { ...NAIROBI, language: 'en' });
+
+    expect(result).toMatchObject({ text: `send 5 MNEE to ${ADDRESS}`, schedule: null, error: { code } });
+    expect(result.error.message).toContain('When should it be sent?');
+  });
+
+  it('should refuse a time zone it does not know', () => {
+    expect(() => requireTimeZone('Mars/Olympus')).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_TIME_ZONE' }));
+    expect(extractSchedule('send 5 MNEE tomorrow', { timeZone: 'Mars/Olympus', now: NOW }).error.code).toBe('UNSUPPORTED_TIME_ZONE');
+    expect(requireTimeZone(undefined)).toBe(process.env.DEFAULT_TIME_ZONE || 'UTC');
+  });
+
+  it('should keep the local time across a daylight saving change', () => {
+    // New York moves from UTC-5 to UTC-4 on 2026-03-08
+    const daily = { frequency: 'daily', hour: 9, minute: 0 };
+
+    expect(nextRunAt(daily, 'America/New_York', new Date('2026-03-07T14:00:00Z')).toISOString()).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  it('should send a monthly transfer on the last day of shorter months', () => {
+    const monthly = { frequency: 'monthly', hour: 9, minute: 0, dayOfMonth: 31 };
+
+    expect(nextRunAt(monthly, 'UTC', new Date('2026-04-01T00:00:00Z')).toISOString()).toBe('2026-04-30T09:00:00.000Z');
+  });
+
+  it('should always find the next run after the given time, at the recurrence\'s local time', () => {
+    const zones = ['UTC', 'Africa/Nairobi', 'Asia/Kolkata'];
+    const wallClock = (date, timeZone) => new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short', hour: 'numeric', minute: 'numeric'
+    }).formatToParts(date).reduce((parts, { type, value }) => ({ ...parts, [type]: value }), {});
+
+    fc.assert(
+      fc.property(
+        fc.constantFrom('daily', 'weekly', 'monthly'),
+        fc.integer({ min: 0, max: 23 }),
+        fc.integer({ min: 0, max: 59 }),
+        fc.integer({ min: 0, max: 6 }),
+        fc.integer({ min: 1, max: 31 }),
+        fc.constantFrom(...zones),
+        fc.date({ min: new Date('2025-01-01T00:00:00Z'), max: new Date('2030-01-01T00:00:00Z'), noInvalidDate: true }),
+        (frequency, hour, minute, weekday, dayOfMonth, timeZone, after) => {
+          const runAt = nextRunAt({ frequency, hour, minute, weekday, dayOfMonth }, timeZone, after);
+
+          expect(runAt.getTime()).toBeGreaterThan(after.getTime());
+          expect(runAt.getTime() - after.getTime()).toBeLessThanOrEqual(62 * 24 * 60 * 60 * 1000);
+          const local = wallClock(runAt, timeZone);
+          expect([Number(local.hour), Number(local.minute)]).toEqual([hour, minute]);
+          if (frequency === 'weekly') {
+            expect(local.weekday).toBe(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][weekday]);
+          }
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+});
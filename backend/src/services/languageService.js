@@ -0,0 +1,388 @@
+// ============================================================================
+// Supported Languages
+// ============================================================================
+
+/**
+ * Languages understood end to end, from recognition to command parsing.
+ * `code` is the BCP-47 tag sent to the speech provider; `aliases` are the
+ * short forms clients may send instead.
+ */
+export const SUPPORTED_LANGUAGES = [
+  { code: 'sw-KE', language: 'sw', name: 'Kiswahili', aliases: ['sw'] },
+  { code: 'en-KE', language: 'en', name: 'English (Kenya)', aliases: [] },
+  { code: 'en-US', language: 'en', name: 'English (US)', aliases: ['en'] },
+  { code: 'fr-FR', language: 'fr', name: 'Français', aliases: ['fr'] }
+];
+
+/**
+ * Language used when the client does not pick one (DEFAULT_VOICE_LANGUAGE)
+ * @returns {string} BCP-47 language code
+ */
+export function getDefaultLanguage() {
+  return resolveLanguage(process.env.DEFAULT_VOICE_LANGUAGE) || 'en-US';
+}
+
+/**
+ * Resolve a client-supplied language to a supported BCP-47 code
+ * @param {string} code - Language code or alias ('sw', 'sw-KE', 'fr', ...)
+ * @returns {string|null} Supported code, or null if the language is not supported
+ */
+export function resolveLanguage(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+  const wanted = code.trim().toLowerCase();
+  const match = SUPPORTED_LANGUAGES.find(entry =>
+    entry.code.toLowerCase() === wanted || entry.aliases.includes(wanted)
+  );
+  return match ? match.code : null;
+}
+
+/**
+ * Resolve a client-supplied language, falling back to the default when none
+ * was given
+ * @param {string} code - Language code or alias, or empty
+ * @returns {string} Supported BCP-47 code
+ * @throws {Error} UNSUPPORTED_LANGUAGE if the language is not supported
+ */
+export function requireLanguage(code) {
+  if (!code) {
+    return getDefaultLanguage();
+  }
+  const resolved = resolveLanguage(code);
+  if (!resolved) {
+    const error = new Error(
+      `Language "${code}" is not supported. Use one of: ${SUPPORTED_LANGUAGES.map(entry => entry.code).join(', ')}`
+    );
+    error.code = 'UNSUPPORTED_LANGUAGE';
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Describe a supported language code
+ * @param {string} code - Supported BCP-47 code
+ * @returns {Object|null} Entry from SUPPORTED_LANGUAGES
+ */
+export function getLanguage(code) {
+  return SUPPORTED_LANGUAGES.find(entry => entry.code === resolveLanguage(code)) || null;
+}
+
+// ============================================================================
+// Command Vocabulary
+// ============================================================================
+
+const UNITS_AND_TENS = {
+  sw: {
+    sifuri: 0, moja: 1, mbili: 2, tatu: 3, nne: 4, tano: 5, sita: 6, saba: 7, nane: 8, tisa: 9,
+    kumi: 10, ishirini: 20, thelathini: 30, arobaini: 40, hamsini: 50,
+    sitini: 60, sabini: 70, themanini: 80, tisini: 90
+  },
+  en: {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+  },
+  fr: {
+    zéro: 0, un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9,
+    dix: 10, onze: 11, douze: 12, treize: 13, quatorze: 14, quinze: 15, seize: 16,
+    vingt: 20, vingts: 20, trente: 30, quarante: 40, cinquante: 50, soixante: 60
+  }
+};
+
+const SCALES = {
+  sw: { mia: 100, elfu: 1000, laki: 100000, milioni: 1000000 },
+  en: { hundred: 100, thousand: 1000, million: 1000000 },
+  fr: { cent: 100, cents: 100, mille: 1000, million: 1000000, millions: 1000000 }
+};
+
+// Joins number words ("kumi na tano", "one hundred and five", "vingt et un")
+const NUMBER_CONNECTORS = { sw: 'na', en: 'and', fr: 'et' };
+
+// Words that start a transfer, and the preposition before the recipient
+export const COMMAND_VOCABULARY = {
+  sw: { verbs: ['tuma', 'tumia', 'nitumie', 'mtumie', 'hamisha', 'lipa'], recipient: ['kwa'] },
+  en: { verbs: ['send', 'transfer', 'pay'], recipient: ['to'] },
+  fr: { verbs: ['envoyer', 'envoie', 'envoyez', 'transférer', 'transfère', 'payer', 'paie', 'payez'], recipient: ['à'] }
+};
+
+// Words for a transfer to several recipients: verbs that split one amount
+// between them, words saying it is split evenly or sent to each of them, and
+// the word joining the recipients
+export const BATCH_VOCABULARY = {
+  sw: { splitVerbs: ['gawanya', 'gawa'], evenly: ['sawa', 'sawasawa', 'kati', 'ya'], each: ['kila', 'mmoja'], and: ['na'] },
+  en: { splitVerbs: ['split', 'divide'], evenly: ['evenly', 'equally', 'between', 'among'], each: ['each', 'apiece'], and: ['and'] },
+  fr: { splitVerbs: ['partage', 'partagez', 'répartis', 'répartissez'], evenly: ['également', 'équitablement', 'entre'], each: ['chacun', 'chacune'], and: ['et'] }
+};
+
+// Words for when a transfer should be sent ("kesho saa tatu asubuhi",
+// "every Friday", "le 1er de chaque mois"), read by commandScheduleService.
+// `dayParts` may follow a time ("at 9 in the evening") or, when they have an
+// hour, stand alone ("tomorrow morning"). `clock` says how hours are spoken:
+// 'twelve' (am/pm), 'twentyFour', or 'swahili' (saa moja = 7 o'clock).
+export const TIME_VOCABULARY = {
+  sw: {
+    relativeDays: { leo: 0, kesho: 1, keshokutwa: 2, 'kesho kutwa': 2 },
+    weekdays: { jumapili: 0, jumatatu: 1, jumanne: 2, jumatano: 3, alhamisi: 4, ijumaa: 5, jumamosi: 6 },
+    beforeWeekday: ['siku ya'],
+    afterWeekday: ['ijayo', 'hii'],
+    months: {
+      januari: 1, februari: 2, machi: 3, aprili: 4, mei: 5, juni: 6,
+      julai: 7, agosti: 8, septemba: 9, oktoba: 10, novemba: 11, desemba: 12
+    },
+    beforeDate: ['tarehe'],
+    ordinals: {},
+    ordinalSuffixes: [],
+    every: ['kila'],
+    units: { siku: 'daily', wiki: 'weekly', mwezi: 'monthly' },
+    frequencies: {},
+    at: ['saa'],
+    afterHour: [],
+    dayParts: {
+      asubuhi: { meridiem: 'am', hour: 9 },
+      mchana: { meridiem: 'pm', hour: 14 },
+      jioni: { meridiem: 'pm', hour: 18 },
+      usiku: { meridiem: 'night', hour: 20 }
+    },
+    namedTimes: {},
+    connectors: ['ya'],
+    clock: 'swahili'
+  },
+  en: {
+    relativeDays: { today: 0, tomorrow: 1, 'day after tomorrow': 2, 'the day after tomorrow': 2 },
+    weekdays: { sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6 },
+    beforeWeekday: ['on', 'next', 'this', 'on next', 'this coming'],
+    afterWeekday: [],
+    months: {
+      january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+      july: 7, august: 8, september: 9, october: 10, november: 11, december: 12
+    },
+    beforeDate: ['on the', 'on', 'the'],
+    ordinals: { first: 1, second: 2, third: 3 },
+    ordinalSuffixes: ['st', 'nd', 'rd', 'th'],
+    every: ['every', 'each'],
+    units: { day: 'daily', week: 'weekly', month: 'monthly' },
+    frequencies: { daily: 'daily', weekly: 'weekly', monthly: 'monthly' },
+    at: ['at'],
+    afterHour: ["o'clock"],
+    dayParts: {
+      am: { meridiem: 'am' },
+      'a.m': { meridiem: 'am' },
+      pm: { meridiem: 'pm' },
+      'p.m': { meridiem: 'pm' },
+      morning: { meridiem: 'am', hour: 9 },
+      'in the morning': { meridiem: 'am', hour: 9 },
+      afternoon: { meridiem: 'pm', hour: 14 },
+      'in the afternoon': { meridiem: 'pm', hour: 14 },
+      evening: { meridiem: 'pm', hour: 18 },
+      'in the evening': { meridiem: 'pm', hour: 18 },
+      'at night': { meridiem: 'pm', hour: 20 }
+    },
+    namedTimes: { noon: 12, midnight: 0 },
+    connectors: ['of'],
+    clock: 'twelve'
+  },
+  fr: {
+    relativeDays: { "aujourd'hui": 0, demain: 1, 'après-demain': 2, 'après demain': 2 },
+    weekdays: { dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6 },
+    beforeWeekday: [],
+    afterWeekday: ['prochain'],
+    months: {
+      janvier: 1, février: 2, mars: 3, avril: 4, mai: 5, juin: 6,
+      juillet: 7, août: 8, septembre: 9, octobre: 10, novembre: 11, décembre: 12
+    },
+    beforeDate: ['le'],
+    ordinals: { premier: 1 },
+    ordinalSuffixes: ['er', 'e', 'ème'],
+    every: ['chaque', 'tous les', 'toutes les'],
+    units: { jour: 'daily', jours: 'daily', semaine: 'weekly', semaines: 'weekly', mois: 'monthly' },
+    frequencies: {},
+    at: ['à', 'vers'],
+    afterHour: ['h', 'heure', 'heures'],
+    dayParts: {
+      'du matin': { meridiem: 'am' },
+      matin: { meridiem: 'am', hour: 9 },
+      "de l'après-midi": { meridiem: 'pm' },
+      'après-midi': { meridiem: 'pm', hour: 14 },
+      'du soir': { meridiem: 'pm' },
+      soir: { meridiem: 'pm', hour: 18 }
+    },
+    namedTimes: { midi: 12, minuit: 0 },
+    connectors: ['de', 'du'],
+    clock: 'twentyFour'
+  }
+};
+
+// Words and phrases that ask for something other than a transfer, by intent
+export const INTENT_VOCABULARY = {
+  cancel: {
+    sw: ['ghairi', 'sitisha', 'acha'],
+    en: ['cancel', 'stop', 'never mind', 'abort'],
+    fr: ['annule', 'annuler', 'annulez', 'arrête', 'laisse tomber']
+  },
+  help: {
+    sw: ['msaada', 'nisaidie', 'saidia'],
+    en: ['help', 'what can i say', 'what can you do'],
+    fr: ['aide', 'aidez-moi', 'que puis-je dire']
+  },
+  check_balance: {
+    sw: ['salio', 'nina kiasi gani'],
+    en: ['balance', 'how much do i have', 'how much mnee do i have'],
+    fr: ['solde', "combien j'ai", "combien ai-je"]
+  },
+  transaction_history: {
+    sw: ['historia', 'miamala'],
+    en: ['history', 'transactions', 'recent transfers', 'last transfers', 'past transfers'],
+    fr: ['historique', 'transactions', 'derniers transferts']
+  },
+  price_query: {
+    sw: ['bei', 'thamani'],
+    en: ['price', 'worth', 'cost'],
+    fr: ['prix', 'cours', 'vaut']
+  }
+};
+
+function toWords(token) {
+  return token.toLowerCase().replace(/[.,!?;:]+$/, '').split('-').filter(Boolean);
+}
+
+function isNumberWord(word, language) {
+  return word in UNITS_AND_TENS[language] || word in SCALES[language] || (language === 'sw' && word === 'nusu');
+}
+
+// Swahili puts the multiplier after the scale: "mia tano" = 500, "elfu mbili" = 2000
+function swahiliWordsToNumber(words) {
+  let total = 0;
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (word === 'nusu') {
+      total += 0.5;
+    } else if (word in SCALES.sw) {
+      const multiplier = UNITS_AND_TENS.sw[words[i + 1]];
+      total += SCALES.sw[word] * (multiplier ?? 1);
+      if (multiplier !== undefined) i++;
+    } else {
+      total += UNITS_AND_TENS.sw[word];
+    }
+  }
+  return total;
+}
+
+// English and French put it before: "five hundred", "deux mille"
+function westernWordsToNumber(words, language) {
+  let total = 0;
+  let current = 0;
+  words.forEach((word, i) => {
+    const scale = SCALES[language][word];
+    if (scale === 100) {
+      current = (current || 1) * 100;
+    } else if (scale) {
+      total += (current || 1) * scale;
+      current = 0;
+    } else if (language === 'fr' && word.startsWith('vingt') && words[i - 1] === 'quatre') {
+      // quatre-vingt(s) = 4 x 20
+      current += 80 - 4;
+    } else {
+      current += UNITS_AND_TENS[language][word];
+    }
+  });
+  return total + current;
+}
+
+/**
+ * Convert spoken number words to a number
+ * @param {string} phrase - e.g. "mia mbili na hamsini", "quatre-vingt-dix"
+ * @param {string} language - 'sw', 'en' or 'fr'
+ * @returns {number|null} Value, or null if the phrase is not a number
+ */
+export function wordsToNumber(phrase, language) {
+  if (!UNITS_AND_TENS[language] || typeof phrase !== 'string') {
+    return null;
+  }
+  const words = phrase.split(/\s+/).flatMap(toWords)
+    .filter(word => word !== NUMBER_CONNECTORS[language]);
+  if (words.length === 0 || !words.every(word => isNumberWord(word, language))) {
+    return null;
+  }
+  return language === 'sw' ? swahiliWordsToNumber(words) : westernWordsToNumber(words, language);
+}
+
+// Replace each run of number words in one language with digits
+function replaceNumberWords(tokens, language) {
+  const output = [];
+  let run = [];
+
+  const flush = () => {
+    // A trailing connector belongs to the sentence, not the number
+    const trailing = run.length > 0 && toWords(run[run.length - 1])[0] === NUMBER_CONNECTORS[language]
+      ? [run.pop()]
+      : [];
+    if (run.length > 0) {
+      output.push(String(wordsToNumber(run.join(' '), language)));
+    }
+    output.push(...trailing);
+    run = [];
+  };
+
+  for (const token of tokens) {
+    const words = toWords(token);
+    const isNumber = words.length > 0 && words.every(word => isNumberWord(word, language));
+    const isConnector = run.length > 0 && words.length === 1 && words[0] === NUMBER_CONNECTORS[language];
+    if (isNumber || isConnector) {
+      run.push(token);
+    } else {
+      flush();
+      output.push(token);
+    }
+  }
+  flush();
+  return output;
+}
+
+/**
+ * Guess the language of a command from its verbs, number words and
+ * prepositions. Verbs count double, so code-switched commands
+ * ("tuma 50 MNEE to 0x...") follow the verb.
+ * @param {string} text - Command text
+ * @returns {string|null} 'sw', 'en', 'fr', or null if nothing matched
+ */
+export function detectCommandLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+  const words = text.split(/\s+/).flatMap(toWords);
+  let best = null;
+  let bestScore = 0;
+
+  for (const language of Object.keys(COMMAND_VOCABULARY)) {
+    const { verbs, recipient } = COMMAND_VOCABULARY[language];
+    const score = words.reduce((sum, word) => {
+      if (verbs.includes(word)) return sum + 2;
+      if (recipient.includes(word) || isNumberWord(word, language)) return sum + 1;
+      return sum;
+    }, 0);
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rewrite spoken numbers as digits so every parser sees "tuma 50 MNEE"
+ * rather than "tuma hamsini MNEE". Numbers in the command's own language are
+ * converted first, then English ones, which Kenyan speakers often mix in.
+ * @param {string} text - Command text
+ * @param {string} language - 'sw', 'en' or 'fr' (default: detected)
+ * @returns {string} Text with number words replaced
+ */
+export function normalizeCommandText(text, language = detectCommandLanguage(text)) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+  const passes = [...new Set([language, 'en'].filter(code => code in UNITS_AND_TENS))];
+  return passes.reduce((tokens, code) => replaceNumberWords(tokens, code), text.trim().split(/\s+/)).join(' ');
+}
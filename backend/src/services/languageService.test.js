@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  resolveLanguage,
+  requireLanguage,
+  getDefaultLanguage,
+  wordsToNumber,
+  detectCommandLanguage,
+  normalizeCommandText
+} from './languageService.js';
+import swahiliCorpus from './fixtures/swahiliCommands.json';
+
+describe('Language Service', () => {
+  afterEach(() => {
+    delete process.env.DEFAULT_VOICE_LANGUAGE;
+  });
+
+  describe('language selection', () => {
+    it('should resolve supported codes and aliases case-insensitively', () => {
+      expect(resolveLanguage('sw-KE')).toBe('sw-KE');
+      expect(resolveLanguage('SW')).toBe('sw-KE');
+      expect(resolveLanguage('en-ke')).toBe('en-KE');
+      expect(resolveLanguage('fr')).toBe('fr-FR');
+      expect(resolveLanguage('de-DE')).toBeNull();
+      expect(resolveLanguage(undefined)).toBeNull();
+    });
+
+    it('should fall back to DEFAULT_VOICE_LANGUAGE only when no language is given', () => {
+      expect(requireLanguage(undefined)).toBe('en-US');
+
+      process.env.DEFAULT_VOICE_LANGUAGE = 'sw';
+      expect(getDefaultLanguage()).toBe('sw-KE');
+      expect(requireLanguage('')).toBe('sw-KE');
+      expect(requireLanguage('fr')).toBe('fr-FR');
+      expect(() => requireLanguage('de-DE')).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_LANGUAGE' }));
+    });
+  });
+
+  describe('number words', () => {
+    it.each([
+      ['hamsini', 'sw', 50],
+      ['kumi na tano', 'sw', 15],
+      ['mia tano', 'sw', 500],
+      ['mia mbili na hamsini', 'sw', 250],
+      ['elfu mbili mia tano', 'sw', 2500],
+      ['elfu kumi', 'sw', 10000],
+      ['tano na nusu', 'sw', 5.5],
+      ['one hundred and five', 'en', 105],
+      ['twenty-five', 'en', 25],
+      ['two thousand three hundred', 'en', 2300],
+      ['cinquante', 'fr', 50],
+      ['vingt et un', 'fr', 21],
+      ['soixante-dix', 'fr', 70],
+      ['quatre-vingt-dix-neuf', 'fr', 99],
+      ['deux cents', 'fr', 200],
+      ['mille', 'fr', 1000]
+    ])('should read "%s" (%s) as %d', (phrase, language, expected) => {
+      expect(wordsToNumber(phrase, language)).toBe(expected);
+    });
+
+    it('should return null for phrases that are not numbers', () => {
+      expect(wordsToNumber('tuma pesa', 'sw')).toBeNull();
+      expect(wordsToNumber('hamsini', 'en')).toBeNull();
+      expect(wordsToNumber('fifty', 'de')).toBeNull();
+    });
+
+    it('should leave digits and other words untouched', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 1000000 }), (amount) => {
+          const text = `tuma ${amount} MNEE kwa 0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb`;
+          expect(normalizeCommandText(text, 'sw')).toBe(text);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Swahili corpus', () => {
+    it.each(swahiliCorpus.commands)('should normalize and detect "$text"', ({ text, normalized, expected }) => {
+      expect(detectCommandLanguage(text)).toBe(expected.language);
+      expect(normalizeCommandText(text)).toBe(normalized);
+      expect(normalized.split(' ')).toContain(String(expected.amount));
+    });
+  });
+
+  describe('language detection', () => {
+    it('should detect English and French commands', () => {
+      expect(detectCommandLanguage('Send fifty MNEE to 0xabc')).toBe('en');
+      expect(detectCommandLanguage('Envoie cinquante MNEE à 0xabc')).toBe('fr');
+      expect(detectCommandLanguage('0xabc')).toBeNull();
+    });
+  });
+});
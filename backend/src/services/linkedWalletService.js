@@ -0,0 +1,171 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getAddress, isAddress } from 'viem';
+import { getById, findBy, add, update, remove } from '../models/db.js';
+
+// ============================================================================
+// Linked Wallets
+// ============================================================================
+// A user can own several wallet addresses, each stored in the `wallets`
+// collection after the user proved ownership by signing a SIWE message.
+// Exactly one linked address is primary; it is mirrored to
+// users.walletAddress so profiles and lookups do not need a second query.
+// An address can only ever belong to one user.
+// ============================================================================
+
+const MAX_LABEL_LENGTH = 40;
+
+function walletError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeAddress(address) {
+  if (!isAddress(address || '', { strict: false })) {
+    throw walletError('INVALID_ADDRESS', 'A valid Ethereum address is required');
+  }
+  return getAddress(address);
+}
+
+function normalizeLabel(label) {
+  if (label === undefined || label === null) return null;
+  if (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH) {
+    throw walletError('INVALID_LABEL', `Label must be text of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  return label.trim() || null;
+}
+
+// Find one of the user's linked wallets by address
+function getOwnWallet(userId, address) {
+  const wallet = findBy('wallets', 'address', normalizeAddress(address))[0];
+  if (!wallet || wallet.userId !== userId) {
+    throw walletError('WALLET_NOT_FOUND', 'This address is not linked to your account');
+  }
+  return wallet;
+}
+
+// Keep users.walletAddress in step with the primary wallet
+function syncPrimaryAddress(userId) {
+  const primary = findBy('wallets', 'userId', userId).find(wallet => wallet.isPrimary);
+  update('users', userId, { walletAddress: primary?.address || null, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * List a user's linked wallets, primary first then oldest first
+ * @param {string} userId - User ID
+ * @returns {Object[]} Linked wallets
+ */
+export function getLinkedWallets(userId) {
+  return findBy('wallets', 'userId', userId)
+    .sort((a, b) => (b.isPrimary - a.isPrimary) || new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Find the user that owns a wallet address
+ * @param {string} address - Wallet address (any case)
+ * @returns {string|null} User ID, or null if the address is not linked
+ */
+export function findUserIdByWallet(address) {
+  if (!isAddress(address || '', { strict: false })) return null;
+  return findBy('wallets', 'address', getAddress(address))[0]?.userId || null;
+}
+
+/**
+ * Link a wallet address to a user. Ownership must already be proven by the
+ * caller (a verified SIWE signature). Linking an address the user already
+ * owns is a no-op.
+ * @param {string} userId - User ID
+ * @param {string} address - Verified wallet address
+ * @param {Object} options - { label }
+ * @returns {Object} Linked wallet
+ */
+export function linkWallet(userId, address, { label } = {}) {
+  const normalized = normalizeAddress(address);
+  const existing = findBy('wallets', 'address', normalized)[0];
+
+  if (existing) {
+    if (existing.userId !== userId) {
+      throw walletError('WALLET_IN_USE', 'This wallet is already linked to another account');
+    }
+    return existing;
+  }
+
+  if (!getById('users', userId)) {
+    throw walletError('USER_NOT_FOUND', 'User not found');
+  }
+
+  const now = new Date().toISOString();
+  const wallet = add('wallets', {
+    id: uuidv4(),
+    userId,
+    address: normalized,
+    label: normalizeLabel(label),
+    isPrimary: findBy('wallets', 'userId', userId).length === 0,
+    verifiedAt: now,
+    createdAt: now
+  });
+
+  if (wallet.isPrimary) {
+    syncPrimaryAddress(userId);
+  }
+  console.log(`[Wallets] Linked ${normalized} to user ${userId}`);
+  return wallet;
+}
+
+/**
+ * Set or clear the label of a linked wallet
+ * @param {string} userId - User ID
+ * @param {string} address - Linked wallet address
+ * @param {string|null} label - New label (empty clears it)
+ * @returns {Object} Updated wallet
+ */
+export function labelWallet(userId, address, label) {
+  const wallet = getOwnWallet(userId, address);
+  return update('wallets', wallet.id, { label: normalizeLabel(label) });
+}
+
+/**
+ * Make a linked wallet the user's primary address
+ * @param {string} userId - User ID
+ * @param {string} address - Linked wallet address
+ * @returns {Object} Updated wallet
+ */
+export function setPrimaryWallet(userId, address) {
+  const target = getOwnWallet(userId, address);
+
+  for (const wallet of findBy('wallets', 'userId', userId)) {
+    if (wallet.isPrimary && wallet.id !== target.id) {
+      update('wallets', wallet.id, { isPrimary: false });
+    }
+  }
+  const primary = update('wallets', target.id, { isPrimary: true });
+  syncPrimaryAddress(userId);
+  return primary;
+}
+
+/**
+ * Unlink a wallet. If it was primary, the oldest remaining wallet becomes
+ * primary. A wallet-only user cannot unlink their last address, because it
+ * is their only way to sign in.
+ * @param {string} userId - User ID
+ * @param {string} address - Linked wallet address
+ * @returns {Object} Removed wallet
+ */
+export function unlinkWallet(userId, address) {
+  const wallet = getOwnWallet(userId, address);
+  const remaining = getLinkedWallets(userId).filter(other => other.id !== wallet.id);
+
+  if (remaining.length === 0 && !getById('users', userId)?.email) {
+    throw walletError('LAST_SIGN_IN_METHOD', 'Link another wallet before removing your only sign-in address');
+  }
+
+  remove('wallets', wallet.id);
+  if (wallet.isPrimary && remaining.length > 0) {
+    const next = remaining.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+    update('wallets', next.id, { isPrimary: true });
+  }
+  syncPrimaryAddress(userId);
+
+  console.log(`[Wallets] Unlinked ${wallet.address} from user ${userId}`);
+  return wallet;
+}
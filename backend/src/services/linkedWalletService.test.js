@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+
+// In-memory users and wallets collections standing in for the database
+const collections = { users: new Map(), wallets: new Map() };
+
+vi.mock('../models/db.js', () => ({
+  getById: vi.fn((collection, id) => collections[collection].get(id)),
+  findBy: vi.fn((collection, field, value) =>
+    [...collections[collection].values()].filter(record => record[field] === value)),
+  add: vi.fn((collection, record) => {
+    collections[collection].set(record.id, record);
+    return record;
+  }),
+  update: vi.fn((collection, id, updates) => {
+    const record = collections[collection].get(id);
+    if (!record) return null;
+    collections[collection].set(id, { ...record, ...updates });
+    return collections[collection].get(id);
+  }),
+  remove: vi.fn((collection, id) => {
+    const record = collections[collection].get(id);
+    collections[collection].delete(id);
+    return record || null;
+  })
+}));
+
+import {
+  getLinkedWallets,
+  findUserIdByWallet,
+  linkWallet,
+  labelWallet,
+  setPrimaryWallet,
+  unlinkWallet
+} from './linkedWalletService.js';
+
+const ADDRESS_A = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ADDRESS_B = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const ADDRESS_C = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+function addUser(id, overrides = {}) {
+  collections.users.set(id, { id, email: `${id}@example.com`, walletAddress: null, ...overrides });
+}
+
+describe('Linked Wallet Service', () => {
+  beforeEach(() => {
+    collections.users.clear();
+    collections.wallets.clear();
+    addUser('user-1');
+    addUser('user-2');
+  });
+
+  it('should make the first linked address primary and mirror it on the user', () => {
+    const first = linkWallet('user-1', ADDRESS_A.toLowerCase(), { label: ' Hardware ' });
+    const second = linkWallet('user-1', ADDRESS_B);
+
+    expect(first).toMatchObject({ address: ADDRESS_A, label: 'Hardware', isPrimary: true });
+    expect(second.isPrimary).toBe(false);
+    expect(collections.users.get('user-1').walletAddress).toBe(ADDRESS_A);
+    expect(getLinkedWallets('user-1').map(w => w.address)).toEqual([ADDRESS_A, ADDRESS_B]);
+  });
+
+  it('should never let two users own the same address', () => {
+    linkWallet('user-1', ADDRESS_A);
+
+    expect(linkWallet('user-1', ADDRESS_A).userId).toBe('user-1');
+    expect(() => linkWallet('user-2', ADDRESS_A.toLowerCase())).toThrow(expect.objectContaining({ code: 'WALLET_IN_USE' }));
+    expect(findUserIdByWallet(ADDRESS_A.toLowerCase())).toBe('user-1');
+    expect(findUserIdByWallet('not-an-address')).toBeNull();
+  });
+
+  it('should label, switch primary and only act on the caller\'s own wallets', () => {
+    linkWallet('user-1', ADDRESS_A);
+    linkWallet('user-1', ADDRESS_B);
+    linkWallet('user-2', ADDRESS_C);
+
+    expect(labelWallet('user-1', ADDRESS_B, 'Savings').label).toBe('Savings');
+    expect(() => labelWallet('user-1', ADDRESS_B, 'x'.repeat(41))).toThrow(expect.objectContaining({ code: 'INVALID_LABEL' }));
+
+    setPrimaryWallet('user-1', ADDRESS_B);
+    expect(getLinkedWallets('user-1').map(w => [w.address, w.isPrimary])).toEqual([[ADDRESS_B, true], [ADDRESS_A, false]]);
+    expect(collections.users.get('user-1').walletAddress).toBe(ADDRESS_B);
+
+    expect(() => setPrimaryWallet('user-1', ADDRESS_C)).toThrow(expect.objectContaining({ code: 'WALLET_NOT_FOUND' }));
+    expect(() => unlinkWallet('user-1', ADDRESS_C)).toThrow(expect.objectContaining({ code: 'WALLET_NOT_FOUND' }));
+  });
+
+  it('should promote another wallet when the primary is unlinked', () => {
+    linkWallet('user-1', ADDRESS_A);
+    linkWallet('user-1', ADDRESS_B);
+
+    unlinkWallet('user-1', ADDRESS_A);
+
+    expect(getLinkedWallets('user-1')).toEqual([expect.objectContaining({ address: ADDRESS_B, isPrimary: true })]);
+    expect(collections.users.get('user-1').walletAddress).toBe(ADDRESS_B);
+
+    unlinkWallet('user-1', ADDRESS_B);
+    expect(collections.users.get('user-1').walletAddress).toBeNull();
+  });
+
+  it('should keep a wallet-only user\'s last sign-in address', () => {
+    addUser('wallet-only', { email: null });
+    linkWallet('wallet-only', ADDRESS_A);
+
+    expect(() => unlinkWallet('wallet-only', ADDRESS_A)).toThrow(expect.objectContaining({ code: 'LAST_SIGN_IN_METHOD' }));
+  });
+
+  it('should always leave exactly one primary wallet while any are linked', () => {
+    fc.assert(
+      fc.property(
+        fc.array(
+          fc.tuple(fc.constantFrom('link', 'primary', 'unlink'), fc.constantFrom(ADDRESS_A, ADDRESS_B, ADDRESS_C)),
+          { maxLength: 25 }
+        ),
+        (operations) => {
+          collections.wallets.clear();
+          addUser('user-1');
+          for (const [operation, address] of operations) {
+            try {
+              if (operation === 'link') linkWallet('user-1', address);
+              if (operation === 'primary') setPrimaryWallet('user-1', address);
+              if (operation === 'unlink') unlinkWallet('user-1', address);
+            } catch (error) {
+              expect(error.code).toBe('WALLET_NOT_FOUND');
+            }
+
+            const wallets = getLinkedWallets('user-1');
+            const primaries = wallets.filter(w => w.isPrimary);
+            expect(primaries).toHaveLength(wallets.length > 0 ? 1 : 0);
+            expect(collections.users.get('user-1').walletAddress).toBe(primaries[0]?.address || null);
+          }
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
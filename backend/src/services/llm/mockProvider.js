@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, 'fixtures/replies.json');
+
+// Rough token count for scripted replies that don't give one
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Create a scripted LLM provider for tests and offline demos.
+ *
+ * The script is { replies: [...], default }. Each request takes the first
+ * remaining reply whose `match` (if any) occurs in the prompt; replies are
+ * used once unless marked `repeat`, and `default` answers whatever is left.
+ * A reply is { text } or { json } (serialized), or { error, status } to fail
+ * the request, with an optional `usage`. Every request is recorded in `calls`.
+ *
+ * @param {Object} options - Provider options
+ * @param {Object} options.script - Script object (takes precedence over scriptPath)
+ * @param {string} options.scriptPath - Path to a script JSON file
+ * @returns {Object} LLM provider
+ */
+export function createMockProvider({ script, scriptPath = DEFAULT_SCRIPT_PATH } = {}) {
+  let replies = null;
+  let fallback = null;
+  const calls = [];
+
+  function load() {
+    if (!replies) {
+      const loaded = script || JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      replies = [...(loaded.replies || [])];
+      fallback = loaded.default || null;
+    }
+  }
+
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    calls,
+
+    async generate(request) {
+      load();
+      calls.push(request);
+
+      const index = replies.findIndex(reply => !reply.match || request.prompt.includes(reply.match));
+      const reply = index === -1 ? fallback
+        : replies[index].repeat ? replies[index]
+          : replies.splice(index, 1)[0];
+      if (!reply) {
+        throw new Error('The mock LLM has no reply for this prompt');
+      }
+      if (reply.error) {
+        const error = new Error(reply.error);
+        if (reply.status) error.status = reply.status;
+        throw error;
+      }
+
+      const text = reply.text ?? JSON.stringify(reply.json);
+      const promptTokens = reply.usage?.promptTokens ?? estimateTokens(request.prompt);
+      const completionTokens = reply.usage?.completionTokens ?? estimateTokens(text);
+      return {
+        text,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
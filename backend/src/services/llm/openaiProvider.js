@@ -0,0 +1,70 @@
+/**
+ * Create an LLM provider for any OpenAI-compatible chat completions API:
+ * OpenAI itself, or a local server (llama.cpp, Ollama, vLLM) via baseUrl.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API root, up to and including /v1
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @param {Function} options.fetchImpl - fetch implementation
+ * @returns {Object} LLM provider
+ */
+export function createOpenAIProvider({
+  baseUrl = 'https://api.openai.com/v1',
+  apiKey,
+  fetchImpl = fetch
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    defaultModel: 'gpt-4o-mini',
+
+    /**
+     * Generate a completion
+     * @param {Object} request - { prompt, model, system, json, schema, temperature, maxOutputTokens, signal }
+     * @returns {Promise<Object>} { text, usage: { promptTokens, completionTokens, totalTokens } }
+     * @throws {Error} With `status` set to the HTTP status for error responses
+     */
+    async generate({ prompt, model, system, json, schema, temperature, maxOutputTokens, signal }) {
+      const responseFormat = !json ? undefined
+        : schema ? { type: 'json_schema', json_schema: { name: 'response', schema } }
+          : { type: 'json_object' };
+
+      const res = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt }
+          ],
+          ...(responseFormat && { response_format: responseFormat }),
+          ...(temperature !== undefined && { temperature }),
+          ...(maxOutputTokens && { max_tokens: maxOutputTokens })
+        }),
+        signal
+      });
+
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const error = new Error(body.error?.message || `Chat completion failed with HTTP ${res.status}`);
+        error.status = res.status;
+        throw error;
+      }
+
+      const usage = body.usage || {};
+      return {
+        text: body.choices?.[0]?.message?.content || '',
+        usage: {
+          promptTokens: usage.prompt_tokens ?? null,
+          completionTokens: usage.completion_tokens ?? null,
+          totalTokens: usage.total_tokens ?? null
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,77 @@
+import { VertexAI } from '@google-cloud/vertexai';
+
+// JSON Schema -> Vertex AI schema: upper-case types, no additionalProperties
+function toVertexSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const { type, properties, items, additionalProperties, ...rest } = schema;
+  return {
+    ...rest,
+    ...(type && { type: String(type).toUpperCase() }),
+    ...(properties && {
+      properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toVertexSchema(value)]))
+    }),
+    ...(items && { items: toVertexSchema(items) })
+  };
+}
+
+/**
+ * Create an LLM provider backed by Vertex AI (Gemini). The client is created
+ * on first use, so loading this module does not need credentials.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.project - Google Cloud project
+ * @param {string} options.location - Vertex AI region
+ * @param {Function} options.createClient - VertexAI factory
+ * @returns {Object} LLM provider
+ */
+export function createVertexProvider({
+  project,
+  location = 'us-central1',
+  createClient = () => new VertexAI({ project, location })
+} = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  }
+
+  return {
+    name: 'vertex',
+    defaultModel: 'gemini-1.5-flash-001',
+
+    /**
+     * Generate a completion
+     * @param {Object} request - { prompt, model, system, json, schema, temperature, maxOutputTokens }
+     * @returns {Promise<Object>} { text, usage: { promptTokens, completionTokens, totalTokens } }
+     */
+    async generate({ prompt, model, system, json, schema, temperature, maxOutputTokens }) {
+      const generationConfig = {
+        ...(json && { responseMimeType: 'application/json' }),
+        ...(json && schema && { responseSchema: toVertexSchema(schema) }),
+        ...(temperature !== undefined && { temperature }),
+        ...(maxOutputTokens && { maxOutputTokens })
+      };
+      const generativeModel = getClient().preview.getGenerativeModel({
+        model,
+        ...(system && { systemInstruction: system }),
+        ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+      });
+
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      const parts = response?.candidates?.[0]?.content?.parts || [];
+      const usage = response?.usageMetadata || {};
+      return {
+        text: parts.map(part => part.text || '').join(''),
+        usage: {
+          promptTokens: usage.promptTokenCount ?? null,
+          completionTokens: usage.candidatesTokenCount ?? null,
+          totalTokens: usage.totalTokenCount ?? null
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,267 @@
+import { createVertexProvider } from './llm/vertexProvider.js';
+import { createOpenAIProvider } from './llm/openaiProvider.js';
+import { createMockProvider } from './llm/mockProvider.js';
+
+// ============================================================================
+// LLM Configuration
+// ============================================================================
+// LLM_PROVIDER     - 'vertex' (default), 'openai' (any OpenAI-compatible API,
+//                    including local servers) or 'mock' (scripted, offline)
+// LLM_MODEL        - Model for every task (default: the provider's own)
+// LLM_MODEL_<TASK> - Model for one task, e.g. LLM_MODEL_COMMAND_PARSER
+// LLM_TIMEOUT_MS   - Per-attempt timeout (default 15s)
+// LLM_MAX_RETRIES  - Attempts per request, counting the first (default 3,
+//                    so at most 3 calls; 1 means no retries)
+// GOOGLE_PROJECT_ID, VERTEX_LOCATION  - Vertex AI project and region
+// OPENAI_BASE_URL, OPENAI_API_KEY     - OpenAI-compatible endpoint
+// LLM_MOCK_PATH    - Script file for the mock provider
+//
+// Every provider implements generate({ prompt, model, system, json, schema,
+// temperature, maxOutputTokens, signal }), resolving to
+// { text, usage: { promptTokens, completionTokens, totalTokens } }.
+// Token usage is totalled per task (see getLlmUsage).
+// ============================================================================
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_RETRIES = 3;
+
+const PROVIDER_FACTORIES = {
+  vertex: () => createVertexProvider({
+    project: process.env.GOOGLE_PROJECT_ID || 'kaseddie-ai',
+    location: process.env.VERTEX_LOCATION || undefined
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL || undefined,
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  mock: () => createMockProvider(
+    process.env.LLM_MOCK_PATH ? { scriptPath: process.env.LLM_MOCK_PATH } : undefined
+  )
+};
+
+let provider = null;
+
+/**
+ * Get the active provider, creating it from configuration on first use
+ * @returns {Object} LLM provider
+ */
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'vertex').toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    provider = factory();
+    console.log(`[LLM] Using ${provider.name} provider`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (used by tests and custom deployments)
+ * @param {Object|null} customProvider - Provider implementing generate, or null to reset
+ */
+export function setLlmProvider(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Model for a task: LLM_MODEL_<TASK>, then LLM_MODEL, then the provider default
+ * @param {string} task - Task name, e.g. 'command-parser'
+ * @returns {string} Model name
+ */
+export function getModelForTask(task) {
+  const taskVariable = `LLM_MODEL_${task.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  return process.env[taskVariable] || process.env.LLM_MODEL || getProvider().defaultModel;
+}
+
+function readInteger(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// ============================================================================
+// Token Usage
+// ============================================================================
+
+const emptyTotals = () => ({ requests: 0, failures: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+let usageTotals = { ...emptyTotals(), byTask: {} };
+
+// Count one call as a request or a failure. Tokens are added either way: a
+// failed call that reports usage (such as an empty reply) was still billed.
+function recordUsage(task, model, usage, failed = !usage) {
+  const taskTotals = usageTotals.byTask[task] || (usageTotals.byTask[task] = { ...emptyTotals(), model });
+  taskTotals.model = model;
+  for (const totals of [usageTotals, taskTotals]) {
+    if (failed) {
+      totals.failures++;
+    } else {
+      totals.requests++;
+    }
+    if (!usage) continue;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  }
+}
+
+/**
+ * Token usage since start-up (or the last reset), overall and per task
+ * @returns {Object} { requests, failures, promptTokens, completionTokens, totalTokens, byTask }
+ */
+export function getLlmUsage() {
+  return structuredClone(usageTotals);
+}
+
+/**
+ * Reset the token usage totals
+ */
+export function resetLlmUsage() {
+  usageTotals = { ...emptyTotals(), byTask: {} };
+}
+
+// ============================================================================
+// Generation
+// ============================================================================
+
+function llmError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Client errors other than rate limiting won't succeed on a retry
+function isRetryable(error) {
+  return !(error.status >= 400 && error.status < 500 && error.status !== 429);
+}
+
+async function generateWithTimeout(llm, request, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(llmError('LLM_TIMEOUT', `LLM request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([llm.generate({ ...request, signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Generate text with the configured provider, with a timeout per attempt and
+ * retries (1s, 2s, ... apart) for transient failures
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {string} options.task - Task name for model selection and usage (default 'default')
+ * @param {string} options.system - System instruction
+ * @param {boolean} options.json - Ask for a JSON response
+ * @param {Object} options.schema - JSON Schema the response should follow (with json)
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxOutputTokens - Response length limit
+ * @param {number} options.timeoutMs - Per-attempt timeout (default LLM_TIMEOUT_MS)
+ * @param {number} options.maxRetries - Attempts, counting the first (default LLM_MAX_RETRIES, at least 1)
+ * @returns {Promise<Object>} { text, usage, model, provider, attempts }
+ * @throws {Error} LLM_EMPTY_RESPONSE, or LLM_UNAVAILABLE once every attempt has failed
+ */
+export async function generateText(prompt, {
+  task = 'default',
+  system,
+  json = false,
+  schema,
+  temperature,
+  maxOutputTokens,
+  timeoutMs = readInteger('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+  maxRetries = readInteger('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES)
+} = {}) {
+  const llm = getProvider();
+  const model = getModelForTask(task);
+  const request = { prompt, model, system, json, schema, temperature, maxOutputTokens };
+  // LLM_MAX_RETRIES=0 still makes the one request
+  const maxAttempts = Math.max(1, maxRetries);
+  let lastError;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    attempts = attempt;
+    try {
+      console.log(`[LLM] ${task}: ${llm.name}/${model} attempt ${attempt}/${maxAttempts}`);
+      const { text, usage } = await generateWithTimeout(llm, request, timeoutMs);
+
+      if (!text || !text.trim()) {
+        recordUsage(task, model, usage, true);
+        throw llmError('LLM_EMPTY_RESPONSE', 'Failed to get response from AI');
+      }
+      recordUsage(task, model, usage || {});
+      return { text, usage: usage || null, model, provider: llm.name, attempts: attempt };
+    } catch (error) {
+      if (error.code === 'LLM_EMPTY_RESPONSE') {
+        throw error;
+      }
+      lastError = error;
+      recordUsage(task, model, null);
+      console.error(`[LLM] ${task}: attempt ${attempt} failed:`, error.message);
+
+      if (!isRetryable(error)) {
+        break;
+      }
+      if (attempt < maxAttempts) {
+        const waitTime = 1000 * attempt;
+        console.log(`[LLM] Retrying in ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  const error = llmError('LLM_UNAVAILABLE', `AI generation failed after ${attempts} attempts: ${lastError.message}`);
+  error.status = lastError.status;
+  throw error;
+}
+
+/**
+ * Read the JSON object in a model response, tolerating markdown fences and
+ * text around it
+ * @param {string} text - Model output
+ * @returns {Object} Parsed JSON
+ * @throws {Error} LLM_INVALID_JSON if there is no parseable JSON
+ */
+export function parseJsonText(text) {
+  let jsonText = (text || '').trim();
+  const fenced = jsonText.match(/```json\s*([\s\S]*?)\s*```/) || jsonText.match(/```\s*([\s\S]*?)\s*```/);
+  if (fenced) {
+    jsonText = fenced[1];
+  }
+  const objectMatch = jsonText.match(/\{[\s\S]*\}/);
+  if (objectMatch) {
+    jsonText = objectMatch[0];
+  }
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (parseError) {
+    throw llmError('LLM_INVALID_JSON', 'Failed to parse AI response as JSON');
+  }
+}
+
+/**
+ * Generate a JSON response (JSON mode, plus the schema when given)
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Same as generateText; `schema` describes the expected object
+ * @returns {Promise<Object>} { data, text, usage, model, provider, attempts }
+ * @throws {Error} As generateText, or LLM_INVALID_JSON (with the raw `text`)
+ */
+export async function generateJson(prompt, options = {}) {
+  const result = await generateText(prompt, { ...options, json: true });
+  try {
+    return { ...result, data: parseJsonText(result.text) };
+  } catch (error) {
+    error.text = result.text;
+    throw error;
+  }
+}
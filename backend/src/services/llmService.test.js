@@ -0,0 +1,331 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  generateText,
+  generateJson,
+  parseJsonText,
+  getModelForTask,
+  getLlmUsage,
+  resetLlmUsage,
+  setLlmProvider
+} from './llmService.js';
+import { createVertexProvider } from './llm/vertexProvider.js';
+import { createOpenAIProvider } from './llm/openaiProvider.js';
+import { createMockProvider } from './llm/mockProvider.js';
+
+const COMMAND_SCHEMA = {
+  type: 'object',
+  properties: { amount: { type: 'number' }, tags: { type: 'array', items: { type: 'string' } } },
+  required: ['amount'],
+  additionalProperties: false
+};
+
+describe('LLM Service', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = {
+      name: 'stub',
+      defaultModel: 'stub-model',
+      generate: vi.fn(async () => ({ text: 'hello', usage: { promptTokens: 10, completionTokens: 2, totalTokens: 12 } }))
+    };
+    setLlmProvider(provider);
+    resetLlmUsage();
+  });
+
+  afterEach(() => {
+    setLlmProvider(null);
+    for (const name of ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_MODEL_COMMAND_PARSER', 'LLM_MAX_RETRIES', 'LLM_MOCK_PATH']) {
+      delete process.env[name];
+    }
+    vi.useRealTimers();
+  });
+
+  describe('generation', () => {
+    it('should pass the request to the provider and report the model and usage', async () => {
+      const result = await generateText('What is MNEE?', { task: 'knowledge', system: 'Be brief', temperature: 0.2 });
+
+      expect(result).toEqual({
+        text: 'hello',
+        usage: { promptTokens: 10, completionTokens: 2, totalTokens: 12 },
+        model: 'stub-model',
+        provider: 'stub',
+        attempts: 1
+      });
+      expect(provider.generate).toHaveBeenCalledWith(expect.objectContaining({
+        prompt: 'What is MNEE?',
+        model: 'stub-model',
+        system: 'Be brief',
+        json: false,
+        temperature: 0.2,
+        signal: expect.any(AbortSignal)
+      }));
+    });
+
+    it('should retry transient failures with a growing delay', async () => {
+      vi.useFakeTimers();
+      provider.generate
+        .mockRejectedValueOnce(Object.assign(new Error('rate limited'), { status: 429 }))
+        .mockRejectedValueOnce(new Error('socket hang up'));
+
+      const pending = generateText('hi');
+      await vi.advanceTimersByTimeAsync(999);
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1 + 2000);
+
+      await expect(pending).resolves.toMatchObject({ text: 'hello', attempts: 3 });
+    });
+
+    it('should not retry requests the provider rejected', async () => {
+      provider.generate.mockRejectedValue(Object.assign(new Error('Invalid API key'), { status: 401 }));
+
+      await expect(generateText('hi')).rejects.toMatchObject({
+        code: 'LLM_UNAVAILABLE',
+        status: 401,
+        message: 'AI generation failed after 1 attempts: Invalid API key'
+      });
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should time out a hung request and abort it', async () => {
+      let signal;
+      provider.generate.mockImplementation((request) => {
+        signal = request.signal;
+        return new Promise(() => {});
+      });
+
+      await expect(generateText('hi', { timeoutMs: 20, maxRetries: 1 }))
+        .rejects.toMatchObject({ code: 'LLM_UNAVAILABLE', message: expect.stringMatching(/timed out after 20ms/) });
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should fail without retrying when the model says nothing', async () => {
+      resetLlmUsage();
+      provider.generate.mockResolvedValue({ text: '  ', usage: { promptTokens: 12, completionTokens: 0, totalTokens: 12 } });
+
+      await expect(generateText('hi')).rejects.toMatchObject({ code: 'LLM_EMPTY_RESPONSE' });
+      expect(provider.generate).toHaveBeenCalledTimes(1);
+      // The empty reply failed, but its tokens were still billed
+      expect(getLlmUsage()).toMatchObject({ requests: 0, failures: 1, promptTokens: 12, totalTokens: 12 });
+    });
+
+    it('should still make one attempt when retries are set to zero or less', async () => {
+      provider.generate.mockRejectedValue(new Error('socket hang up'));
+      process.env.LLM_MAX_RETRIES = '0';
+
+      try {
+        await expect(generateText('hi')).rejects.toMatchObject({
+          code: 'LLM_UNAVAILABLE',
+          message: 'AI generation failed after 1 attempts: socket hang up'
+        });
+        await expect(generateText('hi', { maxRetries: -2 })).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+      } finally {
+        delete process.env.LLM_MAX_RETRIES;
+      }
+    });
+  });
+
+  describe('JSON responses', () => {
+    it('should request JSON mode with the schema and parse the reply', async () => {
+      provider.generate.mockResolvedValueOnce({ text: '```json\n{"amount": 5}\n```', usage: null });
+
+      const result = await generateJson('parse this', { schema: COMMAND_SCHEMA });
+
+      expect(result.data).toEqual({ amount: 5 });
+      expect(provider.generate).toHaveBeenCalledWith(expect.objectContaining({ json: true, schema: COMMAND_SCHEMA }));
+    });
+
+    it('should keep the raw text when the reply is not JSON', async () => {
+      provider.generate.mockResolvedValueOnce({ text: 'BUY, definitely', usage: null });
+
+      await expect(generateJson('analyse')).rejects.toMatchObject({ code: 'LLM_INVALID_JSON', text: 'BUY, definitely' });
+    });
+
+    it('should find the object in any surrounding text', () => {
+      fc.assert(
+        fc.property(
+          fc.dictionary(fc.string({ minLength: 1, maxLength: 8 }), fc.oneof(fc.integer(), fc.string({ maxLength: 20 }), fc.boolean())),
+          fc.constantFrom('', 'Here you go:\n', '```json\n', '```\n'),
+          (object, prefix) => {
+            const suffix = prefix.startsWith('```') ? '\n```' : '';
+            expect(parseJsonText(`${prefix}${JSON.stringify(object)}${suffix}`)).toEqual(object);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('configuration', () => {
+    it('should pick the model per task, then LLM_MODEL, then the provider default', () => {
+      expect(getModelForTask('command-parser')).toBe('stub-model');
+
+      process.env.LLM_MODEL = 'gemini-2.0-flash';
+      expect(getModelForTask('command-parser')).toBe('gemini-2.0-flash');
+
+      process.env.LLM_MODEL_COMMAND_PARSER = 'qwen2.5:3b';
+      expect(getModelForTask('command-parser')).toBe('qwen2.5:3b');
+      expect(getModelForTask('knowledge')).toBe('gemini-2.0-flash');
+    });
+
+    it('should read the retry limit from LLM_MAX_RETRIES', async () => {
+      process.env.LLM_MAX_RETRIES = '1';
+      provider.generate.mockRejectedValue(new Error('down'));
+
+      await expect(generateText('hi')).rejects.toThrow('AI generation failed after 1 attempts: down');
+    });
+
+    it('should create the provider named by LLM_PROVIDER', async () => {
+      setLlmProvider(null);
+      process.env.LLM_PROVIDER = 'mock';
+
+      const result = await generateText('Tell me about Kaseddie');
+
+      expect(result.provider).toBe('mock');
+      expect(result.text).toMatch(/offline mock model/);
+    });
+
+    it('should reject an unknown provider', async () => {
+      setLlmProvider(null);
+      process.env.LLM_PROVIDER = 'crystal-ball';
+
+      await expect(generateText('hi')).rejects.toThrow('Unknown LLM provider');
+    });
+  });
+
+  describe('token usage', () => {
+    it('should total usage overall and per task', async () => {
+      await generateText('a', { task: 'knowledge' });
+      await generateText('b', { task: 'knowledge' });
+      await generateText('c', { task: 'command-parser' });
+      provider.generate.mockRejectedValueOnce(Object.assign(new Error('bad request'), { status: 400 }));
+      await generateText('d', { task: 'command-parser' }).catch(() => {});
+
+      const usage = getLlmUsage();
+      expect(usage).toMatchObject({ requests: 3, failures: 1, promptTokens: 30, completionTokens: 6, totalTokens: 36 });
+      expect(usage.byTask.knowledge).toMatchObject({ requests: 2, totalTokens: 24, model: 'stub-model' });
+      expect(usage.byTask['command-parser']).toMatchObject({ requests: 1, failures: 1 });
+
+      resetLlmUsage();
+      expect(getLlmUsage()).toMatchObject({ requests: 0, byTask: {} });
+    });
+  });
+});
+
+describe('LLM Providers', () => {
+  describe('vertex', () => {
+    it('should send JSON mode and the schema as generation config and read usage', async () => {
+      const generateContent = vi.fn(async () => ({
+        response: {
+          candidates: [{ content: { parts: [{ text: '{"amount":' }, { text: ' 5}' }] } }],
+          usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 6, totalTokenCount: 46 }
+        }
+      }));
+      const getGenerativeModel = vi.fn(() => ({ generateContent }));
+      const vertex = createVertexProvider({ createClient: () => ({ preview: { getGenerativeModel } }) });
+
+      const result = await vertex.generate({
+        prompt: 'parse',
+        model: 'gemini-1.5-flash-002',
+        system: 'You parse commands',
+        json: true,
+        schema: COMMAND_SCHEMA
+      });
+
+      expect(result).toEqual({ text: '{"amount": 5}', usage: { promptTokens: 40, completionTokens: 6, totalTokens: 46 } });
+      expect(generateContent).toHaveBeenCalledWith('parse');
+      expect(getGenerativeModel).toHaveBeenCalledWith({
+        model: 'gemini-1.5-flash-002',
+        systemInstruction: 'You parse commands',
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: {
+            type: 'OBJECT',
+            properties: { amount: { type: 'NUMBER' }, tags: { type: 'ARRAY', items: { type: 'STRING' } } },
+            required: ['amount']
+          }
+        }
+      });
+    });
+
+    it('should not create a client until the first request', () => {
+      const createClient = vi.fn();
+      createVertexProvider({ createClient });
+      expect(createClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('openai', () => {
+    const completion = (body, status = 200) => vi.fn(async () => new Response(JSON.stringify(body), { status }));
+
+    it('should call chat completions on the configured endpoint', async () => {
+      const fetchImpl = completion({
+        choices: [{ message: { content: '{"amount":5}' } }],
+        usage: { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 }
+      });
+      const openai = createOpenAIProvider({ baseUrl: 'http://127.0.0.1:8080/v1/', apiKey: 'sk-test', fetchImpl });
+
+      const result = await openai.generate({ prompt: 'parse', model: 'llama3', system: 'Be exact', json: true, schema: COMMAND_SCHEMA, maxOutputTokens: 200 });
+
+      expect(result).toEqual({ text: '{"amount":5}', usage: { promptTokens: 30, completionTokens: 5, totalTokens: 35 } });
+      const [url, init] = fetchImpl.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:8080/v1/chat/completions');
+      expect(init.headers.Authorization).toBe('Bearer sk-test');
+      expect(JSON.parse(init.body)).toEqual({
+        model: 'llama3',
+        messages: [{ role: 'system', content: 'Be exact' }, { role: 'user', content: 'parse' }],
+        response_format: { type: 'json_schema', json_schema: { name: 'response', schema: COMMAND_SCHEMA } },
+        max_tokens: 200
+      });
+    });
+
+    it('should ask for a JSON object without a schema and send no key to local servers', async () => {
+      const fetchImpl = completion({ choices: [{ message: { content: '{}' } }] });
+      const openai = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1', fetchImpl });
+
+      const result = await openai.generate({ prompt: 'hi', model: 'qwen2.5', json: true });
+
+      const init = fetchImpl.mock.calls[0][1];
+      expect(init.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(init.body).response_format).toEqual({ type: 'json_object' });
+      expect(result.usage).toEqual({ promptTokens: null, completionTokens: null, totalTokens: null });
+    });
+
+    it('should report the HTTP status of a failed request', async () => {
+      const openai = createOpenAIProvider({ fetchImpl: completion({ error: { message: 'model not found' } }, 404) });
+
+      await expect(openai.generate({ prompt: 'hi', model: 'nope' })).rejects.toMatchObject({ message: 'model not found', status: 404 });
+    });
+  });
+
+  describe('mock', () => {
+    it('should answer from the script in order, by match, then with the default', async () => {
+      const mock = createMockProvider({
+        script: {
+          replies: [
+            { match: 'analyse', json: { decision: 'HOLD' } },
+            { text: 'first' },
+            { match: 'parse', repeat: true, text: 'parsed', usage: { promptTokens: 1, completionTokens: 1 } },
+            { error: 'overloaded', status: 503 }
+          ],
+          default: { text: 'fallback' }
+        }
+      });
+
+      expect((await mock.generate({ prompt: 'hello' })).text).toBe('first');
+      expect((await mock.generate({ prompt: 'please analyse BTC' })).text).toBe('{"decision":"HOLD"}');
+      expect(await mock.generate({ prompt: 'parse this' })).toEqual({ text: 'parsed', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } });
+      expect((await mock.generate({ prompt: 'parse that' })).text).toBe('parsed');
+      await expect(mock.generate({ prompt: 'hello again' })).rejects.toMatchObject({ message: 'overloaded', status: 503 });
+      expect((await mock.generate({ prompt: 'hello again' })).text).toBe('fallback');
+      expect(mock.calls).toHaveLength(6);
+    });
+
+    it('should fail when the script has nothing left', async () => {
+      const mock = createMockProvider({ script: { replies: [] } });
+
+      await expect(mock.generate({ prompt: 'hi' })).rejects.toThrow('no reply');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://api.binance.com/api/v3';
+
+// Binance error code for a pair it does not list
+const BINANCE_INVALID_SYMBOL = -1121;
+
+/**
+ * Map a symbol like 'BTC' to its Binance USDT pair
+ * @param {string} symbol - Asset symbol
+ * @returns {string} Binance pair (e.g. 'BTCUSDT')
+ */
+function toBinancePair(symbol) {
+  const upper = symbol.toUpperCase();
+  return upper.endsWith('USDT') ? upper : `${upper}USDT`;
+}
+
+const isInvalidSymbol = (error) => error.response?.data?.code === BINANCE_INVALID_SYMBOL;
+
+function invalidSymbolError(symbol) {
+  const error = new Error(`Unknown symbol: ${symbol.toUpperCase()}`);
+  error.code = 'INVALID_SYMBOL';
+  return error;
+}
+
+/**
+ * Create a market data provider backed by the Binance public REST API
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Binance API base URL
+ * @param {number} options.timeout - Request timeout in ms
+ * @returns {Object} Market data provider
+ */
+export function createBinanceProvider({ baseUrl = DEFAULT_BASE_URL, timeout = 5000 } = {}) {
+  // Binance refuses a whole batch for one unlisted pair without naming it,
+  // so ask for each pair alone to find out which
+  async function findUnlistedSymbol(symbols) {
+    for (const symbol of symbols) {
+      try {
+        await axios.get(`${baseUrl}/ticker/price`, { params: { symbol: toBinancePair(symbol) }, timeout });
+      } catch (error) {
+        if (isInvalidSymbol(error)) return symbol;
+        throw error;
+      }
+    }
+    return null;
+  }
+
+  return {
+    name: 'binance',
+
+    /**
+     * Fetch 24h tickers for a list of symbols
+     * @param {Array<string>} symbols - Asset symbols
+     * @returns {Promise<Array<Object>>} Tickers, in the order asked for
+     * @throws {Error} INVALID_SYMBOL naming a symbol Binance does not list
+     */
+    async getTickers(symbols) {
+      const pairs = symbols.map(toBinancePair);
+      let response;
+      try {
+        response = await axios.get(`${baseUrl}/ticker/24hr`, {
+          params: { symbols: JSON.stringify(pairs) },
+          timeout
+        });
+      } catch (error) {
+        const unlisted = isInvalidSymbol(error) &&
+          (symbols.length === 1 ? symbols[0] : await findUnlistedSymbol(symbols));
+        throw unlisted ? invalidSymbolError(unlisted) : error;
+      }
+
+      // Binance does not promise to answer in the order asked
+      const byPair = new Map(response.data.map(ticker => [ticker.symbol, ticker]));
+      return symbols.map((symbol, index) => {
+        const ticker = byPair.get(pairs[index]);
+        if (!ticker) {
+          throw invalidSymbolError(symbol);
+        }
+        return {
+          symbol: symbol.toUpperCase(),
+          price: parseFloat(ticker.lastPrice),
+          change: parseFloat(ticker.priceChangePercent),
+          volume: parseFloat(ticker.volume),
+          quoteVolume: parseFloat(ticker.quoteVolume),
+          high: parseFloat(ticker.highPrice),
+          low: parseFloat(ticker.lowPrice),
+          timestamp: new Date(ticker.closeTime).toISOString()
+        };
+      });
+    },
+
+    /**
+     * Fetch OHLCV candles for a symbol
+     * @param {string} symbol - Asset symbol
+     * @param {Object} options - Candle options
+     * @param {string} options.interval - Binance interval (e.g. '1h')
+     * @param {number} options.limit - Number of candles
+     * @returns {Promise<Array<Object>>} Candles, oldest first
+     * @throws {Error} INVALID_SYMBOL if Binance does not list the symbol
+     */
+    async getCandles(symbol, { interval, limit }) {
+      let response;
+      try {
+        response = await axios.get(`${baseUrl}/klines`, {
+          params: { symbol: toBinancePair(symbol), interval, limit },
+          timeout
+        });
+      } catch (error) {
+        throw isInvalidSymbol(error) ? invalidSymbolError(symbol) : error;
+      }
+
+      return response.data.map(k => ({
+        openTime: k[0],
+        open: parseFloat(k[1]),
+        high: parseFloat(k[2]),
+        low: parseFloat(k[3]),
+        close: parseFloat(k[4]),
+        volume: parseFloat(k[5])
+      }));
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import { createBinanceProvider } from './binanceProvider.js';
+
+vi.mock('axios', () => ({ default: { get: vi.fn() } }));
+
+function binanceTicker(pair, lastPrice) {
+  return {
+    symbol: pair,
+    lastPrice: String(lastPrice),
+    priceChangePercent: '1.5',
+    volume: '1000',
+    quoteVolume: '100000',
+    highPrice: String(lastPrice * 1.1),
+    lowPrice: String(lastPrice * 0.9),
+    closeTime: Date.UTC(2026, 2, 2)
+  };
+}
+
+// Binance answers an unlisted pair with a 400 and code -1121
+function invalidSymbol() {
+  const error = new Error('Request failed with status code 400');
+  error.response = { status: 400, data: { code: -1121, msg: 'Invalid symbol.' } };
+  return error;
+}
+
+describe('Binance Provider', () => {
+  const provider = createBinanceProvider({ baseUrl: 'https://binance.test' });
+
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  it('should match tickers to symbols by pair, whatever order Binance answers in', async () => {
+    axios.get.mockResolvedValueOnce({ data: [binanceTicker('ETHUSDT', 3000), binanceTicker('BTCUSDT', 60000)] });
+
+    const tickers = await provider.getTickers(['BTC', 'eth']);
+
+    expect(tickers.map(({ symbol, price }) => [symbol, price])).toEqual([['BTC', 60000], ['ETH', 3000]]);
+    expect(axios.get.mock.calls[0][1].params).toEqual({ symbols: '["BTCUSDT","ETHUSDT"]' });
+  });
+
+  it('should name the symbol that made Binance refuse a batch', async () => {
+    axios.get.mockImplementation(async (url, { params }) => {
+      if (url.endsWith('/ticker/24hr') || params.symbol === 'NOPEUSDT') throw invalidSymbol();
+      return { data: { symbol: params.symbol, price: '1' } };
+    });
+
+    await expect(provider.getTickers(['BTC', 'nope', 'ETH']))
+      .rejects.toMatchObject({ code: 'INVALID_SYMBOL', message: 'Unknown symbol: NOPE' });
+  });
+
+  it('should refuse candles for a symbol Binance does not list', async () => {
+    axios.get.mockRejectedValueOnce(invalidSymbol());
+
+    await expect(provider.getCandles('nope', { interval: '1h', limit: 10 }))
+      .rejects.toMatchObject({ code: 'INVALID_SYMBOL', message: 'Unknown symbol: NOPE' });
+  });
+
+  it('should pass other failures through', async () => {
+    const rateLimited = Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, data: {} } });
+    axios.get.mockRejectedValueOnce(rateLimited);
+
+    await expect(provider.getTickers(['BTC', 'ETH'])).rejects.toBe(rateLimited);
+  });
+});
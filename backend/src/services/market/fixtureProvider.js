@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures/market.json');
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so generated candles are reproducible
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSymbol(symbol) {
+  let hash = 2166136261;
+  for (const char of symbol) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create an offline market data provider backed by a JSON fixture file.
+ * Tickers come straight from the fixture; candles are a deterministic
+ * random walk that ends at the fixture price.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.fixturePath - Path to the fixture JSON file
+ * @returns {Object} Market data provider
+ */
+export function createFixtureProvider({ fixturePath = DEFAULT_FIXTURE_PATH } = {}) {
+  let fixture = null;
+
+  function loadFixture() {
+    if (!fixture) {
+      fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+    return fixture;
+  }
+
+  function getTicker(symbol) {
+    const ticker = loadFixture().tickers?.[symbol.toUpperCase()];
+    if (!ticker) {
+      throw new Error(`No fixture data for ${symbol}`);
+    }
+    return ticker;
+  }
+
+  return {
+    name: 'fixture',
+
+    async getTickers(symbols) {
+      const timestamp = new Date().toISOString();
+      return symbols
+        .filter(symbol => loadFixture().tickers?.[symbol.toUpperCase()])
+        .map(symbol => {
+          const ticker = getTicker(symbol);
+          return {
+            symbol: symbol.toUpperCase(),
+            price: ticker.price,
+            change: ticker.change,
+            volume: ticker.volume,
+            quoteVolume: ticker.volume * ticker.price,
+            high: ticker.high,
+            low: ticker.low,
+            timestamp
+          };
+        });
+    },
+
+    async getCandles(symbol, { interval, limit }) {
+      const ticker = getTicker(symbol);
+      const random = seededRandom(hashSymbol(symbol.toUpperCase()));
+      const step = INTERVAL_MS[interval] || INTERVAL_MS['1h'];
+
+      // Walk backwards from the current price so the last close matches the ticker
+      const closes = [ticker.price];
+      for (let i = 1; i < limit; i++) {
+        const drift = (random() - 0.5) * 0.02;
+        closes.unshift(closes[0] / (1 + drift));
+      }
+
+      const start = Math.floor(Date.now() / step) * step - (limit - 1) * step;
+      return closes.map((close, i) => {
+        const open = i === 0 ? close : closes[i - 1];
+        const wick = 1 + random() * 0.004;
+        return {
+          openTime: start + i * step,
+          open,
+          high: Math.max(open, close) * wick,
+          low: Math.min(open, close) / wick,
+          close,
+          volume: (ticker.volume / 24) * (0.5 + random())
+        };
+      });
+    }
+  };
+}
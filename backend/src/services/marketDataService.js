@@ -0,0 +1,222 @@
+import { createBinanceProvider } from './market/binanceProvider.js';
+import { createFixtureProvider } from './market/fixtureProvider.js';
+
+// ============================================================================
+// Market Data Configuration
+// ============================================================================
+// MARKET_DATA_PROVIDER  - 'binance' (default) or 'fixture' for offline use
+// MARKET_FIXTURE_PATH   - Optional fixture file for the fixture provider
+// MARKET_SYMBOLS        - Comma-separated symbols served by /api/market/prices
+// MARKET_CACHE_TTL_MS   - How long prices and candles are cached (default 10s)
+// MARKET_STALE_MS       - How long past the TTL a cached value may still be
+//                         served while the provider is down (default 5 min)
+// ============================================================================
+
+const DEFAULT_SYMBOLS = ['BTC', 'ETH', 'SOL', 'ADA', 'DOGE', 'XRP'];
+const DEFAULT_CACHE_TTL_MS = 10000;
+const DEFAULT_STALE_MS = 5 * 60 * 1000;
+
+// Least recently used entries are dropped beyond this many
+const MAX_CACHE_ENTRIES = 500;
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+const PROVIDER_FACTORIES = {
+  binance: () => createBinanceProvider(),
+  fixture: () => createFixtureProvider(
+    process.env.MARKET_FIXTURE_PATH ? { fixturePath: process.env.MARKET_FIXTURE_PATH } : undefined
+  )
+};
+
+let provider = null;
+// Insertion order is use order: the first key is the least recently used
+const cache = new Map();
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Create an error carrying a machine-readable code for the route layer
+ * @param {string} message - Human-readable message
+ * @param {string} code - Error code (default MARKET_DATA_UNAVAILABLE)
+ * @returns {Error} Error with the code set
+ */
+function marketDataError(message, code = 'MARKET_DATA_UNAVAILABLE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function readMs(name, fallback) {
+  const ms = parseInt(process.env[name], 10);
+  return Number.isNaN(ms) ? fallback : ms;
+}
+
+const getCacheTtl = () => readMs('MARKET_CACHE_TTL_MS', DEFAULT_CACHE_TTL_MS);
+const getStaleWindow = () => readMs('MARKET_STALE_MS', DEFAULT_STALE_MS);
+
+/**
+ * Upper-case a symbol, refusing anything that can't be a ticker
+ * @param {string} symbol - Asset symbol
+ * @returns {string} Upper-case symbol
+ */
+function normalizeSymbol(symbol) {
+  const upper = String(symbol).toUpperCase();
+  if (!SYMBOL_PATTERN.test(upper)) {
+    throw marketDataError(`Unknown symbol: ${symbol}`, 'INVALID_SYMBOL');
+  }
+  return upper;
+}
+
+// Look up an entry, dropping it once it is too old to serve even as stale
+function readCache(key, now) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  cache.delete(key);
+  if (entry.expiresAt + getStaleWindow() <= now) return null;
+  cache.set(key, entry);
+  return entry;
+}
+
+function writeCache(key, value) {
+  cache.delete(key);
+  cache.set(key, { value, expiresAt: Date.now() + getCacheTtl() });
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Get the active provider, creating it from configuration on first use
+ * @returns {Object} Market data provider
+ */
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.MARKET_DATA_PROVIDER || 'binance').toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown market data provider: ${name}`);
+    }
+    provider = factory();
+    console.log(`[Market Data] Using ${provider.name} provider`);
+  }
+  return provider;
+}
+
+/**
+ * Return a cached value or load a fresh one. When the provider fails,
+ * the last known value is served instead (marked stale by the caller) for
+ * up to MARKET_STALE_MS past its TTL.
+ *
+ * @param {string} key - Cache key
+ * @param {Function} load - Async loader
+ * @returns {Promise<{value: *, stale: boolean}>} Cached or fresh value
+ */
+async function cached(key, load) {
+  const entry = readCache(key, Date.now());
+  if (entry && entry.expiresAt > Date.now()) {
+    return { value: entry.value, stale: false };
+  }
+
+  try {
+    const value = await load();
+    writeCache(key, value);
+    return { value, stale: false };
+  } catch (error) {
+    // The provider doesn't list the symbol; an old value would only hide that
+    if (error.code === 'INVALID_SYMBOL') throw error;
+    console.error(`[Market Data] ${getProvider().name} request failed for ${key}:`, error.message);
+    if (entry) {
+      console.warn(`[Market Data] Serving stale data for ${key}`);
+      return { value: entry.value, stale: true };
+    }
+    throw marketDataError('Market data is temporarily unavailable');
+  }
+}
+
+// ============================================================================
+// Market Data Service
+// ============================================================================
+
+/**
+ * Get the configured list of symbols served by default
+ * @returns {Array<string>} Upper-case symbols
+ */
+export function getConfiguredSymbols() {
+  const configured = process.env.MARKET_SYMBOLS;
+  if (!configured) return DEFAULT_SYMBOLS;
+  return configured.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Get last price, 24h change and volume for a list of symbols
+ * @param {Array<string>} symbols - Asset symbols (defaults to MARKET_SYMBOLS)
+ * @returns {Promise<Array<Object>>} Tickers with symbol, price, change, volume, high, low
+ * @throws {Error} INVALID_SYMBOL for a symbol that can't be a ticker
+ */
+export async function getPrices(symbols = getConfiguredSymbols()) {
+  const normalized = symbols.map(normalizeSymbol);
+  const { value, stale } = await cached(
+    `tickers:${normalized.join(',')}`,
+    () => getProvider().getTickers(normalized)
+  );
+  return value.map(ticker => (stale ? { ...ticker, stale: true } : ticker));
+}
+
+/**
+ * Get the ticker for a single symbol
+ * @param {string} symbol - Asset symbol
+ * @returns {Promise<Object>} Ticker
+ */
+export async function getTicker(symbol) {
+  const [ticker] = await getPrices([symbol]);
+  if (!ticker) {
+    throw marketDataError(`Market data unavailable for ${symbol}`);
+  }
+  return ticker;
+}
+
+/**
+ * Get the last traded price for a symbol
+ * @param {string} symbol - Asset symbol
+ * @returns {Promise<number>} Last price in USDT
+ */
+export async function getPrice(symbol) {
+  const ticker = await getTicker(symbol);
+  return ticker.price;
+}
+
+/**
+ * Get OHLCV candles for a symbol
+ * @param {string} symbol - Asset symbol
+ * @param {Object} options - Candle options
+ * @param {string} options.interval - Candle interval (default '1h')
+ * @param {number} options.limit - Number of candles (default 100)
+ * @returns {Promise<Array<Object>>} Candles, oldest first
+ * @throws {Error} INVALID_SYMBOL for a symbol that can't be a ticker
+ */
+export async function getCandles(symbol, { interval = '1h', limit = 100 } = {}) {
+  const upper = normalizeSymbol(symbol);
+  const { value } = await cached(
+    `candles:${upper}:${interval}:${limit}`,
+    () => getProvider().getCandles(upper, { interval, limit })
+  );
+  return value;
+}
+
+/**
+ * Replace the active provider (used by tests and custom deployments)
+ * @param {Object|null} customProvider - Provider implementing getTickers/getCandles, or null to reset
+ */
+export function setMarketDataProvider(customProvider) {
+  provider = customProvider;
+  cache.clear();
+}
+
+/**
+ * Drop all cached market data
+ */
+export function clearMarketCache() {
+  cache.clear();
+}
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  getPrices,
+  getPrice,
+  getCandles,
+  getConfiguredSymbols,
+  setMarketDataProvider
+} from './marketDataService.js';
+import { createFixtureProvider } from './market/fixtureProvider.js';
+
+/**
+ * Build a provider whose methods are vitest mocks
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    getTickers: vi.fn(async (symbols) => symbols.map(symbol => ({
+      symbol,
+      price: 100,
+      change: 1.5,
+      volume: 1000,
+      high: 110,
+      low: 90,
+      timestamp: new Date().toISOString()
+    }))),
+    getCandles: vi.fn(async () => [])
+  };
+}
+
+describe('Market Data Service', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createMockProvider();
+    setMarketDataProvider(provider);
+  });
+
+  afterEach(() => {
+    setMarketDataProvider(null);
+    delete process.env.MARKET_SYMBOLS;
+    vi.useRealTimers();
+  });
+
+  describe('Configuration', () => {
+    it('should default to the CryptoPulse symbol list', () => {
+      expect(getConfiguredSymbols()).toEqual(['BTC', 'ETH', 'SOL', 'ADA', 'DOGE', 'XRP']);
+    });
+
+    it('should read symbols from MARKET_SYMBOLS', () => {
+      process.env.MARKET_SYMBOLS = 'btc, link ,';
+      expect(getConfiguredSymbols()).toEqual(['BTC', 'LINK']);
+    });
+  });
+
+  describe('Caching', () => {
+    it('should serve repeated requests from cache within the TTL', async () => {
+      await getPrices(['BTC', 'ETH']);
+      await getPrices(['btc', 'eth']);
+
+      expect(provider.getTickers).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refresh after the TTL expires', async () => {
+      vi.useFakeTimers();
+      await getPrices(['BTC']);
+      vi.advanceTimersByTime(10001);
+      await getPrices(['BTC']);
+
+      expect(provider.getTickers).toHaveBeenCalledTimes(2);
+    });
+
+    it('should serve stale data when the provider fails after a successful fetch', async () => {
+      vi.useFakeTimers();
+      await getPrices(['BTC']);
+      vi.advanceTimersByTime(10001);
+      provider.getTickers.mockRejectedValueOnce(new Error('rate limited'));
+
+      const [ticker] = await getPrices(['BTC']);
+      expect(ticker.price).toBe(100);
+      expect(ticker.stale).toBe(true);
+    });
+
+    it('should stop serving stale data once it is past MARKET_STALE_MS', async () => {
+      vi.useFakeTimers();
+      await getPrices(['BTC']);
+      vi.advanceTimersByTime(10000 + 5 * 60 * 1000);
+      provider.getTickers.mockRejectedValueOnce(new Error('rate limited'));
+
+      await expect(getPrices(['BTC'])).rejects.toMatchObject({ code: 'MARKET_DATA_UNAVAILABLE' });
+    });
+
+    it('should drop the least recently used entries beyond the cache limit', async () => {
+      await getCandles('BTC', { limit: 0 });
+      for (let limit = 1; limit <= 500; limit++) {
+        await getCandles('ETH', { limit });
+        // Keep BTC in use
+        if (limit === 250) await getCandles('BTC', { limit: 0 });
+      }
+      expect(provider.getCandles).toHaveBeenCalledTimes(501);
+
+      await getCandles('BTC', { limit: 0 });
+      await getCandles('ETH', { limit: 500 });
+      expect(provider.getCandles).toHaveBeenCalledTimes(501);
+
+      await getCandles('ETH', { limit: 1 });
+      expect(provider.getCandles).toHaveBeenCalledTimes(502);
+    });
+
+    it('should report MARKET_DATA_UNAVAILABLE when there is nothing cached', async () => {
+      provider.getTickers.mockRejectedValueOnce(new Error('network down'));
+
+      await expect(getPrices(['BTC'])).rejects.toMatchObject({ code: 'MARKET_DATA_UNAVAILABLE' });
+    });
+  });
+
+  describe('Symbols', () => {
+    it.each(['B', 'BTC/USDT', 'ETH,SOL', 'ABCDEFGHIJK'])('should refuse %s without asking the provider', async (symbol) => {
+      await expect(getPrices([symbol])).rejects.toMatchObject({ code: 'INVALID_SYMBOL' });
+      await expect(getCandles(symbol)).rejects.toMatchObject({ code: 'INVALID_SYMBOL' });
+
+      expect(provider.getTickers).not.toHaveBeenCalled();
+      expect(provider.getCandles).not.toHaveBeenCalled();
+    });
+
+    it('should not hide a symbol the provider does not list behind stale data', async () => {
+      vi.useFakeTimers();
+      await getPrices(['BTC']);
+      vi.advanceTimersByTime(10001);
+      provider.getTickers.mockRejectedValueOnce(Object.assign(new Error('Unknown symbol: BTC'), { code: 'INVALID_SYMBOL' }));
+
+      await expect(getPrices(['BTC'])).rejects.toMatchObject({ code: 'INVALID_SYMBOL' });
+    });
+  });
+
+  describe('Fixture provider', () => {
+    beforeEach(() => {
+      setMarketDataProvider(createFixtureProvider());
+    });
+
+    it('should serve last price, 24h change and volume offline', async () => {
+      const prices = await getPrices(['BTC', 'ETH', 'UNKNOWN']);
+
+      expect(prices.map(p => p.symbol)).toEqual(['BTC', 'ETH']);
+      for (const ticker of prices) {
+        expect(typeof ticker.price).toBe('number');
+        expect(typeof ticker.change).toBe('number');
+        expect(typeof ticker.volume).toBe('number');
+      }
+      expect(await getPrice('BTC')).toBe(86986.47);
+    });
+
+    it('should generate deterministic candles that end at the fixture price', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('BTC', 'ETH', 'SOL', 'DOGE'),
+          fc.integer({ min: 2, max: 200 }),
+          async (symbol, limit) => {
+            const fixture = createFixtureProvider();
+            const first = await fixture.getCandles(symbol, { interval: '1h', limit });
+            const second = await fixture.getCandles(symbol, { interval: '1h', limit });
+            const [ticker] = await fixture.getTickers([symbol]);
+
+            expect(first).toHaveLength(limit);
+            expect(first.map(c => c.close)).toEqual(second.map(c => c.close));
+            expect(first[first.length - 1].close).toBe(ticker.price);
+            for (const candle of first) {
+              expect(candle.high).toBeGreaterThanOrEqual(Math.max(candle.open, candle.close));
+              expect(candle.low).toBeLessThanOrEqual(Math.min(candle.open, candle.close));
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should cache candles per symbol, interval and limit', async () => {
+      const candles = await getCandles('SOL', { interval: '1h', limit: 100 });
+      expect(candles).toHaveLength(100);
+    });
+  });
+});
@@ -0,0 +1,389 @@
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { getAddress, isAddress } from 'viem';
+import { getAll, getById, findBy, add, update } from '../models/db.js';
+import { SCHEDULE_FREQUENCIES } from '../models/schema.js';
+import { requireTimeZone, nextRunAt } from './commandScheduleService.js';
+
+// ============================================================================
+// Scheduled Transfers
+// ============================================================================
+// SCHEDULER_INTERVAL_MS - How often due transfers are looked for (default 60000)
+// SCHEDULE_NOTIFIER     - 'log' (default) or 'webhook'
+// SCHEDULE_WEBHOOK_URL  - Where the webhook notifier POSTs due transfers
+//
+// A voice command with a time ("send 50 MNEE to ... every Friday") is kept
+// here once the user confirms it. The server never holds keys and never
+// signs: when a transfer falls due it is marked `due` and the user is
+// notified, then signs it in the app and reports the transaction hashes.
+//
+//   active     waiting for nextRunAt
+//   due        nextRunAt has passed; waiting for the user to sign
+//   paused     skipped until resumed
+//   completed  a one-off that was sent
+//   cancelled  stopped by the user
+//
+// A recurring transfer goes back to `active` with its next run once the due
+// run is reported. Each leg's hash is recorded as soon as it is sent
+// (`sentHashes`), so signing again from a reload or another device only
+// sends the legs still missing; the run completes with its last leg.
+// ============================================================================
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Amounts are kept in millionths of a token, as commandIntentService splits them
+const AMOUNT_UNITS = 1e6;
+
+const TRANSACTION_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Statuses each action may start from
+const ALLOWED_FROM = {
+  pause: ['active', 'due'],
+  resume: ['paused'],
+  cancel: ['active', 'due', 'paused'],
+  complete: ['due'],
+  record: ['due']
+};
+
+function scheduleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeLegs(legs) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    throw scheduleError('INVALID_TRANSFER', 'A scheduled transfer needs at least one recipient');
+  }
+  return legs.map((leg) => {
+    const { amount, recipient } = leg && typeof leg === 'object' ? leg : {};
+    if (!isAddress(recipient || '', { strict: false })) {
+      throw scheduleError('INVALID_TRANSFER', 'Every recipient must be a valid Ethereum address');
+    }
+    const units = Math.round(Number(amount) * AMOUNT_UNITS);
+    if (!Number.isFinite(units) || units <= 0) {
+      throw scheduleError('INVALID_TRANSFER', 'Every amount must be a positive number');
+    }
+    return { amount: units / AMOUNT_UNITS, recipient: getAddress(recipient) };
+  });
+}
+
+const isHourMinute = (hour, minute) =>
+  Number.isInteger(hour) && hour >= 0 && hour <= 23 && Number.isInteger(minute) && minute >= 0 && minute <= 59;
+
+// Checks on the fields each frequency needs
+const RECURRENCE_FIELDS = {
+  daily: () => true,
+  weekly: ({ weekday }) => Number.isInteger(weekday) && weekday >= 0 && weekday <= 6,
+  monthly: ({ dayOfMonth }) => Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31
+};
+
+function normalizeRecurrence(recurrence) {
+  const { frequency, hour, minute, weekday = null, dayOfMonth = null } = recurrence;
+  if (!SCHEDULE_FREQUENCIES.includes(frequency) || !isHourMinute(hour, minute) ||
+      !RECURRENCE_FIELDS[frequency]({ weekday, dayOfMonth })) {
+    throw scheduleError('INVALID_SCHEDULE', `Recurrence must be ${SCHEDULE_FREQUENCIES.join(', ')} with a time of day`);
+  }
+  return { frequency, hour, minute, weekday, dayOfMonth };
+}
+
+// The first run of a new schedule, as { timeZone, recurrence, nextRunAt }
+function resolveFirstRun(schedule, now) {
+  if (!schedule || typeof schedule !== 'object') {
+    throw scheduleError('INVALID_SCHEDULE', 'A scheduled transfer needs a time');
+  }
+  const timeZone = requireTimeZone(schedule.timeZone);
+
+  if (schedule.recurrence) {
+    const recurrence = normalizeRecurrence(schedule.recurrence);
+    return { timeZone, recurrence, nextRunAt: nextRunAt(recurrence, timeZone, now).toISOString() };
+  }
+
+  const runAt = new Date(schedule.runAt);
+  if (Number.isNaN(runAt.getTime())) {
+    throw scheduleError('INVALID_SCHEDULE', 'A one-off transfer needs a time to run at');
+  }
+  if (runAt <= now) {
+    throw scheduleError('INVALID_SCHEDULE', 'That time has already passed');
+  }
+  return { timeZone, recurrence: null, nextRunAt: runAt.toISOString() };
+}
+
+// Find one of the user's scheduled transfers, in a status the action allows
+function getOwnScheduledTransfer(userId, id, action) {
+  const transfer = getById('scheduledTransfers', id);
+  if (!transfer || transfer.userId !== userId) {
+    throw scheduleError('SCHEDULE_NOT_FOUND', 'Scheduled transfer not found');
+  }
+  if (!ALLOWED_FROM[action].includes(transfer.status)) {
+    throw scheduleError('INVALID_SCHEDULE_STATE', `Cannot ${action} a ${transfer.status} transfer`);
+  }
+  return transfer;
+}
+
+// Close a due run sent with these hashes, one per leg
+function finishRun(transfer, hashes, now) {
+  const timestamp = now.toISOString();
+  console.log(`[Schedules] Run ${transfer.runs + 1} of scheduled transfer ${transfer.id} sent`);
+  return update('scheduledTransfers', transfer.id, {
+    status: transfer.recurrence ? 'active' : 'completed',
+    ...(transfer.recurrence && { nextRunAt: nextRunAt(transfer.recurrence, transfer.timeZone, now).toISOString() }),
+    runs: transfer.runs + 1,
+    lastRunAt: timestamp,
+    lastTransactionHashes: hashes,
+    sentHashes: null,
+    updatedAt: timestamp
+  });
+}
+
+/**
+ * Keep a confirmed voice transfer to send later
+ * @param {string} userId - User ID
+ * @param {Object} transfer
+ * @param {Array<Object>} transfer.legs - [{ amount, recipient }]
+ * @param {string} transfer.split - How the amount was shared, for several recipients
+ * @param {Object} transfer.schedule - { runAt, recurrence, timeZone } from the parser;
+ *   a recurring transfer's first run is worked out again from now
+ * @param {string} transfer.command - The spoken command
+ * @param {string} transfer.language - Language it was spoken in
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} Scheduled transfer
+ */
+export function createScheduledTransfer(userId, { legs, split, schedule, command, language } = {}, now = new Date()) {
+  const normalizedLegs = normalizeLegs(legs);
+  const firstRun = resolveFirstRun(schedule, now);
+  const timestamp = now.toISOString();
+
+  const transfer = add('scheduledTransfers', {
+    id: uuidv4(),
+    userId,
+    legs: normalizedLegs,
+    total: normalizedLegs.reduce((sum, leg) => sum + Math.round(leg.amount * AMOUNT_UNITS), 0) / AMOUNT_UNITS,
+    ...(split && { split }),
+    ...firstRun,
+    status: 'active',
+    ...(command && { command }),
+    ...(language && { language }),
+    runs: 0,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+  console.log(`[Schedules] Scheduled transfer ${transfer.id} for user ${userId}, first run ${transfer.nextRunAt}`);
+  return transfer;
+}
+
+/**
+ * List a user's scheduled transfers, soonest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { status } to list only one status
+ * @returns {Object[]} Scheduled transfers
+ */
+export function listScheduledTransfers(userId, { status } = {}) {
+  return findBy('scheduledTransfers', 'userId', userId)
+    .filter(transfer => !status || transfer.status === status)
+    .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+}
+
+/**
+ * Stop a scheduled transfer from falling due until it is resumed
+ * @param {string} userId - User ID
+ * @param {string} id - Scheduled transfer ID
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} Updated scheduled transfer
+ */
+export function pauseScheduledTransfer(userId, id, now = new Date()) {
+  getOwnScheduledTransfer(userId, id, 'pause');
+  return update('scheduledTransfers', id, { status: 'paused', updatedAt: now.toISOString() });
+}
+
+/**
+ * Resume a paused transfer. A recurring transfer whose next run went by while
+ * it was paused moves on to the following one; a one-off falls due at once.
+ * @param {string} userId - User ID
+ * @param {string} id - Scheduled transfer ID
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} Updated scheduled transfer
+ */
+export function resumeScheduledTransfer(userId, id, now = new Date()) {
+  const transfer = getOwnScheduledTransfer(userId, id, 'resume');
+  const missed = transfer.recurrence && new Date(transfer.nextRunAt) <= now;
+
+  // A missed run is dropped with any legs already sent for it
+  return update('scheduledTransfers', id, {
+    status: 'active',
+    ...(missed && { nextRunAt: nextRunAt(transfer.recurrence, transfer.timeZone, now).toISOString(), sentHashes: null }),
+    updatedAt: now.toISOString()
+  });
+}
+
+/**
+ * Stop a scheduled transfer for good
+ * @param {string} userId - User ID
+ * @param {string} id - Scheduled transfer ID
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} Updated scheduled transfer
+ */
+export function cancelScheduledTransfer(userId, id, now = new Date()) {
+  getOwnScheduledTransfer(userId, id, 'cancel');
+  console.log(`[Schedules] Cancelled scheduled transfer ${id}`);
+  return update('scheduledTransfers', id, { status: 'cancelled', updatedAt: now.toISOString() });
+}
+
+/**
+ * Record that the user signed and sent a due transfer
+ * @param {string} userId - User ID
+ * @param {string} id - Scheduled transfer ID
+ * @param {Object} run - { hashes }: one transaction hash per leg
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} Updated scheduled transfer: back to active with its next
+ *   run if it recurs, otherwise completed
+ */
+export function completeScheduledRun(userId, id, { hashes } = {}, now = new Date()) {
+  const transfer = getOwnScheduledTransfer(userId, id, 'complete');
+  if (!Array.isArray(hashes) || hashes.length !== transfer.legs.length ||
+      !hashes.every(hash => TRANSACTION_HASH_PATTERN.test(hash)) || new Set(hashes).size !== hashes.length) {
+    throw scheduleError('INVALID_TRANSFER', `Report a different transaction hash for each of the ${transfer.legs.length} transfers`);
+  }
+  if (transfer.sentHashes?.some((sent, index) => sent && sent !== hashes[index])) {
+    throw scheduleError('INVALID_SCHEDULE_STATE', 'These hashes do not match the transfers already recorded for this run');
+  }
+  return finishRun(transfer, hashes, now);
+}
+
+/**
+ * Record one leg of a due transfer as sent, so it is not sent again. The run
+ * completes once every leg has a hash.
+ * @param {string} userId - User ID
+ * @param {string} id - Scheduled transfer ID
+ * @param {number} index - Position of the leg in `legs`
+ * @param {Object} leg - { hash }: the leg's transaction hash
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} Updated scheduled transfer
+ */
+export function recordScheduledLeg(userId, id, index, { hash } = {}, now = new Date()) {
+  const transfer = getOwnScheduledTransfer(userId, id, 'record');
+  if (!Number.isInteger(index) || index < 0 || index >= transfer.legs.length) {
+    throw scheduleError('INVALID_TRANSFER', `Leg must be between 0 and ${transfer.legs.length - 1}`);
+  }
+  if (!TRANSACTION_HASH_PATTERN.test(hash || '')) {
+    throw scheduleError('INVALID_TRANSFER', 'Report the transaction hash of the transfer');
+  }
+
+  const sentHashes = transfer.sentHashes || transfer.legs.map(() => null);
+  if (sentHashes[index] === hash) {
+    return transfer;
+  }
+  if (sentHashes[index]) {
+    throw scheduleError('INVALID_SCHEDULE_STATE', `Transfer ${index + 1} was already sent in ${sentHashes[index]}`);
+  }
+  // One transaction pays one recipient, so it can't stand for two legs
+  if (sentHashes.includes(hash)) {
+    throw scheduleError('INVALID_TRANSFER', `Transaction ${hash} was already reported for transfer ${sentHashes.indexOf(hash) + 1}`);
+  }
+
+  const recorded = sentHashes.map((sent, i) => (i === index ? hash : sent));
+  if (recorded.every(Boolean)) {
+    return finishRun(transfer, recorded, now);
+  }
+  console.log(`[Schedules] Leg ${index + 1} of scheduled transfer ${id} sent`);
+  return update('scheduledTransfers', id, { sentHashes: recorded, updatedAt: now.toISOString() });
+}
+
+// ============================================================================
+// Notifiers
+// ============================================================================
+// A notifier tells the user a transfer is waiting to be signed:
+// { name, notify(transfer) }.
+
+const NOTIFIER_FACTORIES = {
+  log: () => ({
+    name: 'log',
+    async notify(transfer) {
+      console.log(`[Schedules] Transfer ${transfer.id} of ${transfer.total} MNEE is due for user ${transfer.userId}`);
+    }
+  }),
+  webhook: () => {
+    const url = process.env.SCHEDULE_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('SCHEDULE_WEBHOOK_URL is required for the webhook notifier');
+    }
+    return {
+      name: 'webhook',
+      async notify(transfer) {
+        await axios.post(url, { event: 'scheduled_transfer.due', scheduledTransfer: transfer }, { timeout: 10000 });
+      }
+    };
+  }
+};
+
+let notifier = null;
+
+function getNotifier() {
+  if (!notifier) {
+    const name = (process.env.SCHEDULE_NOTIFIER || 'log').toLowerCase();
+    const factory = NOTIFIER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown schedule notifier: ${name}`);
+    }
+    notifier = factory();
+    console.log(`[Schedules] Using ${notifier.name} notifier`);
+  }
+  return notifier;
+}
+
+/**
+ * Replace the active notifier (used by tests and custom deployments)
+ * @param {Object} customNotifier - { name, notify(transfer) }
+ */
+export function setScheduleNotifier(customNotifier) {
+  notifier = customNotifier;
+}
+
+// ============================================================================
+// Scheduler
+// ============================================================================
+
+/**
+ * Mark every active transfer whose time has come as due and notify its user.
+ * A failed notification is logged; the transfer stays due either way.
+ * @param {Date} now - Current time (for tests)
+ * @returns {Promise<Object[]>} The transfers that fell due
+ */
+export async function runDueScheduledTransfers(now = new Date()) {
+  const due = getAll('scheduledTransfers')
+    .filter(transfer => transfer.status === 'active' && new Date(transfer.nextRunAt) <= now)
+    .map(transfer => update('scheduledTransfers', transfer.id, {
+      status: 'due',
+      dueAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    }));
+
+  for (const transfer of due) {
+    try {
+      await getNotifier().notify(transfer);
+    } catch (error) {
+      console.error(`[Schedules] Could not notify user ${transfer.userId} about transfer ${transfer.id}:`, error.message);
+    }
+  }
+  return due;
+}
+
+/**
+ * Look for due transfers now and every SCHEDULER_INTERVAL_MS. The timer does
+ * not keep the process alive.
+ * @param {Object} options - { intervalMs }
+ * @returns {Function} Stops the scheduler
+ */
+export function startScheduler({ intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) {
+  // Fail at startup, not at the first due transfer, if the notifier is misconfigured
+  getNotifier();
+
+  const tick = () => runDueScheduledTransfers().catch(error => {
+    console.error('[Schedules] Scheduler run failed:', error.message);
+  });
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  console.log(`[Schedules] Checking for due transfers every ${Math.round(intervalMs / 1000)}s`);
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,254 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// In-memory scheduledTransfers collection standing in for the database
+const collections = { scheduledTransfers: new Map() };
+
+vi.mock('../models/db.js', () => ({
+  getAll: vi.fn((collection) => [...collections[collection].values()]),
+  getById: vi.fn((collection, id) => collections[collection].get(id)),
+  findBy: vi.fn((collection, field, value) =>
+    [...collections[collection].values()].filter(record => record[field] === value)),
+  add: vi.fn((collection, record) => {
+    collections[collection].set(record.id, record);
+    return record;
+  }),
+  update: vi.fn((collection, id, updates) => {
+    const record = collections[collection].get(id);
+    if (!record) return null;
+    collections[collection].set(id, { ...record, ...updates });
+    return collections[collection].get(id);
+  })
+}));
+
+import {
+  createScheduledTransfer,
+  listScheduledTransfers,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+  completeScheduledRun,
+  recordScheduledLeg,
+  runDueScheduledTransfers,
+  setScheduleNotifier,
+  startScheduler
+} from './scheduledTransferService.js';
+
+const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const HASH_A = `0x${'a'.repeat(64)}`;
+const HASH_B = `0x${'b'.repeat(64)}`;
+const HASH_C = `0x${'c'.repeat(64)}`;
+
+// Monday 2026-03-02, 10:00 in Nairobi
+const NOW = new Date('2026-03-02T07:00:00Z');
+const later = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const EVERY_FRIDAY = { frequency: 'weekly', hour: 9, minute: 30, weekday: 5, dayOfMonth: null };
+
+function scheduleOnce(userId = 'user-1', runAt = '2026-03-03T06:00:00.000Z') {
+  return createScheduledTransfer(userId, {
+    legs: [{ amount: 50, recipient: ALICE.toLowerCase() }],
+    schedule: { runAt, recurrence: null, timeZone: 'Africa/Nairobi' },
+    command: `send 50 MNEE to ${ALICE} tomorrow at 9`,
+    language: 'en'
+  }, NOW);
+}
+
+function scheduleWeekly(userId = 'user-1') {
+  return createScheduledTransfer(userId, {
+    legs: [{ amount: 2.5, recipient: ALICE }, { amount: 2.5, recipient: BOB }],
+    split: 'each',
+    schedule: { runAt: '2026-03-06T06:30:00.000Z', recurrence: EVERY_FRIDAY, timeZone: 'Africa/Nairobi' }
+  }, NOW);
+}
+
+describe('Scheduled Transfer Service', () => {
+  let notify;
+
+  beforeEach(() => {
+    collections.scheduledTransfers.clear();
+    notify = vi.fn(async () => {});
+    setScheduleNotifier({ name: 'test', notify });
+  });
+
+  it('should keep a one-off transfer with checksummed recipients', () => {
+    const transfer = scheduleOnce();
+
+    expect(transfer).toMatchObject({
+      userId: 'user-1',
+      legs: [{ amount: 50, recipient: ALICE }],
+      total: 50,
+      timeZone: 'Africa/Nairobi',
+      recurrence: null,
+      nextRunAt: '2026-03-03T06:00:00.000Z',
+      status: 'active',
+      runs: 0,
+      language: 'en'
+    });
+  });
+
+  it('should work out the first run of a recurring transfer again', () => {
+    const transfer = createScheduledTransfer('user-1', {
+      legs: [{ amount: 1, recipient: BOB }],
+      schedule: { runAt: '2020-01-03T06:30:00.000Z', recurrence: EVERY_FRIDAY, timeZone: 'Africa/Nairobi' }
+    }, NOW);
+
+    expect(transfer.nextRunAt).toBe('2026-03-06T06:30:00.000Z');
+    expect(transfer.total).toBe(1);
+  });
+
+  it.each([
+    ['no recipients', { legs: [], schedule: { runAt: '2026-03-03T06:00:00Z', timeZone: 'UTC' } }, 'INVALID_TRANSFER'],
+    ['a bad address', { legs: [{ amount: 1, recipient: '0x123' }], schedule: { runAt: '2026-03-03T06:00:00Z' } }, 'INVALID_TRANSFER'],
+    ['a zero amount', { legs: [{ amount: 0, recipient: ALICE }], schedule: { runAt: '2026-03-03T06:00:00Z' } }, 'INVALID_TRANSFER'],
+    ['a leg that is not an object', { legs: [null], schedule: { runAt: '2026-03-03T06:00:00Z' } }, 'INVALID_TRANSFER'],
+    ['no time', { legs: [{ amount: 1, recipient: ALICE }] }, 'INVALID_SCHEDULE'],
+    ['a time that has passed', { legs: [{ amount: 1, recipient: ALICE }], schedule: { runAt: '2026-03-01T06:00:00Z' } }, 'INVALID_SCHEDULE'],
+    ['an unknown frequency', { legs: [{ amount: 1, recipient: ALICE }], schedule: { recurrence: { frequency: 'yearly', hour: 9, minute: 0 } } }, 'INVALID_SCHEDULE'],
+    ['a weekly run without a day', { legs: [{ amount: 1, recipient: ALICE }], schedule: { recurrence: { frequency: 'weekly', hour: 9, minute: 0 } } }, 'INVALID_SCHEDULE'],
+    ['an unknown time zone', { legs: [{ amount: 1, recipient: ALICE }], schedule: { runAt: '2026-03-03T06:00:00Z', timeZone: 'Mars/Olympus' } }, 'UNSUPPORTED_TIME_ZONE']
+  ])('should refuse %s', (_, transfer, code) => {
+    expect(() => createScheduledTransfer('user-1', transfer, NOW)).toThrow(expect.objectContaining({ code }));
+  });
+
+  it('should list only the caller\'s transfers, soonest first', () => {
+    const weekly = scheduleWeekly();
+    const once = scheduleOnce();
+    scheduleOnce('user-2');
+    cancelScheduledTransfer('user-1', weekly.id, NOW);
+
+    expect(listScheduledTransfers('user-1').map(t => t.id)).toEqual([once.id, weekly.id]);
+    expect(listScheduledTransfers('user-1', { status: 'cancelled' }).map(t => t.id)).toEqual([weekly.id]);
+  });
+
+  it('should only act on the caller\'s transfers in a status that allows it', () => {
+    const transfer = scheduleOnce();
+
+    expect(() => pauseScheduledTransfer('user-2', transfer.id, NOW)).toThrow(expect.objectContaining({ code: 'SCHEDULE_NOT_FOUND' }));
+    expect(() => resumeScheduledTransfer('user-1', transfer.id, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE_STATE' }));
+    expect(() => completeScheduledRun('user-1', transfer.id, { hashes: [HASH_A] }, NOW))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE_STATE' }));
+
+    expect(cancelScheduledTransfer('user-1', transfer.id, NOW).status).toBe('cancelled');
+    expect(() => cancelScheduledTransfer('user-1', transfer.id, NOW)).toThrow('Cannot cancel a cancelled transfer');
+  });
+
+  it('should mark transfers due once their time comes and notify the user', async () => {
+    const once = scheduleOnce();
+    const weekly = scheduleWeekly();
+
+    await expect(runDueScheduledTransfers(later(60))).resolves.toEqual([]);
+
+    const due = await runDueScheduledTransfers(new Date('2026-03-03T06:00:00Z'));
+    expect(due.map(t => t.id)).toEqual([once.id]);
+    expect(collections.scheduledTransfers.get(once.id)).toMatchObject({ status: 'due', dueAt: '2026-03-03T06:00:00.000Z' });
+    expect(collections.scheduledTransfers.get(weekly.id).status).toBe('active');
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({ id: once.id, status: 'due' }));
+
+    // Already due: not marked or notified again
+    await runDueScheduledTransfers(new Date('2026-03-03T07:00:00Z'));
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep a transfer due when the notification fails', async () => {
+    const transfer = scheduleOnce();
+    notify.mockRejectedValueOnce(new Error('webhook down'));
+
+    await runDueScheduledTransfers(new Date('2026-03-03T06:00:00Z'));
+
+    expect(collections.scheduledTransfers.get(transfer.id).status).toBe('due');
+  });
+
+  it('should complete a one-off once the user reports its hash', async () => {
+    const transfer = scheduleOnce();
+    await runDueScheduledTransfers(new Date('2026-03-03T06:00:00Z'));
+
+    expect(() => completeScheduledRun('user-1', transfer.id, { hashes: ['0x1234'] }, NOW))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TRANSFER' }));
+
+    const completed = completeScheduledRun('user-1', transfer.id, { hashes: [HASH_A] }, new Date('2026-03-03T06:05:00Z'));
+    expect(completed).toMatchObject({ status: 'completed', runs: 1, lastRunAt: '2026-03-03T06:05:00.000Z', lastTransactionHashes: [HASH_A] });
+  });
+
+  it('should move a recurring transfer on to its next run', async () => {
+    const transfer = scheduleWeekly();
+    await runDueScheduledTransfers(new Date('2026-03-06T06:30:00Z'));
+
+    expect(() => completeScheduledRun('user-1', transfer.id, { hashes: [HASH_A] }, NOW))
+      .toThrow('Report a different transaction hash for each of the 2 transfers');
+    expect(() => completeScheduledRun('user-1', transfer.id, { hashes: [HASH_A, HASH_A] }, NOW))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TRANSFER' }));
+
+    const sent = completeScheduledRun('user-1', transfer.id, { hashes: [HASH_A, HASH_B] }, new Date('2026-03-06T08:00:00Z'));
+    expect(sent).toMatchObject({ status: 'active', runs: 1, nextRunAt: '2026-03-13T06:30:00.000Z' });
+  });
+
+  it('should keep each sent leg so signing again only sends the rest', async () => {
+    const transfer = scheduleWeekly();
+    await runDueScheduledTransfers(new Date('2026-03-06T06:30:00Z'));
+    const sentAt = new Date('2026-03-06T08:00:00Z');
+
+    const first = recordScheduledLeg('user-1', transfer.id, 1, { hash: HASH_B }, sentAt);
+    expect(first).toMatchObject({ status: 'due', runs: 0, sentHashes: [null, HASH_B] });
+
+    // Reported again from another tab: nothing changes
+    expect(recordScheduledLeg('user-1', transfer.id, 1, { hash: HASH_B }, sentAt)).toEqual(first);
+    expect(() => recordScheduledLeg('user-1', transfer.id, 1, { hash: HASH_A }, sentAt))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE_STATE' }));
+    expect(() => recordScheduledLeg('user-1', transfer.id, 2, { hash: HASH_A }, sentAt))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TRANSFER' }));
+    expect(() => completeScheduledRun('user-1', transfer.id, { hashes: [HASH_A, HASH_C] }, sentAt))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE_STATE' }));
+
+    // One transfer can't be reported as the whole run
+    expect(() => recordScheduledLeg('user-1', transfer.id, 0, { hash: HASH_B }, sentAt))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TRANSFER' }));
+
+    const sent = recordScheduledLeg('user-1', transfer.id, 0, { hash: HASH_A }, sentAt);
+    expect(sent).toMatchObject({
+      status: 'active',
+      runs: 1,
+      nextRunAt: '2026-03-13T06:30:00.000Z',
+      lastTransactionHashes: [HASH_A, HASH_B],
+      sentHashes: null
+    });
+    expect(() => recordScheduledLeg('user-1', transfer.id, 0, { hash: HASH_A }, sentAt))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE_STATE' }));
+  });
+
+  it('should drop the legs of a run missed while paused', async () => {
+    const transfer = scheduleWeekly();
+    await runDueScheduledTransfers(new Date('2026-03-06T06:30:00Z'));
+    recordScheduledLeg('user-1', transfer.id, 0, { hash: HASH_A }, new Date('2026-03-06T07:00:00Z'));
+
+    pauseScheduledTransfer('user-1', transfer.id, new Date('2026-03-06T07:00:00Z'));
+    const resumed = resumeScheduledTransfer('user-1', transfer.id, new Date('2026-03-10T12:00:00Z'));
+
+    expect(resumed).toMatchObject({ status: 'active', runs: 0, sentHashes: null });
+  });
+
+  it('should skip the runs a recurring transfer missed while paused', () => {
+    const transfer = scheduleWeekly();
+
+    expect(pauseScheduledTransfer('user-1', transfer.id, NOW).status).toBe('paused');
+    const resumed = resumeScheduledTransfer('user-1', transfer.id, new Date('2026-03-10T12:00:00Z'));
+
+    expect(resumed).toMatchObject({ status: 'active', nextRunAt: '2026-03-13T06:30:00.000Z' });
+  });
+
+  it('should check for due transfers on start and stop when asked', async () => {
+    vi.useFakeTimers({ now: new Date('2026-03-03T06:00:00Z') });
+    try {
+      const transfer = scheduleOnce();
+
+      const stop = startScheduler({ intervalMs: 1000 });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(collections.scheduledTransfers.get(transfer.id).status).toBe('due');
+
+      stop();
+      expect(vi.getTimerCount()).toBe(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { getById, findBy, add, update, remove } from '../models/db.js';
+
+// ============================================================================
+// Session Configuration
+// ============================================================================
+// SESSION_SECRET    - HMAC key used to sign session tokens (required in
+//                     production; a random per-process key is used otherwise)
+// SESSION_TTL_HOURS - Session lifetime, default 168 (7 days)
+//
+// A token is `<sessionId>.<signature>`. The signature lets forged tokens be
+// rejected without a database lookup; the stored session record is what makes
+// a token revocable (logout) and expirable.
+// ============================================================================
+
+export const SESSION_COOKIE = 'sauti_session';
+
+const DEFAULT_TTL_HOURS = 168;
+
+let devSecret = null;
+
+function getSecret() {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+  if (!devSecret) {
+    console.warn('[Session] SESSION_SECRET not set, using a random key (sessions end on restart)');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+/**
+ * Session lifetime in milliseconds
+ * @returns {number}
+ */
+export function getSessionTtlMs() {
+  const hours = Number(process.env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  return hours * 60 * 60 * 1000;
+}
+
+function sign(sessionId) {
+  return crypto.createHmac('sha256', getSecret()).update(sessionId).digest('base64url');
+}
+
+// Split a token and check its signature in constant time
+function parseToken(token) {
+  if (typeof token !== 'string') return null;
+  const [sessionId, signature, ...rest] = token.split('.');
+  if (!sessionId || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(sessionId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return sessionId;
+}
+
+const isExpired = (session, now = Date.now()) => new Date(session.expiresAt).getTime() <= now;
+
+/**
+ * Start a new session for a user
+ * @param {string} userId - User ID
+ * @returns {Object} { token, session }
+ */
+export function createSession(userId) {
+  // Drop this user's expired sessions so the collection does not grow forever
+  for (const session of findBy('sessions', 'userId', userId)) {
+    if (isExpired(session)) remove('sessions', session.id);
+  }
+
+  const now = new Date();
+  const session = add('sessions', {
+    id: crypto.randomBytes(32).toString('base64url'),
+    userId,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + getSessionTtlMs()).toISOString(),
+    revokedAt: null
+  });
+
+  return { token: `${session.id}.${sign(session.id)}`, session };
+}
+
+/**
+ * Resolve a token to its active session
+ * @param {string} token - Session token
+ * @returns {Object|null} Session record, or null if invalid, expired or revoked
+ */
+export function verifySession(token) {
+  const sessionId = parseToken(token);
+  if (!sessionId) return null;
+
+  const session = getById('sessions', sessionId);
+  if (!session || session.revokedAt || isExpired(session)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Revoke a session so its token can no longer be used
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Revoked session, or null if it does not exist
+ */
+export function revokeSession(sessionId) {
+  return update('sessions', sessionId, { revokedAt: new Date().toISOString() });
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+
+// In-memory sessions collection standing in for the database
+const store = new Map();
+
+vi.mock('../models/db.js', () => ({
+  getById: vi.fn((collection, id) => store.get(id)),
+  findBy: vi.fn((collection, field, value) => [...store.values()].filter(s => s[field] === value)),
+  add: vi.fn((collection, record) => {
+    store.set(record.id, record);
+    return record;
+  }),
+  update: vi.fn((collection, id, updates) => {
+    if (!store.has(id)) return null;
+    store.set(id, { ...store.get(id), ...updates });
+    return store.get(id);
+  }),
+  remove: vi.fn((collection, id) => {
+    const record = store.get(id);
+    store.delete(id);
+    return record || null;
+  })
+}));
+
+import { createSession, verifySession, revokeSession, getSessionTtlMs } from './sessionService.js';
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    store.clear();
+    process.env.SESSION_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.SESSION_SECRET;
+    delete process.env.SESSION_TTL_HOURS;
+    vi.useRealTimers();
+  });
+
+  it('should issue a token that resolves to the user\'s session', () => {
+    const { token, session } = createSession('user-1');
+
+    expect(session.userId).toBe('user-1');
+    expect(verifySession(token)).toMatchObject({ id: session.id, userId: 'user-1' });
+  });
+
+  it('should reject tampered or malformed tokens', () => {
+    const { token } = createSession('user-1');
+    const [sessionId] = token.split('.');
+
+    fc.assert(
+      fc.property(fc.string(), (signature) => {
+        fc.pre(`${sessionId}.${signature}` !== token);
+        expect(verifySession(`${sessionId}.${signature}`)).toBeNull();
+      }),
+      { numRuns: 100 }
+    );
+    expect(verifySession(undefined)).toBeNull();
+    expect(verifySession(sessionId)).toBeNull();
+  });
+
+  it('should reject tokens signed with a different secret', () => {
+    const { token } = createSession('user-1');
+    process.env.SESSION_SECRET = 'rotated-secret';
+
+    expect(verifySession(token)).toBeNull();
+  });
+
+  it('should stop accepting a token once its session is revoked', () => {
+    const { token, session } = createSession('user-1');
+    revokeSession(session.id);
+
+    expect(verifySession(token)).toBeNull();
+  });
+
+  it('should expire sessions after SESSION_TTL_HOURS and clean them up', () => {
+    vi.useFakeTimers();
+    process.env.SESSION_TTL_HOURS = '1';
+    const { token, session } = createSession('user-1');
+
+    vi.advanceTimersByTime(getSessionTtlMs());
+    expect(verifySession(token)).toBeNull();
+
+    createSession('user-1');
+    expect(store.has(session.id)).toBe(false);
+  });
+});
@@ -0,0 +1,15 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run a command-line program and resolve when it exits successfully
+ * @param {string} file - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - { timeout } in ms
+ * @returns {Promise<Object>} { stdout, stderr }
+ */
+export function runCommand(file, args, { timeout }) {
+  return execFileAsync(file, args, { timeout, maxBuffer: 10 * 1024 * 1024 });
+}
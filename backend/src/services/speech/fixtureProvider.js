@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures/transcripts.json');
+
+/**
+ * Create a deterministic speech-to-text provider backed by a JSON fixture.
+ * A clip whose SHA-256 is listed under `clips` gets that result; any other
+ * clip gets `default` (when the fixture has one) or no speech at all. An
+ * entry may list `words` ({ word, confidence, startTime, endTime }).
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.fixturePath - Path to the fixture JSON file
+ * @returns {Object} Speech-to-text provider
+ */
+export function createFixtureProvider({ fixturePath = DEFAULT_FIXTURE_PATH } = {}) {
+  let fixture = null;
+
+  function loadFixture() {
+    if (!fixture) {
+      fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+    return fixture;
+  }
+
+  function lookup(audioBuffer) {
+    const hash = crypto.createHash('sha256').update(audioBuffer).digest('hex');
+    const entry = loadFixture().clips?.[hash] || loadFixture().default;
+    if (!entry) {
+      return { transcript: '', confidence: null, alternatives: [], words: [] };
+    }
+    const confidence = entry.confidence ?? null;
+    return {
+      transcript: entry.transcript,
+      confidence,
+      alternatives: entry.alternatives || [{ transcript: entry.transcript, confidence }],
+      // Without per-word entries every word gets the clip's confidence
+      words: entry.words || entry.transcript.split(/\s+/).filter(Boolean).map(word => ({
+        word,
+        confidence,
+        startTime: null,
+        endTime: null
+      }))
+    };
+  }
+
+  return {
+    name: 'fixture',
+
+    async transcribe(audioBuffer) {
+      return lookup(audioBuffer);
+    },
+
+    /**
+     * Replay the fixture transcript word by word as interim results once the
+     * audio ends, then emit it as the final result
+     */
+    createStreamingRecognizer() {
+      const recognizer = new EventEmitter();
+      const chunks = [];
+      let destroyed = false;
+
+      recognizer.write = (chunk) => chunks.push(Buffer.from(chunk));
+      recognizer.destroy = () => { destroyed = true; };
+      recognizer.end = () => {
+        setImmediate(() => {
+          if (destroyed) return;
+          const { transcript } = lookup(Buffer.concat(chunks));
+          const words = transcript.split(/\s+/).filter(Boolean);
+          for (let i = 1; i < words.length; i++) {
+            recognizer.emit('result', { transcript: words.slice(0, i).join(' '), isFinal: false, stability: 0.9 });
+          }
+          if (words.length > 0) {
+            recognizer.emit('result', { transcript, isFinal: true, stability: null });
+          }
+          recognizer.emit('end');
+        });
+      };
+      return recognizer;
+    }
+  };
+}
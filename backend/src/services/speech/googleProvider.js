@@ -0,0 +1,131 @@
+import { EventEmitter } from 'events';
+import { SpeechClient } from '@google-cloud/speech';
+
+// How strongly phrase hints are favoured (Google accepts 0-20)
+const PHRASE_BOOST = 10;
+
+// google.protobuf.Duration -> seconds
+function toSeconds(duration) {
+  return duration ? Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9 : null;
+}
+
+/**
+ * Build the recognition config shared by batch and streaming requests
+ * @param {Object} options - Transcription options
+ * @param {number} maxAlternatives - Alternatives to request
+ * @returns {Object} Google RecognitionConfig
+ */
+function toRecognitionConfig({ encoding, sampleRateHertz, languageCode, audioChannelCount, phraseHints }, maxAlternatives) {
+  return {
+    encoding,
+    sampleRateHertz,
+    languageCode,
+    ...(audioChannelCount > 1 && { audioChannelCount }),
+    ...(phraseHints?.length && { speechContexts: [{ phrases: phraseHints, boost: PHRASE_BOOST }] }),
+    maxAlternatives,
+    enableAutomaticPunctuation: true,
+    enableWordConfidence: true,
+    enableWordTimeOffsets: true,
+    model: 'default',
+    useEnhanced: true
+  };
+}
+
+/**
+ * Create a speech-to-text provider backed by Google Cloud Speech-to-Text.
+ * The client is created on first use, so loading this module does not need
+ * credentials (GOOGLE_APPLICATION_CREDENTIALS is read by the client).
+ *
+ * @param {Object} options - Provider options
+ * @param {Function} options.createClient - SpeechClient factory
+ * @param {number} options.maxAlternatives - Alternatives requested per result
+ * @returns {Object} Speech-to-text provider
+ */
+export function createGoogleProvider({ createClient = () => new SpeechClient(), maxAlternatives = 3 } = {}) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = createClient();
+    }
+    return client;
+  }
+
+  return {
+    name: 'google',
+
+    /**
+     * Transcribe a complete clip
+     * @param {Buffer} audioBuffer - Audio data
+     * @param {Object} options - { encoding, sampleRateHertz, languageCode, audioChannelCount, phraseHints }
+     * @returns {Promise<Object>} { transcript, confidence, alternatives, words }
+     */
+    async transcribe(audioBuffer, options) {
+      const [response] = await getClient().recognize({
+        audio: { content: audioBuffer.toString('base64') },
+        config: toRecognitionConfig(options, maxAlternatives)
+      });
+
+      // Each result is a consecutive segment; alternatives rank readings of one segment
+      const results = (response.results || []).filter(result => result.alternatives?.length > 0);
+      const transcript = results.map(result => result.alternatives[0].transcript.trim()).join(' ');
+      const confidences = results.map(result => result.alternatives[0].confidence).filter(c => typeof c === 'number');
+      const confidence = confidences.length > 0
+        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+        : null;
+
+      // Whole-clip alternatives only make sense for a single segment
+      const alternatives = results.length === 1
+        ? results[0].alternatives.map(alt => ({ transcript: alt.transcript.trim(), confidence: alt.confidence ?? null }))
+        : [{ transcript, confidence }];
+
+      // Word confidence and timings only come with each segment's top alternative
+      const words = results.flatMap(result => (result.alternatives[0].words || []).map(word => ({
+        word: word.word,
+        confidence: word.confidence ?? null,
+        startTime: toSeconds(word.startTime),
+        endTime: toSeconds(word.endTime)
+      })));
+
+      return { transcript, confidence, alternatives, words };
+    },
+
+    /**
+     * Open a streaming recognition session. Audio chunks are written as they
+     * arrive; interim and final results are emitted while the user speaks.
+     * @param {Object} options - { encoding, sampleRateHertz, languageCode }
+     * @returns {EventEmitter} Streaming recognizer
+     */
+    createStreamingRecognizer(options) {
+      const stream = getClient().streamingRecognize({
+        config: toRecognitionConfig(options, 1),
+        interimResults: true
+      });
+
+      const recognizer = new EventEmitter();
+
+      stream.on('data', (response) => {
+        for (const result of response.results || []) {
+          const transcript = result.alternatives?.[0]?.transcript?.trim();
+          if (transcript) {
+            recognizer.emit('result', {
+              transcript,
+              isFinal: Boolean(result.isFinal),
+              stability: result.stability ?? null
+            });
+          }
+        }
+      });
+      stream.on('error', (error) => {
+        console.error('Google Cloud streaming recognition error:', error.message);
+        recognizer.emit('error', error);
+      });
+      stream.on('end', () => recognizer.emit('end'));
+
+      recognizer.write = (chunk) => stream.write(chunk);
+      recognizer.end = () => stream.end();
+      recognizer.destroy = () => stream.destroy();
+      return recognizer;
+    }
+  };
+}
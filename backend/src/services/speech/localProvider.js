@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runCommand } from './commands.js';
+import { detectAudioFormat, transcodeToCanonical, CANONICAL_FORMAT } from '../audioFormatService.js';
+
+// whisper.cpp control tokens ([_BEG_], [_TT_150], <|endoftext|>) carry no text
+function isTextToken(token) {
+  return token.text && !token.text.startsWith('[_') && !token.text.startsWith('<|');
+}
+
+// Merge sub-word tokens into words; a token starting with a space starts a new word
+function toWords(tokens) {
+  const words = [];
+  for (const token of tokens) {
+    const text = token.text.trim();
+    if (!text) continue;
+    const startTime = typeof token.offsets?.from === 'number' ? token.offsets.from / 1000 : null;
+    const endTime = typeof token.offsets?.to === 'number' ? token.offsets.to / 1000 : null;
+    const current = words[words.length - 1];
+    if (!current || /^\s/.test(token.text)) {
+      words.push({ word: text, probabilities: [token.p], startTime, endTime });
+    } else {
+      current.word += text;
+      current.probabilities.push(token.p);
+      current.endTime = endTime;
+    }
+  }
+  return words.map(({ probabilities, ...word }) => {
+    const known = probabilities.filter(p => typeof p === 'number');
+    return { ...word, confidence: known.length > 0 ? known.reduce((sum, p) => sum + p, 0) / known.length : null };
+  });
+}
+
+// whisper.cpp reads 16 kHz mono 16-bit WAV, which is also the canonical upload format
+function isCanonicalWav(buffer) {
+  const format = detectAudioFormat(buffer);
+  return format?.container === 'wav' &&
+    format.encoding === CANONICAL_FORMAT.encoding &&
+    format.sampleRateHertz === CANONICAL_FORMAT.sampleRateHertz &&
+    format.channels === CANONICAL_FORMAT.audioChannelCount;
+}
+
+/**
+ * Create an offline, CPU-only speech-to-text provider that runs the
+ * whisper.cpp command-line tool. Clips that are not already 16 kHz mono WAV
+ * are converted with ffmpeg first.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.modelPath - whisper.cpp ggml model file (e.g. ggml-base.bin)
+ * @param {string} options.binary - whisper.cpp CLI (default 'whisper-cli')
+ * @param {string} options.ffmpegBinary - ffmpeg executable (default 'ffmpeg')
+ * @param {number} options.threads - CPU threads for whisper.cpp
+ * @param {number} options.timeout - Per-command timeout in ms
+ * @param {Function} options.run - Command runner (for tests)
+ * @returns {Object} Speech-to-text provider
+ */
+export function createLocalProvider({
+  modelPath,
+  binary = 'whisper-cli',
+  ffmpegBinary = 'ffmpeg',
+  threads = 4,
+  timeout = 60000,
+  run = runCommand
+} = {}) {
+  if (!modelPath) {
+    throw new Error('The local speech provider needs WHISPER_MODEL_PATH');
+  }
+
+  return {
+    name: 'local',
+
+    /**
+     * Transcribe a complete clip with whisper.cpp
+     * @param {Buffer} audioBuffer - Audio data (any format ffmpeg can decode)
+     * @param {Object} options - { languageCode, phraseHints }
+     * @returns {Promise<Object>} { transcript, confidence, alternatives, words }
+     */
+    async transcribe(audioBuffer, { languageCode, phraseHints }) {
+      const wav = isCanonicalWav(audioBuffer)
+        ? audioBuffer
+        : await transcodeToCanonical(audioBuffer, { ffmpegBinary, run, timeout });
+
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sauti-stt-'));
+      const wavPath = path.join(workDir, 'audio.wav');
+      const outputBase = path.join(workDir, 'result');
+
+      try {
+        await fs.writeFile(wavPath, wav);
+        await run(binary, [
+          '-m', modelPath,
+          '-f', wavPath,
+          // whisper.cpp takes the bare language ('en-KE' -> 'en')
+          '-l', (languageCode || 'auto').split('-')[0].toLowerCase(),
+          '-t', String(threads),
+          // whisper.cpp has no phrase boosting; an initial prompt biases it towards the same words
+          ...(phraseHints?.length ? ['--prompt', phraseHints.join(', ')] : []),
+          '-np',
+          '-ojf',
+          '-of', outputBase
+        ], { timeout });
+
+        const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+        const segments = output.transcription || [];
+        const transcript = segments.map(segment => segment.text.trim()).filter(Boolean).join(' ');
+
+        // Confidence is the mean probability of the recognised text tokens
+        const tokens = segments.flatMap(segment => segment.tokens || []).filter(isTextToken);
+        const probabilities = tokens
+          .map(token => token.p)
+          .filter(p => typeof p === 'number');
+        const confidence = probabilities.length > 0
+          ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+          : null;
+
+        return { transcript, confidence, alternatives: [{ transcript, confidence }], words: toWords(tokens) };
+      } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
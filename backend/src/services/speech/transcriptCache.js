@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ============================================================================
+// Transcript Caches
+// ============================================================================
+// Both caches implement get(key), set(key, value) and clear(), all async.
+// Entries expire after `ttlMs`; once `maxEntries` is reached the least
+// recently used (memory) or oldest written (disk) entries are dropped.
+// ============================================================================
+
+/**
+ * Create an in-process transcript cache
+ * @param {Object} options - { ttlMs, maxEntries }
+ * @returns {Object} Transcript cache
+ */
+export function createMemoryCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      // Re-insert so Map order tracks recent use
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Create a transcript cache that survives restarts, one JSON file per entry
+ * @param {Object} options - { directory, ttlMs, maxEntries }
+ * @returns {Object} Transcript cache
+ */
+export function createDiskCache({ directory, ttlMs, maxEntries }) {
+  const fileFor = (key) => path.join(directory, `${key}.json`);
+
+  async function prune() {
+    const names = (await fs.readdir(directory)).filter(name => name.endsWith('.json'));
+    if (names.length <= maxEntries) return;
+
+    const files = await Promise.all(names.map(async (name) => {
+      const file = path.join(directory, name);
+      const { mtimeMs } = await fs.stat(file).catch(() => ({ mtimeMs: 0 }));
+      return { file, mtimeMs };
+    }));
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    await Promise.all(files.slice(0, files.length - maxEntries).map(({ file }) => fs.rm(file, { force: true })));
+  }
+
+  return {
+    name: 'disk',
+
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await fs.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value) {
+      await fs.mkdir(directory, { recursive: true });
+      // Write then rename, so a concurrent get never reads half a file
+      const temporary = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }));
+      await fs.rename(temporary, fileFor(key));
+      await prune();
+    },
+
+    async clear() {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  };
+}
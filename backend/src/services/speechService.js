@@ -1,92 +1,344 @@
-import { SpeechClient } from '@google-cloud/speech';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createGoogleProvider } from './speech/googleProvider.js';
+import { createLocalProvider } from './speech/localProvider.js';
+import { createFixtureProvider } from './speech/fixtureProvider.js';
+import { createMemoryCache, createDiskCache } from './speech/transcriptCache.js';
+import { COMMAND_VOCABULARY, getDefaultLanguage } from './languageService.js';
+import { assessAudioQuality } from './audioQualityService.js';
 
-// Initialize Google Cloud Speech-to-Text client
-// It will automatically use GOOGLE_APPLICATION_CREDENTIALS from .env
-const client = new SpeechClient();
+// ============================================================================
+// Speech-to-Text Configuration
+// ============================================================================
+// STT_PROVIDER       - 'google' (default), 'local' (whisper.cpp, CPU only, no
+//                      network) or 'fixture' (deterministic, for tests/demos)
+// STT_FIXTURE_PATH   - Optional fixture file for the fixture provider
+// WHISPER_MODEL_PATH - ggml model file for the local provider (required)
+// WHISPER_CPP_BIN    - whisper.cpp CLI for the local provider (default whisper-cli)
+// WHISPER_THREADS    - CPU threads for the local provider (default 4)
+// FFMPEG_BIN         - ffmpeg used to convert audio for whisper.cpp
+// STT_CACHE          - Transcript cache: 'memory' (default), 'disk' or 'off'
+// STT_CACHE_DIR      - Directory for the disk cache (default <tmp>/kaseddie-transcripts)
+// STT_CACHE_TTL_MS   - How long a cached transcript is reused (default 24h)
+// STT_CACHE_MAX_ENTRIES - Most transcripts kept in the cache (default 500)
+//
+// Every provider implements transcribe(buffer, options), resolving to
+// { transcript, confidence, alternatives: [{ transcript, confidence }],
+//   words: [{ word, confidence, startTime, endTime }] } (words may be empty).
+// options.phraseHints lists phrases the recognizer should favour.
+// Providers may also implement createStreamingRecognizer(options); for those
+// that don't, streamed audio is buffered and transcribed when it ends.
+//
+// Successful transcriptions are cached under the SHA-256 of the audio plus
+// the provider and recognition options, so a clip sent again (a user retry)
+// does not reach the provider a second time. Results report `cached`.
+// ============================================================================
+
+const PROVIDER_FACTORIES = {
+  google: () => createGoogleProvider(),
+  local: () => createLocalProvider({
+    modelPath: process.env.WHISPER_MODEL_PATH,
+    binary: process.env.WHISPER_CPP_BIN || undefined,
+    ffmpegBinary: process.env.FFMPEG_BIN || undefined,
+    threads: parseInt(process.env.WHISPER_THREADS, 10) || undefined
+  }),
+  fixture: () => createFixtureProvider(
+    process.env.STT_FIXTURE_PATH ? { fixturePath: process.env.STT_FIXTURE_PATH } : undefined
+  )
+};
+
+let provider = null;
+
+/**
+ * Get the active provider, creating it from configuration on first use
+ * @returns {Object} Speech-to-text provider
+ */
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.STT_PROVIDER || 'google').toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown speech-to-text provider: ${name}`);
+    }
+    provider = factory();
+    console.log(`[Speech] Using ${provider.name} provider`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (used by tests and custom deployments)
+ * @param {Object|null} customProvider - Provider implementing transcribe, or null to reset
+ */
+export function setSpeechProvider(customProvider) {
+  provider = customProvider;
+}
+
+// ============================================================================
+// Transcript Cache
+// ============================================================================
+
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+
+function cacheLimits() {
+  const ttlMs = parseInt(process.env.STT_CACHE_TTL_MS, 10);
+  const maxEntries = parseInt(process.env.STT_CACHE_MAX_ENTRIES, 10);
+  return {
+    ttlMs: Number.isNaN(ttlMs) ? DEFAULT_CACHE_TTL_MS : ttlMs,
+    maxEntries: Number.isNaN(maxEntries) ? DEFAULT_CACHE_MAX_ENTRIES : maxEntries
+  };
+}
+
+const CACHE_FACTORIES = {
+  memory: () => createMemoryCache(cacheLimits()),
+  disk: () => createDiskCache({
+    directory: process.env.STT_CACHE_DIR || path.join(os.tmpdir(), 'kaseddie-transcripts'),
+    ...cacheLimits()
+  }),
+  off: () => null
+};
+
+// undefined until first use; null when caching is off
+let transcriptCache;
+
+/**
+ * Get the active transcript cache, creating it from configuration on first use
+ * @returns {Object|null} Transcript cache, or null when caching is off
+ */
+function getTranscriptCache() {
+  if (transcriptCache === undefined) {
+    const name = (process.env.STT_CACHE || 'memory').toLowerCase();
+    const factory = CACHE_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown transcript cache: ${name}`);
+    }
+    transcriptCache = factory();
+    console.log(`[Speech] Transcript cache: ${transcriptCache ? transcriptCache.name : 'off'}`);
+  }
+  return transcriptCache;
+}
+
+/**
+ * Replace the transcript cache (used by tests and custom deployments)
+ * @param {Object|null} customCache - Cache implementing get/set/clear, or null to reset to configuration
+ */
+export function setTranscriptCache(customCache) {
+  transcriptCache = customCache ?? undefined;
+}
+
+// Same audio, provider and recognition settings -> same key
+function cacheKey(providerName, audioBuffer, request) {
+  return crypto.createHash('sha256')
+    .update(audioBuffer)
+    .update(JSON.stringify({ provider: providerName, ...request }))
+    .digest('hex');
+}
+
+// A broken cache must never fail a transcription
+async function readCache(cache, key) {
+  try {
+    return await cache.get(key);
+  } catch (error) {
+    console.warn(`[Speech] Transcript cache read failed: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeCache(cache, key, value) {
+  try {
+    await cache.set(key, value);
+  } catch (error) {
+    console.warn(`[Speech] Transcript cache write failed: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Speech Adaptation
+// ============================================================================
+
+// Always favoured: the token name, transfer verbs in every supported
+// language and the words people use to spell out an address
+const DOMAIN_PHRASES = [
+  'MNEE',
+  ...Object.values(COMMAND_VOCABULARY).flatMap(({ verbs }) => verbs),
+  'zero x', 'double', 'triple',
+  'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot'
+];
+
+// Caller phrases (contact nicknames and the like), kept well inside provider limits
+const MAX_CUSTOM_PHRASES = 50;
+const MAX_PHRASE_LENGTH = 100;
+
+// Words recognised with less confidence than this are flagged for the user
+export const LOW_WORD_CONFIDENCE = 0.6;
 
 /**
- * Transcribe audio to text using Google Cloud Speech-to-Text
+ * Combine the domain vocabulary with caller-supplied phrases
+ * @param {string[]} customPhrases - Extra phrases, e.g. contact nicknames
+ * @returns {string[]} De-duplicated phrase hints
+ */
+export function buildPhraseHints(customPhrases = []) {
+  const custom = (Array.isArray(customPhrases) ? customPhrases : [])
+    .filter(phrase => typeof phrase === 'string')
+    .map(phrase => phrase.trim())
+    .filter(phrase => phrase && phrase.length <= MAX_PHRASE_LENGTH)
+    .slice(0, MAX_CUSTOM_PHRASES);
+  return [...new Set([...DOMAIN_PHRASES, ...custom])];
+}
+
+function withDefaults(options = {}) {
+  const {
+    encoding = 'WEBM_OPUS',
+    sampleRateHertz = 48000,
+    languageCode = getDefaultLanguage(),
+    audioChannelCount,
+    phraseHints
+  } = options;
+  return {
+    encoding,
+    sampleRateHertz,
+    languageCode,
+    ...(audioChannelCount && { audioChannelCount }),
+    phraseHints: buildPhraseHints(phraseHints)
+  };
+}
+
+// Mark the words the user should double-check
+function flagWords(words = []) {
+  return words.map(word => ({
+    ...word,
+    confidence: word.confidence ?? null,
+    lowConfidence: typeof word.confidence === 'number' && word.confidence < LOW_WORD_CONFIDENCE
+  }));
+}
+
+/**
+ * Transcribe audio to text with the configured provider
  * @param {Buffer} audioBuffer - Audio data buffer
  * @param {Object} options - Transcription options
- * @param {string} options.encoding - Audio encoding (LINEAR16, FLAC, MULAW, etc.)
+ * @param {string} options.encoding - Audio encoding (LINEAR16, FLAC, WEBM_OPUS, etc.)
  * @param {number} options.sampleRateHertz - Sample rate in Hz
- * @param {string} options.languageCode - Language code (default: en-US)
- * @returns {Promise<string>} Transcribed text
+ * @param {string} options.languageCode - Language code (default: DEFAULT_VOICE_LANGUAGE, else en-US)
+ * @param {number} options.audioChannelCount - Channels, when more than one
+ * @param {string[]} options.phraseHints - Extra phrases to favour (added to the domain vocabulary)
+ * @returns {Promise<Object>} { transcript, confidence, alternatives, words, provider, cached }
+ *   where each word is { word, confidence, startTime, endTime, lowConfidence }
+ *   and `cached` is true when the result came from the transcript cache
  */
 export async function transcribeAudio(audioBuffer, options = {}) {
   try {
-    const {
-      encoding = 'WEBM_OPUS',
-      sampleRateHertz = 48000,
-      languageCode = 'en-US'
-    } = options;
-
     // Validate audio buffer
     if (!audioBuffer || audioBuffer.length === 0) {
       throw new Error('Audio buffer is empty or invalid');
     }
 
-    // Create the request object
-    const audio = {
-      content: audioBuffer.toString('base64')
-    };
-
-    const config = {
-      encoding,
-      sampleRateHertz,
-      languageCode,
-      enableAutomaticPunctuation: true,
-      model: 'default',
-      useEnhanced: true
-    };
+    const stt = getProvider();
+    const request = withDefaults(options);
+    const cache = getTranscriptCache();
+    const key = cache && cacheKey(stt.name, audioBuffer, request);
 
-    const request = {
-      audio,
-      config
-    };
+    const hit = cache && await readCache(cache, key);
+    if (hit) {
+      console.log(`[Speech] Transcript cache hit (${key.slice(0, 12)})`);
+      return { ...hit, provider: stt.name, cached: true };
+    }
 
-    // Call Google Cloud Speech-to-Text API
-    const [response] = await client.recognize(request);
-    
-    // Extract transcription from response
-    const transcription = response.results
-      .map(result => result.alternatives[0].transcript)
-      .join('\n');
+    const result = await stt.transcribe(audioBuffer, request);
+    const transcript = result.transcript?.trim();
 
-    if (!transcription || transcription.trim().length === 0) {
+    if (!transcript) {
       throw new Error('No speech detected in audio');
     }
 
-    return transcription.trim();
+    const transcription = {
+      transcript,
+      confidence: result.confidence ?? null,
+      alternatives: result.alternatives?.length ? result.alternatives : [{ transcript, confidence: result.confidence ?? null }],
+      words: flagWords(result.words)
+    };
+    if (cache) {
+      await writeCache(cache, key, transcription);
+    }
+
+    return { ...transcription, provider: stt.name, cached: false };
   } catch (error) {
-    console.error('Google Cloud Speech-to-Text error:', error.message);
+    console.error('Speech-to-text error:', error.message);
     throw error;
   }
 }
 
 /**
- * Validate audio quality before transcription
- * @param {Buffer} audioBuffer - Audio data buffer
- * @returns {Promise<boolean>} True if quality is sufficient
+ * Wrap a batch-only provider as a streaming recognizer: chunks are buffered
+ * and the whole clip is transcribed when the audio ends (no interim results)
  */
-export async function validateAudioQuality(audioBuffer) {
-  try {
-    // Basic validation checks
-    if (!audioBuffer || audioBuffer.length === 0) {
-      return false;
-    }
+function createBufferedRecognizer(stt, options) {
+  const recognizer = new EventEmitter();
+  const chunks = [];
+  let destroyed = false;
 
-    // Check minimum audio size (at least 1KB)
-    if (audioBuffer.length < 1024) {
-      return false;
-    }
+  recognizer.write = (chunk) => chunks.push(Buffer.from(chunk));
+  recognizer.destroy = () => { destroyed = true; };
+  recognizer.end = () => {
+    stt.transcribe(Buffer.concat(chunks), options)
+      .then(({ transcript }) => {
+        if (destroyed) return;
+        if (transcript?.trim()) {
+          recognizer.emit('result', { transcript: transcript.trim(), isFinal: true, stability: null });
+        }
+        recognizer.emit('end');
+      })
+      .catch(error => {
+        if (!destroyed) recognizer.emit('error', error);
+      });
+  };
+  return recognizer;
+}
 
-    // Check maximum audio size (100MB limit for Google Cloud)
-    if (audioBuffer.length > 100 * 1024 * 1024) {
-      return false;
-    }
+/**
+ * Open a streaming recognition session with the configured provider.
+ *
+ * The returned recognizer is the interface the voice stream relays to:
+ * - write(chunk) / end() / destroy()
+ * - 'result' event: { transcript, isFinal, stability }
+ * - 'error' and 'end' events
+ *
+ * @param {Object} options - Transcription options (same as transcribeAudio)
+ * @returns {EventEmitter} Streaming recognizer
+ */
+export function createStreamingRecognizer(options = {}) {
+  const stt = getProvider();
+  if (typeof stt.createStreamingRecognizer === 'function') {
+    return stt.createStreamingRecognizer(withDefaults(options));
+  }
+  return createBufferedRecognizer(stt, withDefaults(options));
+}
+
+// Recognizer request limits (Google Cloud accepts at most 100MB)
+function isWithinSizeLimits(audioBuffer) {
+  return Boolean(audioBuffer) && audioBuffer.length >= 1024 && audioBuffer.length <= 100 * 1024 * 1024;
+}
+
+function qualityError(assessment) {
+  const error = new Error(assessment.message);
+  error.code = 'INVALID_AUDIO';
+  error.reason = assessment.reason;
+  error.quality = assessment.metrics;
+  return error;
+}
 
-    return true;
+/**
+ * Validate audio quality before transcription. PCM audio must also pass the
+ * loudness, silence, clipping and noise checks in audioQualityService.
+ * @param {Buffer} audioBuffer - Audio data buffer
+ * @param {Object} options - Transcription options (describe headerless PCM)
+ * @returns {Promise<boolean>} True if quality is sufficient
+ */
+export async function validateAudioQuality(audioBuffer, options = {}) {
+  try {
+    return isWithinSizeLimits(audioBuffer) && assessAudioQuality(audioBuffer, options).ok;
   } catch (error) {
     console.error('Audio quality validation error:', error.message);
     return false;
@@ -94,32 +346,39 @@ export async function validateAudioQuality(audioBuffer) {
 }
 
 /**
- * Transcribe audio with retry logic
+ * Transcribe audio with retry logic. Audio is checked once, before any
+ * provider call; PCM audio is sent with leading and trailing silence trimmed.
  * @param {Buffer} audioBuffer - Audio data buffer
  * @param {Object} options - Transcription options
  * @param {number} maxRetries - Maximum number of retries (default: 3)
- * @returns {Promise<string>} Transcribed text
+ * @returns {Promise<Object>} Transcription result (see transcribeAudio) plus
+ *   `quality` metrics (null for formats that are not analysed)
+ * @throws {Error} INVALID_AUDIO with a `reason` and `quality` for poor audio
  */
 export async function transcribeAudioWithRetry(audioBuffer, options = {}, maxRetries = 3) {
+  if (!isWithinSizeLimits(audioBuffer)) {
+    throw new Error('Audio quality is insufficient');
+  }
+
+  const quality = assessAudioQuality(audioBuffer, options);
+  if (!quality.ok) {
+    console.warn(`[Speech] Rejected audio before transcription: ${quality.reason}`);
+    throw qualityError(quality);
+  }
+
   let lastError;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      // Validate audio quality first
-      const isValid = await validateAudioQuality(audioBuffer);
-      if (!isValid) {
-        throw new Error('Audio quality is insufficient');
-      }
-
       // Attempt transcription
-      const transcription = await transcribeAudio(audioBuffer, options);
-      return transcription;
+      const transcription = await transcribeAudio(quality.audio, options);
+      return { ...transcription, quality: quality.metrics };
     } catch (error) {
       lastError = error;
       console.error(`Transcription attempt ${attempt} failed:`, error.message);
       
       // Don't retry on validation errors
-      if (error.message.includes('quality') || error.message.includes('empty')) {
+      if (error.code === 'INVALID_AUDIO' || error.message.includes('quality') || error.message.includes('empty')) {
         throw error;
       }
       
@@ -0,0 +1,170 @@
+import { getAddress } from 'viem';
+
+// ============================================================================
+// Spoken Ethereum Addresses
+// ============================================================================
+// Speech-to-text writes addresses the way people say them:
+//   "zero x seven four two d thirty five c c ..." -> 0x742d35cc...
+// This module turns that back into hex before any parser sees the text.
+// ============================================================================
+
+const ADDRESS_LENGTH = 40;
+
+const DIGITS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  // Swahili
+  sifuri: '0', moja: '1', mbili: '2', tatu: '3', nne: '4', tano: '5', sita: '6', saba: '7', nane: '8', tisa: '9'
+};
+
+const TEENS = {
+  ten: '10', eleven: '11', twelve: '12', thirteen: '13', fourteen: '14',
+  fifteen: '15', sixteen: '16', seventeen: '17', eighteen: '18', nineteen: '19'
+};
+
+const TENS = {
+  twenty: '2', thirty: '3', forty: '4', fifty: '5', sixty: '6', seventy: '7', eighty: '8', ninety: '9'
+};
+
+const LETTERS = {
+  a: 'a', b: 'b', c: 'c', d: 'd', e: 'e', f: 'f',
+  alpha: 'a', alfa: 'a', bravo: 'b', charlie: 'c', delta: 'd', echo: 'e', foxtrot: 'f'
+};
+
+// Words that sound like a symbol but are usually something else. The
+// character is still used, but reported so the user can check it.
+const SOUNDALIKES = {
+  oh: '0', o: '0', won: '1', to: '2', too: '2', for: '4', fore: '4', ate: '8',
+  ay: 'a', bee: 'b', be: 'b', see: 'c', sea: 'c', cee: 'c', dee: 'd', ee: 'e', ef: 'f', eff: 'f'
+};
+
+const REPEATS = { double: 2, triple: 3 };
+
+// Said for clarity, but carry no character ("capital c", "number four")
+const FILLERS = new Set(['capital', 'small', 'uppercase', 'lowercase', 'big', 'letter', 'number', 'and']);
+
+const X_WORDS = new Set(['x', 'ex', 'eks']);
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[^\s,]+/g)) {
+    const words = match[0].toLowerCase().replace(/^[("']+|[.!?;:)"']+$/g, '').split('-').filter(Boolean);
+    for (const word of words) {
+      tokens.push({ word, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+}
+
+// Where the address starts: "0x…", "zero x", "oh x", "ox"
+function findPrefix(tokens) {
+  for (let i = 0; i < tokens.length; i++) {
+    const { word } = tokens[i];
+    const literal = word.match(/^0x([0-9a-f]*)$/);
+    if (literal) {
+      return { index: i, consumed: 1, rest: literal[1] };
+    }
+    if (word === 'ox') {
+      return { index: i, consumed: 1, rest: '' };
+    }
+    if ((word === '0' || word === 'zero' || word === 'oh' || word === 'o' || word === 'sifuri') && X_WORDS.has(tokens[i + 1]?.word)) {
+      return { index: i, consumed: 2, rest: '' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read one spoken symbol ("seven", "thirty five", "delta", "7d")
+ * @returns {Object|null} { chars, consumed, reason } or null if the token is not part of an address
+ */
+function readSymbol(tokens, i) {
+  const word = tokens[i]?.word;
+  if (!word) return null;
+
+  if (DIGITS[word]) return { chars: DIGITS[word], consumed: 1 };
+  if (TEENS[word]) return { chars: TEENS[word], consumed: 1 };
+  if (TENS[word]) {
+    // "thirty five" -> 35, "thirty" -> 30
+    const unit = DIGITS[tokens[i + 1]?.word];
+    return unit && unit !== '0'
+      ? { chars: TENS[word] + unit, consumed: 2 }
+      : { chars: TENS[word] + '0', consumed: 1 };
+  }
+  if (LETTERS[word]) return { chars: LETTERS[word], consumed: 1 };
+  if (SOUNDALIKES[word]) return { chars: SOUNDALIKES[word], consumed: 1, reason: 'soundalike' };
+  if (/^[0-9a-f]+$/.test(word)) {
+    // Hex written out by the recognizer; all-letter runs ("add", "bed") may be real words
+    return { chars: word, consumed: 1, reason: /^[a-f]{2,}$/.test(word) ? 'word' : undefined };
+  }
+  return null;
+}
+
+/**
+ * Find a spoken Ethereum address in a transcript and convert it to hex.
+ * Text that already contains a well-formed address is left alone.
+ *
+ * @param {string} text - Transcribed command
+ * @returns {Object|null} null if no address was spoken, otherwise
+ *   { heard, address, complete, lowConfidence, text } where `address` is
+ *   checksummed when complete, `lowConfidence` lists { index, character,
+ *   heard, reason } for characters worth double-checking (index 0 is the
+ *   first character after 0x), and `text` is the transcript with the
+ *   spoken address replaced by `address`
+ */
+export function normalizeSpokenAddress(text) {
+  if (!text || typeof text !== 'string' || /0x[a-fA-F0-9]{40}(?![a-fA-F0-9])/.test(text)) {
+    return null;
+  }
+
+  const tokens = tokenize(text);
+  const prefix = findPrefix(tokens);
+  if (!prefix) {
+    return null;
+  }
+
+  let hex = '';
+  const lowConfidence = [];
+  const emit = (chars, heard, reason) => {
+    for (const character of chars) {
+      if (reason) {
+        lowConfidence.push({ index: hex.length, character, heard, reason });
+      }
+      hex += character;
+    }
+  };
+
+  emit(prefix.rest);
+  let i = prefix.index + prefix.consumed;
+  let last = i - 1;
+
+  while (hex.length < ADDRESS_LENGTH && i < tokens.length) {
+    const { word } = tokens[i];
+    if (FILLERS.has(word)) {
+      i++;
+      continue;
+    }
+
+    const times = REPEATS[word] || 1;
+    const start = times > 1 ? i + 1 : i;
+    const symbol = readSymbol(tokens, start);
+    if (!symbol) break;
+
+    const heard = tokens.slice(i, start + symbol.consumed).map(token => token.word).join(' ');
+    emit(symbol.chars.repeat(times), heard, symbol.reason);
+    i = start + symbol.consumed;
+    last = i - 1;
+  }
+
+  const complete = hex.length === ADDRESS_LENGTH;
+  const address = complete ? getAddress(`0x${hex}`) : `0x${hex}`;
+  const spanStart = tokens[prefix.index].start;
+  const spanEnd = tokens[last].end;
+
+  return {
+    heard: text.slice(spanStart, spanEnd),
+    address,
+    complete,
+    lowConfidence,
+    text: text.slice(0, spanStart) + address + text.slice(spanEnd)
+  };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { getAddress } from 'viem';
+import { normalizeSpokenAddress } from './spokenAddressService.js';
+
+// EIP-55 reference address
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+const SPOKEN_DIGITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+const NATO = { a: 'alpha', b: 'bravo', c: 'charlie', d: 'delta', e: 'echo', f: 'foxtrot' };
+
+describe('Spoken Address Service', () => {
+  it('should read digits, tens, letters, NATO words and repeats into a checksummed address', () => {
+    const text = 'send 5 MNEE to zero x five double a echo bravo sixty fifty three foxtrot three e ninety four c nine b ' +
+      'nine alpha zero nine f double three double six nine forty three five e seven e f one b e a e d please';
+
+    const result = normalizeSpokenAddress(text);
+
+    expect(result.address).toBe(ADDRESS);
+    expect(result.complete).toBe(true);
+    expect(result.lowConfidence).toEqual([]);
+    expect(result.text).toBe(`send 5 MNEE to ${ADDRESS} please`);
+    expect(result.heard).toMatch(/^zero x five .* e d$/);
+  });
+
+  it('should round-trip any address spelled one character at a time', () => {
+    fc.assert(
+      fc.property(
+        fc.hexaString({ minLength: 40, maxLength: 40 }),
+        fc.boolean(),
+        (hex, nato) => {
+          const spoken = [...hex.toLowerCase()]
+            .map(char => /\d/.test(char) ? SPOKEN_DIGITS[char] : nato ? NATO[char] : char)
+            .join(' ');
+
+          const result = normalizeSpokenAddress(`tuma kwa zero x ${spoken}`);
+
+          expect(result.address).toBe(getAddress(`0x${hex}`));
+          expect(result.text).toBe(`tuma kwa ${result.address}`);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('should report soundalike characters with their position', () => {
+    const result = normalizeSpokenAddress('pay oh x see for triple d');
+
+    expect(result.address).toBe('0xc4ddd');
+    expect(result.complete).toBe(false);
+    expect(result.lowConfidence).toEqual([
+      { index: 0, character: 'c', heard: 'see', reason: 'soundalike' },
+      { index: 1, character: '4', heard: 'for', reason: 'soundalike' }
+    ]);
+  });
+
+  it('should join hex the recognizer already wrote out and flag word-like runs', () => {
+    const result = normalizeSpokenAddress('send 10 to 0x5aaeb6053f3e94c9b9a09f33669435e7ef1b eaed');
+
+    expect(result.address).toBe(ADDRESS);
+    expect(result.lowConfidence.map(entry => entry.character).join('')).toBe('eaed');
+    expect(result.lowConfidence[0]).toMatchObject({ index: 36, heard: 'eaed', reason: 'word' });
+  });
+
+  it('should stop at the first word that is not part of the address', () => {
+    const result = normalizeSpokenAddress('zero x one two three MNEE fifty');
+
+    expect(result.address).toBe('0x123');
+    expect(result.text).toBe('0x123 MNEE fifty');
+  });
+
+  it('should leave transcripts without a spoken address alone', () => {
+    expect(normalizeSpokenAddress(`Send 50 MNEE to ${ADDRESS}`)).toBeNull();
+    expect(normalizeSpokenAddress('send fifty MNEE to bob')).toBeNull();
+    expect(normalizeSpokenAddress('')).toBeNull();
+  });
+});
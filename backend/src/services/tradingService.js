@@ -0,0 +1,464 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getById, findBy, add, updateUserWallet } from '../models/db.js';
+import { getCandles, getPrice } from './marketDataService.js';
+
+// ============================================================================
+// Trading Engine Configuration
+// ============================================================================
+// Trades are simulated against prices from marketDataService (Binance by
+// default). Each executed trade is persisted to the `trades` collection and
+// the user's walletBalance is charged the trading fee. Every trade gets an
+// automatic Stop Loss (-2%) and Take Profit (+4%) unless the caller supplies
+// its own levels.
+// ============================================================================
+
+const CANDLE_INTERVAL = '1h';
+const CANDLE_LIMIT = 100;
+
+const DEFAULT_TRADE_SIZE_USD = 100;
+const FEE_RATE = 0.001;          // 0.1% per trade
+const STOP_LOSS_PCT = 0.02;      // -2%
+const TAKE_PROFIT_PCT = 0.04;    // +4%
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Create an error carrying a machine-readable code for the route layer
+ * @param {string} code - Error code (e.g. 'INSUFFICIENT_FUNDS')
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with `code` property
+ */
+function tradingError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Clamp confidence into the 50-95 band used across the platform
+ * @param {number} value - Raw confidence
+ * @returns {number} Integer confidence
+ */
+function clampConfidence(value) {
+  return Math.round(Math.min(95, Math.max(50, value)));
+}
+
+// ============================================================================
+// Technical Indicators
+// ============================================================================
+
+function sma(values, period) {
+  if (values.length < period) return null;
+  const slice = values.slice(-period);
+  return slice.reduce((sum, v) => sum + v, 0) / period;
+}
+
+function stdDev(values, period) {
+  const mean = sma(values, period);
+  if (mean === null) return null;
+  const slice = values.slice(-period);
+  const variance = slice.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / period;
+  return Math.sqrt(variance);
+}
+
+function emaSeries(values, period) {
+  const k = 2 / (period + 1);
+  const series = [];
+  let prev = values[0];
+  for (const value of values) {
+    prev = value * k + prev * (1 - k);
+    series.push(prev);
+  }
+  return series;
+}
+
+function rsiSeries(closes, period = 14) {
+  const series = new Array(closes.length).fill(null);
+  if (closes.length <= period) return series;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change >= 0) gain += change; else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  series[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    series[i] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  }
+  return series;
+}
+
+// ============================================================================
+// Strategies
+// ============================================================================
+// Each strategy receives OHLCV candles (oldest first) and returns a signal:
+// { decision: 'BUY' | 'SELL' | 'HOLD', confidence: 0-100, reasoning, indicators }
+// ============================================================================
+
+const hold = (reasoning, indicators = {}) => ({ decision: 'HOLD', confidence: 50, reasoning, indicators });
+
+const STRATEGIES = {
+  momentum: (candles) => {
+    const closes = candles.map(c => c.close);
+    const past = closes[closes.length - 11];
+    const roc = ((closes[closes.length - 1] - past) / past) * 100;
+    const indicators = { rateOfChange10: round(roc, 3) };
+
+    if (roc >= 1) {
+      return { decision: 'BUY', confidence: clampConfidence(60 + roc * 5), reasoning: 'Momentum building, good entry point', indicators };
+    }
+    if (roc <= -1) {
+      return { decision: 'SELL', confidence: clampConfidence(60 - roc * 5), reasoning: 'Momentum fading, price losing strength', indicators };
+    }
+    return hold('No clear momentum in either direction', indicators);
+  },
+
+  'mean-reversion': (candles) => {
+    const closes = candles.map(c => c.close);
+    const mean = sma(closes, 20);
+    const sd = stdDev(closes, 20);
+    const zScore = sd ? (closes[closes.length - 1] - mean) / sd : 0;
+    const indicators = { sma20: round(mean), zScore: round(zScore, 3) };
+
+    if (zScore <= -2) {
+      return { decision: 'BUY', confidence: clampConfidence(55 + Math.abs(zScore) * 10), reasoning: 'Price stretched below its mean, expecting a bounce', indicators };
+    }
+    if (zScore >= 2) {
+      return { decision: 'SELL', confidence: clampConfidence(55 + zScore * 10), reasoning: 'Price stretched above its mean, expecting a pullback', indicators };
+    }
+    return hold('Price is trading close to its mean', indicators);
+  },
+
+  breakout: (candles) => {
+    const previous = candles.slice(-21, -1);
+    const last = candles[candles.length - 1];
+    const rangeHigh = Math.max(...previous.map(c => c.high));
+    const rangeLow = Math.min(...previous.map(c => c.low));
+    const indicators = { rangeHigh: round(rangeHigh), rangeLow: round(rangeLow) };
+
+    if (last.close > rangeHigh) {
+      const strength = ((last.close - rangeHigh) / rangeHigh) * 100;
+      return { decision: 'BUY', confidence: clampConfidence(65 + strength * 10), reasoning: 'Price broke above the 20-candle range', indicators };
+    }
+    if (last.close < rangeLow) {
+      const strength = ((rangeLow - last.close) / rangeLow) * 100;
+      return { decision: 'SELL', confidence: clampConfidence(65 + strength * 10), reasoning: 'Price broke below the 20-candle range', indicators };
+    }
+    return hold('Price is still inside its recent range', indicators);
+  },
+
+  'rsi-divergence': (candles) => {
+    const closes = candles.map(c => c.close);
+    const rsi = rsiSeries(closes);
+    const lastIndex = closes.length - 1;
+    const pastIndex = lastIndex - 10;
+    const rsiNow = rsi[lastIndex];
+    const rsiPast = rsi[pastIndex];
+    const indicators = { rsi: round(rsiNow, 2), rsiPrevious: round(rsiPast, 2) };
+
+    if (closes[lastIndex] < closes[pastIndex] && rsiNow > rsiPast && rsiNow < 45) {
+      return { decision: 'BUY', confidence: clampConfidence(60 + (rsiNow - rsiPast)), reasoning: 'Bullish divergence: lower price with rising RSI', indicators };
+    }
+    if (closes[lastIndex] > closes[pastIndex] && rsiNow < rsiPast && rsiNow > 55) {
+      return { decision: 'SELL', confidence: clampConfidence(60 + (rsiPast - rsiNow)), reasoning: 'Bearish divergence: higher price with falling RSI', indicators };
+    }
+    if (rsiNow <= 30) {
+      return { decision: 'BUY', confidence: clampConfidence(55 + (30 - rsiNow)), reasoning: 'RSI oversold', indicators };
+    }
+    if (rsiNow >= 70) {
+      return { decision: 'SELL', confidence: clampConfidence(55 + (rsiNow - 70)), reasoning: 'RSI overbought', indicators };
+    }
+    return hold('No RSI divergence detected', indicators);
+  },
+
+  'macd-crossover': (candles) => {
+    const closes = candles.map(c => c.close);
+    const fast = emaSeries(closes, 12);
+    const slow = emaSeries(closes, 26);
+    const macd = fast.map((value, i) => value - slow[i]);
+    const signal = emaSeries(macd, 9);
+    const histNow = macd[macd.length - 1] - signal[signal.length - 1];
+    const histPrev = macd[macd.length - 2] - signal[signal.length - 2];
+    const indicators = { macd: round(macd[macd.length - 1], 4), signal: round(signal[signal.length - 1], 4), histogram: round(histNow, 4) };
+
+    if (histPrev <= 0 && histNow > 0) {
+      return { decision: 'BUY', confidence: 78, reasoning: 'MACD crossed above its signal line', indicators };
+    }
+    if (histPrev >= 0 && histNow < 0) {
+      return { decision: 'SELL', confidence: 78, reasoning: 'MACD crossed below its signal line', indicators };
+    }
+    return hold('No fresh MACD crossover', indicators);
+  },
+
+  'volume-spike': (candles) => {
+    const last = candles[candles.length - 1];
+    const averageVolume = sma(candles.slice(-21, -1).map(c => c.volume), 20);
+    const ratio = averageVolume ? last.volume / averageVolume : 0;
+    const indicators = { volumeRatio: round(ratio, 2) };
+
+    if (ratio >= 2) {
+      const confidence = clampConfidence(60 + (ratio - 2) * 10);
+      if (last.close > last.open) {
+        return { decision: 'BUY', confidence, reasoning: 'Volume spike on a green candle, big money buying', indicators };
+      }
+      if (last.close < last.open) {
+        return { decision: 'SELL', confidence, reasoning: 'Volume spike on a red candle, big money selling', indicators };
+      }
+    }
+    return hold('Volume is within its normal range', indicators);
+  },
+
+  'support-resistance': (candles) => {
+    const previous = candles.slice(-51, -1);
+    const price = candles[candles.length - 1].close;
+    const support = Math.min(...previous.map(c => c.low));
+    const resistance = Math.max(...previous.map(c => c.high));
+    const indicators = { support: round(support), resistance: round(resistance) };
+
+    if (price <= support * 1.01) {
+      return { decision: 'BUY', confidence: 80, reasoning: 'Price near support level', indicators };
+    }
+    if (price >= resistance * 0.99) {
+      return { decision: 'SELL', confidence: 86, reasoning: 'Price near resistance level', indicators };
+    }
+    return hold('Price is between support and resistance', indicators);
+  },
+
+  'trend-following': (candles) => {
+    const closes = candles.map(c => c.close);
+    const price = closes[closes.length - 1];
+    const ema20 = emaSeries(closes, 20).pop();
+    const ema50 = emaSeries(closes, 50).pop();
+    const spread = ((ema20 - ema50) / ema50) * 100;
+    const indicators = { ema20: round(ema20), ema50: round(ema50) };
+
+    if (price > ema20 && ema20 > ema50) {
+      return { decision: 'BUY', confidence: clampConfidence(65 + spread * 10), reasoning: 'Uptrend confirmed, riding the wave', indicators };
+    }
+    if (price < ema20 && ema20 < ema50) {
+      return { decision: 'SELL', confidence: clampConfidence(65 - spread * 10), reasoning: 'Downtrend confirmed, stepping aside', indicators };
+    }
+    return hold('No established trend', indicators);
+  }
+};
+
+export const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Evaluate a named strategy against market candles
+ * @param {string} strategyName - One of STRATEGY_NAMES
+ * @param {Array<Object>} candles - OHLCV candles, oldest first (at least 60)
+ * @returns {Object} Signal with decision, confidence, reasoning and indicators
+ * @throws {Error} If the strategy is unknown or there is not enough data
+ */
+export function evaluateStrategy(strategyName, candles) {
+  const strategy = STRATEGIES[strategyName];
+  if (!strategy) {
+    throw tradingError('INVALID_STRATEGY', `Unknown strategy: ${strategyName}`);
+  }
+  if (!Array.isArray(candles) || candles.length < 60) {
+    throw tradingError('MARKET_DATA_UNAVAILABLE', 'Not enough market data to evaluate strategy');
+  }
+  return strategy(candles);
+}
+
+/**
+ * Calculate automatic Stop Loss and Take Profit levels
+ * @param {string} action - 'BUY' or 'SELL'
+ * @param {number} price - Entry price
+ * @returns {{stopLoss: number, takeProfit: number}} Risk levels
+ */
+export function calculateRiskLevels(action, price) {
+  if (action === 'SELL') {
+    return {
+      stopLoss: price * (1 + STOP_LOSS_PCT),
+      takeProfit: price * (1 - TAKE_PROFIT_PCT)
+    };
+  }
+  return {
+    stopLoss: price * (1 - STOP_LOSS_PCT),
+    takeProfit: price * (1 + TAKE_PROFIT_PCT)
+  };
+}
+
+// ============================================================================
+// Trade Execution
+// ============================================================================
+
+/**
+ * Load a user and make sure they are allowed to trade
+ * @param {string} userId - User ID
+ * @returns {Object} User record
+ */
+function getTradableUser(userId) {
+  const user = getById('users', userId);
+  if (!user) {
+    throw tradingError('USER_NOT_FOUND', 'User not found');
+  }
+  if (user.kycStatus !== 'verified') {
+    throw tradingError('KYC_REQUIRED', 'KYC verification is required before trading');
+  }
+  return user;
+}
+
+/**
+ * Persist a trade and charge its fee to the user's wallet
+ * @param {Object} user - User record
+ * @param {Object} details - Trade details
+ * @returns {{trade: Object, newBalance: number}} Stored trade and balance
+ */
+function recordTrade(user, { symbol, strategy, action, price, usdValue, stopLoss, takeProfit, confidence, reasoning }) {
+  const fee = round(usdValue * FEE_RATE, 8);
+
+  if (user.walletBalance < usdValue + fee) {
+    throw tradingError('INSUFFICIENT_FUNDS', `Insufficient funds: $${round(usdValue + fee)} required, $${round(user.walletBalance)} available`);
+  }
+
+  const trade = add('trades', {
+    id: uuidv4(),
+    userId: user.id,
+    symbol: symbol.toUpperCase(),
+    strategy,
+    action,
+    price,
+    amount: usdValue / price,
+    usdValue,
+    fee,
+    stopLoss,
+    takeProfit,
+    confidence,
+    reasoning,
+    status: 'completed',
+    timestamp: new Date().toISOString()
+  });
+
+  const newBalance = round(user.walletBalance - fee, 8);
+  updateUserWallet(user.id, newBalance);
+
+  return { trade, newBalance };
+}
+
+/**
+ * Run a named strategy and execute a trade when it signals BUY or SELL
+ * @param {string} userId - User ID
+ * @param {string} symbol - Asset symbol (e.g. 'BTC')
+ * @param {string} strategyName - One of STRATEGY_NAMES
+ * @returns {Promise<Object>} Execution result with signal, trade and message
+ */
+export async function executeStrategy(userId, symbol, strategyName) {
+  if (!STRATEGIES[strategyName]) {
+    throw tradingError('INVALID_STRATEGY', `Unknown strategy: ${strategyName}`);
+  }
+
+  const user = getTradableUser(userId);
+  const candles = await getCandles(symbol, { interval: CANDLE_INTERVAL, limit: CANDLE_LIMIT });
+  const signal = evaluateStrategy(strategyName, candles);
+  const price = candles[candles.length - 1].close;
+
+  console.log(`[Trading Engine] ${strategyName} on ${symbol}: ${signal.decision} (${signal.confidence}%)`);
+
+  const result = {
+    executed: false,
+    signal: { strategy: strategyName, symbol: symbol.toUpperCase(), price, ...signal },
+    timestamp: new Date().toISOString()
+  };
+
+  if (signal.decision === 'HOLD') {
+    return { ...result, message: `${symbol.toUpperCase()} HOLD: ${signal.reasoning}` };
+  }
+
+  const { stopLoss, takeProfit } = calculateRiskLevels(signal.decision, price);
+  const { trade, newBalance } = recordTrade(user, {
+    symbol,
+    strategy: strategyName,
+    action: signal.decision,
+    price,
+    usdValue: DEFAULT_TRADE_SIZE_USD,
+    stopLoss,
+    takeProfit,
+    confidence: signal.confidence,
+    reasoning: signal.reasoning
+  });
+
+  return {
+    ...result,
+    executed: true,
+    trade,
+    newBalance,
+    message: `${signal.decision} ${trade.symbol} at $${price.toLocaleString()}. ${signal.reasoning}`
+  };
+}
+
+/**
+ * Execute a manual BUY or SELL order at the current market price
+ * @param {string} userId - User ID
+ * @param {Object} order - Order details
+ * @param {string} order.symbol - Asset symbol
+ * @param {string} order.action - 'BUY' or 'SELL'
+ * @param {number} order.amount - Order size in USD
+ * @param {number|null} order.stopLoss - Optional Stop Loss price
+ * @param {number|null} order.takeProfit - Optional Take Profit price
+ * @returns {Promise<Object>} Execution result with trade and message
+ */
+export async function executeManualTrade(userId, { symbol, action, amount, stopLoss = null, takeProfit = null }) {
+  const normalizedAction = String(action).toUpperCase();
+  if (normalizedAction !== 'BUY' && normalizedAction !== 'SELL') {
+    throw tradingError('INVALID_ACTION', 'Action must be BUY or SELL');
+  }
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    throw tradingError('INVALID_AMOUNT', 'Amount must be greater than zero');
+  }
+
+  const user = getTradableUser(userId);
+  const price = await getPrice(symbol);
+  const defaults = calculateRiskLevels(normalizedAction, price);
+
+  const { trade, newBalance } = recordTrade(user, {
+    symbol,
+    strategy: 'manual',
+    action: normalizedAction,
+    price,
+    usdValue: amount,
+    stopLoss: stopLoss ?? defaults.stopLoss,
+    takeProfit: takeProfit ?? defaults.takeProfit,
+    confidence: null,
+    reasoning: null
+  });
+
+  return {
+    executed: true,
+    trade,
+    newBalance,
+    message: `Manual ${normalizedAction} order executed: $${amount} of ${trade.symbol} at $${price.toLocaleString()}`
+  };
+}
+
+/**
+ * Get a user's trade history, newest first
+ * @param {string} userId - User ID
+ * @returns {Array<Object>} Trades
+ */
+export function getTradeHistory(userId) {
+  return findBy('trades', 'userId', userId)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
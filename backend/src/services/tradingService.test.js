@@ -0,0 +1,241 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+
+// Mock the database and market data before importing the service
+vi.mock('../models/db.js', () => ({
+  getById: vi.fn(),
+  findBy: vi.fn(),
+  add: vi.fn(),
+  updateUserWallet: vi.fn()
+}));
+
+vi.mock('./marketDataService.js', () => ({
+  getCandles: vi.fn(),
+  getPrice: vi.fn()
+}));
+
+import { getCandles, getPrice } from './marketDataService.js';
+import { getById, findBy, add, updateUserWallet } from '../models/db.js';
+import {
+  STRATEGY_NAMES,
+  evaluateStrategy,
+  calculateRiskLevels,
+  executeStrategy,
+  executeManualTrade,
+  getTradeHistory
+} from './tradingService.js';
+
+/**
+ * Build candles from a list of closing prices
+ */
+function candlesFromCloses(closes, volume = 100) {
+  return closes.map((close, i) => {
+    const open = i === 0 ? close : closes[i - 1];
+    return {
+      openTime: i * 3600000,
+      open,
+      high: Math.max(open, close) * 1.001,
+      low: Math.min(open, close) * 0.999,
+      close,
+      volume
+    };
+  });
+}
+
+const verifiedUser = {
+  id: 'user-1',
+  kycStatus: 'verified',
+  walletBalance: 1000
+};
+
+describe('Trading Engine', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    add.mockImplementation((collection, record) => record);
+  });
+
+  describe('Strategy evaluation', () => {
+    it('should expose the eight named strategies', () => {
+      expect(STRATEGY_NAMES).toEqual([
+        'momentum',
+        'mean-reversion',
+        'breakout',
+        'rsi-divergence',
+        'macd-crossover',
+        'volume-spike',
+        'support-resistance',
+        'trend-following'
+      ]);
+    });
+
+    it('should always return a well-formed signal for any price series', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...STRATEGY_NAMES),
+          fc.array(fc.double({ min: 1, max: 100000, noNaN: true }), { minLength: 60, maxLength: 100 }),
+          (strategyName, closes) => {
+            const signal = evaluateStrategy(strategyName, candlesFromCloses(closes));
+
+            expect(['BUY', 'SELL', 'HOLD']).toContain(signal.decision);
+            expect(signal.confidence).toBeGreaterThanOrEqual(0);
+            expect(signal.confidence).toBeLessThanOrEqual(100);
+            expect(typeof signal.reasoning).toBe('string');
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should follow a steady uptrend', () => {
+      const closes = Array.from({ length: 100 }, (_, i) => 100 + i);
+      const candles = candlesFromCloses(closes);
+
+      expect(evaluateStrategy('momentum', candles).decision).toBe('BUY');
+      expect(evaluateStrategy('trend-following', candles).decision).toBe('BUY');
+      expect(evaluateStrategy('breakout', candles).decision).toBe('BUY');
+    });
+
+    it('should sell into a steady downtrend', () => {
+      const closes = Array.from({ length: 100 }, (_, i) => 300 - i);
+      const candles = candlesFromCloses(closes);
+
+      expect(evaluateStrategy('momentum', candles).decision).toBe('SELL');
+      expect(evaluateStrategy('trend-following', candles).decision).toBe('SELL');
+      expect(evaluateStrategy('breakout', candles).decision).toBe('SELL');
+    });
+
+    it('should hold on a flat market', () => {
+      const candles = candlesFromCloses(new Array(100).fill(100));
+
+      expect(evaluateStrategy('momentum', candles).decision).toBe('HOLD');
+      expect(evaluateStrategy('volume-spike', candles).decision).toBe('HOLD');
+    });
+
+    it('should detect a volume spike', () => {
+      const candles = candlesFromCloses(Array.from({ length: 100 }, (_, i) => 100 + (i % 2)));
+      candles[candles.length - 1] = { ...candles[candles.length - 1], open: 100, close: 101, volume: 500 };
+
+      expect(evaluateStrategy('volume-spike', candles).decision).toBe('BUY');
+    });
+
+    it('should reject unknown strategies and short series', () => {
+      expect(() => evaluateStrategy('astrology', candlesFromCloses(new Array(100).fill(1)))).toThrow('Unknown strategy');
+      expect(() => evaluateStrategy('momentum', candlesFromCloses(new Array(10).fill(1)))).toThrow('Not enough market data');
+    });
+  });
+
+  describe('Risk levels', () => {
+    it('should place Stop Loss at -2% and Take Profit at +4% in the trade direction', () => {
+      fc.assert(
+        fc.property(fc.double({ min: 0.01, max: 1000000, noNaN: true }), (price) => {
+          const buy = calculateRiskLevels('BUY', price);
+          expect(buy.stopLoss).toBeCloseTo(price * 0.98);
+          expect(buy.takeProfit).toBeCloseTo(price * 1.04);
+
+          const sell = calculateRiskLevels('SELL', price);
+          expect(sell.stopLoss).toBeCloseTo(price * 1.02);
+          expect(sell.takeProfit).toBeCloseTo(price * 0.96);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Strategy execution', () => {
+    it('should persist a trade and charge the fee when the strategy signals', async () => {
+      const closes = Array.from({ length: 100 }, (_, i) => 100 + i);
+      getById.mockReturnValue({ ...verifiedUser });
+      getCandles.mockResolvedValueOnce(candlesFromCloses(closes));
+
+      const result = await executeStrategy('user-1', 'BTC', 'momentum');
+
+      expect(result.executed).toBe(true);
+      expect(result.signal.decision).toBe('BUY');
+      expect(result.trade).toMatchObject({
+        userId: 'user-1',
+        symbol: 'BTC',
+        strategy: 'momentum',
+        action: 'BUY',
+        price: 199,
+        usdValue: 100,
+        fee: 0.1,
+        status: 'completed'
+      });
+      expect(add).toHaveBeenCalledWith('trades', expect.objectContaining({ strategy: 'momentum' }));
+      expect(updateUserWallet).toHaveBeenCalledWith('user-1', 999.9);
+    });
+
+    it('should not trade on a HOLD signal', async () => {
+      getById.mockReturnValue({ ...verifiedUser });
+      getCandles.mockResolvedValueOnce(candlesFromCloses(new Array(100).fill(100)));
+
+      const result = await executeStrategy('user-1', 'BTC', 'momentum');
+
+      expect(result.executed).toBe(false);
+      expect(result.signal.decision).toBe('HOLD');
+      expect(add).not.toHaveBeenCalled();
+    });
+
+    it('should require KYC verification', async () => {
+      getById.mockReturnValue({ ...verifiedUser, kycStatus: 'pending' });
+
+      await expect(executeStrategy('user-1', 'BTC', 'momentum')).rejects.toMatchObject({ code: 'KYC_REQUIRED' });
+      expect(getCandles).not.toHaveBeenCalled();
+    });
+
+    it('should reject trades the wallet cannot cover', async () => {
+      getById.mockReturnValue({ ...verifiedUser, walletBalance: 50 });
+      getPrice.mockResolvedValueOnce(100);
+
+      await expect(
+        executeManualTrade('user-1', { symbol: 'ETH', action: 'BUY', amount: 100 })
+      ).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+      expect(add).not.toHaveBeenCalled();
+    });
+
+    it('should surface market data outages', async () => {
+      getById.mockReturnValue({ ...verifiedUser });
+      getCandles.mockRejectedValueOnce(Object.assign(new Error('Market data is temporarily unavailable'), {
+        code: 'MARKET_DATA_UNAVAILABLE'
+      }));
+
+      await expect(executeStrategy('user-1', 'BTC', 'breakout')).rejects.toMatchObject({ code: 'MARKET_DATA_UNAVAILABLE' });
+    });
+  });
+
+  describe('Manual trades', () => {
+    it('should use caller-provided risk levels when present', async () => {
+      getById.mockReturnValue({ ...verifiedUser });
+      getPrice.mockResolvedValueOnce(2000);
+
+      const result = await executeManualTrade('user-1', {
+        symbol: 'eth',
+        action: 'sell',
+        amount: 200,
+        stopLoss: 2100,
+        takeProfit: null
+      });
+
+      expect(result.trade).toMatchObject({
+        symbol: 'ETH',
+        strategy: 'manual',
+        action: 'SELL',
+        amount: 0.1,
+        stopLoss: 2100,
+        takeProfit: 1920
+      });
+    });
+  });
+
+  describe('Trade history', () => {
+    it('should look up the user\'s trades by userId, newest first', () => {
+      findBy.mockReturnValue([
+        { id: 'a', userId: 'user-1', timestamp: '2025-01-01T00:00:00.000Z' },
+        { id: 'c', userId: 'user-1', timestamp: '2025-01-03T00:00:00.000Z' }
+      ]);
+
+      expect(getTradeHistory('user-1').map(t => t.id)).toEqual(['c', 'a']);
+      expect(findBy).toHaveBeenCalledWith('trades', 'userId', 'user-1');
+    });
+  });
+});
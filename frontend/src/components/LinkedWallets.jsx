@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { useAccount, useSignMessage } from 'wagmi';
+import { createSiweMessage } from 'viem/siwe';
+import { apiFetch } from '../config';
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * Wallet addresses linked to the signed-in user. Linking proves ownership by
+ * signing a Sign-In with Ethereum message with the connected wallet.
+ */
+function LinkedWallets({ onPrimaryChange }) {
+  const [addresses, setAddresses] = useState([]);
+  const [label, setLabel] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const { address, chainId, isConnected } = useAccount();
+  const { signMessageAsync } = useSignMessage();
+
+  const applyResponse = async (response) => {
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage(data.error?.message || 'Request failed');
+      return;
+    }
+    if (data.addresses) {
+      setAddresses(data.addresses);
+      onPrimaryChange?.(data.addresses.find(wallet => wallet.isPrimary)?.address || null);
+    }
+  };
+
+  useEffect(() => {
+    apiFetch('/api/wallet/addresses')
+      .then(response => response.json())
+      .then(data => setAddresses(data.addresses || []))
+      .catch(error => console.error('Failed to load linked wallets:', error));
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      console.error('Linked wallet error:', error);
+      setMessage('Wallet request was cancelled or failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const linkConnectedWallet = () => run(async () => {
+    const nonceRes = await apiFetch('/api/auth/siwe/nonce');
+    const { nonce, domain } = await nonceRes.json();
+    const siweMessage = createSiweMessage({
+      address,
+      chainId,
+      domain,
+      nonce,
+      uri: window.location.origin,
+      version: '1',
+      statement: 'Link this wallet to my Sauti Ledger account'
+    });
+    const signature = await signMessageAsync({ message: siweMessage });
+
+    await applyResponse(await apiFetch('/api/wallet/addresses', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: siweMessage, signature, label: label || undefined })
+    }));
+    setLabel('');
+  });
+
+  const makePrimary = (walletAddress) => run(async () => {
+    await applyResponse(await apiFetch(`/api/wallet/addresses/${walletAddress}/primary`, { method: 'POST' }));
+  });
+
+  const unlink = (walletAddress) => run(async () => {
+    await applyResponse(await apiFetch(`/api/wallet/addresses/${walletAddress}`, { method: 'DELETE' }));
+  });
+
+  const connectedIsLinked = addresses.some(wallet => wallet.address.toLowerCase() === address?.toLowerCase());
+
+  return (
+    <div className="bg-slate-700 rounded-lg p-4">
+      <h3 className="text-lg font-bold mb-3">🔗 Linked Wallets</h3>
+
+      {addresses.length === 0 && (
+        <p className="text-slate-400 text-sm mb-3">No wallets linked yet.</p>
+      )}
+
+      <ul className="space-y-2 mb-3">
+        {addresses.map(wallet => (
+          <li key={wallet.id} className="flex items-center justify-between bg-slate-600 rounded px-3 py-2 text-sm">
+            <span className="font-mono">
+              {wallet.label ? `${wallet.label} · ` : ''}{shortAddress(wallet.address)}
+              {wallet.isPrimary && <span className="ml-2 text-neon-green">primary</span>}
+            </span>
+            <span className="flex gap-2">
+              {!wallet.isPrimary && (
+                <button onClick={() => makePrimary(wallet.address)} disabled={busy} className="text-neon-purple hover:underline disabled:opacity-50">
+                  Make primary
+                </button>
+              )}
+              <button onClick={() => unlink(wallet.address)} disabled={busy} className="text-red-400 hover:underline disabled:opacity-50">
+                Unlink
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {isConnected && !connectedIsLinked && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label (optional)"
+            maxLength={40}
+            className="flex-1 bg-slate-600 text-white px-3 py-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-neon-green"
+            disabled={busy}
+          />
+          <button
+            onClick={linkConnectedWallet}
+            disabled={busy}
+            className="bg-neon-green text-slate-900 font-bold py-2 px-4 rounded-lg hover:bg-neon-green/80 transition-all disabled:opacity-50"
+          >
+            Link {shortAddress(address)}
+          </button>
+        </div>
+      )}
+
+      {message && <p className="mt-2 text-sm text-red-400">{message}</p>}
+    </div>
+  );
+}
+
+export default LinkedWallets;
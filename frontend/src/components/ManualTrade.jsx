@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { getApiUrl } from '../config';
+import { apiFetch, getApiUrl } from '../config';
 
 function ManualTrade({ user }) {
   const [symbol, setSymbol] = useState('BTC');
@@ -43,25 +43,10 @@ function ManualTrade({ user }) {
     setMessage('');
 
     try {
-      // Get userId
-      let userId = user?.id || 'bd09bc8c-e725-4f3f-aa2c-075b074aabb9';
-      const storedUser = localStorage.getItem('kaseddie_user');
-      if (storedUser) {
-        try {
-          const userObj = JSON.parse(storedUser);
-          if (userObj.id) {
-            userId = userObj.id;
-          }
-        } catch (e) {
-          console.warn('Failed to parse user from localStorage:', e);
-        }
-      }
-
-      const response = await fetch(getApiUrl('/api/trading/manual'), {
+      const response = await apiFetch('/api/trading/manual', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: userId,
           symbol: symbol.toUpperCase(),
           action: action,
           amount: parseFloat(amount),
@@ -106,7 +91,7 @@ function ManualTrade({ user }) {
         // Clear message after 5 seconds
         setTimeout(() => setMessage(''), 5000);
       } else {
-        setMessage(`❌ ${data.error || 'Trade failed'}`);
+        setMessage(`❌ ${data.error?.message || 'Trade failed'}`);
       }
     } catch (err) {
       console.error('Manual trade error:', err);
@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../config';
+import { useMNEEBatchTransfer, summarizeTransferLegs, LEG_STATUS } from '../services/mneeService';
+import { describeSchedule, recordScheduledLeg } from '../services/scheduleService';
+
+// Due transfers are picked up by the backend scheduler about once a minute
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const STATUS_STYLES = {
+  active: 'text-neon-green',
+  due: 'text-yellow-400',
+  paused: 'text-slate-400',
+  completed: 'text-slate-500',
+  cancelled: 'text-slate-500',
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * Transfers the signed-in user scheduled by voice. The server never signs:
+ * when one falls due it is signed here with the connected wallet and each
+ * leg's transaction hash is reported back as it confirms.
+ */
+function ScheduledTransfers() {
+  const [transfers, setTransfers] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const { sendBatch } = useMNEEBatchTransfer();
+
+  const load = () => apiFetch('/api/schedules')
+    .then(response => response.json())
+    .then(data => setTransfers(data.scheduledTransfers || []))
+    .catch(error => console.error('Failed to load scheduled transfers:', error));
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const replaceTransfer = (updated) => setTransfers(current => current.map(transfer => (
+    transfer.id === updated.id ? updated : transfer
+  )));
+
+  const applyResponse = async (response) => {
+    const data = await response.json();
+    if (!response.ok) {
+      setMessage(data.error?.message || 'Request failed');
+      return;
+    }
+    replaceTransfer(data.scheduledTransfer);
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      console.error('Scheduled transfer error:', error);
+      setMessage('Request was cancelled or failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Legs the server already has a hash for were sent (maybe from another
+  // device) and are skipped; the rest are recorded one by one as they confirm
+  const signNow = (transfer) => run(async () => {
+    const legs = await sendBatch(
+      transfer.legs.map((leg, index) => (transfer.sentHashes?.[index]
+        ? { ...leg, status: LEG_STATUS.CONFIRMED, hash: transfer.sentHashes[index] }
+        : leg)),
+      { onConfirmed: async (index, hash) => replaceTransfer(await recordScheduledLeg(transfer.id, index, hash)) }
+    );
+    const summary = summarizeTransferLegs(legs);
+    if (summary.failedLeg) {
+      setMessage(`Sent ${summary.confirmed} of ${legs.length} transfers. ${summary.unsentTotal} MNEE was not sent; sign again to retry.`);
+    }
+  });
+
+  const pause = (id) => run(async () => {
+    await applyResponse(await apiFetch(`/api/schedules/${id}/pause`, { method: 'POST' }));
+  });
+
+  const resume = (id) => run(async () => {
+    await applyResponse(await apiFetch(`/api/schedules/${id}/resume`, { method: 'POST' }));
+  });
+
+  const cancel = (id) => run(async () => {
+    await applyResponse(await apiFetch(`/api/schedules/${id}`, { method: 'DELETE' }));
+  });
+
+  const current = transfers.filter(transfer => transfer.status !== 'cancelled' && transfer.status !== 'completed');
+
+  return (
+    <div className="bg-slate-700 rounded-lg p-4">
+      <h3 className="text-lg font-bold mb-3">🗓️ Scheduled Transfers</h3>
+
+      {current.length === 0 && (
+        <p className="text-slate-400 text-sm mb-3">
+          No scheduled transfers. Say a time with a transfer, e.g. "send 50 MNEE to 0x... every Friday".
+        </p>
+      )}
+
+      <ul className="space-y-2">
+        {current.map(transfer => (
+          <li key={transfer.id} className="bg-slate-600 rounded px-3 py-2 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span>
+                <span className="font-bold text-neon-green">{transfer.total} MNEE</span>
+                {' to '}
+                <span className="font-mono">
+                  {transfer.legs.length === 1 ? shortAddress(transfer.legs[0].recipient) : `${transfer.legs.length} recipients`}
+                </span>
+              </span>
+              <span className={`text-xs uppercase ${STATUS_STYLES[transfer.status]}`}>{transfer.status}</span>
+            </div>
+            <div className="flex items-center justify-between gap-2 mt-1">
+              <span className="text-slate-300">{describeSchedule(transfer, transfer.language)}</span>
+              <span className="flex gap-2">
+                {transfer.status === 'due' && (
+                  <button onClick={() => signNow(transfer)} disabled={busy} className="text-neon-green font-bold hover:underline disabled:opacity-50">
+                    Sign now
+                  </button>
+                )}
+                {(transfer.status === 'active' || transfer.status === 'due') && (
+                  <button onClick={() => pause(transfer.id)} disabled={busy} className="text-neon-purple hover:underline disabled:opacity-50">
+                    Pause
+                  </button>
+                )}
+                {transfer.status === 'paused' && (
+                  <button onClick={() => resume(transfer.id)} disabled={busy} className="text-neon-purple hover:underline disabled:opacity-50">
+                    Resume
+                  </button>
+                )}
+                <button onClick={() => cancel(transfer.id)} disabled={busy} className="text-red-400 hover:underline disabled:opacity-50">
+                  Cancel
+                </button>
+              </span>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {message && <p className="mt-2 text-sm text-red-400">{message}</p>}
+    </div>
+  );
+}
+
+export default ScheduledTransfers;
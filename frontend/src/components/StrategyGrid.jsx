@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { getApiUrl } from '../config';
+import { apiFetch, getApiUrl } from '../config';
 
 const STRATEGIES = [
   { 
@@ -65,31 +65,16 @@ function StrategyGrid({ user }) {
     setLoadingStrategy(strategyName);
     
     try {
-      // Get userId from localStorage or use the passed user
-      let userId = user.id;
-      const storedUser = localStorage.getItem('kaseddie_user');
-      if (storedUser) {
-        try {
-          const userObj = JSON.parse(storedUser);
-          if (userObj.id) {
-            userId = userObj.id;
-          }
-        } catch (e) {
-          console.warn('Failed to parse user from localStorage:', e);
-        }
-      }
-
       // Create abort controller for 60s timeout
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
 
       try {
         // Execute trade with the selected strategy
-        const response = await fetch(getApiUrl('/api/trading/execute'), {
+        const response = await apiFetch('/api/trading/execute', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            userId: userId,
             symbol: 'BTC',
             strategyName: strategyName
           }),
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { getApiUrl } from '../config';
+import { apiFetch, getApiUrl } from '../config';
 
 function SummonAgent() {
   const [isActive, setIsActive] = useState(false);
@@ -14,31 +14,16 @@ function SummonAgent() {
     setMessage('Analyzing market...');
     
     try {
-      // Get user ID from localStorage or use hardcoded fallback
-      let userId = 'bd09bc8c-e725-4f3f-aa2c-075b074aabb9';
-      const storedUser = localStorage.getItem('kaseddie_user');
-      if (storedUser) {
-        try {
-          const userObj = JSON.parse(storedUser);
-          if (userObj.id) {
-            userId = userObj.id;
-          }
-        } catch (e) {
-          console.warn('Failed to parse user from localStorage:', e);
-        }
-      }
-
       // Create abort controller for 60s timeout
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 60000);
 
       try {
         // Execute trade
-        const res = await fetch(getApiUrl('/api/trading/execute'), {
+        const res = await apiFetch('/api/trading/execute', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
-            userId: userId,
             symbol: 'BTC',
             strategyName: 'momentum'
           }),
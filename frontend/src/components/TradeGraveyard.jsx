@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { getApiUrl } from '../config';
+import { apiFetch } from '../config';
 
 function TradeGraveyard() {
   const [trades, setTrades] = useState([]);
@@ -8,21 +8,14 @@ function TradeGraveyard() {
   useEffect(() => {
     const fetchTrades = async () => {
       try {
-        // Get user ID from localStorage
-        const storedUser = localStorage.getItem('kaseddie_user');
-        if (!storedUser) {
+        // Only signed-in users have a trade history
+        if (!localStorage.getItem('kaseddie_user')) {
           setLoading(false);
           return;
         }
 
-        const user = JSON.parse(storedUser);
-        if (!user.id) {
-          setLoading(false);
-          return;
-        }
-
-        // Fetch real trades from API
-        const response = await fetch(getApiUrl(`/api/trading/history/${user.id}`));
+        // Fetch real trades for the session's user
+        const response = await apiFetch('/api/trading/history');
         const data = await response.json();
 
         if (response.ok && data.trades) {
@@ -1,7 +1,12 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useAccount, useSignMessage } from 'wagmi';
+import { useConnectModal } from '@rainbow-me/rainbowkit';
+import { createSiweMessage } from 'viem/siwe';
 import ManualTrade from './ManualTrade';
 import KYCVerification from './KYCVerification';
-import { getApiUrl } from '../config';
+import LinkedWallets from './LinkedWallets';
+import ScheduledTransfers from './ScheduledTransfers';
+import { apiFetch, getApiUrl } from '../config';
 
 function UserVault() {
   const [user, setUser] = useState(null);
@@ -11,39 +16,61 @@ function UserVault() {
   const [processing, setProcessing] = useState(false);
   const [message, setMessage] = useState('');
   const [playingIntro, setPlayingIntro] = useState(false);
+  const profileRequested = useRef(false);
+  const { address, chainId, isConnected } = useAccount();
+  const { signMessageAsync } = useSignMessage();
+  const { openConnectModal } = useConnectModal();
 
   useEffect(() => {
-    // Check if user is logged in (from URL callback or localStorage)
+    // The session cookie is the source of truth: exchange a fresh login code
+    // from the OAuth callback, or ask the backend who is signed in. The copy in
+    // localStorage is only a cache for other components.
+    // (Guarded so StrictMode's second effect run cannot race the exchange.)
+    if (profileRequested.current) return;
+    profileRequested.current = true;
+
     const urlParams = new URLSearchParams(window.location.search);
-    const userFromCallback = urlParams.get('user');
-    
-    if (userFromCallback) {
+    const loginCode = urlParams.get('login_code');
+
+    const loadUser = async () => {
       try {
-        const userData = JSON.parse(decodeURIComponent(userFromCallback));
-        setUser(userData);
-        localStorage.setItem('kaseddie_user', JSON.stringify(userData));
-        // Clean up URL
-        window.history.replaceState({}, document.title, window.location.pathname);
-      } catch (error) {
-        console.error('Error parsing user data:', error);
-      }
-    } else {
-      // Check localStorage
-      const storedUser = localStorage.getItem('kaseddie_user');
-      if (storedUser) {
-        try {
-          setUser(JSON.parse(storedUser));
-        } catch (error) {
-          console.error('Error parsing stored user:', error);
+        let response;
+        if (loginCode) {
+          // Clean up URL before anything else so the code is never reused
+          window.history.replaceState({}, document.title, window.location.pathname);
+          response = await apiFetch('/api/auth/exchange', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: loginCode })
+          });
+        } else {
+          response = await apiFetch('/api/auth/profile');
         }
+
+        const data = await response.json();
+        if (response.ok && data.user) {
+          setUser(data.user);
+          localStorage.setItem('kaseddie_user', JSON.stringify(data.user));
+        } else {
+          setUser(null);
+          localStorage.removeItem('kaseddie_user');
+          if (loginCode) {
+            setMessage(data.error?.message || 'Login failed');
+          }
+        }
+      } catch (error) {
+        console.error('Error loading profile:', error);
+      } finally {
+        setLoading(false);
       }
-    }
-    setLoading(false);
+    };
+
+    loadUser();
   }, []);
 
   const handleLogin = async () => {
     try {
-      const response = await fetch(getApiUrl('/api/auth/login'));
+      const response = await apiFetch('/api/auth/login');
       const data = await response.json();
       
       if (data.authUrl) {
@@ -55,7 +82,58 @@ function UserVault() {
     }
   };
 
-  const handleLogout = () => {
+  // Sign-In with Ethereum: sign a one-time message with the connected wallet
+  const handleWalletLogin = async () => {
+    if (!isConnected) {
+      openConnectModal?.();
+      return;
+    }
+
+    setProcessing(true);
+    setMessage('');
+
+    try {
+      const nonceRes = await apiFetch('/api/auth/siwe/nonce');
+      const { nonce, domain } = await nonceRes.json();
+
+      const siweMessage = createSiweMessage({
+        address,
+        chainId,
+        domain,
+        nonce,
+        uri: window.location.origin,
+        version: '1',
+        statement: 'Sign in to Sauti Ledger'
+      });
+      const signature = await signMessageAsync({ message: siweMessage });
+
+      const response = await apiFetch('/api/auth/siwe/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: siweMessage, signature })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.user) {
+        setUser(data.user);
+        localStorage.setItem('kaseddie_user', JSON.stringify(data.user));
+      } else {
+        setMessage(data.error?.message || 'Wallet sign-in failed');
+      }
+    } catch (error) {
+      console.error('Wallet login error:', error);
+      setMessage('Wallet sign-in was cancelled or failed');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
     setUser(null);
     localStorage.removeItem('kaseddie_user');
     setMessage('Logged out successfully');
@@ -116,11 +194,10 @@ function UserVault() {
     setMessage('');
 
     try {
-      const response = await fetch(getApiUrl('/api/wallet/deposit'), {
+      const response = await apiFetch('/api/wallet/deposit', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: user.id,
           amount: parseFloat(depositAmount) // Amount is ignored, always deposits $10,000
         })
       });
@@ -154,11 +231,10 @@ function UserVault() {
     setMessage('');
 
     try {
-      const response = await fetch(getApiUrl('/api/wallet/withdraw'), {
+      const response = await apiFetch('/api/wallet/withdraw', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: user.id,
           amount: parseFloat(withdrawAmount)
         })
       });
@@ -204,6 +280,13 @@ function UserVault() {
         >
           🚀 Login with WorkOS
         </button>
+        <button
+          onClick={handleWalletLogin}
+          disabled={processing}
+          className="w-full mt-3 border border-neon-green text-neon-green font-bold py-3 px-6 rounded-lg hover:bg-neon-green/10 transition-all disabled:opacity-50"
+        >
+          {isConnected ? '🦊 Sign in with Ethereum' : '🦊 Connect wallet to sign in'}
+        </button>
         {message && (
           <p className="mt-4 text-center text-red-400">{message}</p>
         )}
@@ -227,7 +310,7 @@ function UserVault() {
           <h2 className="text-3xl font-bold mb-2">
             👻 User Vault
           </h2>
-          <p className="text-slate-400">Welcome, {user.email}</p>
+          <p className="text-slate-400">Welcome, {user.email || user.walletAddress}</p>
         </div>
         <button
           onClick={handleLogout}
@@ -300,6 +383,20 @@ function UserVault() {
         </div>
       </div>
 
+      <div className="mt-6">
+        <LinkedWallets
+          onPrimaryChange={(walletAddress) => {
+            const updated = { ...user, walletAddress };
+            setUser(updated);
+            localStorage.setItem('kaseddie_user', JSON.stringify(updated));
+          }}
+        />
+      </div>
+
+      <div className="mt-6">
+        <ScheduledTransfers />
+      </div>
+
       {user.activeStrategy && (
         <div className="mt-6 bg-slate-700 rounded-lg p-4">
           <p className="text-slate-400 text-sm mb-1">Active Strategy</p>
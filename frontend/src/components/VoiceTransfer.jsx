@@ -1,17 +1,64 @@
 import { useState, useRef, useEffect } from 'react';
 import { getApiUrl } from '../config';
-import { useMNEEBalance, useMNEETransfer, parseMNEEAmount } from '../services/mneeService';
+import {
+  useMNEEBalance,
+  useMNEETransfer,
+  useMNEETransferHistory,
+  useMNEEBatchTransfer,
+  parseMNEEAmount,
+  formatMNEEAmount,
+  summarizeTransferLegs,
+  LEG_STATUS,
+} from '../services/mneeService';
+import { openVoiceStream } from '../services/voiceStreamService';
+import { composeReply, fetchPrice, speak } from '../services/voiceResponseService';
+import { browserTimeZone, describeSchedule, scheduleTransfer } from '../services/scheduleService';
+
+// MediaRecorder emits a chunk this often (ms) so partial transcripts stay live
+const STREAM_TIMESLICE_MS = 250;
+
+// Languages the backend recognizes and parses (see languageService.js)
+const VOICE_LANGUAGES = [
+  { code: 'sw-KE', label: 'Kiswahili', example: 'Tuma MNEE hamsini kwa 0x123...' },
+  { code: 'en-KE', label: 'English (Kenya)', example: 'Send 50 MNEE to 0x123...' },
+  { code: 'en-US', label: 'English (US)', example: 'Send 50 MNEE to 0x123...' },
+  { code: 'fr-FR', label: 'Français', example: 'Envoie cinquante MNEE à 0x123...' },
+];
+const LANGUAGE_STORAGE_KEY = 'kaseddie_voice_language';
+
+// How each leg of a batch transfer is shown while it is sent
+const LEG_BADGES = {
+  [LEG_STATUS.PENDING]: { label: 'Waiting', className: 'bg-slate-700/60 text-slate-300 border-slate-600' },
+  [LEG_STATUS.SIGNING]: { label: 'Signing...', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/40' },
+  [LEG_STATUS.CONFIRMING]: { label: 'Confirming...', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/40' },
+  [LEG_STATUS.CONFIRMED]: { label: 'Sent', className: 'bg-neon-green/20 text-neon-green border-neon-green/40' },
+  [LEG_STATUS.FAILED]: { label: 'Failed', className: 'bg-red-500/20 text-red-400 border-red-500/40' },
+  [LEG_STATUS.SKIPPED]: { label: 'Not sent', className: 'bg-slate-700/60 text-slate-400 border-slate-600' },
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Every leg of a transfer command, in wei (a single transfer has one)
+const commandTotalWei = (command) => (command.legs || [command])
+  .reduce((total, leg) => total + parseMNEEAmount(leg.amount.toString()), 0n);
 
 function VoiceTransfer({ onTransactionComplete }) {
   // State management
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [transcribedText, setTranscribedText] = useState('');
+  // Per-word confidence, when the server sent it ({ word, lowConfidence })
+  const [transcriptWords, setTranscriptWords] = useState([]);
+  const [partialTranscript, setPartialTranscript] = useState('');
   const [parsedCommand, setParsedCommand] = useState(null);
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
   const [audioLevel, setAudioLevel] = useState(0);
   const [showConfirmation, setShowConfirmation] = useState(false);
+  // Answer to a command that isn't a transfer ({ title, lines, text })
+  const [answer, setAnswer] = useState(null);
+  const [language, setLanguage] = useState(() => localStorage.getItem(LANGUAGE_STORAGE_KEY) || 'en-US');
+  const [isScheduling, setIsScheduling] = useState(false);
 
   // MNEE hooks
   const { balance, balanceRaw, isLoading: isBalanceLoading, isError: isBalanceError, refetch: refetchBalance } = useMNEEBalance();
@@ -26,6 +73,10 @@ function VoiceTransfer({ onTransactionComplete }) {
     error: transactionError 
   } = useMNEETransfer();
 
+  const { fetchTransfers } = useMNEETransferHistory();
+
+  const { sendBatch, legs: batchLegs, isSending: isBatchSending, reset: resetBatch } = useMNEEBatchTransfer();
+
   // Refs
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
@@ -33,12 +84,14 @@ function VoiceTransfer({ onTransactionComplete }) {
   const analyserRef = useRef(null);
   const animationFrameRef = useRef(null);
   const recordingStartTimeRef = useRef(null);
+  const voiceStreamRef = useRef(null);
 
   // Cleanup on unmount
   useEffect(() => {
     return () => {
       if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
       if (audioContextRef.current) audioContextRef.current.close();
+      voiceStreamRef.current?.close();
     };
   }, []);
 
@@ -155,40 +208,83 @@ function VoiceTransfer({ onTransactionComplete }) {
     return true;
   };
 
+  // Upload the whole clip when the live stream is not available. The
+  // one-shot endpoint transcribes, parses and validates in a single request.
+  const uploadAudio = async (audioBlob) => {
+    const formData = new FormData();
+    formData.append('audio', audioBlob, 'voice.webm');
+    formData.append('language', language);
+    const timeZone = browserTimeZone();
+    if (timeZone) formData.append('timeZone', timeZone);
+
+    const res = await fetch(getApiUrl('/api/voice/command'), {
+      method: 'POST',
+      body: formData,
+    });
+
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok && body.error?.stage !== 'parse' && body.error?.stage !== 'resolve') {
+      // Rejected audio comes with advice ("too quiet", "mostly silence")
+      throw new Error(body.error?.code === 'INVALID_AUDIO' ? body.error.message : 'Transcription failed');
+    }
+
+    // A later-stage failure still carries the transcript; there is no command
+    return { text: body.transcription, command: res.ok ? body.command : null, words: body.words || [] };
+  };
+
+  // Wait for the streamed transcription, falling back to a one-shot upload
+  // if the stream never connected
+  const transcribe = async (audioBlob) => {
+    const voiceStream = voiceStreamRef.current;
+    voiceStreamRef.current = null;
+
+    if (voiceStream?.isAvailable()) {
+      try {
+        return { text: await voiceStream.finish() };
+      } catch (err) {
+        // The server reported a real result (e.g. no speech); don't upload again
+        if (err.code) throw err;
+        console.warn('Voice stream failed, uploading audio instead:', err);
+      } finally {
+        voiceStream.close();
+      }
+    }
+    return uploadAudio(audioBlob);
+  };
+
   const processAudio = async () => {
     if (audioChunksRef.current.length === 0) return;
 
     const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
     const duration = (Date.now() - recordingStartTimeRef.current) / 1000;
 
-    if (!validateAudio(audioBlob, duration)) return;
+    if (!validateAudio(audioBlob, duration)) {
+      voiceStreamRef.current?.close();
+      voiceStreamRef.current = null;
+      setPartialTranscript('');
+      return;
+    }
 
     setIsProcessing(true);
     setMessage('Transcribing your voice...');
 
     try {
-      const formData = new FormData();
-      formData.append('audio', audioBlob, 'voice.webm');
-
-      const res = await fetch(`${getApiUrl()}/transcribe`, {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!res.ok) throw new Error('Transcription failed');
-
-      const { text } = await res.json();
+      const { text, command, words = [] } = await transcribe(audioBlob);
+      setPartialTranscript('');
       setTranscribedText(text);
+      setTranscriptWords(words);
       setMessage('Parsing command...');
 
-      const parsed = await parseCommand(text);
-      if (parsed?.action === 'transfer') {
-        setParsedCommand(parsed);
-        setShowConfirmation(true);
+      const parsed = command === undefined ? await parseCommand(text) : command;
+      const handleIntent = intentHandlers[parsed?.action];
+      if (handleIntent) {
+        setMessage('');
+        await handleIntent(parsed);
       } else {
-        setError('Could not understand command. Try: "send 50 MNEE to 0x..."');
+        setError('Could not understand command. Try: "send 50 MNEE to 0x..." or "help"');
       }
     } catch (err) {
+      setPartialTranscript('');
       setError(`Processing failed: ${err.message}`);
     } finally {
       setIsProcessing(false);
@@ -200,10 +296,10 @@ function VoiceTransfer({ onTransactionComplete }) {
 
   const parseCommand = async (text) => {
     try {
-      const res = await fetch(`${getApiUrl()}/parse`, {
+      const res = await fetch(getApiUrl('/api/voice/parse'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ command: text }),
+        body: JSON.stringify({ text, language, timeZone: browserTimeZone() }),
       });
 
       if (!res.ok) throw new Error('Parse failed');
@@ -222,24 +318,36 @@ function VoiceTransfer({ onTransactionComplete }) {
       setError('');
       setMessage('');
       setTranscribedText('');
+      setTranscriptWords([]);
+      setPartialTranscript('');
+      setAnswer(null);
       audioChunksRef.current = [];
       recordingStartTimeRef.current = Date.now();
 
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
       visualizeAudio(stream);
 
+      // Stream chunks to the backend while recording; chunks are also kept
+      // so the clip can be uploaded if the stream is unavailable
+      voiceStreamRef.current = openVoiceStream({ language, onPartial: setPartialTranscript });
+
       mediaRecorderRef.current = new MediaRecorder(stream, { mimeType: 'audio/webm' });
 
       mediaRecorderRef.current.ondataavailable = (e) => {
-        if (e.data.size > 0) audioChunksRef.current.push(e.data);
+        if (e.data.size > 0) {
+          audioChunksRef.current.push(e.data);
+          voiceStreamRef.current?.sendAudio(e.data);
+        }
       };
 
       mediaRecorderRef.current.onstop = processAudio;
 
-      mediaRecorderRef.current.start();
+      mediaRecorderRef.current.start(STREAM_TIMESLICE_MS);
       setIsRecording(true);
       setMessage('Recording... Speak your command');
     } catch (err) {
+      voiceStreamRef.current?.close();
+      voiceStreamRef.current = null;
       setError(`Microphone error: ${err.message}`);
     }
   };
@@ -254,36 +362,106 @@ function VoiceTransfer({ onTransactionComplete }) {
 
   const clearTranscription = () => {
     setTranscribedText('');
+    setTranscriptWords([]);
+    setPartialTranscript('');
     setParsedCommand(null);
     setShowConfirmation(false);
+    setAnswer(null);
+    resetBatch();
     setMessage('');
     setError('');
   };
 
+  const isBatch = parsedCommand?.legs?.length > 1;
+  // Said with a time ("tomorrow at 9"): kept by the server, signed when due
+  const isScheduled = Boolean(parsedCommand?.schedule);
+
+  // Legs of a batch still to send; after a partial failure, only those
+  const unsentLegs = batchLegs.length > 0
+    ? batchLegs.filter(leg => leg.status !== LEG_STATUS.CONFIRMED)
+    : parsedCommand?.legs || [];
+
   const validateBalance = () => {
-    if (!parsedCommand?.amount || !balanceRaw) {
+    // A scheduled transfer is paid from the balance it finds when it falls due
+    if (isScheduled) {
+      return { isValid: true, message: '' };
+    }
+    if (!(parsedCommand?.amount || parsedCommand?.total) || !balanceRaw) {
       return { isValid: false, message: 'Balance or amount not loaded' };
     }
 
-    const amountInWei = parseMNEEAmount(parsedCommand.amount.toString());
-    if (BigInt(amountInWei) > BigInt(balanceRaw)) {
+    const requiredWei = commandTotalWei(isBatch ? { legs: unsentLegs } : parsedCommand);
+    if (requiredWei > BigInt(balanceRaw)) {
       return { 
         isValid: false, 
-        message: `Insufficient balance (${parsedCommand.amount} MNEE required)` 
+        message: `Insufficient balance (${formatMNEEAmount(requiredWei)} MNEE required)` 
       };
     }
     return { isValid: true, message: '' };
   };
 
+  // Send the legs one by one, then report what went through
+  const sendBatchTransfer = async () => {
+    setError('');
+    setMessage(`📝 Please confirm each of the ${unsentLegs.length} transfers in your wallet...`);
+
+    const previouslySent = new Set(batchLegs.filter(leg => leg.status === LEG_STATUS.CONFIRMED).map(leg => leg.hash));
+    const legs = await sendBatch(batchLegs.length > 0 ? batchLegs : parsedCommand.legs);
+    refetchBalance();
+    legs
+      .filter(leg => leg.status === LEG_STATUS.CONFIRMED && !previouslySent.has(leg.hash))
+      .forEach(leg => onTransactionComplete?.(leg.hash));
+
+    const summary = summarizeTransferLegs(legs);
+    if (!summary.failedLeg) {
+      setMessage(`✅ All ${legs.length} transfers confirmed (${summary.sentTotal} MNEE)`);
+      return;
+    }
+    setMessage('');
+    setError(
+      `Sent ${summary.confirmed} of ${legs.length} transfers (${summary.sentTotal} MNEE). ` +
+      `The transfer to ${shortAddress(summary.failedLeg.recipient)} failed: ` +
+      `${getTransactionErrorMessage(summary.failedLeg.error)}. ` +
+      `${summary.unsentTotal} MNEE to ${summary.unsent} recipient(s) was not sent.`
+    );
+  };
+
+  // Hand a transfer for later to the server; nothing is signed yet
+  const saveScheduledTransfer = async () => {
+    setError('');
+    setIsScheduling(true);
+    try {
+      await scheduleTransfer(parsedCommand);
+      const when = describeSchedule(parsedCommand.schedule, parsedCommand.language || language.split('-')[0]);
+      setShowConfirmation(false);
+      setParsedCommand(null);
+      setMessage(`🗓️ Scheduled: ${when}. You'll be asked to sign it in Scheduled Transfers when it's due.`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsScheduling(false);
+    }
+  };
+
   const handleConfirm = async () => {
     if (!parsedCommand) return;
 
+    if (isScheduled) {
+      await saveScheduledTransfer();
+      return;
+    }
+
     const validation = validateBalance();
     if (!validation.isValid) {
       setError(validation.message);
       return;
     }
 
+    if (isBatch) {
+      await sendBatchTransfer();
+      return;
+    }
+
     try {
       const amountInWei = parseMNEEAmount(parsedCommand.amount.toString());
       await transfer(parsedCommand.recipient, amountInWei);
@@ -296,10 +474,94 @@ function VoiceTransfer({ onTransactionComplete }) {
   const handleReject = () => {
     setShowConfirmation(false);
     setParsedCommand(null);
+    resetBatch();
     setMessage('Transaction cancelled');
   };
 
+  // ── INTENT HANDLERS ────────────────────────────────────────────────────────
+
+  // Show and read aloud the answer, in the language the command was spoken in
+  const reply = (command, data) => {
+    const spokenLanguage = command.language || language.split('-')[0];
+    const voice = language.startsWith(spokenLanguage)
+      ? language
+      : VOICE_LANGUAGES.find(option => option.code.startsWith(spokenLanguage))?.code || language;
+    const composed = composeReply(command.action, data, spokenLanguage);
+    setAnswer(composed);
+    speak(composed.text, { language: voice });
+  };
+
+  const showTransferConfirmation = (command) => {
+    resetBatch();
+    setParsedCommand(command);
+    setShowConfirmation(true);
+  };
+
+  const answerBalance = (command) => {
+    if (isBalanceError) throw new Error('Could not read your balance');
+    reply(command, { balance });
+  };
+
+  const answerHistory = async (command) => {
+    setMessage('Looking up your transfers...');
+    const transfers = await fetchTransfers(command.limit);
+    setMessage('');
+    reply(command, { transfers });
+  };
+
+  const answerPrice = async (command) => {
+    reply(command, { symbol: command.symbol, price: await fetchPrice(command.symbol) });
+  };
+
+  const cancelCommand = (command) => {
+    if (isTransactionPending || isTransactionConfirming || isBatchSending) {
+      setError('The transaction is already in your wallet; reject it there to cancel');
+      return;
+    }
+    setShowConfirmation(false);
+    setParsedCommand(null);
+    resetBatch();
+    reply(command, {});
+  };
+
+  // Parsed command action -> what to do with it (see commandIntentService.js)
+  const intentHandlers = {
+    transfer: showTransferConfirmation,
+    check_balance: answerBalance,
+    transaction_history: answerHistory,
+    price_query: answerPrice,
+    help: (command) => reply(command, {}),
+    cancel: cancelCommand,
+  };
+
+  const changeLanguage = (code) => {
+    setLanguage(code);
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  };
+
+  // Characters of a spelled-out address that the parser was unsure about,
+  // keyed by position in the recipient string (after "0x")
+  const doubtfulCharacters = (command) => {
+    const spoken = command.spokenAddress;
+    if (!spoken || spoken.address.toLowerCase() !== command.recipient.toLowerCase()) return new Map();
+    return new Map(spoken.lowConfidence.map(entry => [entry.index + 2, entry]));
+  };
+
+  const renderRecipient = (command) => {
+    const doubtful = doubtfulCharacters(command);
+    if (doubtful.size === 0) return command.recipient;
+    return [...command.recipient].map((char, i) => (
+      doubtful.has(i) ? (
+        <span key={i} className="bg-yellow-500/30 text-yellow-300 rounded" title={`Heard "${doubtful.get(i).heard}"`}>
+          {char}
+        </span>
+      ) : char
+    ));
+  };
+
   const balanceValidation = validateBalance();
+  const unclearWords = transcriptWords.filter(word => word.lowConfidence).map(word => word.word);
+  const selectedLanguage = VOICE_LANGUAGES.find(option => option.code === language) || VOICE_LANGUAGES[2];
 
   return (
     <div className="bg-slate-900/50 backdrop-blur-lg border-2 border-neon-purple/30 rounded-2xl p-8 shadow-2xl">
@@ -317,8 +579,24 @@ function VoiceTransfer({ onTransactionComplete }) {
         </div>
       </div>
       
+      {/* Spoken Language */}
+      <div className="mb-4 flex items-center gap-3">
+        <label htmlFor="voice-language" className="text-slate-400">Language:</label>
+        <select
+          id="voice-language"
+          value={language}
+          onChange={(e) => changeLanguage(e.target.value)}
+          disabled={isRecording || isProcessing}
+          className="px-3 py-2 bg-slate-800 border border-neon-purple/30 rounded-lg text-white focus:outline-none focus:border-neon-purple disabled:opacity-50"
+        >
+          {VOICE_LANGUAGES.map(option => (
+            <option key={option.code} value={option.code}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
       <p className="text-slate-400 mb-6">
-        Speak your command, e.g.: "Send 50 MNEE to 0x123..."
+        Speak your command, e.g.: "{selectedLanguage.example}"
       </p>
 
       {/* Recording Controls */}
@@ -367,6 +645,14 @@ function VoiceTransfer({ onTransactionComplete }) {
         </div>
       )}
 
+      {/* Live Transcript (while speaking and until the final result arrives) */}
+      {partialTranscript && !transcribedText && (
+        <div className="mt-6 p-6 bg-slate-800/30 border border-neon-purple/30 rounded-xl">
+          <h3 className="text-sm font-semibold text-slate-400 mb-2">Hearing...</h3>
+          <p className="text-slate-300 text-lg italic">{partialTranscript}</p>
+        </div>
+      )}
+
       {/* Transcribed Text */}
       {transcribedText && (
         <div className="mt-6 p-6 bg-slate-800/50 border border-neon-green/30 rounded-xl">
@@ -374,7 +660,34 @@ function VoiceTransfer({ onTransactionComplete }) {
             <h3 className="text-lg font-semibold text-neon-green">Transcribed Command:</h3>
             <button onClick={clearTranscription} className="text-slate-400 hover:text-white" title="Clear">✕</button>
           </div>
-          <p className="text-white text-lg">{transcribedText}</p>
+          <p className="text-white text-lg">
+            {transcriptWords.length > 0
+              ? transcriptWords.map((word, i) => (
+                  <span key={i}>
+                    {i > 0 && ' '}
+                    {word.lowConfidence ? (
+                      <span className="underline decoration-yellow-400 decoration-wavy" title="Not sure I heard this right">
+                        {word.word}
+                      </span>
+                    ) : word.word}
+                  </span>
+                ))
+              : transcribedText}
+          </p>
+        </div>
+      )}
+
+      {/* Answer (balance, history, price, help, cancel) */}
+      {answer && (
+        <div className="mt-6 p-6 bg-slate-800/50 border border-neon-purple/30 rounded-xl">
+          <h3 className="text-lg font-semibold text-neon-purple mb-2">🔊 {answer.title}</h3>
+          {answer.lines.length > 0 && (
+            <ul className="space-y-1 text-slate-300 font-mono text-sm">
+              {answer.lines.map((line, i) => (
+                <li key={i}>{line}</li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
@@ -394,35 +707,104 @@ function VoiceTransfer({ onTransactionComplete }) {
               </span>
             </div>
 
-            {/* Amount */}
-            <div className="flex justify-between items-center p-4 bg-slate-800/60 rounded-xl border border-slate-700/50">
-              <span className="text-slate-400 font-medium">Amount</span>
-              <div className="text-right">
-                <div className="text-2xl font-bold text-neon-green">
-                  {parsedCommand.amount} MNEE
+            {/* When (scheduled) */}
+            {isScheduled && (
+              <div className="flex justify-between items-center p-4 bg-slate-800/60 rounded-xl border border-slate-700/50">
+                <span className="text-slate-400 font-medium">When</span>
+                <span className="text-white font-semibold text-right" title={`Heard "${parsedCommand.schedule.heard}"`}>
+                  🗓️ {describeSchedule(parsedCommand.schedule, parsedCommand.language || language.split('-')[0])}
+                </span>
+              </div>
+            )}
+
+            {/* Recipients and Total (batch) */}
+            {isBatch && (
+              <div className="p-4 bg-slate-800/60 rounded-xl border border-slate-700/50">
+                <div className="flex justify-between items-center mb-3">
+                  <span className="text-slate-400 font-medium">Recipients</span>
+                  <span className="text-sm text-slate-500">
+                    {parsedCommand.split === 'evenly' ? 'Split evenly' : parsedCommand.split === 'each' ? 'Same amount each' : 'Amount per recipient'}
+                  </span>
                 </div>
-                <div className="text-sm text-slate-500">
-                  ≈ ${parsedCommand.amount} USD
+                <ul className="space-y-2">
+                  {(batchLegs.length > 0 ? batchLegs : parsedCommand.legs).map((leg, i) => {
+                    const badge = LEG_BADGES[leg.status || LEG_STATUS.PENDING];
+                    return (
+                      <li key={i} className="flex justify-between items-center gap-3 p-2 bg-slate-900/40 rounded-lg border border-slate-700/50">
+                        <span className="font-mono text-sm text-white break-all" title={leg.recipient}>
+                          {i + 1}. {shortAddress(leg.recipient)}
+                        </span>
+                        <span className="flex items-center gap-2 shrink-0">
+                          <span className="font-bold text-neon-green">{leg.amount} MNEE</span>
+                          <span className={`text-xs px-2 py-0.5 rounded-full border ${badge.className}`}>{badge.label}</span>
+                          {leg.hash && (
+                            <a
+                              href={`https://sepolia.etherscan.io/tx/${leg.hash}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-neon-purple hover:text-neon-green text-xs"
+                              title={leg.hash}
+                            >
+                              ↗
+                            </a>
+                          )}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+                <div className="flex justify-between items-center mt-4 pt-3 border-t border-slate-700/50">
+                  <span className="text-slate-400 font-medium">Total</span>
+                  <div className="text-right">
+                    <div className="text-2xl font-bold text-neon-green">
+                      {formatMNEEAmount(commandTotalWei(parsedCommand))} MNEE
+                    </div>
+                    <div className="text-sm text-slate-500">
+                      ≈ ${formatMNEEAmount(commandTotalWei(parsedCommand))} USD
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
 
-            {/* Recipient */}
-            <div className="p-4 bg-slate-800/60 rounded-xl border border-slate-700/50">
-              <div className="flex justify-between items-center mb-2">
-                <span className="text-slate-400 font-medium">Recipient</span>
-                <button
-                  onClick={() => navigator.clipboard.writeText(parsedCommand.recipient)}
-                  className="text-neon-purple hover:text-neon-green text-sm flex items-center gap-1 transition-colors"
-                  title="Copy address"
-                >
-                  📋 Copy
-                </button>
+            {/* Amount */}
+            {!isBatch && (
+              <div className="flex justify-between items-center p-4 bg-slate-800/60 rounded-xl border border-slate-700/50">
+                <span className="text-slate-400 font-medium">Amount</span>
+                <div className="text-right">
+                  <div className="text-2xl font-bold text-neon-green">
+                    {parsedCommand.amount} MNEE
+                  </div>
+                  <div className="text-sm text-slate-500">
+                    ≈ ${parsedCommand.amount} USD
+                  </div>
+                </div>
               </div>
-              <div className="font-mono text-sm text-white break-all bg-slate-900/40 p-2 rounded-lg border border-slate-700/50">
-                {parsedCommand.recipient}
+            )}
+
+            {/* Recipient */}
+            {!isBatch && (
+              <div className="p-4 bg-slate-800/60 rounded-xl border border-slate-700/50">
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-slate-400 font-medium">Recipient</span>
+                  <button
+                    onClick={() => navigator.clipboard.writeText(parsedCommand.recipient)}
+                    className="text-neon-purple hover:text-neon-green text-sm flex items-center gap-1 transition-colors"
+                    title="Copy address"
+                  >
+                    📋 Copy
+                  </button>
+                </div>
+                <div className="font-mono text-sm text-white break-all bg-slate-900/40 p-2 rounded-lg border border-slate-700/50">
+                  {renderRecipient(parsedCommand)}
+                </div>
+                {doubtfulCharacters(parsedCommand).size > 0 && (
+                  <p className="mt-2 text-xs text-yellow-400">
+                    ⚠️ Highlighted characters were hard to hear. Check them before confirming.
+                  </p>
+                )}
               </div>
-            </div>
+            )}
 
             {/* Confidence */}
             {parsedCommand.confidence && (
@@ -443,6 +825,13 @@ function VoiceTransfer({ onTransactionComplete }) {
             )}
           </div>
 
+          {/* Unclear Words */}
+          {unclearWords.length > 0 && (
+            <div className="mb-6 p-4 bg-yellow-900/20 border border-yellow-500/40 rounded-xl text-yellow-300 text-sm">
+              ⚠️ Some words were unclear: {unclearWords.map(word => `"${word}"`).join(', ')}. Make sure the amount and recipient are right.
+            </div>
+          )}
+
           {/* Balance Warning */}
           {!balanceValidation.isValid && (
             <div className="mb-6 p-4 bg-red-900/30 border border-red-500/50 rounded-xl text-red-300">
@@ -457,17 +846,35 @@ function VoiceTransfer({ onTransactionComplete }) {
           <div className="flex flex-col sm:flex-row gap-4">
             <button
               onClick={handleConfirm}
-              disabled={!balanceValidation.isValid || isTransactionPending || isTransactionConfirming}
+              disabled={!balanceValidation.isValid || isTransactionPending || isTransactionConfirming || isBatchSending || isScheduling || (isBatch && unsentLegs.length === 0)}
               className={`
                 flex-1 py-4 px-6 font-bold text-lg rounded-xl transition-all duration-300 shadow-lg
                 ${
-                  balanceValidation.isValid && !isTransactionPending && !isTransactionConfirming
+                  balanceValidation.isValid && !isTransactionPending && !isTransactionConfirming && !isBatchSending && !isScheduling && !(isBatch && unsentLegs.length === 0)
                     ? 'bg-gradient-to-r from-neon-green to-emerald-600 hover:from-emerald-600 hover:to-neon-green border-2 border-neon-green/60 text-white hover:shadow-neon-green/50'
                     : 'bg-slate-700/40 border-2 border-slate-600 text-slate-500 cursor-not-allowed'
                 }
               `}
             >
-              {isTransactionPending ? (
+              {isScheduling ? (
+                <span className="flex items-center justify-center gap-2">
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  Scheduling...
+                </span>
+              ) : isScheduled ? (
+                '🗓️ Confirm & Schedule'
+              ) : isBatchSending ? (
+                <span className="flex items-center justify-center gap-2">
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  Sending {batchLegs.filter(leg => leg.status === LEG_STATUS.CONFIRMED).length + 1} of {batchLegs.length}...
+                </span>
+              ) : isBatch && unsentLegs.length === 0 ? (
+                '🎉 All Sent'
+              ) : isBatch && batchLegs.length > 0 ? (
+                `🔁 Retry ${unsentLegs.length} Unsent`
+              ) : isBatch ? (
+                `✅ Confirm & Send ${parsedCommand.legs.length} Transfers`
+              ) : isTransactionPending ? (
                 <span className="flex items-center justify-center gap-2">
                   <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
                   Signing...
@@ -484,7 +891,7 @@ function VoiceTransfer({ onTransactionComplete }) {
 
             <button
               onClick={handleReject}
-              disabled={isTransactionPending || isTransactionConfirming}
+              disabled={isTransactionPending || isTransactionConfirming || isBatchSending || isScheduling}
               className={`
                 flex-1 py-4 px-6 font-bold text-lg rounded-xl transition-all duration-300
                 bg-gradient-to-r from-red-600/80 to-rose-700 hover:from-rose-700 hover:to-red-600
@@ -38,6 +38,26 @@ export function getApiUrl(path = '') {
   return `${cleanBase}${normalizedPath}`;
 }
 
+/**
+ * Build a WebSocket URL on the backend (ws:// locally, wss:// in production)
+ * @param {string} path - Endpoint path (e.g. '/api/voice/stream')
+ * @returns {string} Complete WebSocket URL
+ */
+export function getWebSocketUrl(path = '') {
+  return getApiUrl(path).replace(/^http/, 'ws');
+}
+
+/**
+ * Fetch a backend endpoint with the session cookie attached.
+ * Use this for every user-scoped route (wallet, KYC, trading, profile).
+ * @param {string} path - Endpoint path (e.g. '/api/wallet/balance')
+ * @param {RequestInit} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export function apiFetch(path, options = {}) {
+  return fetch(getApiUrl(path), { credentials: 'include', ...options });
+}
+
 // === MNEE TOKEN CONTRACT ===
 export const MNEE_CONTRACT_ADDRESS = import.meta.env.VITE_MNEE_CONTRACT_ADDRESS || 
   '0x8c8F8E4F8e4F8e4F8e4F8e4F8e4F8e4F8e4F8e4F';  // Fallback: replace with real address!
@@ -55,6 +75,8 @@ if (import.meta.env.DEV) {
 export default {
   API_BASE,
   getApiUrl,
+  getWebSocketUrl,
+  apiFetch,
   MNEE_CONTRACT_ADDRESS,
   CHAIN_ID,
   isProduction,
@@ -3,7 +3,7 @@
  * Provides functions for reading MNEE balance and interacting with the MNEE contract
  */
 
-import { useReadContract, useAccount, useBlockNumber, useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
+import { useReadContract, useAccount, useBlockNumber, useWriteContract, useWaitForTransactionReceipt, usePublicClient } from 'wagmi';
 import { formatUnits } from 'viem';
 import { MNEE_CONTRACT_ADDRESS, MNEE_CONTRACT_ABI } from '../contracts/mneeToken';
 import { useState, useEffect } from 'react';
@@ -153,6 +153,84 @@ export function parseMNEEAmount(amount, decimals = 18) {
   return BigInt(whole + paddedFraction);
 }
 
+// How far back to look for transfers (~1 week of Sepolia blocks); RPC
+// providers refuse log queries over much longer ranges
+const HISTORY_LOOKBACK_BLOCKS = 50000n;
+
+/**
+ * Turn Transfer event logs into a wallet's transfer history, newest first
+ *
+ * @param {Array<Object>} logs - Transfer logs (sent and received, in any order)
+ * @param {string} address - The wallet the history is for
+ * @param {number} limit - Number of transfers to keep
+ * @returns {Array<Object>} Transfers
+ * @property {string} hash - Transaction hash
+ * @property {string} direction - 'sent' or 'received'
+ * @property {string} counterparty - The other address
+ * @property {string} amount - Formatted amount (e.g., "12.5")
+ * @property {bigint} blockNumber - Block the transfer is in
+ */
+export function toTransferHistory(logs, address, limit) {
+  const wallet = address.toLowerCase();
+  const seen = new Set();
+
+  return [...logs]
+    .sort((a, b) => (a.blockNumber === b.blockNumber
+      ? b.logIndex - a.logIndex
+      : (b.blockNumber > a.blockNumber ? 1 : -1)))
+    .filter(log => {
+      // A transfer to yourself shows up in both queries
+      const key = `${log.transactionHash}:${log.logIndex}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(log => {
+      const sent = log.args.from.toLowerCase() === wallet;
+      return {
+        hash: log.transactionHash,
+        direction: sent ? 'sent' : 'received',
+        counterparty: sent ? log.args.to : log.args.from,
+        amount: formatMNEEAmount(log.args.value),
+        blockNumber: log.blockNumber,
+      };
+    });
+}
+
+/**
+ * Custom hook to read recent MNEE transfers of the connected wallet from
+ * the token's Transfer events
+ *
+ * @returns {Object} History functions
+ * @property {Function} fetchTransfers - Resolves to the latest transfers (limit), newest first
+ */
+export function useMNEETransferHistory() {
+  const { address } = useAccount();
+  const publicClient = usePublicClient();
+
+  const fetchTransfers = async (limit = 5) => {
+    if (!address || !publicClient) {
+      throw new Error('Connect your wallet to see your transfers');
+    }
+
+    const latest = await publicClient.getBlockNumber();
+    const fromBlock = latest > HISTORY_LOOKBACK_BLOCKS ? latest - HISTORY_LOOKBACK_BLOCKS : 0n;
+    const query = (args) => publicClient.getContractEvents({
+      address: MNEE_CONTRACT_ADDRESS,
+      abi: MNEE_CONTRACT_ABI,
+      eventName: 'Transfer',
+      args,
+      fromBlock,
+    });
+
+    const [sent, received] = await Promise.all([query({ from: address }), query({ to: address })]);
+    return toTransferHistory([...sent, ...received], address, limit);
+  };
+
+  return { fetchTransfers };
+}
+
 /**
  * Custom hook to transfer MNEE tokens
  * Handles transaction signing, submission, and monitoring
@@ -225,4 +303,141 @@ export function useMNEETransfer() {
     error: writeError || receiptError,
     receipt,
   };
-}
\ No newline at end of file
+}
+/**
+ * What happened to each leg of a batch transfer
+ */
+export const LEG_STATUS = {
+  PENDING: 'pending',
+  SIGNING: 'signing',
+  CONFIRMING: 'confirming',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Send the legs of a batch transfer one after another. Sending stops at the
+ * first leg that fails; the legs after it are skipped. Legs already
+ * confirmed are left alone, so a failed batch can be sent again to retry
+ * the rest.
+ *
+ * @param {Array<Object>} legs - { amount, recipient }, optionally with a status
+ * @param {Object} steps
+ * @param {Function} steps.sign - Submits a leg, resolves to its transaction hash
+ * @param {Function} steps.confirm - Resolves to the receipt of a hash
+ * @param {Function} steps.onUpdate - Called with the legs after every status change
+ * @param {Function} steps.onConfirmed - Awaited with (index, hash) as each leg
+ *   confirms; if it throws, sending stops there
+ * @returns {Promise<Array<Object>>} Legs with status, hash and error
+ */
+export async function sendTransferLegs(legs, { sign, confirm, onUpdate = () => {}, onConfirmed = async () => {} }) {
+  let current = legs.map(leg => (leg.status === LEG_STATUS.CONFIRMED
+    ? leg
+    : { amount: leg.amount, recipient: leg.recipient, status: LEG_STATUS.PENDING }));
+  const update = (index, fields) => {
+    current = current.map((leg, i) => (i === index ? { ...leg, ...fields } : leg));
+    onUpdate(current);
+  };
+  onUpdate(current);
+
+  let failed = false;
+  for (let i = 0; i < current.length; i++) {
+    const leg = current[i];
+    if (leg.status === LEG_STATUS.CONFIRMED) continue;
+    if (failed) {
+      update(i, { status: LEG_STATUS.SKIPPED });
+      continue;
+    }
+
+    try {
+      update(i, { status: LEG_STATUS.SIGNING });
+      const hash = await sign(leg);
+      update(i, { status: LEG_STATUS.CONFIRMING, hash });
+      const receipt = await confirm(hash);
+      if (receipt?.status === 'reverted') {
+        throw new Error('execution reverted');
+      }
+      update(i, { status: LEG_STATUS.CONFIRMED });
+    } catch (error) {
+      update(i, { status: LEG_STATUS.FAILED, error });
+      failed = true;
+      continue;
+    }
+    await onConfirmed(i, current[i].hash);
+  }
+  return current;
+}
+
+/**
+ * Tally a batch transfer for the report shown after sending
+ *
+ * @param {Array<Object>} legs - Legs returned by sendTransferLegs
+ * @returns {Object} Summary
+ * @property {number} confirmed - Legs sent and confirmed
+ * @property {number} unsent - Legs that failed or were skipped
+ * @property {string} sentTotal - Formatted amount that was sent (e.g., "20")
+ * @property {string} unsentTotal - Formatted amount that was not
+ * @property {Object} failedLeg - The leg that stopped the batch, if any
+ */
+export function summarizeTransferLegs(legs) {
+  const sum = (list) => formatMNEEAmount(
+    list.reduce((total, leg) => total + parseMNEEAmount(String(leg.amount)), 0n)
+  );
+  const sent = legs.filter(leg => leg.status === LEG_STATUS.CONFIRMED);
+  const unsent = legs.filter(leg => leg.status !== LEG_STATUS.CONFIRMED);
+
+  return {
+    confirmed: sent.length,
+    unsent: unsent.length,
+    sentTotal: sum(sent),
+    unsentTotal: sum(unsent),
+    failedLeg: legs.find(leg => leg.status === LEG_STATUS.FAILED) || null,
+  };
+}
+
+/**
+ * Custom hook to send a batch transfer (several recipients) as one MNEE
+ * transfer per leg, signed and confirmed in turn
+ *
+ * @returns {Object} Batch functions and status
+ * @property {Function} sendBatch - Sends the legs (see sendTransferLegs), resolves to the legs;
+ *   takes { onConfirmed } as a second argument
+ * @property {Array<Object>} legs - Legs of the batch being sent, with status
+ * @property {boolean} isSending - Whether a leg is being signed or confirmed
+ * @property {Function} reset - Forget the last batch
+ */
+export function useMNEEBatchTransfer() {
+  const { writeContractAsync } = useWriteContract();
+  const publicClient = usePublicClient();
+  const queryClient = useQueryClient();
+  const [legs, setLegs] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+
+  const sendBatch = async (batchLegs, { onConfirmed } = {}) => {
+    setIsSending(true);
+    try {
+      return await sendTransferLegs(batchLegs, {
+        sign: (leg) => writeContractAsync({
+          address: MNEE_CONTRACT_ADDRESS,
+          abi: MNEE_CONTRACT_ABI,
+          functionName: 'transfer',
+          args: [leg.recipient, parseMNEEAmount(String(leg.amount))],
+        }),
+        confirm: (hash) => publicClient.waitForTransactionReceipt({ hash }),
+        onUpdate: setLegs,
+        onConfirmed,
+      });
+    } finally {
+      setIsSending(false);
+      queryClient.invalidateQueries({
+        queryKey: ['readContract', {
+          address: MNEE_CONTRACT_ADDRESS,
+          functionName: 'balanceOf',
+        }],
+      });
+    }
+  };
+
+  return { sendBatch, legs, isSending, reset: () => setLegs([]) };
+}
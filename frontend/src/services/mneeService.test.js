@@ -5,7 +5,7 @@
 
 import { describe, it, expect, vi } from 'vitest';
 import * as fc from 'fast-check';
-import { formatMNEEAmount, parseMNEEAmount } from './mneeService';
+import { formatMNEEAmount, parseMNEEAmount, toTransferHistory, sendTransferLegs, summarizeTransferLegs, LEG_STATUS } from './mneeService';
 import { formatUnits, parseUnits } from 'viem';
 
 /**
@@ -368,3 +368,166 @@ describe('MNEE Service - Edge Cases', () => {
     expect(parseFloat(formatted)).toBeCloseTo(0.123456, 6);
   });
 });
+
+/**
+ * Voice transaction history: Transfer logs to the wallet's history
+ */
+describe('MNEE Service - Transfer History', () => {
+  const WALLET = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+  const OTHER = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+  const log = (blockNumber, logIndex, from, to, value) => ({
+    blockNumber,
+    logIndex,
+    transactionHash: `0x${blockNumber}${logIndex}`,
+    args: { from, to, value: parseUnits(value, 18) },
+  });
+
+  it('should list sent and received transfers newest first', () => {
+    const history = toTransferHistory([
+      log(10n, 0, WALLET, OTHER, '5'),
+      log(12n, 1, OTHER, WALLET, '2.5'),
+      log(12n, 3, WALLET.toLowerCase(), OTHER, '1'),
+    ], WALLET, 5);
+
+    expect(history).toEqual([
+      { hash: '0x123', direction: 'sent', counterparty: OTHER, amount: '1', blockNumber: 12n },
+      { hash: '0x121', direction: 'received', counterparty: OTHER, amount: '2.5', blockNumber: 12n },
+      { hash: '0x100', direction: 'sent', counterparty: OTHER, amount: '5', blockNumber: 10n },
+    ]);
+  });
+
+  it('should keep the newest transfers up to the limit, counting self-transfers once', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 30 }), fc.integer({ min: 1, max: 10 }), (count, limit) => {
+        const logs = Array.from({ length: count }, (_, i) => log(BigInt(i + 1), 0, WALLET, WALLET, '1'));
+
+        // Each self-transfer is returned by both the sent and the received query
+        const history = toTransferHistory([...logs, ...logs], WALLET, limit);
+
+        expect(history).toHaveLength(Math.min(count, limit));
+        expect(history[0].blockNumber).toBe(BigInt(count));
+      }),
+      { numRuns: 50 }
+    );
+  });
+});
+
+describe('MNEE Service - Batch Transfers', () => {
+  const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+  const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+  const CAROL = '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB';
+  const legs = [
+    { amount: 10, recipient: ALICE },
+    { amount: 2.5, recipient: BOB },
+    { amount: 0.000001, recipient: CAROL },
+  ];
+  const hashOf = (leg) => `0x${leg.recipient.slice(2, 6)}`;
+
+  it('should sign and confirm every leg in order', async () => {
+    const calls = [];
+    const sign = vi.fn(async (leg) => { calls.push(`sign ${leg.amount}`); return hashOf(leg); });
+    const confirm = vi.fn(async (hash) => { calls.push(`confirm ${hash}`); return { status: 'success' }; });
+    const onUpdate = vi.fn();
+
+    const result = await sendTransferLegs(legs, { sign, confirm, onUpdate });
+
+    expect(calls).toEqual(['sign 10', 'confirm 0x5aAe', 'sign 2.5', 'confirm 0xfB69', 'sign 0.000001', 'confirm 0xdbF0']);
+    expect(result.map(leg => leg.status)).toEqual(['confirmed', 'confirmed', 'confirmed']);
+    expect(result[1]).toMatchObject({ amount: 2.5, recipient: BOB, hash: '0xfB69' });
+    expect(onUpdate.mock.calls[1][0][0].status).toBe(LEG_STATUS.SIGNING);
+    expect(onUpdate.mock.lastCall[0]).toEqual(result);
+  });
+
+  it('should stop at the first failed leg and skip the rest', async () => {
+    const rejected = new Error('User rejected the request.');
+    const sign = vi.fn(async (leg) => {
+      if (leg.recipient === BOB) throw rejected;
+      return hashOf(leg);
+    });
+
+    const result = await sendTransferLegs(legs, { sign, confirm: async () => ({ status: 'success' }) });
+
+    expect(result.map(leg => leg.status)).toEqual(['confirmed', 'failed', 'skipped']);
+    expect(result[1].error).toBe(rejected);
+    expect(sign).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail a leg whose transaction reverts', async () => {
+    const result = await sendTransferLegs(legs.slice(0, 2), {
+      sign: async (leg) => hashOf(leg),
+      confirm: async (hash) => ({ status: hash === '0x5aAe' ? 'reverted' : 'success' }),
+    });
+
+    expect(result.map(leg => leg.status)).toEqual(['failed', 'skipped']);
+    expect(result[0].error.message).toBe('execution reverted');
+  });
+
+  it('should only resend the legs that were not confirmed', async () => {
+    const previous = [
+      { ...legs[0], status: 'confirmed', hash: '0x5aAe' },
+      { ...legs[1], status: 'failed', error: new Error('rejected') },
+      { ...legs[2], status: 'skipped' },
+    ];
+    const sign = vi.fn(async (leg) => hashOf(leg));
+
+    const result = await sendTransferLegs(previous, { sign, confirm: async () => ({ status: 'success' }) });
+
+    expect(sign.mock.calls.map(([leg]) => leg.recipient)).toEqual([BOB, CAROL]);
+    expect(result.map(leg => leg.status)).toEqual(['confirmed', 'confirmed', 'confirmed']);
+    expect(result[0].hash).toBe('0x5aAe');
+    expect(result[1].error).toBeUndefined();
+  });
+
+  it('should hand over each confirmed leg before sending the next, and stop if that fails', async () => {
+    const calls = [];
+    const sign = vi.fn(async (leg) => { calls.push(`sign ${leg.amount}`); return hashOf(leg); });
+    const onConfirmed = vi.fn(async (index, hash) => {
+      calls.push(`recorded ${index} ${hash}`);
+      if (index === 1) throw new Error('Could not record the transfer');
+    });
+
+    await expect(sendTransferLegs(legs, { sign, confirm: async () => ({ status: 'success' }), onConfirmed }))
+      .rejects.toThrow('Could not record the transfer');
+
+    expect(calls).toEqual(['sign 10', 'recorded 0 0x5aAe', 'sign 2.5', 'recorded 1 0xfB69']);
+  });
+
+  it('should report what was and was not sent', () => {
+    const failure = new Error('rejected');
+    const summary = summarizeTransferLegs([
+      { ...legs[0], status: 'confirmed' },
+      { ...legs[1], status: 'failed', error: failure },
+      { ...legs[2], status: 'skipped' },
+    ]);
+
+    expect(summary).toEqual({
+      confirmed: 1,
+      unsent: 2,
+      sentTotal: '10',
+      unsentTotal: '2.500001',
+      failedLeg: { ...legs[1], status: 'failed', error: failure },
+    });
+  });
+
+  it('should account for every unit of a batch, sent or not', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer({ min: 1, max: 10 ** 9 }), { minLength: 1, maxLength: 10 }),
+        fc.nat(),
+        (units, failAt) => {
+          const statuses = units.map((_, i) => {
+            const stop = failAt % units.length;
+            return i < stop ? 'confirmed' : i === stop ? 'failed' : 'skipped';
+          });
+          const batch = units.map((unit, i) => ({ amount: unit / 1e6, recipient: ALICE, status: statuses[i] }));
+
+          const { sentTotal, unsentTotal } = summarizeTransferLegs(batch);
+
+          const total = units.reduce((sum, unit) => sum + BigInt(unit), 0n) * 10n ** 12n;
+          expect(parseMNEEAmount(sentTotal) + parseMNEEAmount(unsentTotal)).toBe(total);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
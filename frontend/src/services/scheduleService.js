@@ -0,0 +1,122 @@
+/**
+ * Schedule Service
+ * Transfers spoken with a time ("tomorrow at 9", "kila Ijumaa") are kept by
+ * the backend and fall due later; the user still signs each one in their
+ * wallet. These helpers describe a schedule and talk to /api/schedules.
+ */
+
+import { apiFetch } from '../config';
+
+const WEEKDAYS = {
+  en: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  sw: ['Jumapili', 'Jumatatu', 'Jumanne', 'Jumatano', 'Alhamisi', 'Ijumaa', 'Jumamosi'],
+  fr: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+};
+
+// Recurrences, given the weekday name and the 24-hour time
+const RECURRENCES = {
+  en: {
+    daily: (_, time) => `Every day at ${time}`,
+    weekly: (day, time) => `Every ${day} at ${time}`,
+    monthly: (_, time, dayOfMonth) => `On day ${dayOfMonth} of every month at ${time}`,
+  },
+  sw: {
+    daily: (_, time) => `Kila siku saa ${time}`,
+    weekly: (day, time) => `Kila ${day} saa ${time}`,
+    monthly: (_, time, dayOfMonth) => `Tarehe ${dayOfMonth} kila mwezi saa ${time}`,
+  },
+  fr: {
+    daily: (_, time) => `Tous les jours à ${time}`,
+    weekly: (day, time) => `Tous les ${day}s à ${time}`,
+    monthly: (_, time, dayOfMonth) => `Le ${dayOfMonth} de chaque mois à ${time}`,
+  },
+};
+
+const LOCALES = { en: 'en-GB', sw: 'sw-KE', fr: 'fr-FR' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * The user's IANA time zone, sent with voice commands so "at 9" means 9 where
+ * they are
+ * @returns {string|undefined} e.g. Africa/Nairobi (undefined if unknown)
+ */
+export function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Say when a scheduled transfer runs
+ *
+ * @param {Object} schedule - { runAt, recurrence, timeZone } from the parser, or
+ *   a scheduled transfer ({ nextRunAt, recurrence, timeZone })
+ * @param {string} language - 'sw', 'en' or 'fr' (default: en)
+ * @returns {string} e.g. "Every Friday at 09:30" or "Tuesday 3 March 2026 at 09:00"
+ */
+export function describeSchedule(schedule, language = 'en') {
+  const lang = RECURRENCES[language] ? language : 'en';
+  const { recurrence, timeZone } = schedule;
+
+  if (recurrence) {
+    const time = `${pad(recurrence.hour)}:${pad(recurrence.minute)}`;
+    return RECURRENCES[lang][recurrence.frequency](WEEKDAYS[lang][recurrence.weekday], time, recurrence.dayOfMonth);
+  }
+  return new Intl.DateTimeFormat(LOCALES[lang], {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone,
+  }).format(new Date(schedule.runAt || schedule.nextRunAt));
+}
+
+/**
+ * Keep a confirmed transfer command to be sent at its scheduled time
+ *
+ * @param {Object} command - Parsed transfer with `legs` and `schedule`
+ * @param {Function} fetchImpl - apiFetch implementation (for tests)
+ * @returns {Promise<Object>} The scheduled transfer
+ */
+export async function scheduleTransfer(command, fetchImpl = apiFetch) {
+  const res = await fetchImpl('/api/schedules', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      legs: command.legs,
+      split: command.split,
+      schedule: command.schedule,
+      command: command.rawText,
+      language: command.language,
+    }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(body.error?.message || 'Could not schedule the transfer');
+  }
+  return body.scheduledTransfer;
+}
+
+/**
+ * Record one sent leg of a due transfer, so it is never sent twice (after a
+ * reload or from another device). The run completes with its last leg.
+ *
+ * @param {string} id - Scheduled transfer ID
+ * @param {number} index - Position of the leg in the transfer's legs
+ * @param {string} hash - Transaction hash of the leg
+ * @param {Function} fetchImpl - apiFetch implementation (for tests)
+ * @returns {Promise<Object>} The updated scheduled transfer
+ */
+export async function recordScheduledLeg(id, index, hash, fetchImpl = apiFetch) {
+  const res = await fetchImpl(`/api/schedules/${id}/legs/${index}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ hash }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(body.error?.message || 'Could not record the transfer');
+  }
+  return body.scheduledTransfer;
+}
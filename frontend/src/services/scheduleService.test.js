@@ -0,0 +1,79 @@
+/**
+ * Tests for describing and saving scheduled transfers
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { describeSchedule, scheduleTransfer, recordScheduledLeg } from './scheduleService';
+
+const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const HASH = `0x${'a'.repeat(64)}`;
+
+describe('describeSchedule', () => {
+  it('should say a recurrence in the language the command was spoken in', () => {
+    const weekly = { recurrence: { frequency: 'weekly', hour: 9, minute: 30, weekday: 5 }, timeZone: 'Africa/Nairobi' };
+
+    expect(describeSchedule(weekly, 'en')).toBe('Every Friday at 09:30');
+    expect(describeSchedule(weekly, 'sw')).toBe('Kila Ijumaa saa 09:30');
+    expect(describeSchedule(weekly, 'fr')).toBe('Tous les vendredis à 09:30');
+    expect(describeSchedule({ recurrence: { frequency: 'daily', hour: 18, minute: 0 } }, 'de')).toBe('Every day at 18:00');
+    expect(describeSchedule({ recurrence: { frequency: 'monthly', hour: 9, minute: 0, dayOfMonth: 1 } }, 'fr'))
+      .toBe('Le 1 de chaque mois à 09:00');
+  });
+
+  it('should show a one-off time in the zone it was spoken in', () => {
+    const text = describeSchedule({ runAt: '2026-03-03T06:00:00.000Z', recurrence: null, timeZone: 'Africa/Nairobi' }, 'en');
+
+    expect(text).toContain('Tuesday');
+    expect(text).toContain('09:00');
+    expect(describeSchedule({ nextRunAt: '2026-03-03T06:00:00.000Z', timeZone: 'UTC' }, 'en')).toContain('06:00');
+  });
+});
+
+describe('scheduleTransfer', () => {
+  const command = {
+    action: 'transfer',
+    legs: [{ amount: 50, recipient: ALICE }],
+    total: 50,
+    schedule: { runAt: '2026-03-03T06:00:00.000Z', recurrence: null, timeZone: 'Africa/Nairobi', heard: 'tomorrow at 9' },
+    rawText: `send 50 MNEE to ${ALICE} tomorrow at 9`,
+    language: 'en',
+  };
+
+  it('should post the legs and schedule', async () => {
+    const fetchImpl = vi.fn(async () => new Response(JSON.stringify({ scheduledTransfer: { id: 's1', status: 'active' } }), { status: 201 }));
+
+    await expect(scheduleTransfer(command, fetchImpl)).resolves.toEqual({ id: 's1', status: 'active' });
+    const [path, options] = fetchImpl.mock.calls[0];
+    expect(path).toBe('/api/schedules');
+    expect(JSON.parse(options.body)).toMatchObject({ legs: command.legs, schedule: command.schedule, command: command.rawText });
+  });
+
+  it('should reject with the server\'s reason', async () => {
+    const fetchImpl = vi.fn(async () => new Response(
+      JSON.stringify({ error: { code: 'INVALID_SCHEDULE', message: 'That time has already passed' } }),
+      { status: 400 }
+    ));
+
+    await expect(scheduleTransfer(command, fetchImpl)).rejects.toThrow('That time has already passed');
+  });
+});
+
+describe('recordScheduledLeg', () => {
+  it('should post the hash of one leg', async () => {
+    const fetchImpl = vi.fn(async () => new Response(JSON.stringify({ scheduledTransfer: { id: 's1', sentHashes: [null, HASH] } })));
+
+    await expect(recordScheduledLeg('s1', 1, HASH, fetchImpl)).resolves.toEqual({ id: 's1', sentHashes: [null, HASH] });
+    const [path, options] = fetchImpl.mock.calls[0];
+    expect(path).toBe('/api/schedules/s1/legs/1');
+    expect(JSON.parse(options.body)).toEqual({ hash: HASH });
+  });
+
+  it('should reject when the leg was already sent with another hash', async () => {
+    const fetchImpl = vi.fn(async () => new Response(
+      JSON.stringify({ error: { code: 'INVALID_SCHEDULE_STATE', message: 'Transfer 2 was already sent' } }),
+      { status: 409 }
+    ));
+
+    await expect(recordScheduledLeg('s1', 1, HASH, fetchImpl)).rejects.toThrow('Transfer 2 was already sent');
+  });
+});
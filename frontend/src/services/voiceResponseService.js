@@ -0,0 +1,133 @@
+/**
+ * Voice Response Service
+ * Answers to the voice commands that aren't transfers (balance, history,
+ * price, help, cancel), in the language they were asked in, and reads them
+ * aloud with the browser's speech synthesis.
+ */
+
+import { getApiUrl } from '../config';
+
+// MNEE is a USD stablecoin, so its price needs no market lookup
+export const MNEE_USD_PRICE = 1;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatAmount = (amount) => parseFloat(amount).toFixed(2);
+
+const formatPrice = (price) => price.toFixed(price < 1 ? 4 : 2);
+
+const REPLIES = {
+  en: {
+    balance: (amount) => `Your balance is ${amount} MNEE.`,
+    history: (count) => (count === 1 ? 'Your last transfer:' : `Your last ${count} transfers:`),
+    noHistory: 'You have no recent transfers.',
+    sent: (amount, address) => `sent ${amount} MNEE to ${address}`,
+    received: (amount, address) => `received ${amount} MNEE from ${address}`,
+    price: (symbol, price) => `${symbol} is ${price} US dollars.`,
+    help: 'You can say: "send 50 MNEE to 0x...", "what is my balance", "show my last 5 transactions", "what is the price of bitcoin" or "cancel".',
+    cancel: 'Cancelled.',
+  },
+  sw: {
+    balance: (amount) => `Salio lako ni MNEE ${amount}.`,
+    history: (count) => (count === 1 ? 'Muamala wako wa mwisho:' : `Miamala yako ${count} ya mwisho:`),
+    noHistory: 'Huna miamala ya hivi karibuni.',
+    sent: (amount, address) => `umetuma MNEE ${amount} kwa ${address}`,
+    received: (amount, address) => `umepokea MNEE ${amount} kutoka ${address}`,
+    price: (symbol, price) => `Bei ya ${symbol} ni dola ${price} za Marekani.`,
+    help: 'Unaweza kusema: "tuma MNEE 50 kwa 0x...", "salio langu", "nionyeshe miamala 5 ya mwisho", "bei ya bitcoin" au "ghairi".',
+    cancel: 'Imeghairiwa.',
+  },
+  fr: {
+    balance: (amount) => `Votre solde est de ${amount} MNEE.`,
+    history: (count) => (count === 1 ? 'Votre dernier transfert :' : `Vos ${count} derniers transferts :`),
+    noHistory: "Vous n'avez aucun transfert récent.",
+    sent: (amount, address) => `envoyé ${amount} MNEE à ${address}`,
+    received: (amount, address) => `reçu ${amount} MNEE de ${address}`,
+    price: (symbol, price) => `${symbol} vaut ${price} dollars américains.`,
+    help: 'Vous pouvez dire : "envoie 50 MNEE à 0x...", "quel est mon solde", "historique des transactions", "quel est le prix du bitcoin" ou "annuler".',
+    cancel: 'Annulé.',
+  },
+};
+
+// A reply without a list is its own headline
+const single = (title) => ({ title, lines: [], text: title });
+
+const COMPOSERS = {
+  check_balance: (replies, { balance }) => single(replies.balance(formatAmount(balance))),
+  transaction_history: (replies, { transfers = [] }) => {
+    if (transfers.length === 0) return single(replies.noHistory);
+    const title = replies.history(transfers.length);
+    const lines = transfers.map(transfer => replies[transfer.direction](
+      formatAmount(transfer.amount),
+      shortAddress(transfer.counterparty)
+    ));
+    return { title, lines, text: `${title} ${lines.join('; ')}.` };
+  },
+  price_query: (replies, { symbol, price }) => single(replies.price(symbol, formatPrice(price))),
+  help: (replies) => single(replies.help),
+  cancel: (replies) => single(replies.cancel),
+};
+
+/**
+ * Compose the answer to a voice command
+ *
+ * @param {string} action - check_balance, transaction_history, price_query, help or cancel
+ * @param {Object} data - What to answer with: { balance }, { transfers } or { symbol, price }
+ * @param {string} language - 'sw', 'en' or 'fr' (default: en)
+ * @returns {Object} Reply
+ * @property {string} title - Headline to display
+ * @property {Array<string>} lines - One line per transfer (history only)
+ * @property {string} text - Everything to read aloud
+ */
+export function composeReply(action, data = {}, language = 'en') {
+  const replies = REPLIES[language] || REPLIES.en;
+  const compose = COMPOSERS[action];
+  if (!compose) {
+    throw new Error(`No reply for "${action}"`);
+  }
+  return compose(replies, data);
+}
+
+/**
+ * Look up an asset's price in US dollars
+ *
+ * @param {string} symbol - Ticker, e.g. BTC (MNEE is answered without a request)
+ * @param {Function} fetchImpl - fetch implementation (for tests)
+ * @returns {Promise<number>} Price
+ */
+export async function fetchPrice(symbol, fetchImpl = fetch) {
+  if (symbol === 'MNEE') return MNEE_USD_PRICE;
+
+  const res = await fetchImpl(getApiUrl(`/api/market/prices?symbols=${encodeURIComponent(symbol)}`));
+  const tickers = await res.json().catch(() => null);
+  const ticker = res.ok && Array.isArray(tickers) ? tickers.find(entry => entry.symbol === symbol) : null;
+  if (!ticker) {
+    throw new Error(`No price available for ${symbol}`);
+  }
+  return ticker.price;
+}
+
+/**
+ * Read a reply aloud
+ *
+ * @param {string} text - What to say
+ * @param {Object} options
+ * @param {string} options.language - BCP-47 code of the voice (e.g. sw-KE)
+ * @param {Object} options.synthesis - speechSynthesis implementation (for tests)
+ * @param {Function} options.Utterance - SpeechSynthesisUtterance constructor (for tests)
+ * @returns {boolean} False if the browser cannot speak
+ */
+export function speak(text, {
+  language = 'en-US',
+  synthesis = globalThis.speechSynthesis,
+  Utterance = globalThis.SpeechSynthesisUtterance,
+} = {}) {
+  if (!synthesis || !Utterance) return false;
+
+  // A new answer replaces whatever is still being read
+  synthesis.cancel();
+  const utterance = new Utterance(text);
+  utterance.lang = language;
+  synthesis.speak(utterance);
+  return true;
+}
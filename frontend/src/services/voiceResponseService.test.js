@@ -0,0 +1,82 @@
+/**
+ * Tests for the answers to balance, history, price, help and cancel commands
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { composeReply, fetchPrice, speak } from './voiceResponseService';
+
+const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+
+describe('composeReply', () => {
+  it('should answer in the language the command was spoken in', () => {
+    expect(composeReply('check_balance', { balance: '1250.5' }, 'en').text).toBe('Your balance is 1250.50 MNEE.');
+    expect(composeReply('check_balance', { balance: '1250.5' }, 'sw').text).toBe('Salio lako ni MNEE 1250.50.');
+    expect(composeReply('check_balance', { balance: '1250.5' }, 'fr').text).toBe('Votre solde est de 1250.50 MNEE.');
+    expect(composeReply('cancel', {}, 'de').text).toBe('Cancelled.');
+  });
+
+  it('should list transfers one per line and read them all', () => {
+    const reply = composeReply('transaction_history', {
+      transfers: [
+        { direction: 'sent', amount: '5', counterparty: ALICE },
+        { direction: 'received', amount: '12.25', counterparty: BOB },
+      ],
+    }, 'en');
+
+    expect(reply.title).toBe('Your last 2 transfers:');
+    expect(reply.lines).toEqual(['sent 5.00 MNEE to 0x5aAe...eAed', 'received 12.25 MNEE from 0xfB69...d359']);
+    expect(reply.text).toBe('Your last 2 transfers: sent 5.00 MNEE to 0x5aAe...eAed; received 12.25 MNEE from 0xfB69...d359.');
+    expect(composeReply('transaction_history', { transfers: [] }, 'sw').text).toBe('Huna miamala ya hivi karibuni.');
+  });
+
+  it('should keep small prices readable', () => {
+    expect(composeReply('price_query', { symbol: 'BTC', price: 64250.123 }, 'en').text).toBe('BTC is 64250.12 US dollars.');
+    expect(composeReply('price_query', { symbol: 'DOGE', price: 0.123456 }, 'fr').text).toBe('DOGE vaut 0.1235 dollars américains.');
+  });
+
+  it('should refuse actions it has no answer for', () => {
+    expect(() => composeReply('transfer', {}, 'en')).toThrow('No reply for "transfer"');
+  });
+});
+
+describe('fetchPrice', () => {
+  it('should answer MNEE without a request', async () => {
+    const fetchImpl = vi.fn();
+
+    await expect(fetchPrice('MNEE', fetchImpl)).resolves.toBe(1);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it('should read the price from the market endpoint', async () => {
+    const fetchImpl = vi.fn(async () => new Response(JSON.stringify([{ symbol: 'ETH', price: 3100.5 }])));
+
+    await expect(fetchPrice('ETH', fetchImpl)).resolves.toBe(3100.5);
+    expect(fetchImpl.mock.calls[0][0]).toMatch(/\/api\/market\/prices\?symbols=ETH$/);
+  });
+
+  it('should reject when the market has no price', async () => {
+    const unavailable = vi.fn(async () => new Response(JSON.stringify({ error: { code: 'MARKET_DATA_UNAVAILABLE' } }), { status: 503 }));
+
+    await expect(fetchPrice('AVAX', unavailable)).rejects.toThrow('No price available for AVAX');
+  });
+});
+
+describe('speak', () => {
+  it('should read the text in the given voice, replacing what is being read', () => {
+    const synthesis = { cancel: vi.fn(), speak: vi.fn() };
+    class Utterance {
+      constructor(text) {
+        this.text = text;
+      }
+    }
+
+    expect(speak('Salio lako ni MNEE 5.00.', { language: 'sw-KE', synthesis, Utterance })).toBe(true);
+    expect(synthesis.cancel).toHaveBeenCalled();
+    expect(synthesis.speak).toHaveBeenCalledWith(expect.objectContaining({ text: 'Salio lako ni MNEE 5.00.', lang: 'sw-KE' }));
+  });
+
+  it('should do nothing where the browser cannot speak', () => {
+    expect(speak('hello', { synthesis: undefined, Utterance: undefined })).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Voice Stream Service
+ * Streams MediaRecorder chunks to the backend over a WebSocket and reports
+ * the partial transcript while the user is still speaking.
+ * Protocol: backend/src/routes/voiceStream.js
+ */
+
+import { getWebSocketUrl } from '../config';
+
+/**
+ * Open a streaming transcription session
+ *
+ * @param {Object} options
+ * @param {string} options.language - Language code (default: en-US)
+ * @param {Function} options.onPartial - Called with the live transcript (settled + interim text)
+ * @param {Function} options.WebSocketImpl - WebSocket constructor (for tests)
+ * @returns {Object} Session
+ * @property {Function} sendAudio - Queue an audio chunk (Blob); sent once the stream is ready
+ * @property {Function} finish - Signal the end of audio; resolves to the final transcription
+ * @property {Function} close - Abort the session
+ * @property {Function} isAvailable - False once the socket failed before it became ready
+ */
+export function openVoiceStream({ language = 'en-US', onPartial, WebSocketImpl = WebSocket } = {}) {
+  const params = new URLSearchParams({ encoding: 'WEBM_OPUS', sampleRate: '48000', language });
+  const socket = new WebSocketImpl(getWebSocketUrl(`/api/voice/stream?${params}`));
+
+  const pending = [];
+  const finals = [];
+  let ready = false;
+  let stopping = false;
+  let failed = false;
+  let resolveResult;
+  let rejectResult;
+
+  const result = new Promise((resolve, reject) => {
+    resolveResult = resolve;
+    rejectResult = reject;
+  });
+  // Callers may never await the result (e.g. when falling back to upload)
+  result.catch(() => {});
+
+  // Send queued audio, then the stop message once the caller finished
+  const flush = () => {
+    if (!ready) return;
+    while (pending.length > 0) {
+      socket.send(pending.shift());
+    }
+    if (stopping) {
+      socket.send(JSON.stringify({ type: 'stop' }));
+      stopping = false;
+    }
+  };
+
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+
+    if (message.type === 'ready') {
+      ready = true;
+      flush();
+    } else if (message.type === 'partial') {
+      onPartial?.([...finals, message.transcript].join(' '));
+    } else if (message.type === 'final') {
+      finals.push(message.transcript);
+      onPartial?.(finals.join(' '));
+    } else if (message.type === 'done') {
+      resolveResult(message.transcription);
+    } else if (message.type === 'error') {
+      const error = new Error(message.error?.message || 'Streaming transcription failed');
+      error.code = message.error?.code;
+      rejectResult(error);
+    }
+  };
+
+  socket.onerror = () => {
+    if (!ready) failed = true;
+    rejectResult(new Error('Voice stream connection failed'));
+  };
+
+  socket.onclose = () => {
+    rejectResult(new Error('Voice stream closed before a transcription was ready'));
+  };
+
+  return {
+    sendAudio(chunk) {
+      pending.push(chunk);
+      flush();
+    },
+    finish() {
+      stopping = true;
+      flush();
+      return result;
+    },
+    close() {
+      socket.close();
+    },
+    isAvailable() {
+      return !failed;
+    }
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Tests for the streaming transcription client
+ * A fake socket plays the server side of the voice stream protocol
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { openVoiceStream } from './voiceStreamService';
+
+class FakeSocket {
+  static last = null;
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.close = vi.fn();
+    FakeSocket.last = this;
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+describe('openVoiceStream', () => {
+  it('should queue audio until ready, report live partials and resolve with the transcription', async () => {
+    const onPartial = vi.fn();
+    const stream = openVoiceStream({ language: 'sw-KE', onPartial, WebSocketImpl: FakeSocket });
+    const socket = FakeSocket.last;
+
+    expect(socket.url).toMatch(/^ws:\/\/.*\/api\/voice\/stream\?.*language=sw-KE/);
+
+    stream.sendAudio('chunk-1');
+    expect(socket.sent).toEqual([]);
+
+    socket.receive({ type: 'ready' });
+    stream.sendAudio('chunk-2');
+    expect(socket.sent).toEqual(['chunk-1', 'chunk-2']);
+
+    socket.receive({ type: 'partial', transcript: 'send fifty' });
+    socket.receive({ type: 'final', transcript: 'Send 50 MNEE' });
+    socket.receive({ type: 'partial', transcript: 'to alice' });
+    expect(onPartial.mock.calls.map(([text]) => text)).toEqual([
+      'send fifty',
+      'Send 50 MNEE',
+      'Send 50 MNEE to alice'
+    ]);
+
+    const result = stream.finish();
+    expect(socket.sent.at(-1)).toBe(JSON.stringify({ type: 'stop' }));
+
+    socket.receive({ type: 'done', transcription: 'Send 50 MNEE to alice' });
+    await expect(result).resolves.toBe('Send 50 MNEE to alice');
+  });
+
+  it('should send stop only after the stream becomes ready', () => {
+    const stream = openVoiceStream({ WebSocketImpl: FakeSocket });
+    const socket = FakeSocket.last;
+
+    stream.sendAudio('chunk-1');
+    stream.finish();
+    expect(socket.sent).toEqual([]);
+
+    socket.receive({ type: 'ready' });
+    expect(socket.sent).toEqual(['chunk-1', JSON.stringify({ type: 'stop' })]);
+  });
+
+  it('should reject with the server error code and mark failed connections unavailable', async () => {
+    const stream = openVoiceStream({ WebSocketImpl: FakeSocket });
+    FakeSocket.last.receive({ type: 'ready' });
+    const result = stream.finish();
+    FakeSocket.last.receive({ type: 'error', error: { code: 'NO_SPEECH_DETECTED', message: 'No speech' } });
+    await expect(result).rejects.toMatchObject({ code: 'NO_SPEECH_DETECTED' });
+
+    const offline = openVoiceStream({ WebSocketImpl: FakeSocket });
+    FakeSocket.last.onerror();
+    expect(offline.isAvailable()).toBe(false);
+    expect(stream.isAvailable()).toBe(true);
+  });
+});